@@ -8,7 +8,8 @@ const { spawn, exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { generatePairingCode } = require('./pair');
+const { dataPath } = require('kim-core');
+const { generatePairingCode, getPairingStatus, getWebhookDeliveries } = require('./pair');
 
 const packageJson = require('../package.json');
 
@@ -35,6 +36,8 @@ program
     .option('-p, --port <port>', 'Server port', '8080')
     .option('-d, --daemon', 'Run as daemon process')
     .option('-v, --verbose', 'Verbose logging')
+    .option('--log-file <file>', 'Also write JSON logs to this file (rotated at 5 MB)')
+    .option('--tls', 'Serve https/wss with a locally generated certificate')
     .action(async (options) => {
         console.log(kimLogo);
         console.log('🚀 Starting KIM relay server...\n');
@@ -51,7 +54,13 @@ program
             process.env.KIM_PORT = options.port;
         }
         if (options.verbose) {
-            process.env.KIM_VERBOSE = 'true';
+            process.env.KIM_LOG_LEVEL = 'debug';
+        }
+        if (options.logFile) {
+            process.env.KIM_LOG_FILE = path.resolve(options.logFile);
+        }
+        if (options.tls) {
+            process.env.KIM_TLS = 'true';
         }
 
         const serverProcess = spawn('node', [serverPath], {
@@ -110,7 +119,9 @@ program
 program
     .command('status')
     .description('Check KIM server status 📊')
-    .action(() => {
+    .option('-p, --port <port>', 'Server port', '8080')
+    .option('--tls', 'Connect to a server started with --tls')
+    .action(async (options) => {
         console.log('📊 KIM Server Status\n');
 
         const pidFile = path.join(os.tmpdir(), 'kim.pid');
@@ -122,20 +133,6 @@ program
                 process.kill(parseInt(pid), 0); // Check if process exists
                 console.log('🟢 Server Status: Running');
                 console.log(`🆔 Process ID: ${pid}`);
-
-                // Try to connect to check if server is responsive
-                const WebSocket = require('ws');
-                const ws = new WebSocket('ws://localhost:8080');
-
-                ws.on('open', () => {
-                    console.log('🔗 Connection: Responsive');
-                    ws.close();
-                });
-
-                ws.on('error', () => {
-                    console.log('⚠️  Connection: Not responsive');
-                });
-
             } catch (error) {
                 console.log('🔴 Server Status: Not running (stale PID file)');
                 fs.unlinkSync(pidFile);
@@ -144,10 +141,55 @@ program
             console.log('🔴 Server Status: Not running');
         }
 
+        // Ask the server itself - it may have been started without the daemon
+        try {
+            const pairing = await getPairingStatus(options.port, { tls: options.tls });
+            console.log('🔗 Connection: Responsive');
+            console.log(`🔢 Active pairing codes: ${pairing.activeCodes}`);
+            console.log(`🛡️  Failed pairing attempts: ${pairing.failedAttempts}${pairing.burnedCodes > 0 ? ` (${pairing.burnedCodes} code(s) retired)` : ''}`);
+            pairing.lockedOut.forEach(client => {
+                console.log(`   🔒 ${client.ip} locked out for ${Math.ceil(client.retryAfter / 60)} min (${client.failures} wrong codes)`);
+            });
+            pairing.throttled.forEach(client => {
+                console.log(`   🧊 ${client.ip} backing off for ${client.retryAfter}s (${client.failures} wrong codes)`);
+            });
+        } catch (error) {
+            console.log(`⚠️  Connection: Not responsive (${error.message})`);
+        }
+
         console.log(`💻 Platform: ${os.platform()} ${os.arch()}`);
         console.log(`📍 Node.js: ${process.version}`);
     });
 
+program
+    .command('webhooks')
+    .description('Show configured webhooks and recent deliveries 🪝')
+    .option('-p, --port <port>', 'Server port', '8080')
+    .option('--tls', 'Connect to a server started with --tls')
+    .action(async (options) => {
+        try {
+            const { webhooks, deliveries } = await getWebhookDeliveries(options.port, { tls: options.tls });
+            if (webhooks.length === 0) {
+                console.log(`🪝 No webhooks configured - add them to ${dataPath('webhooks.json')}`);
+                return;
+            }
+
+            console.log('🪝 Webhooks\n');
+            webhooks.forEach(hook => console.log(`   ${hook.url}  (${hook.events.join(', ')})`));
+
+            console.log(`\n📬 Recent deliveries (${deliveries.length})\n`);
+            const icons = { delivered: '✅', failed: '❌', retrying: '🔁', pending: '⏳' };
+            deliveries.slice(0, 20).forEach(delivery => {
+                const when = new Date(delivery.createdAt).toLocaleTimeString();
+                const detail = delivery.error ? ` - ${delivery.error}` : '';
+                console.log(`   ${icons[delivery.status] || '❔'} ${when} ${delivery.event} -> ${delivery.url} (${delivery.attempts} attempt(s))${detail}`);
+            });
+        } catch (error) {
+            console.error(`❌ Could not reach the KIM server: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
 // Development commands
 program
     .command('dev')
@@ -279,12 +321,13 @@ program
     .command('pair')
     .description('Generate a pairing code for devices 🔢')
     .option('-p, --port <port>', 'Server port', '8080')
+    .option('--tls', 'Connect to a server started with --tls')
     .action(async (options) => {
         console.log(kimLogo);
         console.log('🔢 Generating pairing code...\n');
 
         try {
-            await generatePairingCode(options.port);
+            await generatePairingCode(options.port, { tls: options.tls });
         } catch (error) {
             console.error(`❌ Failed to generate pairing code: ${error.message}`);
             process.exit(1);
@@ -1,41 +1,68 @@
 // KIM Pairing Code Generator
+const fs = require('fs');
 const WebSocket = require('ws');
+const { createHello, createMessage, parseResponse } = require('kim-protocol');
+const { dataPath } = require('kim-core');
+const { version: CLI_VERSION } = require('./package.json');
 
-async function generatePairingCode(port = 8080) {
+// Trust the local KIM CA the relay created on first start
+function connect(port, tls) {
+    return tls
+        ? new WebSocket(`wss://localhost:${port}`, { ca: fs.readFileSync(dataPath('tls/ca.crt')) })
+        : new WebSocket(`ws://localhost:${port}`);
+}
+
+/**
+ * @param {number|string} port - Relay port
+ * @param {Object} options
+ * @param {boolean} options.tls - The relay serves wss with the local KIM certificate
+ */
+async function generatePairingCode(port = 8080, { tls = false } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`🔗 Connecting to KIM server on port ${port}...`);
 
-        const ws = new WebSocket(`ws://localhost:${port}`);
+        const ws = connect(port, tls);
 
         ws.on('open', () => {
             console.log('🔌 Connected to KIM server');
 
-            // Request a pairing code
-            ws.send(JSON.stringify({
-                type: 'generate_pairing_code',
-                deviceType: 'cli'
-            }));
+            // Handshake, then request a pairing code
+            ws.send(JSON.stringify(createHello({ name: 'kim-cli', version: CLI_VERSION })));
+            ws.send(JSON.stringify(createMessage('generate_pairing_code', { deviceType: 'cli' })));
         });
 
         ws.on('message', (data) => {
-            try {
-                const message = JSON.parse(data.toString());
-                console.log('📩 Received message:', JSON.stringify(message, null, 2));
-
-                if (message.type === 'pairing_code_generated') {
-                    const code = message.data?.code;
-                    if (code) {
-                        console.log(`\n🔢 Your pairing code: ${code}`);
-                        console.log(`\n📱 Open http://localhost:3000 in your browser and enter this code to pair your device`);
-                        console.log(`\n⏱️ This code will expire in 5 minutes`);
-
-                        // Close the connection after getting the code
-                        ws.close();
-                        resolve(code);
-                    }
+            const { message, error } = parseResponse(data.toString());
+            if (error) {
+                console.error('❌ Error parsing message:', error.message);
+                return;
+            }
+
+            console.log('📩 Received message:', JSON.stringify(message, null, 2));
+
+            if (message.type === 'error') {
+                console.error(`❌ Server error: ${message.message} ${message.emoji || ''}`);
+                ws.close();
+                reject(new Error(message.message));
+                return;
+            }
+
+            if (message.type === 'pairing_code_generated') {
+                const code = message.data?.code;
+                if (code) {
+                    const minutes = Math.ceil((message.data.expiresIn || 600) / 60);
+                    console.log(`\n🔢 Your pairing code: ${code}`);
+                    // The relay serves the PWA on the same port as the WebSocket; a fingerprint means TLS is on
+                    const pairingUrl = message.data.fingerprint
+                        ? `https://localhost:${port}?code=${code}`
+                        : `http://localhost:${port}`;
+                    console.log(`\n📱 Open ${pairingUrl} in your browser and enter this code to pair your device`);
+                    console.log(`\n⏱️ This code will expire in ${minutes} minutes`);
+
+                    // Close the connection after getting the code
+                    ws.close();
+                    resolve(code);
                 }
-            } catch (error) {
-                console.error('❌ Error parsing message:', error);
             }
         });
 
@@ -57,4 +84,57 @@ async function generatePairingCode(port = 8080) {
     });
 }
 
-module.exports = { generatePairingCode };
\ No newline at end of file
+// Send one local-only request and resolve with the data of its answer
+function ask(port, tls, type, answerType) {
+    return new Promise((resolve, reject) => {
+        const ws = connect(port, tls);
+        const timer = setTimeout(() => {
+            ws.terminate();
+            reject(new Error('Connection timeout'));
+        }, 5000);
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify(createHello({ name: 'kim-cli', version: CLI_VERSION })));
+            ws.send(JSON.stringify(createMessage(type)));
+        });
+
+        ws.on('message', (data) => {
+            const { message } = parseResponse(data.toString());
+            if (message?.type !== answerType && message?.type !== 'error') return;
+
+            clearTimeout(timer);
+            ws.close();
+            if (message.type === 'error') {
+                reject(new Error(message.message));
+            } else {
+                resolve(message.data);
+            }
+        });
+
+        ws.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Ask the relay about failed pairing attempts and lockouts
+ * @param {number|string} port - Relay port
+ * @param {Object} options
+ * @param {boolean} options.tls - The relay serves wss with the local KIM certificate
+ * @returns {Promise<Object>} { failedAttempts, burnedCodes, lockedOut, throttled, activeCodes }
+ */
+async function getPairingStatus(port = 8080, { tls = false } = {}) {
+    return ask(port, tls, 'get_pairing_status', 'pairing_status');
+}
+
+/**
+ * Ask the relay which webhooks it calls and how recent deliveries went
+ * @returns {Promise<Object>} { webhooks: [{ url, events }], deliveries }
+ */
+async function getWebhookDeliveries(port = 8080, { tls = false } = {}) {
+    return ask(port, tls, 'get_webhook_deliveries', 'webhook_deliveries');
+}
+
+module.exports = { generatePairingCode, getPairingStatus, getWebhookDeliveries };
\ No newline at end of file
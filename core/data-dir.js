@@ -0,0 +1,60 @@
+// KIM data directory - where the standalone relay keeps its state 📁
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Resolve the KIM data directory (override with KIM_DATA_DIR)
+ * @returns {string}
+ */
+function getDataDir() {
+    return process.env.KIM_DATA_DIR || path.join(os.homedir(), '.kim');
+}
+
+/**
+ * Resolve a file inside the KIM data directory
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function dataPath(name) {
+    return path.join(getDataDir(), name);
+}
+
+/**
+ * Read a JSON state file
+ * @param {string} filePath
+ * @param {*} fallback - Returned when the file does not exist yet
+ * @returns {Promise<*>}
+ */
+async function readJsonFile(filePath, fallback = null) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON state file readable only by the current user
+ * @param {string} filePath
+ * @param {*} data
+ */
+async function writeJsonFile(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file and rename so a crash never leaves half a file behind
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = {
+    getDataDir,
+    dataPath,
+    readJsonFile,
+    writeJsonFile
+};
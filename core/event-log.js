@@ -0,0 +1,98 @@
+// KIM Device Event Log - lets reconnecting devices catch up on what they missed 📼
+// Every event sent to a paired device gets a per-device sequence number
+
+const { hashToken } = require('./token-store');
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+class DeviceEventLog {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Events kept per device
+     * @param {number} options.maxAge - How long an event stays replayable (ms)
+     */
+    constructor({ limit = DEFAULT_LIMIT, maxAge = DEFAULT_MAX_AGE } = {}) {
+        this.limit = limit;
+        this.maxAge = maxAge;
+        /** @type {Map<string, { seq: number, events: Object[] }>} tokenHash -> stream */
+        this.streams = new Map();
+    }
+
+    getStream(token) {
+        return this.getStreamByHash(hashToken(token));
+    }
+
+    getStreamByHash(tokenHash) {
+        let stream = this.streams.get(tokenHash);
+        if (!stream) {
+            stream = { seq: 0, events: [] };
+            this.streams.set(tokenHash, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Stamp an outgoing envelope with the device's next sequence number and keep it for replay
+     * @param {string} token - Device token
+     * @param {Object} envelope - Server message
+     * @returns {Object} The envelope with its seq
+     */
+    append(token, envelope) {
+        return this.appendByHash(hashToken(token), envelope);
+    }
+
+    /**
+     * Same as append, for callers that only kept the token's hash (e.g. persisted queues)
+     */
+    appendByHash(tokenHash, envelope) {
+        const stream = this.getStreamByHash(tokenHash);
+        const event = { ...envelope, seq: ++stream.seq };
+
+        stream.events.push(event);
+        this.trim(stream);
+        return event;
+    }
+
+    /**
+     * Events the device has not acknowledged seeing yet
+     * @param {string} token - Device token
+     * @param {number} lastSeq - Highest seq the device has seen
+     * @returns {Object[]}
+     */
+    since(token, lastSeq = 0) {
+        const stream = this.getStream(token);
+        this.trim(stream);
+
+        // A device ahead of us has a seq from before a server restart - replay everything we have
+        if (lastSeq > stream.seq) {
+            return stream.events.slice();
+        }
+
+        return stream.events.filter(event => event.seq > lastSeq);
+    }
+
+    latestSeq(token) {
+        return this.getStream(token).seq;
+    }
+
+    forget(token) {
+        this.forgetByHash(hashToken(token));
+    }
+
+    forgetByHash(tokenHash) {
+        this.streams.delete(tokenHash);
+    }
+
+    trim(stream) {
+        const cutoff = Date.now() - this.maxAge;
+        while (stream.events.length > 0 &&
+            (stream.events.length > this.limit || stream.events[0].timestamp < cutoff)) {
+            stream.events.shift();
+        }
+    }
+}
+
+module.exports = {
+    DeviceEventLog
+};
@@ -0,0 +1,341 @@
+// KIM Inbound Hooks - let CI, test runners and scripts turn their events into prompts 🪝
+// POST /hooks/:hookId with a JSON payload; the hook's template becomes the prompt
+
+const crypto = require('crypto');
+const { ERROR_CODES, ERROR_EMOJI, MAX_PROMPT_LENGTH, createPromptId } = require('kim-protocol');
+const { hashToken, MemoryTokenBackend } = require('./token-store');
+const { getLogger } = require('./logger');
+
+const log = getLogger('hooks');
+
+/** CI payloads run bigger than hand-written REST calls */
+const MAX_HOOK_BODY_SIZE = 256 * 1024;
+
+/** How long a hook call waits for the prompt to be delivered or refused */
+const DEFAULT_HOOK_WAIT = 10 * 1000;
+
+/** Longest hook name shown in the control panel */
+const MAX_HOOK_NAME_LENGTH = 60;
+
+/**
+ * Fill `{{path}}` placeholders from a payload. Paths may be dotted
+ * (`{{test.file}}`, `{{failures.0.message}}`); missing values render as an
+ * empty string and objects as JSON.
+ * @param {string} template - e.g. "Fix the failing test {{test}}: {{message}}"
+ * @param {Object} payload - Parsed JSON body
+ * @returns {string}
+ */
+function renderTemplate(template, payload) {
+    return String(template).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce(
+            (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+            payload
+        );
+
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * A fresh hook secret, used as a bearer token or to sign payloads
+ */
+function createHookSecret() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signature a sender puts in X-KIM-Signature: hex HMAC-SHA256 of the raw body
+ * with the hook's secret (the same shape GitHub uses for its webhooks)
+ * @param {string} secret
+ * @param {string|Buffer} body
+ * @returns {string}
+ */
+function signHookPayload(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Constant-time compare that doesn't throw on length mismatches
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * The hooks a server accepts, persisted through the same kind of backend as
+ * the token store (async read() and write(records))
+ */
+class InboundHookStore {
+    /**
+     * @param {Object} backend - Anything with async read() and write(records)
+     */
+    constructor(backend = new MemoryTokenBackend()) {
+        this.backend = backend;
+        /** @type {Map<string, Object>} id -> { id, name, secret, template, createdAt, lastTriggeredAt, triggerCount } */
+        this.hooks = new Map();
+    }
+
+    /**
+     * @returns {Promise<number>} Number of hooks loaded
+     */
+    async load() {
+        let records = [];
+        try {
+            records = (await this.backend.read()) || [];
+        } catch (error) {
+            log.error('🐛 Failed to load inbound hooks, starting fresh', { error });
+        }
+
+        this.hooks.clear();
+        records.filter(hook => hook && hook.id && hook.secret && hook.template)
+            .forEach(hook => this.hooks.set(hook.id, hook));
+        return this.hooks.size;
+    }
+
+    async save() {
+        try {
+            await this.backend.write(this.list());
+        } catch (error) {
+            log.error('🐛 Failed to persist inbound hooks', { error });
+        }
+    }
+
+    list() {
+        return [...this.hooks.values()];
+    }
+
+    get(id) {
+        return this.hooks.get(id) || null;
+    }
+
+    get size() {
+        return this.hooks.size;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Label for people ("CI failures")
+     * @param {string} options.template - Prompt template with {{placeholders}}
+     * @returns {Promise<Object>} The new hook, secret included
+     */
+    async create({ name, template }) {
+        if (typeof template !== 'string' || template.trim().length === 0) {
+            throw new Error('A hook needs a prompt template');
+        }
+
+        const hook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name: String(name || 'Untitled hook').trim().substring(0, MAX_HOOK_NAME_LENGTH),
+            secret: createHookSecret(),
+            template: template.trim(),
+            createdAt: Date.now(),
+            lastTriggeredAt: null,
+            triggerCount: 0
+        };
+        this.hooks.set(hook.id, hook);
+        await this.save();
+
+        log.info('🪝 Inbound hook created', { hookId: hook.id, name: hook.name });
+        return hook;
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether there was such a hook
+     */
+    async remove(id) {
+        if (!this.hooks.delete(id)) return false;
+
+        await this.save();
+        log.info('🪝 Inbound hook deleted', { hookId: id });
+        return true;
+    }
+
+    recordTrigger(id) {
+        const hook = this.hooks.get(id);
+        if (!hook) return;
+
+        hook.lastTriggeredAt = Date.now();
+        hook.triggerCount++;
+        this.save();
+    }
+
+    /**
+     * Hooks without their secrets
+     */
+    describe() {
+        return this.list().map(({ secret, ...hook }) => hook);
+    }
+}
+
+/**
+ * Routes POST /hooks/:hookId for the embedded server. The host provides:
+ * - inboundHooks (InboundHookStore), promptStatus (PromptStatusLog)
+ * - submitPrompt(token, prompt, { promptId, clientIP }) - the hook's prompts
+ *   travel as the pseudo-device `hook:<id>` through the usual relay path
+ * - metrics (KIMMetrics) - refused prompts are counted
+ */
+class InboundHookApi {
+    /**
+     * @param {Object} host - Server whose pipeline the hooks drive
+     * @param {Object} options
+     * @param {number} options.wait - Longest wait for a delivery result in ms
+     */
+    constructor(host, { wait = DEFAULT_HOOK_WAIT } = {}) {
+        this.host = host;
+        this.wait = wait;
+    }
+
+    /**
+     * Handle the request if it is for an inbound hook
+     * @returns {boolean} Whether the request was taken
+     */
+    handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const match = pathname.match(/^\/hooks\/([^/]+)$/);
+        if (!match) return false;
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            this.sendError(res, 405, ERROR_CODES.UNSUPPORTED_MESSAGE, 'Hooks only take POST');
+            return true;
+        }
+
+        this.trigger(req, res, decodeURIComponent(match[1])).catch(error => {
+            log.error('🐛 Inbound hook error', { error, path: pathname });
+            if (!res.headersSent) {
+                this.sendError(res, 500, ERROR_CODES.INVALID_MESSAGE, 'Something went sideways - check the KIM log', '💥');
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Bearer secret or a signature over the raw body - either proves the caller knows the secret
+     */
+    isAuthorized(req, hook, body) {
+        const [scheme, credential] = (req.headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && credential) {
+            return safeEqual(credential, hook.secret);
+        }
+
+        const signature = req.headers['x-kim-signature'] || req.headers['x-hub-signature-256'];
+        if (typeof signature === 'string' && signature.startsWith('sha256=')) {
+            return safeEqual(signature.substring(7), signHookPayload(hook.secret, body));
+        }
+
+        return false;
+    }
+
+    async trigger(req, res, hookId) {
+        const body = await this.readBody(req, res);
+        if (!body) return;
+
+        // Unknown hooks and wrong secrets look the same from outside
+        const hook = this.host.inboundHooks.get(hookId);
+        if (!hook || !this.isAuthorized(req, hook, body)) {
+            log.warn('🔑 Inbound hook call refused', { hookId, ip: req.socket.remoteAddress });
+            this.sendError(res, hook ? 401 : 404, hook ? ERROR_CODES.UNAUTHORIZED : ERROR_CODES.HOOK_NOT_FOUND,
+                hook ? 'Send the hook secret as a bearer token or sign the body (X-KIM-Signature: sha256=...)' : 'No hook with that ID');
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body.toString() || '{}');
+        } catch (error) {
+            this.sendError(res, 400, ERROR_CODES.INVALID_JSON, 'The request body must be JSON');
+            return;
+        }
+
+        let prompt = renderTemplate(hook.template, payload).trim();
+        if (prompt.length > MAX_PROMPT_LENGTH) {
+            prompt = `${prompt.substring(0, MAX_PROMPT_LENGTH - 1)}…`;
+        }
+
+        const token = `hook:${hook.id}`;
+        const result = this.host.submitPrompt(token, prompt, {
+            promptId: createPromptId(),
+            clientIP: req.socket.remoteAddress
+        });
+
+        if (!result.accepted) {
+            this.host.metrics.rejected.inc({ code: result.code });
+            if (result.code === ERROR_CODES.RATE_LIMITED) {
+                res.setHeader('Retry-After', String(result.retryAfter));
+            }
+            this.sendError(res, result.code === ERROR_CODES.RATE_LIMITED ? 429 : 400, result.code, result.message, result.emoji);
+            return;
+        }
+
+        this.host.inboundHooks.recordTrigger(hook.id);
+        log.info('🪝 Inbound hook triggered', { hookId: hook.id, promptId: result.promptId, prompt });
+
+        const entry = await this.host.promptStatus.waitForSettled(hashToken(token), result.promptId, this.wait);
+        const status = entry ? entry.status : 'received';
+        const failed = status === 'failed';
+
+        this.sendJson(res, failed ? 502 : (status === 'delivered' ? 200 : 202), {
+            success: !failed,
+            emoji: failed ? ERROR_EMOJI[entry.code] || '🌀' : '🪝',
+            message: failed ? entry.reason : `Prompt ${status}`,
+            prompt: { promptId: result.promptId, status, text: prompt }
+        });
+    }
+
+    /**
+     * Read the raw body (signatures are computed over the exact bytes)
+     * @returns {Promise<Buffer|null>} null once an error has been sent
+     */
+    readBody(req, res) {
+        return new Promise(resolve => {
+            const chunks = [];
+            let size = 0;
+            let tooLarge = false;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_HOOK_BODY_SIZE) {
+                    tooLarge = true;
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                if (tooLarge) {
+                    this.sendError(res, 413, ERROR_CODES.INVALID_MESSAGE, `Keep hook payloads under ${MAX_HOOK_BODY_SIZE / 1024} KB`, '📚');
+                    resolve(null);
+                    return;
+                }
+                resolve(Buffer.concat(chunks));
+            });
+
+            req.on('error', () => resolve(null));
+        });
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    sendError(res, status, code, message, emoji = ERROR_EMOJI[code] || '❌') {
+        this.sendJson(res, status, { success: false, emoji, message, code });
+    }
+}
+
+module.exports = {
+    MAX_HOOK_BODY_SIZE,
+    renderTemplate,
+    createHookSecret,
+    signHookPayload,
+    safeEqual,
+    InboundHookStore,
+    InboundHookApi
+};
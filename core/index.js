@@ -0,0 +1,152 @@
+// Keep-It-Moving (KIM) Relay Core
+// Building blocks shared by the standalone relay and the embedded VS Code server 🧱
+
+const { getDataDir, dataPath, readJsonFile, writeJsonFile } = require('./data-dir');
+const {
+    TOKEN_TTL,
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    TokenStore,
+    MemoryTokenBackend,
+    JsonFileTokenBackend
+} = require('./token-store');
+const { DeviceEventLog } = require('./event-log');
+const {
+    QUEUE_TTL,
+    MAX_QUEUED_PER_TARGET,
+    DEFAULT_TARGET,
+    PromptQueue,
+    MemoryQueueBackend,
+    JsonFileQueueBackend
+} = require('./prompt-queue');
+const {
+    defaultHosts,
+    fingerprintKey,
+    fingerprintCertificate,
+    signChallenge,
+    loadTlsCredentials
+} = require('./tls');
+const {
+    PREAUTH_TICKET_TTL,
+    createPairingCode,
+    createPairingTicket,
+    isLoopbackAddress,
+    PairingGuard
+} = require('./pairing-guard');
+const { PromptStatusLog } = require('./prompt-status');
+const { RestApi } = require('./rest-api');
+const {
+    DEFAULT_LIMITS,
+    resolveLimits,
+    limitsFromEnv,
+    TokenBucketLimiter,
+    PromptRateLimiter
+} = require('./rate-limiter');
+const {
+    LOG_LEVELS,
+    Logger,
+    ConsoleSink,
+    RotatingFileSink,
+    getLogger,
+    configureLogging,
+    loggingFromEnv,
+    redactFields,
+    formatPretty
+} = require('./logger');
+const { LATENCY_BUCKETS, MetricsRegistry, KIMMetrics, MonitoringApi } = require('./metrics');
+const { WEBHOOK_EVENTS, signPayload, normalizeWebhooks, WebhookDispatcher } = require('./webhooks');
+const {
+    MAX_HOOK_BODY_SIZE,
+    renderTemplate,
+    createHookSecret,
+    signHookPayload,
+    safeEqual,
+    InboundHookStore,
+    InboundHookApi
+} = require('./inbound-hooks');
+const { PLUGIN_TIMEOUT, PromptRejection, loadPluginsFromDirectory, PromptPipeline } = require('./prompt-pipeline');
+const { PromptIntake } = require('./prompt-intake');
+const { REDACTION_POLICIES, SECRET_DETECTORS, PII_DETECTORS, summarizeFindings, PromptRedactor } = require('./redaction');
+const { MIME_TYPES, contentTypeFor, cacheControlFor, findPwaBuild, StaticAssets } = require('./static-assets');
+const { PRESENCE_FIELDS, PRESENCE_DEBOUNCE, PresenceFeed } = require('./presence');
+
+module.exports = {
+    getDataDir,
+    dataPath,
+    readJsonFile,
+    writeJsonFile,
+    TOKEN_TTL,
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    TokenStore,
+    MemoryTokenBackend,
+    JsonFileTokenBackend,
+    DeviceEventLog,
+    QUEUE_TTL,
+    MAX_QUEUED_PER_TARGET,
+    DEFAULT_TARGET,
+    PromptQueue,
+    MemoryQueueBackend,
+    JsonFileQueueBackend,
+    defaultHosts,
+    fingerprintKey,
+    fingerprintCertificate,
+    signChallenge,
+    loadTlsCredentials,
+    PREAUTH_TICKET_TTL,
+    createPairingCode,
+    createPairingTicket,
+    isLoopbackAddress,
+    PairingGuard,
+    PromptStatusLog,
+    RestApi,
+    DEFAULT_LIMITS,
+    resolveLimits,
+    limitsFromEnv,
+    TokenBucketLimiter,
+    PromptRateLimiter,
+    LOG_LEVELS,
+    Logger,
+    ConsoleSink,
+    RotatingFileSink,
+    getLogger,
+    configureLogging,
+    loggingFromEnv,
+    redactFields,
+    formatPretty,
+    LATENCY_BUCKETS,
+    MetricsRegistry,
+    KIMMetrics,
+    MonitoringApi,
+    WEBHOOK_EVENTS,
+    signPayload,
+    normalizeWebhooks,
+    WebhookDispatcher,
+    MAX_HOOK_BODY_SIZE,
+    renderTemplate,
+    createHookSecret,
+    signHookPayload,
+    safeEqual,
+    InboundHookStore,
+    InboundHookApi,
+    PLUGIN_TIMEOUT,
+    PromptRejection,
+    loadPluginsFromDirectory,
+    PromptPipeline,
+    PromptIntake,
+    REDACTION_POLICIES,
+    SECRET_DETECTORS,
+    PII_DETECTORS,
+    summarizeFindings,
+    PromptRedactor,
+    MIME_TYPES,
+    contentTypeFor,
+    cacheControlFor,
+    findPwaBuild,
+    StaticAssets,
+    PRESENCE_FIELDS,
+    PRESENCE_DEBOUNCE,
+    PresenceFeed
+};
@@ -0,0 +1,291 @@
+// KIM Logger - leveled, structured logs that keep tokens and prompts to themselves 📜
+// One process-wide configuration; every module asks for a scoped logger with getLogger()
+
+const fs = require('fs');
+const path = require('path');
+
+/** Lower is more severe; a logger prints everything at or below its level */
+const LOG_LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+/** Rotate the log file once it grows past this */
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/** Rotated files kept next to the live one (kim.log.1 ... kim.log.N) */
+const DEFAULT_MAX_FILES = 5;
+
+/** Fields that carry credentials - never logged in full */
+const SECRET_FIELDS = new Set(['token', 'authorization', 'ticket', 'pairingCode', 'privateKey', 'signature', 'secret']);
+
+/** Fields that carry what the user typed or Copilot answered - logged only when asked for */
+const PROMPT_FIELDS = new Set(['prompt', 'text']);
+
+const config = {
+    level: 'info',
+    includePrompts: false,
+    sinks: []
+};
+
+/**
+ * Mask a credential, keeping just enough to tell two apart
+ */
+function maskSecret(value) {
+    if (typeof value !== 'string' || value.length <= 8) return '[redacted]';
+    return `${value.substring(0, 8)}…`;
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Copy log fields with secrets masked and (unless includePrompts) prompt bodies
+ * replaced by their length
+ * @param {Object} fields
+ * @param {Object} options - { includePrompts }
+ * @returns {Object}
+ */
+function redactFields(fields, { includePrompts = config.includePrompts } = {}) {
+    const redacted = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+
+        if (value instanceof Error) {
+            redacted[key] = serializeError(value);
+        } else if (SECRET_FIELDS.has(key)) {
+            redacted[key] = maskSecret(value);
+        } else if (PROMPT_FIELDS.has(key) && !includePrompts) {
+            redacted[key] = typeof value === 'string' ? `[${value.length} chars]` : '[redacted]';
+        } else {
+            redacted[key] = redactNested(value, { includePrompts });
+        }
+    }
+    return redacted;
+}
+
+// Objects and arrays inside the fields get the same treatment, at any depth
+function redactNested(value, options) {
+    if (value instanceof Error) return serializeError(value);
+    if (Array.isArray(value)) return value.map(item => redactNested(item, options));
+    if (value && typeof value === 'object') return redactFields(value, options);
+    return value;
+}
+
+/**
+ * One line for people: time, level, scope, message and the fields as JSON
+ */
+function formatPretty(record) {
+    const { time, level, scope, msg, ...fields } = record;
+    if (fields.error && fields.error.message) {
+        fields.error = fields.error.message;
+    }
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${time.substring(11, 19)} ${level.toUpperCase().padEnd(5)} [${scope}] ${msg}${extra}`;
+}
+
+/**
+ * Writes to stdout/stderr, as readable lines or as JSON
+ */
+class ConsoleSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.format - 'pretty' or 'json'
+     */
+    constructor({ format = 'pretty' } = {}) {
+        this.format = format;
+    }
+
+    write(record) {
+        const line = this.format === 'json' ? JSON.stringify(record) : formatPretty(record);
+        if (record.level === 'error') {
+            console.error(line);
+        } else if (record.level === 'warn') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Appends JSON lines to a file, rolling it over to file.1, file.2, ... when it gets big
+ */
+class RotatingFileSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Log file path
+     * @param {number} options.maxBytes - Size that triggers a rotation
+     * @param {number} options.maxFiles - Rotated files kept
+     */
+    constructor({ file, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.failed = false;
+        this.size = 0;
+
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        } catch (error) {
+            // Same as a failed write: keep the console, drop the file
+            this.failed = true;
+            console.error(`🐛 Could not create the log directory for ${file}, file logging is off:`, error.message);
+            return;
+        }
+        try {
+            this.size = fs.statSync(file).size;
+        } catch (error) {
+            this.size = 0;
+        }
+    }
+
+    rotate() {
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.file}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.file}.${index + 1}`);
+            }
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+        fs.rmSync(`${this.file}.${this.maxFiles + 1}`, { force: true });
+        this.size = 0;
+    }
+
+    write(record) {
+        if (this.failed) return;
+
+        const line = `${JSON.stringify(record)}\n`;
+        const bytes = Buffer.byteLength(line);
+        try {
+            if (this.size > 0 && this.size + bytes > this.maxBytes) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.file, line, { mode: 0o600 });
+            this.size += bytes;
+        } catch (error) {
+            // Losing the file shouldn't take the server down with it
+            this.failed = true;
+            console.error(`🐛 Could not write to ${this.file}, file logging is off:`, error.message);
+        }
+    }
+}
+
+class Logger {
+    /**
+     * @param {string} scope - Which part of KIM is talking (relay, extension, queue, ...)
+     * @param {Object} fields - Added to every record
+     */
+    constructor(scope, fields = {}) {
+        this.scope = scope;
+        this.fields = fields;
+    }
+
+    /**
+     * Logger that adds `fields` to everything it writes
+     */
+    child(fields) {
+        return new Logger(this.scope, { ...this.fields, ...fields });
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] <= LOG_LEVELS[config.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            scope: this.scope,
+            msg,
+            ...redactFields({ ...this.fields, ...fields })
+        };
+        config.sinks.forEach(sink => sink.write(record));
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+}
+
+/**
+ * Scoped logger that follows the process-wide configuration
+ * @param {string} scope
+ * @returns {Logger}
+ */
+function getLogger(scope) {
+    return new Logger(scope);
+}
+
+/**
+ * Set the level, prompt redaction and where records go. Sinks are replaced
+ * only when `sinks` or `file`/`format` are given.
+ * @param {Object} options
+ * @param {string} options.level - error, warn, info or debug
+ * @param {boolean} options.includePrompts - Log prompt and answer text instead of its length
+ * @param {string} options.format - Console format, 'pretty' or 'json'
+ * @param {string} options.file - Also append JSON lines to this rotating file
+ * @param {Object[]} options.sinks - Custom sinks ({ write(record) }), replacing the console
+ */
+function configureLogging({ level, includePrompts, format, file, maxBytes, maxFiles, sinks } = {}) {
+    if (level !== undefined) {
+        config.level = level in LOG_LEVELS ? level : 'info';
+    }
+    if (includePrompts !== undefined) {
+        config.includePrompts = Boolean(includePrompts);
+    }
+
+    if (sinks || format || file) {
+        const next = sinks ? [...sinks] : [new ConsoleSink({ format })];
+        if (file) {
+            next.push(new RotatingFileSink({ file, maxBytes, maxFiles }));
+        }
+        config.sinks = next;
+    }
+}
+
+/**
+ * Logging options from KIM_LOG_* environment variables (used by the standalone relay)
+ */
+function loggingFromEnv(env = process.env) {
+    return {
+        // Tests only want to hear about trouble
+        level: (env.KIM_LOG_LEVEL || (env.NODE_ENV === 'test' ? 'warn' : 'info')).toLowerCase(),
+        format: env.KIM_LOG_FORMAT === 'json' ? 'json' : 'pretty',
+        file: env.KIM_LOG_FILE || undefined,
+        maxBytes: Number(env.KIM_LOG_MAX_BYTES) > 0 ? Number(env.KIM_LOG_MAX_BYTES) : DEFAULT_MAX_BYTES,
+        includePrompts: env.KIM_LOG_PROMPTS === 'true'
+    };
+}
+
+// Readable console output until someone configures otherwise
+config.sinks = [new ConsoleSink()];
+
+module.exports = {
+    LOG_LEVELS,
+    Logger,
+    ConsoleSink,
+    RotatingFileSink,
+    getLogger,
+    configureLogging,
+    loggingFromEnv,
+    redactFields,
+    formatPretty
+};
@@ -0,0 +1,256 @@
+// KIM Metrics - counters for a local Prometheus to scrape 📈
+// A tiny registry speaking the text exposition format, the metrics both servers keep,
+// and /metrics, /healthz and /readyz for their HTTP servers
+
+const { getLogger } = require('./logger');
+
+const log = getLogger('metrics');
+
+/** Seconds from prompt_received to prompt_delivered - queued prompts land in the top buckets */
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Same labels in any order share a series
+function seriesKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        /** @type {Map<string, { labels: Object, value: number }>} */
+        this.series = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = seriesKey(labels);
+        const series = this.series.get(key) || { labels, value: 0 };
+        series.value += amount;
+        this.series.set(key, series);
+    }
+
+    get(labels = {}) {
+        const series = this.series.get(seriesKey(labels));
+        return series ? series.value : 0;
+    }
+
+    lines() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+/**
+ * A value read when the metrics are scraped
+ */
+class Gauge {
+    /**
+     * @param {Function} collect - Returns a number, or [{ labels, value }] for labelled series
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    lines() {
+        const value = this.collect();
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return series.map(entry => `${this.name}${formatLabels(entry.labels)} ${Number(entry.value) || 0}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = LATENCY_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.counts = this.buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) this.counts[index]++;
+        });
+        this.sum += value;
+        this.count++;
+    }
+
+    lines() {
+        return [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket{le="${bound}"} ${this.counts[index]}`),
+            `${this.name}_bucket{le="+Inf"} ${this.count}`,
+            `${this.name}_sum ${this.sum}`,
+            `${this.name}_count ${this.count}`
+        ];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        /** @type {Map<string, Counter|Gauge|Histogram>} */
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    /**
+     * Everything in the Prometheus text exposition format (0.0.4)
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            let samples;
+            try {
+                samples = metric.lines();
+            } catch (error) {
+                // One broken gauge shouldn't cost us the whole scrape
+                log.warn('🐛 Could not collect metric', { metric: metric.name, error });
+                continue;
+            }
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * The metrics both servers keep. The host (relay or embedded server) provides:
+ * - wss (connections), tokenStore (paired devices), promptStatus (prompt outcomes)
+ * - promptQueue (optional - only the relay queues prompts)
+ * - startTime (ms)
+ */
+class KIMMetrics {
+    /**
+     * @param {Object} host - Server being measured
+     * @param {Object} options
+     * @param {string} options.server - 'relay' or 'embedded', reported in kim_build_info
+     * @param {string} options.version - Package version
+     */
+    constructor(host, { server, version } = {}) {
+        this.host = host;
+        this.registry = new MetricsRegistry();
+        const registry = this.registry;
+
+        registry.gauge('kim_build_info', 'Which KIM server is answering', () => [{ labels: { server, version }, value: 1 }]);
+        registry.gauge('kim_uptime_seconds', 'Seconds since the server started',
+            () => host.startTime ? (Date.now() - host.startTime) / 1000 : 0);
+        registry.gauge('kim_connections', 'Open WebSocket connections (devices and VS Code windows)',
+            () => host.wss ? host.wss.clients.size : 0);
+        this.connections = registry.counter('kim_connections_total', 'WebSocket connections accepted or refused, by outcome');
+        registry.gauge('kim_paired_devices', 'Devices holding a valid pairing token', () => host.tokenStore.size);
+        this.pairings = registry.counter('kim_pairings_total', 'Pairing attempts by outcome (paired, preauth, failed, throttled)');
+        this.prompts = registry.counter('kim_prompts_total', 'Prompts by status (received, queued, delivered, failed, cancelled)');
+        this.failures = registry.counter('kim_prompt_failures_total', 'Prompts that never reached Copilot chat, by error code');
+        this.rejected = registry.counter('kim_prompts_rejected_total', 'Prompts refused before they were accepted, by error code');
+        this.redactions = registry.counter('kim_redactions_total', 'Secrets found in prompts, by type and action (masked, warned, blocked)');
+        this.latency = registry.histogram('kim_relay_latency_seconds', 'Seconds from a prompt being received to Copilot chat confirming it');
+        if (host.promptQueue) {
+            registry.gauge('kim_queue_depth', 'Prompts waiting for VS Code to come back', () => host.promptQueue.size);
+        }
+
+        host.promptStatus.on('update', (entry, previousStatus) => this.recordPrompt(entry, previousStatus));
+    }
+
+    // Count each status a prompt moves into once, and time its delivery
+    recordPrompt(entry, previousStatus) {
+        if (entry.status === previousStatus) return;
+
+        if (previousStatus === undefined) {
+            this.prompts.inc({ status: 'received' });
+        }
+        if (entry.status === 'received' || entry.status === 'answered') return;
+
+        this.prompts.inc({ status: entry.status });
+        if (entry.status === 'delivered') {
+            this.latency.observe((entry.updatedAt - entry.createdAt) / 1000);
+        } else if (entry.status === 'failed') {
+            this.failures.inc({ code: entry.code || 'unknown' });
+        }
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+/**
+ * Routes /metrics, /healthz and /readyz. The host provides `metrics`
+ * (KIMMetrics), startTime and getReadiness() -> { ready, checks }.
+ */
+class MonitoringApi {
+    constructor(host) {
+        this.host = host;
+    }
+
+    /**
+     * Handle the request if it is a monitoring endpoint
+     * @returns {boolean} Whether the request was taken
+     */
+    handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(this.host.metrics.render());
+            return true;
+        }
+
+        // Alive as long as we can answer at all
+        if (pathname === '/healthz') {
+            const { startTime } = this.host;
+            this.sendJson(res, 200, { status: 'ok', uptime: startTime ? Math.floor((Date.now() - startTime) / 1000) : 0 });
+            return true;
+        }
+
+        if (pathname === '/readyz') {
+            const { ready, checks } = this.host.getReadiness();
+            this.sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+            return true;
+        }
+
+        return false;
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+}
+
+module.exports = {
+    LATENCY_BUCKETS,
+    MetricsRegistry,
+    KIMMetrics,
+    MonitoringApi
+};
@@ -0,0 +1,208 @@
+// KIM Pairing Guard - keeps LAN neighbours from guessing their way in 🛡️
+// Six digits is a small space: wrong guesses slow a client down, then lock it out,
+// and a live code that collects too many wrong guesses is thrown away
+
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+
+const log = getLogger('pairing');
+
+/** Wrong codes a client gets before it has to wait (typos happen) */
+const FREE_ATTEMPTS = 3;
+
+/** First wait after the free attempts; doubles with every further failure */
+const BASE_DELAY = 2 * 1000;
+const MAX_DELAY = 60 * 1000;
+
+/** Wrong codes from one client before it is locked out */
+const MAX_FAILURES = 10;
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+/** Wrong guesses (from anyone) a live code survives before it is replaced */
+const MAX_CODE_FAILURES = 20;
+
+/** How long a QR pre-auth ticket can be redeemed - it also dies with its pairing code */
+const PREAUTH_TICKET_TTL = 5 * 60 * 1000;
+
+/**
+ * Six-digit pairing code from a CSPRNG, never one that is already live
+ * @param {Map|Set} taken - Codes currently in use
+ * @returns {string}
+ */
+function createPairingCode(taken = new Set()) {
+    let code;
+    do {
+        code = crypto.randomInt(100000, 1000000).toString();
+    } while (taken.has(code));
+    return code;
+}
+
+/**
+ * Single-use ticket for a pre-auth QR link. It is exchanged for a freshly
+ * minted device token, so the link itself never holds a credential.
+ * @returns {string}
+ */
+function createPairingTicket() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function isLoopbackAddress(ip = '') {
+    return ip === '::1' || ip.startsWith('127.') || ip.startsWith('::ffff:127.');
+}
+
+class PairingGuard {
+    /**
+     * @param {Object} options - Override the limits above (handy for tests)
+     */
+    constructor({
+        freeAttempts = FREE_ATTEMPTS,
+        baseDelay = BASE_DELAY,
+        maxDelay = MAX_DELAY,
+        maxFailures = MAX_FAILURES,
+        lockoutDuration = LOCKOUT_DURATION,
+        maxCodeFailures = MAX_CODE_FAILURES
+    } = {}) {
+        this.freeAttempts = freeAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.maxFailures = maxFailures;
+        this.lockoutDuration = lockoutDuration;
+        this.maxCodeFailures = maxCodeFailures;
+        /** @type {Map<string, Object>} remote IP -> { failures, lastFailure, lockedUntil } */
+        this.clients = new Map();
+        /** @type {Map<string, number>} live code -> wrong guesses made while it was live */
+        this.codes = new Map();
+        this.totalFailures = 0;
+        this.burnedCodes = 0;
+    }
+
+    delayFor(failures) {
+        if (failures <= this.freeAttempts) return 0;
+        return Math.min(this.baseDelay * 2 ** (failures - this.freeAttempts - 1), this.maxDelay);
+    }
+
+    /**
+     * May this client try a code right now?
+     * @param {string} ip - Remote address
+     * @returns {{ allowed: boolean, locked: boolean, retryAfter: number }} retryAfter in ms
+     */
+    check(ip = 'unknown') {
+        const entry = this.clients.get(ip);
+        const now = Date.now();
+        if (!entry) return { allowed: true, locked: false, retryAfter: 0 };
+
+        if (entry.lockedUntil) {
+            if (entry.lockedUntil > now) {
+                return { allowed: false, locked: true, retryAfter: entry.lockedUntil - now };
+            }
+            // Served its time - start over
+            this.clients.delete(ip);
+            return { allowed: true, locked: false, retryAfter: 0 };
+        }
+
+        const retryAfter = entry.lastFailure + this.delayFor(entry.failures) - now;
+        return retryAfter > 0
+            ? { allowed: false, locked: false, retryAfter }
+            : { allowed: true, locked: false, retryAfter: 0 };
+    }
+
+    /**
+     * Count a wrong code (or pre-auth token) against the client and every live code
+     * @param {string} ip - Remote address
+     * @param {string[]} liveCodes - Codes that could have been guessed
+     * @returns {{ locked: boolean, retryAfter: number, burned: string[] }} burned codes must be retired by the caller
+     */
+    recordFailure(ip = 'unknown', liveCodes = []) {
+        const now = Date.now();
+        const entry = this.clients.get(ip) || { failures: 0, lastFailure: 0, lockedUntil: null };
+
+        entry.failures++;
+        entry.lastFailure = now;
+        if (entry.failures >= this.maxFailures) {
+            entry.lockedUntil = now + this.lockoutDuration;
+            log.warn('🛡️ Locked out a client after too many failed pairing attempts', { ip, failures: entry.failures });
+        }
+        this.clients.set(ip, entry);
+        this.totalFailures++;
+
+        const burned = [];
+        liveCodes.forEach(code => {
+            const guesses = (this.codes.get(code) || 0) + 1;
+            if (guesses >= this.maxCodeFailures) {
+                this.codes.delete(code);
+                this.burnedCodes++;
+                burned.push(code);
+            } else {
+                this.codes.set(code, guesses);
+            }
+        });
+
+        const { locked, retryAfter } = this.check(ip);
+        return { locked, retryAfter, burned };
+    }
+
+    recordSuccess(ip = 'unknown') {
+        this.clients.delete(ip);
+    }
+
+    forgetCode(code) {
+        this.codes.delete(code);
+    }
+
+    /**
+     * Lockout state for the control panel and `kim status`
+     */
+    getStatus() {
+        const now = Date.now();
+        const lockedOut = [];
+        const throttled = [];
+
+        for (const [ip, entry] of this.clients.entries()) {
+            const { locked, retryAfter } = this.check(ip);
+            if (retryAfter <= 0) continue;
+
+            const view = { ip, failures: entry.failures, retryAfter: Math.ceil(retryAfter / 1000) };
+            (locked ? lockedOut : throttled).push(view);
+        }
+
+        return {
+            failedAttempts: this.totalFailures,
+            burnedCodes: this.burnedCodes,
+            lockedOut,
+            throttled,
+            checkedAt: now
+        };
+    }
+
+    /**
+     * Forget clients that went quiet and codes that are no longer live
+     * @param {string[]} liveCodes - Codes still waiting for a device
+     */
+    cleanup(liveCodes = []) {
+        const now = Date.now();
+        for (const [ip, entry] of this.clients.entries()) {
+            const quietSince = entry.lockedUntil || entry.lastFailure + this.lockoutDuration;
+            if (quietSince < now) {
+                this.clients.delete(ip);
+            }
+        }
+
+        for (const code of this.codes.keys()) {
+            if (!liveCodes.includes(code)) {
+                this.codes.delete(code);
+            }
+        }
+    }
+}
+
+module.exports = {
+    FREE_ATTEMPTS,
+    MAX_FAILURES,
+    LOCKOUT_DURATION,
+    MAX_CODE_FAILURES,
+    PREAUTH_TICKET_TTL,
+    createPairingCode,
+    createPairingTicket,
+    isLoopbackAddress,
+    PairingGuard
+};
@@ -0,0 +1,110 @@
+// KIM Presence - what VS Code is up to, so the phone isn't sending prompts into the void 👀
+// Collects window focus, the active file, workspace and Copilot activity, and hands
+// paired devices only the fields the user agreed to share
+
+const { getLogger } = require('./logger');
+
+const log = getLogger('presence');
+
+/** Everything that can be shared, in display order */
+const PRESENCE_FIELDS = ['focused', 'workspace', 'activeFile', 'language', 'copilot'];
+
+/** Editor switches come in bursts - wait for them to settle before telling devices */
+const PRESENCE_DEBOUNCE = 500;
+
+class PresenceFeed {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.fields - Which of PRESENCE_FIELDS devices may see ([] turns presence off)
+     * @param {number} options.debounce - Quiet time in ms before a change goes out
+     */
+    constructor({ fields = PRESENCE_FIELDS, debounce = PRESENCE_DEBOUNCE } = {}) {
+        this.debounce = debounce;
+        /** @type {Object} everything known, shared or not */
+        this.state = {};
+        this.listeners = new Set();
+        this.timer = null;
+        this.lastSent = null;
+        this.updatedAt = Date.now();
+        this.setFields(fields);
+    }
+
+    get enabled() {
+        return this.fields.length > 0;
+    }
+
+    /**
+     * @param {string[]} fields - Unknown names are ignored
+     */
+    setFields(fields) {
+        const requested = Array.isArray(fields) ? fields : PRESENCE_FIELDS;
+        this.fields = PRESENCE_FIELDS.filter(field => requested.includes(field));
+        this.schedule();
+    }
+
+    /**
+     * Merge in what changed, e.g. { activeFile: 'src/app.js', language: 'javascript' }
+     */
+    update(partial) {
+        Object.assign(this.state, partial);
+        this.schedule();
+    }
+
+    /**
+     * What devices get to see
+     * @returns {Object} { shared: [field names], ...shared fields, updatedAt }
+     */
+    snapshot() {
+        const snapshot = { shared: [...this.fields] };
+        this.fields.forEach(field => {
+            if (this.state[field] !== undefined) {
+                snapshot[field] = this.state[field];
+            }
+        });
+        snapshot.updatedAt = this.updatedAt;
+        return snapshot;
+    }
+
+    /**
+     * @param {Function} listener - Called with snapshot() when the shared view changes
+     * @returns {Object} { dispose() }
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return { dispose: () => this.listeners.delete(listener) };
+    }
+
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.debounce);
+        this.timer.unref?.();
+    }
+
+    // Only tell devices when something they can see actually changed
+    flush() {
+        const { updatedAt, ...visible } = this.snapshot();
+        const key = JSON.stringify(visible);
+        if (key === this.lastSent) return;
+
+        this.lastSent = key;
+        this.updatedAt = Date.now();
+        const snapshot = this.snapshot();
+        log.debug('👀 Presence changed', { fields: snapshot.shared });
+        this.listeners.forEach(listener => listener(snapshot));
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.listeners.clear();
+    }
+}
+
+module.exports = {
+    PRESENCE_FIELDS,
+    PRESENCE_DEBOUNCE,
+    PresenceFeed
+};
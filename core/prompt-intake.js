@@ -0,0 +1,136 @@
+// KIM Prompt Intake - what happens to an accepted prompt before it heads for VS Code 🛂
+// Secrets are screened first, then plugins get their say; the device hears about each
+// step, the same way from the relay and from the embedded server
+
+const { ERROR_CODES, ERROR_EMOJI } = require('kim-protocol');
+const { getLogger } = require('./logger');
+const { deviceIdFor, hashToken } = require('./token-store');
+const { summarizeFindings } = require('./redaction');
+
+const log = getLogger('intake');
+
+class PromptIntake {
+    /**
+     * @param {Object} host - Server taking the prompt: redactor (PromptRedactor), pipeline
+     *   (PromptPipeline), metrics (KIMMetrics) and sendToDevice(token, type, success, message, emoji, quip, data)
+     * @param {Object} options
+     * @param {string} options.server - 'relay' or 'embedded', passed on to plugins
+     */
+    constructor(host, { server } = {}) {
+        this.host = host;
+        this.server = server;
+    }
+
+    /**
+     * Screen a prompt and run the plugins. A prompt they let through is reported as
+     * received (followed by any redaction notice) and handed to `relay`; the device is
+     * told why for any prompt that is not.
+     * @param {string} prompt
+     * @param {Object} options
+     * @param {string} options.token - Sending device
+     * @param {string} options.promptId
+     * @param {string} options.target - Window the prompt is for (relay only)
+     * @param {string} options.receivedMessage - Text of the prompt_received event
+     * @param {Function} relay - (prompt) => sends it on; may return a promise
+     * @returns {Promise<void>} Settles once the prompt was relayed or its device told why not
+     */
+    process(prompt, { token, promptId, target, receivedMessage = 'Prompt received!' }, relay) {
+        // Secrets are dealt with before plugins, logs, webhooks or the queue see the prompt
+        const screened = this.screen(prompt, token, promptId);
+        if (screened === null) {
+            return Promise.resolve();
+        }
+
+        return this.runPlugins(screened.prompt, token, promptId, target)
+            .then(ready => {
+                if (ready === null) return;
+
+                this.host.sendToDevice(token, 'prompt_received', true, receivedMessage, '📤', null, { promptId, target });
+                if (screened.notice) {
+                    this.sendRedactionNotice(token, screened.notice);
+                }
+                return relay(ready);
+            })
+            .catch(error => this.fail(token, promptId, error));
+    }
+
+    /**
+     * Apply the redaction policy. A blocked prompt is reported straight away; for
+     * the rest the notice of what was found waits until the prompt is accepted.
+     * @returns {{ prompt: string, notice: Object|null }|null} The prompt to carry on with, or null once it has been blocked
+     */
+    screen(prompt, token, promptId) {
+        const { redactor, metrics } = this.host;
+        const result = redactor.apply(prompt);
+        if (result.action === 'none') {
+            return { prompt, notice: null };
+        }
+
+        result.findings.forEach(finding => metrics.redactions.inc({ type: finding.type, action: result.action }));
+        const found = summarizeFindings(result.findings);
+        const messages = {
+            masked: `Masked ${found} before sending`,
+            warned: `Heads up - your prompt contains ${found}`,
+            blocked: `Not sent - your prompt contains ${found}`
+        };
+        const notice = {
+            message: messages[result.action],
+            data: {
+                promptId,
+                action: result.action,
+                policy: redactor.policy,
+                findings: result.findings,
+                prompt: result.action === 'masked' ? result.prompt : undefined
+            }
+        };
+
+        if (result.action === 'blocked') {
+            this.sendRedactionNotice(token, notice);
+            this.sendFailure(token, promptId, ERROR_CODES.SECRET_DETECTED, `Prompt contains ${found} - remove it and try again`);
+            return null;
+        }
+        return { prompt: result.prompt, notice };
+    }
+
+    /**
+     * Run a prompt through the plugin pipeline
+     * @returns {Promise<string|null>} The prompt to relay, or null once the device has been told why not
+     */
+    async runPlugins(prompt, token, promptId, target = null) {
+        const { pipeline } = this.host;
+        if (pipeline.size === 0 && pipeline.loadErrors.length === 0) {
+            return prompt;
+        }
+
+        const result = await pipeline.run(prompt, {
+            promptId,
+            deviceId: deviceIdFor(hashToken(token)),
+            target,
+            server: this.server
+        });
+        if (result.ok) {
+            return result.prompt;
+        }
+
+        this.sendFailure(token, promptId, result.code, result.reason, { plugin: result.plugin });
+        return null;
+    }
+
+    sendRedactionNotice(token, { message, data }) {
+        this.host.sendToDevice(token, 'prompt_redacted', data.action !== 'blocked', message, '🔐', null, data);
+    }
+
+    // Something threw between the plugins and VS Code - the device still hears how its prompt ended
+    fail(token, promptId, error) {
+        log.error('🐛 Relaying a prompt failed', { promptId, error });
+        this.sendFailure(token, promptId, ERROR_CODES.RELAY_ERROR, 'Something went sideways relaying the prompt - check the KIM log');
+    }
+
+    sendFailure(token, promptId, code, reason, extra = {}) {
+        this.host.sendToDevice(token, 'prompt_failed', false, reason, ERROR_EMOJI[code], null, { promptId, code, reason, ...extra });
+    }
+}
+
+module.exports = {
+    PromptIntake
+};
@@ -0,0 +1,209 @@
+// KIM Prompt Pipeline - local plugins that get a look at every prompt before Copilot does 🧩
+// Ordered middleware can rewrite a prompt (house-style preamble, team abbreviations) or refuse it
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES } = require('kim-protocol');
+const { getLogger } = require('./logger');
+
+const log = getLogger('plugins');
+
+/** How long one plugin may think about a prompt */
+const PLUGIN_TIMEOUT = 5 * 1000;
+
+/** Files in a plugins directory that are loaded, in file name order */
+const PLUGIN_EXTENSIONS = ['.js', '.cjs'];
+
+/**
+ * Thrown by context.reject() - the prompt is refused on purpose, not broken
+ */
+class PromptRejection extends Error {
+    constructor(reason) {
+        super(reason);
+        this.name = 'PromptRejection';
+    }
+}
+
+/**
+ * Accept a bare function or { name, transform }
+ * @param {Function|Object} exported - What the plugin module exports
+ * @param {string} fallbackName - Used when the plugin has no name (its file name)
+ * @returns {Object} { name, transform }
+ */
+function normalizePlugin(exported, fallbackName) {
+    if (typeof exported === 'function') {
+        return { name: exported.pluginName || fallbackName, transform: exported };
+    }
+    if (exported && typeof exported.transform === 'function') {
+        return { name: exported.name || fallbackName, transform: exported.transform.bind(exported) };
+    }
+    throw new Error('A plugin must export a function or { name, transform(prompt, context) }');
+}
+
+/**
+ * Load every plugin file in a directory, ordered by file name
+ * (prefix them 10-, 20-, ... to control the order). Files are re-read on each call.
+ * @param {string} dir
+ * @returns {Object} { plugins: [{ name, transform, file }], errors: [{ file, message }] }
+ */
+function loadPluginsFromDirectory(dir) {
+    const plugins = [];
+    const errors = [];
+
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file))).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn('🧩 Could not read plugins directory', { dir, error });
+        }
+        return { plugins, errors };
+    }
+
+    files.forEach(file => {
+        const fullPath = path.join(dir, file);
+        try {
+            // Pick up edits without restarting
+            delete require.cache[require.resolve(fullPath)];
+            plugins.push({ ...normalizePlugin(require(fullPath), path.basename(file, path.extname(file))), file: fullPath });
+        } catch (error) {
+            log.error('🧩 Plugin failed to load', { file: fullPath, error });
+            errors.push({ file: fullPath, message: error.message });
+        }
+    });
+
+    return { plugins, errors };
+}
+
+class PromptPipeline {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Longest a single plugin may take in ms
+     */
+    constructor({ timeout = PLUGIN_TIMEOUT } = {}) {
+        this.timeout = timeout;
+        /** @type {Object[]} { name, transform, file? } in the order they run */
+        this.plugins = [];
+        /** @type {Object[]} { file, message } for plugins that would not load */
+        this.loadErrors = [];
+    }
+
+    get size() {
+        return this.plugins.length;
+    }
+
+    /**
+     * Add a plugin in code (runs after those already loaded)
+     * @param {Function|Object} plugin - Function or { name, transform }
+     */
+    use(plugin, name = `plugin-${this.plugins.length + 1}`) {
+        this.plugins.push(normalizePlugin(plugin, name));
+        return this;
+    }
+
+    /**
+     * Replace the plugins with those found in the directories, in order
+     * @param {string[]} dirs
+     * @returns {number} Plugins loaded
+     */
+    loadDirectories(dirs) {
+        const plugins = [];
+        const errors = [];
+        dirs.forEach(dir => {
+            const loaded = loadPluginsFromDirectory(dir);
+            plugins.push(...loaded.plugins);
+            errors.push(...loaded.errors);
+        });
+
+        this.plugins = plugins;
+        this.loadErrors = errors;
+        if (plugins.length > 0 || errors.length > 0) {
+            log.info(`🧩 Loaded ${plugins.length} prompt plugin(s)`, { plugins: plugins.map(plugin => plugin.name), failed: errors.length });
+        }
+        return plugins.length;
+    }
+
+    /**
+     * Run a prompt through every plugin. A plugin returns the new prompt, or
+     * nothing to leave it alone, and calls context.reject(reason) to refuse it.
+     * A plugin that throws, times out or failed to load stops the prompt too -
+     * a broken keyword filter should not wave everything through.
+     * @param {string} prompt
+     * @param {Object} info - { promptId, deviceId, target, server } handed to plugins
+     * @returns {Promise<Object>} { ok: true, prompt, changedBy } or { ok: false, code, reason, plugin }
+     */
+    async run(prompt, info = {}) {
+        if (this.loadErrors.length > 0) {
+            const { file, message } = this.loadErrors[0];
+            return {
+                ok: false,
+                code: ERROR_CODES.PLUGIN_ERROR,
+                reason: `Prompt plugin ${path.basename(file)} failed to load: ${message}`,
+                plugin: path.basename(file)
+            };
+        }
+
+        let current = prompt;
+        const changedBy = [];
+
+        for (const plugin of this.plugins) {
+            const context = {
+                ...info,
+                originalPrompt: prompt,
+                log: log.child({ plugin: plugin.name }),
+                reject: reason => {
+                    throw new PromptRejection(reason || `Blocked by ${plugin.name}`);
+                }
+            };
+
+            let output;
+            try {
+                output = await this.withTimeout(plugin, () => plugin.transform(current, context));
+            } catch (error) {
+                if (error instanceof PromptRejection) {
+                    log.info('🚫 Prompt rejected by plugin', { plugin: plugin.name, promptId: info.promptId, reason: error.message });
+                    return { ok: false, code: ERROR_CODES.PROMPT_REJECTED, reason: error.message, plugin: plugin.name };
+                }
+                log.error('🧩 Prompt plugin failed', { plugin: plugin.name, promptId: info.promptId, error });
+                return { ok: false, code: ERROR_CODES.PLUGIN_ERROR, reason: `Prompt plugin ${plugin.name} failed: ${error.message}`, plugin: plugin.name };
+            }
+
+            if (output === undefined || output === null) continue;
+
+            if (typeof output !== 'string' || output.trim().length === 0) {
+                return {
+                    ok: false,
+                    code: ERROR_CODES.PLUGIN_ERROR,
+                    reason: `Prompt plugin ${plugin.name} must return a non-empty string or nothing`,
+                    plugin: plugin.name
+                };
+            }
+
+            if (output !== current) {
+                changedBy.push(plugin.name);
+                current = output;
+            }
+        }
+
+        if (changedBy.length > 0) {
+            log.debug('🧩 Prompt rewritten by plugins', { promptId: info.promptId, plugins: changedBy });
+        }
+        return { ok: true, prompt: current, changedBy };
+    }
+
+    withTimeout(plugin, run) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${this.timeout / 1000}s`)), this.timeout);
+        });
+
+        return Promise.race([Promise.resolve().then(run), timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = {
+    PLUGIN_TIMEOUT,
+    PromptRejection,
+    loadPluginsFromDirectory,
+    PromptPipeline
+};
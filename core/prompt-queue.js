@@ -0,0 +1,255 @@
+// KIM Prompt Queue - prompts wait here while VS Code is away 📬
+// Ordered per target, persisted, and every prompt has a shelf life
+
+const { hashToken } = require('./token-store');
+const { readJsonFile, writeJsonFile } = require('./data-dir');
+const { getLogger } = require('./logger');
+
+const log = getLogger('queue');
+
+/** How long a queued prompt waits for VS Code before giving up */
+const QUEUE_TTL = 30 * 60 * 1000; // 30 minutes
+
+/** Most prompts a single target may have waiting */
+const MAX_QUEUED_PER_TARGET = 100;
+
+/** Target for prompts that name no VS Code window, and windows that register without a targetId */
+const DEFAULT_TARGET = 'default';
+
+const SAVE_DELAY = 1000;
+
+/**
+ * Keeps queued prompts in memory only
+ */
+class MemoryQueueBackend {
+    constructor() {
+        this.entries = [];
+    }
+
+    async read() {
+        return this.entries;
+    }
+
+    async write(entries) {
+        this.entries = entries;
+    }
+}
+
+/**
+ * Persists queued prompts to a JSON file (used by the standalone relay)
+ */
+class JsonFileQueueBackend {
+    /**
+     * @param {string} filePath - Where to keep the queue file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async read() {
+        const parsed = await readJsonFile(this.filePath, {});
+        return Array.isArray(parsed.prompts) ? parsed.prompts : [];
+    }
+
+    async write(entries) {
+        await writeJsonFile(this.filePath, { version: 1, prompts: entries });
+    }
+}
+
+/**
+ * Ordered, durable queue of prompts per VS Code target
+ */
+class PromptQueue {
+    /**
+     * @param {Object} backend - Anything with async read() and write(entries)
+     * @param {Object} options
+     * @param {number} options.ttl - How long a prompt may wait (ms)
+     * @param {number} options.maxPerTarget - Queue length limit per target
+     */
+    constructor(backend = new MemoryQueueBackend(), { ttl = QUEUE_TTL, maxPerTarget = MAX_QUEUED_PER_TARGET } = {}) {
+        this.backend = backend;
+        this.ttl = ttl;
+        this.maxPerTarget = maxPerTarget;
+        /** @type {Object[]} { promptId, target, tokenHash, prompt, enqueuedAt, expiresAt } in arrival order */
+        this.entries = [];
+        this.saveTimer = null;
+    }
+
+    /**
+     * Reload the queue from the backend. Expired prompts are kept so the caller
+     * can still tell their devices - collect them with expire().
+     * @returns {Promise<number>} Number of prompts restored
+     */
+    async load() {
+        let entries = [];
+        try {
+            entries = (await this.backend.read()) || [];
+        } catch (error) {
+            log.error('🐛 Failed to load queued prompts, starting fresh', { error });
+        }
+
+        this.entries = entries.filter(entry => entry && entry.promptId && entry.tokenHash);
+        return this.entries.length;
+    }
+
+    /**
+     * Put a prompt at the back of its target's line
+     * @param {Object} prompt - { promptId, token, prompt, target?, context? }
+     * @returns {{ entry: Object, position: number }|null} null when the target's queue is full
+     */
+    enqueue({ promptId, token, prompt, target = DEFAULT_TARGET, context = [] }) {
+        if (this.list(target).length >= this.maxPerTarget) {
+            return null;
+        }
+
+        const now = Date.now();
+        const entry = {
+            promptId,
+            target,
+            tokenHash: hashToken(token),
+            prompt,
+            context,
+            enqueuedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        this.entries.push(entry);
+        this.scheduleSave();
+        return { entry, position: this.position(promptId) };
+    }
+
+    /**
+     * Prompts waiting for a target, oldest first
+     * @param {string} target
+     * @returns {Object[]}
+     */
+    list(target = DEFAULT_TARGET) {
+        return this.entries.filter(entry => entry.target === target);
+    }
+
+    /**
+     * A device's own waiting prompts, with their place in line
+     * @param {string} token - Device token
+     * @returns {Object[]}
+     */
+    listForToken(token) {
+        const tokenHash = hashToken(token);
+        return this.entries
+            .filter(entry => entry.tokenHash === tokenHash)
+            .map(entry => ({ ...entry, position: this.position(entry.promptId) }));
+    }
+
+    /**
+     * 1-based place in its target's line, or 0 when not queued
+     */
+    position(promptId) {
+        const entry = this.entries.find(item => item.promptId === promptId);
+        if (!entry) return 0;
+        return this.list(entry.target).indexOf(entry) + 1;
+    }
+
+    /**
+     * Withdraw a prompt - only the device that sent it may do this
+     * @param {string} token - Device token
+     * @param {string} promptId
+     * @returns {Object|null} The removed entry
+     */
+    cancel(token, promptId) {
+        const tokenHash = hashToken(token);
+        const index = this.entries.findIndex(entry => entry.promptId === promptId && entry.tokenHash === tokenHash);
+        if (index === -1) return null;
+
+        const [entry] = this.entries.splice(index, 1);
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * Drop every prompt a device left waiting (it was unpaired)
+     * @param {string} tokenHash
+     * @returns {Object[]} The removed entries
+     */
+    forgetDevice(tokenHash) {
+        const removed = this.entries.filter(entry => entry.tokenHash === tokenHash);
+        if (removed.length === 0) return removed;
+
+        this.entries = this.entries.filter(entry => entry.tokenHash !== tokenHash);
+        this.scheduleSave();
+        return removed;
+    }
+
+    /**
+     * Hand over everything still fresh for a target, oldest first
+     * @param {string} target
+     * @returns {Object[]}
+     */
+    drain(target = DEFAULT_TARGET) {
+        const now = Date.now();
+        const drained = this.entries.filter(entry => entry.target === target && entry.expiresAt > now);
+        if (drained.length === 0) return drained;
+
+        this.entries = this.entries.filter(entry => !drained.includes(entry));
+        this.scheduleSave();
+        return drained;
+    }
+
+    /**
+     * Remove prompts that waited too long
+     * @returns {Object[]} The expired entries, so their devices can be told
+     */
+    expire() {
+        const now = Date.now();
+        const expired = this.entries.filter(entry => entry.expiresAt <= now);
+        if (expired.length === 0) return expired;
+
+        this.entries = this.entries.filter(entry => entry.expiresAt > now);
+        this.scheduleSave();
+        return expired;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY);
+
+        // Never keep the process alive just to save
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    async save() {
+        try {
+            await this.backend.write(this.entries.slice());
+        } catch (error) {
+            log.error('🐛 Failed to persist queued prompts', { error });
+        }
+    }
+
+    /**
+     * Write any pending changes immediately (call before shutting down)
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+    }
+}
+
+module.exports = {
+    QUEUE_TTL,
+    MAX_QUEUED_PER_TARGET,
+    DEFAULT_TARGET,
+    PromptQueue,
+    MemoryQueueBackend,
+    JsonFileQueueBackend
+};
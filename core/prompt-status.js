@@ -0,0 +1,147 @@
+// KIM Prompt Status - where every prompt got to, for clients that poll instead of listening 🧭
+// Fed from the same device events the WebSocket clients receive
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_LIMIT = 500;
+const DEFAULT_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+/** Device event -> prompt status it moves the prompt to */
+const STATUS_BY_EVENT = {
+    prompt_received: 'received',
+    prompt_queued: 'queued',
+    prompt_delivered: 'delivered',
+    prompt_failed: 'failed',
+    prompt_cancelled: 'cancelled',
+    response_done: 'answered'
+};
+
+class PromptStatusLog extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Prompts remembered across all devices
+     * @param {number} options.maxAge - How long a finished prompt can still be looked up (ms)
+     */
+    constructor({ limit = DEFAULT_LIMIT, maxAge = DEFAULT_MAX_AGE } = {}) {
+        super();
+        this.limit = limit;
+        this.maxAge = maxAge;
+        /** @type {Map<string, Object>} promptId -> { promptId, tokenHash, status, ... } */
+        this.prompts = new Map();
+    }
+
+    /**
+     * Update a prompt from an event sent to its device. Events without a
+     * promptId, or that don't change a prompt's status, are ignored.
+     * @param {string} tokenHash - Device the event went to
+     * @param {Object} event - Server envelope
+     */
+    record(tokenHash, event) {
+        // Redaction notes ride along on the prompt without moving it
+        if (event.type === 'prompt_redacted') {
+            const entry = this.prompts.get(event.data?.promptId);
+            if (entry && entry.tokenHash === tokenHash) {
+                entry.redaction = { action: event.data.action, findings: event.data.findings };
+            }
+            return;
+        }
+
+        const status = STATUS_BY_EVENT[event.type];
+        const promptId = event.data?.promptId;
+        if (!status || !promptId) return;
+
+        const existing = this.prompts.get(promptId);
+        if (existing && existing.tokenHash !== tokenHash) return;
+        const previousStatus = existing ? existing.status : undefined;
+
+        const now = Date.now();
+        const entry = existing || { promptId, tokenHash, createdAt: now };
+        const data = event.data;
+
+        if (event.type === 'response_done') {
+            // A failed answer doesn't undo the delivery
+            entry.answer = { success: event.success, text: data.text || '', model: data.model || null, error: data.error || null };
+            if (event.success) entry.status = status;
+        } else {
+            entry.status = status;
+        }
+
+        if (data.target) entry.target = data.target;
+        if (event.type === 'prompt_queued') {
+            entry.position = data.position;
+        } else if (entry.status !== 'queued') {
+            delete entry.position;
+        }
+        if (event.type === 'prompt_delivered') entry.streaming = Boolean(data.streaming);
+        if (event.type === 'prompt_failed') {
+            entry.code = data.code || null;
+            entry.reason = data.reason || null;
+        }
+        entry.updatedAt = now;
+
+        // Re-insert so the map stays ordered by last update
+        this.prompts.delete(promptId);
+        this.prompts.set(promptId, entry);
+        this.trim();
+
+        this.emit('update', entry, previousStatus);
+    }
+
+    /**
+     * Look up a prompt - only the device that sent it can see it
+     * @returns {Object|null}
+     */
+    get(tokenHash, promptId) {
+        this.trim();
+        const entry = this.prompts.get(promptId);
+        return entry && entry.tokenHash === tokenHash ? entry : null;
+    }
+
+    /**
+     * Resolve once the prompt has moved past `received` (or the wait runs out)
+     * @param {string} tokenHash - Device that sent the prompt
+     * @param {string} promptId - Correlation ID
+     * @param {number} timeout - Longest wait in ms
+     * @returns {Promise<Object|null>} The latest entry
+     */
+    waitForSettled(tokenHash, promptId, timeout) {
+        const current = this.get(tokenHash, promptId);
+        if (current && current.status !== 'received') {
+            return Promise.resolve(current);
+        }
+
+        return new Promise(resolve => {
+            const finish = () => {
+                clearTimeout(timer);
+                this.off('update', onUpdate);
+                resolve(this.get(tokenHash, promptId));
+            };
+            const onUpdate = (entry) => {
+                if (entry.promptId === promptId && entry.status !== 'received') finish();
+            };
+            const timer = setTimeout(finish, timeout);
+
+            this.on('update', onUpdate);
+        });
+    }
+
+    /**
+     * Public view of a prompt (no token hash)
+     */
+    describe(entry) {
+        const { tokenHash, ...rest } = entry;
+        return rest;
+    }
+
+    trim() {
+        const cutoff = Date.now() - this.maxAge;
+        for (const [promptId, entry] of this.prompts.entries()) {
+            if (this.prompts.size <= this.limit && entry.updatedAt >= cutoff) break;
+            this.prompts.delete(promptId);
+        }
+    }
+}
+
+module.exports = {
+    PromptStatusLog
+};
@@ -0,0 +1,158 @@
+// KIM Rate Limiter - keeps a runaway device from flooding Copilot chat 🚦
+// Token buckets per device and per remote address, plus the caps both servers enforce
+
+/** Limits both servers start from; the relay reads overrides from KIM_* variables, the extension from settings */
+const DEFAULT_LIMITS = {
+    promptsPerMinute: 20, // per paired device
+    promptBurst: 5,
+    promptsPerMinutePerIp: 60, // per remote address, across all of its devices
+    maxConnections: 100,
+    maxPairingCodes: 20,
+    maxMessageBytes: 64 * 1024
+};
+
+/** Environment variable -> limit it overrides */
+const LIMIT_ENV_VARS = {
+    KIM_PROMPTS_PER_MINUTE: 'promptsPerMinute',
+    KIM_PROMPT_BURST: 'promptBurst',
+    KIM_PROMPTS_PER_MINUTE_PER_IP: 'promptsPerMinutePerIp',
+    KIM_MAX_CONNECTIONS: 'maxConnections',
+    KIM_MAX_PAIRING_CODES: 'maxPairingCodes',
+    KIM_MAX_MESSAGE_BYTES: 'maxMessageBytes'
+};
+
+/** Buckets remembered per limiter before the least recently used are dropped */
+const MAX_BUCKETS = 10000;
+
+/**
+ * Fill in defaults, ignoring anything that isn't a positive number
+ * @param {Object} overrides - Partial limits
+ * @returns {Object}
+ */
+function resolveLimits(overrides = {}) {
+    const limits = { ...DEFAULT_LIMITS };
+    for (const [name, value] of Object.entries(overrides)) {
+        const number = Number(value);
+        if (name in DEFAULT_LIMITS && value !== undefined && value !== null && number > 0) {
+            limits[name] = number;
+        }
+    }
+    return limits;
+}
+
+/**
+ * Limits from KIM_* environment variables (used by the standalone relay)
+ */
+function limitsFromEnv(env = process.env) {
+    const overrides = {};
+    for (const [variable, name] of Object.entries(LIMIT_ENV_VARS)) {
+        if (env[variable] !== undefined) {
+            overrides[name] = env[variable];
+        }
+    }
+    return resolveLimits(overrides);
+}
+
+/**
+ * One token bucket per key: `burst` tokens, refilled at `perMinute`
+ */
+class TokenBucketLimiter {
+    constructor({ perMinute, burst, maxBuckets = MAX_BUCKETS }) {
+        this.capacity = burst;
+        this.refillPerMs = perMinute / 60000;
+        this.maxBuckets = maxBuckets;
+        /** @type {Map<string, { tokens: number, updatedAt: number }>} */
+        this.buckets = new Map();
+    }
+
+    refill(key) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * How long until `key` may go again, without using anything up
+     * @returns {number} ms (0 when allowed now)
+     */
+    peek(key) {
+        const bucket = this.refill(key);
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / this.refillPerMs);
+    }
+
+    take(key) {
+        const bucket = this.refill(key);
+        if (bucket.tokens < 1) return false;
+
+        bucket.tokens -= 1;
+        // Re-insert so the map stays ordered by last use
+        this.buckets.delete(key);
+        this.buckets.set(key, bucket);
+
+        while (this.buckets.size > this.maxBuckets) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+        return true;
+    }
+
+    // Full buckets behave exactly like missing ones
+    cleanup() {
+        for (const key of this.buckets.keys()) {
+            if (this.refill(key).tokens >= this.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Prompt limits for a server: a prompt has to fit in both its device's
+ * bucket and its remote address's bucket
+ */
+class PromptRateLimiter {
+    /**
+     * @param {Object} limits - From resolveLimits
+     */
+    constructor(limits = DEFAULT_LIMITS) {
+        this.devices = new TokenBucketLimiter({ perMinute: limits.promptsPerMinute, burst: limits.promptBurst });
+        this.addresses = new TokenBucketLimiter({ perMinute: limits.promptsPerMinutePerIp, burst: limits.promptBurst * 2 });
+    }
+
+    /**
+     * Use up one prompt for the device and the address, if both have one left
+     * @param {string} tokenHash - Device sending the prompt
+     * @param {string|null} ip - Remote address (REST and WebSocket)
+     * @returns {{ allowed: boolean, retryAfter: number, scope: string|null }} retryAfter in ms; scope is 'device' or 'ip'
+     */
+    check(tokenHash, ip = null) {
+        const deviceWait = this.devices.peek(tokenHash);
+        const ipWait = ip ? this.addresses.peek(ip) : 0;
+
+        if (deviceWait > 0 || ipWait > 0) {
+            return {
+                allowed: false,
+                retryAfter: Math.max(deviceWait, ipWait),
+                scope: deviceWait >= ipWait ? 'device' : 'ip'
+            };
+        }
+
+        this.devices.take(tokenHash);
+        if (ip) this.addresses.take(ip);
+        return { allowed: true, retryAfter: 0, scope: null };
+    }
+
+    cleanup() {
+        this.devices.cleanup();
+        this.addresses.cleanup();
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    resolveLimits,
+    limitsFromEnv,
+    TokenBucketLimiter,
+    PromptRateLimiter
+};
@@ -0,0 +1,243 @@
+// KIM REST API - send prompts from scripts, Shortcuts and editor macros 🌐
+// Same pairing tokens and the same relay pipeline as the WebSocket protocol, just over plain HTTP
+
+const { ERROR_CODES, ERROR_EMOJI, createPromptId } = require('kim-protocol');
+const { hashToken, describeDevice } = require('./token-store');
+const { getLogger } = require('./logger');
+
+const log = getLogger('rest');
+
+/** Largest request body we bother reading */
+const MAX_BODY_SIZE = 16 * 1024;
+
+/** How long POST /api/prompts waits for the prompt to be delivered, queued or refused */
+const DEFAULT_WAIT = 20 * 1000;
+
+/** Prompt status -> HTTP status for POST /api/prompts */
+const HTTP_STATUS_BY_PROMPT_STATUS = {
+    received: 202,
+    queued: 202,
+    delivered: 200,
+    answered: 200,
+    cancelled: 200,
+    failed: 502
+};
+
+/**
+ * Routes /api/prompts and /api/devices for a server. The host is the
+ * relay or the embedded server and provides:
+ * - tokenStore, promptStatus (PromptStatusLog)
+ * - validateToken(token)
+ * - submitPrompt(token, prompt, { promptId, target, clientIP, context }) -> { accepted, promptId, target } or { accepted: false, code, message, emoji, retryAfter? }
+ * - isDeviceOnline(tokenHash)
+ * - metrics (KIMMetrics) - refused prompts are counted
+ */
+class RestApi {
+    /**
+     * @param {Object} host - Server whose pipeline the API drives
+     * @param {Object} options
+     * @param {number} options.wait - Longest wait for a delivery result in ms
+     */
+    constructor(host, { wait = DEFAULT_WAIT } = {}) {
+        this.host = host;
+        this.wait = wait;
+    }
+
+    /**
+     * Handle the request if it is for the REST API
+     * @returns {boolean} Whether the request was taken
+     */
+    handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const promptMatch = pathname.match(/^\/api\/prompts\/([^/]+)$/);
+
+        let route = null;
+        if (pathname === '/api/prompts') {
+            route = { methods: ['POST'], run: () => this.createPrompt(req, res) };
+        } else if (promptMatch) {
+            route = { methods: ['GET'], run: () => this.getPrompt(req, res, decodeURIComponent(promptMatch[1])) };
+        } else if (pathname === '/api/devices') {
+            route = { methods: ['GET'], run: () => this.listDevices(req, res) };
+        }
+
+        if (!route) return false;
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', `${route.methods.join(', ')}, OPTIONS`);
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return true;
+        }
+
+        if (!route.methods.includes(req.method)) {
+            this.sendError(res, 405, ERROR_CODES.UNSUPPORTED_MESSAGE, `Use ${route.methods.join(' or ')} here`);
+            return true;
+        }
+
+        route.run().catch(error => {
+            log.error('🐛 REST API error', { error, method: req.method, path: pathname });
+            if (!res.headersSent) {
+                this.sendError(res, 500, ERROR_CODES.INVALID_MESSAGE, 'Something went sideways - check the server log', '💥');
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Pull the bearer token off the request and check it
+     * @returns {string|null} The token, or null once a 401 has been sent
+     */
+    authenticate(req, res) {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            this.sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Send your pairing token as "Authorization: Bearer <token>"');
+            return null;
+        }
+
+        if (!this.host.validateToken(token)) {
+            this.sendError(res, 401, ERROR_CODES.SESSION_EXPIRED, 'Your coding session took a coffee break! Please pair again');
+            return null;
+        }
+
+        return token;
+    }
+
+    // POST /api/prompts { prompt, target?, promptId?, context?, wait? }
+    async createPrompt(req, res) {
+        const token = this.authenticate(req, res);
+        if (!token) return;
+
+        const body = await this.readJson(req, res);
+        if (!body) return;
+
+        if (typeof body.prompt !== 'string' || (body.target != null && typeof body.target !== 'string')) {
+            this.sendError(res, 400, ERROR_CODES.INVALID_MESSAGE, 'Send { "prompt": "...", "target"?: "..." }');
+            return;
+        }
+
+        const result = this.host.submitPrompt(token, body.prompt, {
+            promptId: typeof body.promptId === 'string' ? body.promptId : createPromptId(),
+            target: body.target || null,
+            clientIP: req.socket.remoteAddress,
+            context: body.context
+        });
+
+        if (!result.accepted) {
+            this.host.metrics.rejected.inc({ code: result.code });
+            if (result.code === ERROR_CODES.RATE_LIMITED) {
+                res.setHeader('Retry-After', String(result.retryAfter));
+                this.sendJson(res, 429, { success: false, emoji: result.emoji, message: result.message, code: result.code, retryAfter: result.retryAfter });
+                return;
+            }
+            const status = result.code === ERROR_CODES.UNKNOWN_TARGET ? 404 : 400;
+            this.sendError(res, status, result.code, result.message, result.emoji);
+            return;
+        }
+
+        const tokenHash = hashToken(token);
+        const entry = body.wait === false
+            ? this.host.promptStatus.get(tokenHash, result.promptId)
+            : await this.host.promptStatus.waitForSettled(tokenHash, result.promptId, this.wait);
+        const prompt = entry
+            ? this.host.promptStatus.describe(entry)
+            : { promptId: result.promptId, status: 'received', target: result.target };
+
+        this.sendJson(res, HTTP_STATUS_BY_PROMPT_STATUS[prompt.status] || 202, {
+            success: prompt.status !== 'failed',
+            emoji: prompt.status === 'failed' ? ERROR_EMOJI[prompt.code] || '🌀' : '📤',
+            message: prompt.status === 'failed' ? prompt.reason : `Prompt ${prompt.status}`,
+            prompt
+        });
+    }
+
+    // GET /api/prompts/:id
+    async getPrompt(req, res, promptId) {
+        const token = this.authenticate(req, res);
+        if (!token) return;
+
+        const entry = this.host.promptStatus.get(hashToken(token), promptId);
+        if (!entry) {
+            this.sendError(res, 404, ERROR_CODES.PROMPT_NOT_FOUND, 'No prompt with that ID (they are kept for an hour)');
+            return;
+        }
+
+        const prompt = this.host.promptStatus.describe(entry);
+        this.sendJson(res, 200, { success: true, emoji: '🧭', message: `Prompt ${prompt.status}`, prompt });
+    }
+
+    // GET /api/devices - every paired device, without their tokens
+    async listDevices(req, res) {
+        const token = this.authenticate(req, res);
+        if (!token) return;
+
+        const currentHash = hashToken(token);
+        const devices = this.host.tokenStore.list().map(record => ({
+            ...describeDevice(record),
+            online: this.host.isDeviceOnline(record.tokenHash),
+            current: record.tokenHash === currentHash
+        }));
+
+        this.sendJson(res, 200, { success: true, emoji: '📱', message: `${devices.length} paired device(s)`, devices });
+    }
+
+    /**
+     * Read and parse a JSON body
+     * @returns {Promise<Object|null>} null once an error has been sent
+     */
+    readJson(req, res) {
+        return new Promise(resolve => {
+            const chunks = [];
+            let size = 0;
+            let tooLarge = false;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    tooLarge = true;
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                if (tooLarge) {
+                    this.sendError(res, 413, ERROR_CODES.INVALID_MESSAGE, `Keep request bodies under ${MAX_BODY_SIZE / 1024} KB`, '📚');
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+                    if (body && typeof body === 'object' && !Array.isArray(body)) {
+                        resolve(body);
+                        return;
+                    }
+                } catch (error) {
+                    // Fall through to the error below
+                }
+
+                this.sendError(res, 400, ERROR_CODES.INVALID_JSON, 'The request body must be a JSON object');
+                resolve(null);
+            });
+
+            req.on('error', () => resolve(null));
+        });
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    sendError(res, status, code, message, emoji = ERROR_EMOJI[code] || '❌') {
+        this.sendJson(res, status, { success: false, emoji, message, code });
+    }
+}
+
+module.exports = {
+    RestApi
+};
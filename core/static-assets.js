@@ -0,0 +1,331 @@
+// KIM Static Assets - serve the built PWA (pwa/dist) with the right types and cache headers 📦
+// Fingerprinted /assets/* are cached forever; the entry points are always revalidated.
+// Files are kept in memory with their gzip/brotli versions and a strong ETag, so
+// a phone on weak Wi-Fi gets small responses and 304s instead of full re-downloads.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getLogger } = require('./logger');
+
+const log = getLogger('assets');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+/** Vite puts a content hash in every file name under /assets, so they never change */
+const IMMUTABLE_PREFIX = '/assets/';
+
+/** Entry points that name the hashed files - a stale copy pins an old build */
+const NO_CACHE_FILES = ['/index.html', '/sw.js', '/registerSW.js', '/manifest.webmanifest'];
+
+/** Text formats worth compressing (images and fonts are compressed already) */
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(javascript|json|manifest\+json)|image\/svg\+xml)/;
+
+/** Below this, compression headers cost more than they save */
+const MIN_COMPRESS_SIZE = 1024;
+
+/** Files bigger than this are read from disk on each request, uncompressed, instead of cached */
+const MAX_CACHED_FILE_SIZE = 5 * 1024 * 1024;
+
+/** Upper bound for everything held in memory, compressed copies included */
+const MAX_CACHE_SIZE = 50 * 1024 * 1024;
+
+/** Content codings we can produce, best first */
+const ENCODINGS = [
+    {
+        name: 'br',
+        suffix: 'br',
+        // Each file is compressed once, but the first phone shouldn't wait for quality 11
+        compress: data => zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } })
+    },
+    { name: 'gzip', suffix: 'gz', compress: data => zlib.gzipSync(data, { level: 9 }) }
+];
+
+/**
+ * @param {string} filePath
+ * @returns {string}
+ */
+function contentTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * @param {string} urlPath - Path of the file served, e.g. /assets/index-3f2a1b.js
+ * @returns {string} Cache-Control value
+ */
+function cacheControlFor(urlPath) {
+    if (urlPath.startsWith(IMMUTABLE_PREFIX)) {
+        return 'public, max-age=31536000, immutable';
+    }
+    if (NO_CACHE_FILES.includes(urlPath) || /^\/workbox-[\w-]+\.js$/.test(urlPath)) {
+        return 'no-cache';
+    }
+    return 'public, max-age=3600';
+}
+
+/**
+ * Pick a content coding from Accept-Encoding (honours q=0, prefers br)
+ * @param {string} header - e.g. "gzip, deflate, br"
+ * @returns {Object|null} One of ENCODINGS
+ */
+function negotiateEncoding(header) {
+    const accepted = new Map();
+    String(header || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        accepted.set(name, q ? parseFloat(q.substring(2)) : 1);
+    });
+
+    return ENCODINGS.find(encoding => {
+        const q = accepted.has(encoding.name) ? accepted.get(encoding.name) : accepted.get('*');
+        return q > 0;
+    }) || null;
+}
+
+/**
+ * Whether If-None-Match lists the ETag (weak comparison, as RFC 9110 asks for GET)
+ */
+function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    const bare = value => value.trim().replace(/^W\//, '');
+    return header.split(',').some(candidate => bare(candidate) === bare(etag));
+}
+
+/**
+ * The first directory that holds a PWA build (has an index.html)
+ * @param {string[]} dirs - Candidates, most preferred first
+ * @returns {string|null}
+ */
+function findPwaBuild(dirs) {
+    return dirs.find(dir => dir && fs.existsSync(path.join(dir, 'index.html'))) || null;
+}
+
+class StaticAssets {
+    /**
+     * @param {string|null} root - Directory with the built PWA (null when there is none)
+     * @param {Object} options
+     * @param {number} options.maxFileSize - Bigger files are read per request, uncompressed
+     * @param {number} options.maxCacheSize - Memory for cached files and their compressed copies
+     */
+    constructor(root, { maxFileSize = MAX_CACHED_FILE_SIZE, maxCacheSize = MAX_CACHE_SIZE } = {}) {
+        this.root = root ? path.resolve(root) : null;
+        this.maxFileSize = maxFileSize;
+        this.maxCacheSize = maxCacheSize;
+        /** @type {Map<string, Object>} file path -> { mtimeMs, size, data, etag, encoded: { br, gzip } } */
+        this.cache = new Map();
+        this.cacheSize = 0;
+    }
+
+    /**
+     * Whether there is a build to serve - checked per request so a fresh
+     * `npm run build` is picked up without a restart
+     */
+    get available() {
+        return Boolean(this.root) && fs.existsSync(path.join(this.root, 'index.html'));
+    }
+
+    /**
+     * Serve a file from the build, or index.html for client-side routes
+     * @returns {boolean} Whether the request was taken
+     */
+    serve(req, res) {
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || !this.available) {
+            return false;
+        }
+
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            this.sendText(res, 400, 'Bad request path');
+            return true;
+        }
+        if (urlPath === '/') urlPath = '/index.html';
+
+        const filePath = path.join(this.root, urlPath);
+        if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+            this.sendText(res, 403, 'Access denied');
+            return true;
+        }
+
+        this.lookup(filePath, urlPath)
+            .then(found => {
+                // No file extension: a route inside the app (SPA fallback)
+                if (!found && !path.extname(urlPath)) {
+                    return this.lookup(path.join(this.root, 'index.html'), '/index.html');
+                }
+                return found;
+            })
+            .then(found => {
+                if (found) {
+                    this.send(req, res, found.entry, found.urlPath);
+                } else {
+                    this.sendText(res, 404, 'File not found');
+                }
+            })
+            .catch(error => {
+                log.error('🐛 Could not read PWA file', { file: filePath, error });
+                if (!res.headersSent) {
+                    this.sendText(res, 500, 'Could not read file');
+                }
+            });
+        return true;
+    }
+
+    /**
+     * A file as a cache entry, re-read when it changed on disk
+     * @returns {Promise<Object|null>} { entry, urlPath }, null when there is no such file
+     */
+    async lookup(filePath, urlPath) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+            throw error;
+        }
+        if (!stats.isFile()) return null;
+
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return { entry: cached, urlPath };
+        }
+
+        const data = await fs.promises.readFile(filePath);
+        const entry = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            data,
+            contentType: contentTypeFor(filePath),
+            etag: `"${crypto.createHash('sha256').update(data).digest('base64url').substring(0, 27)}"`,
+            encoded: {}
+        };
+        // Files too big to cache would be compressed again on every request, blocking the event loop
+        const cacheable = data.length <= this.maxFileSize;
+        entry.compressible = cacheable && COMPRESSIBLE_TYPES.test(entry.contentType) && data.length >= MIN_COMPRESS_SIZE;
+
+        this.forget(filePath);
+        if (cacheable) {
+            this.remember(filePath, entry);
+        }
+        return { entry, urlPath };
+    }
+
+    /**
+     * The entry's body in the coding the client asked for
+     * @returns {Object} { body, encoding, etag }
+     */
+    representation(req, entry) {
+        const encoding = entry.compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+        if (!encoding) {
+            return { body: entry.data, encoding: null, etag: entry.etag };
+        }
+
+        if (!entry.encoded[encoding.name]) {
+            const body = encoding.compress(entry.data);
+            entry.encoded[encoding.name] = body;
+            if (this.cache.get(entry.filePath) === entry) {
+                this.cacheSize += body.length;
+                this.trim(entry);
+            }
+        }
+        // Strong ETags have to differ between codings of the same file
+        return {
+            body: entry.encoded[encoding.name],
+            encoding: encoding.name,
+            etag: `${entry.etag.slice(0, -1)}-${encoding.suffix}"`
+        };
+    }
+
+    send(req, res, entry, urlPath) {
+        const { body, encoding, etag } = this.representation(req, entry);
+        const headers = {
+            'Content-Type': entry.contentType,
+            'Cache-Control': cacheControlFor(urlPath),
+            ETag: etag,
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (entry.compressible) {
+            headers.Vary = 'Accept-Encoding';
+        }
+
+        if (etagMatches(req.headers['if-none-match'], etag)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        if (encoding) {
+            headers['Content-Encoding'] = encoding;
+        }
+        headers['Content-Length'] = body.length;
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    remember(filePath, entry) {
+        entry.filePath = filePath;
+        this.cache.set(filePath, entry);
+        this.cacheSize += this.sizeOf(entry);
+        this.trim(entry);
+    }
+
+    /**
+     * Drop the oldest files until the cache fits again, compressed copies included
+     * @param {Object} keep - Entry being served right now
+     */
+    trim(keep) {
+        for (const [cachedPath, cached] of this.cache) {
+            if (this.cacheSize <= this.maxCacheSize) break;
+            if (cached !== keep) this.forget(cachedPath);
+        }
+    }
+
+    sizeOf(entry) {
+        return entry.data.length + Object.values(entry.encoded).reduce((sum, body) => sum + body.length, 0);
+    }
+
+    forget(filePath) {
+        const entry = this.cache.get(filePath);
+        if (!entry) return;
+
+        this.cacheSize -= this.sizeOf(entry);
+        this.cache.delete(filePath);
+    }
+
+    sendText(res, status, message) {
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(message);
+    }
+}
+
+module.exports = {
+    MIME_TYPES,
+    contentTypeFor,
+    cacheControlFor,
+    negotiateEncoding,
+    etagMatches,
+    findPwaBuild,
+    StaticAssets
+};
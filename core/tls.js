@@ -0,0 +1,226 @@
+// KIM TLS - a local CA and server certificate for https/wss 🔐
+// Created on first use and cached, so paired devices keep seeing the same key
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const { identityPayload } = require('kim-protocol');
+const { dataPath } = require('./data-dir');
+const { getLogger } = require('./logger');
+
+const log = getLogger('tls');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** The local CA outlives many server certificates */
+const CA_LIFETIME_DAYS = 3650;
+
+/** Browsers refuse server certificates valid for much longer than a year */
+const CERT_LIFETIME_DAYS = 397;
+
+/** Reissue the server certificate when it gets this close to expiring */
+const RENEW_BEFORE = 30 * DAY;
+
+/**
+ * Names the server certificate should cover: localhost plus every LAN IPv4 address
+ * @returns {string[]}
+ */
+function defaultHosts() {
+    const hosts = ['localhost', '127.0.0.1'];
+    Object.values(os.networkInterfaces()).forEach(interfaces => {
+        (interfaces || []).forEach(iface => {
+            if (iface.family === 'IPv4' && !iface.internal) {
+                hosts.push(iface.address);
+            }
+        });
+    });
+    return Array.from(new Set(hosts));
+}
+
+/**
+ * Fingerprint of a public key: base64url SHA-256 of its SPKI encoding.
+ * This is what the pairing QR carries, so it survives certificate renewals.
+ * @param {crypto.KeyObject|string} key - Public or private key (PEM or KeyObject)
+ * @returns {string}
+ */
+function fingerprintKey(key) {
+    const spki = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(spki).digest('base64url');
+}
+
+/**
+ * Fingerprint of a certificate: base64url SHA-256 of its DER encoding
+ * @param {string|Buffer} cert - Certificate PEM or DER
+ * @returns {string}
+ */
+function fingerprintCertificate(cert) {
+    return crypto.createHash('sha256').update(new crypto.X509Certificate(cert).raw).digest('base64url');
+}
+
+/**
+ * Prove possession of the server key to a device that sent a nonce. The
+ * signature covers the certificate being served too, so it only means something
+ * to a client that checks that certificate is the one its TLS session got.
+ * @param {string} key - Private key PEM
+ * @param {string} nonce - Random value chosen by the device
+ * @param {string} cert - The certificate PEM the server is serving
+ * @returns {{ publicKey: string, certificate: string, signature: string, algorithm: string }} base64 SPKI, DER certificate and signature
+ */
+function signChallenge(key, nonce, cert) {
+    const certificate = new crypto.X509Certificate(cert).raw;
+    const signature = crypto.sign('sha256', Buffer.from(identityPayload(fingerprintCertificate(certificate), nonce)), key);
+    return {
+        publicKey: crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('base64'),
+        certificate: certificate.toString('base64'),
+        signature: signature.toString('base64'),
+        algorithm: 'RSASSA-PKCS1-v1_5/SHA-256'
+    };
+}
+
+function generateKeyPem() {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    return privateKey;
+}
+
+function randomSerial() {
+    // Positive, non-zero serial number
+    return '01' + crypto.randomBytes(15).toString('hex');
+}
+
+/**
+ * Build and sign a certificate with node-forge
+ * @param {Object} options
+ * @param {Object} options.issuer - { key, cert } PEMs of the signing CA; self-signed when omitted
+ * @returns {string} Certificate PEM
+ */
+function createCertificate({ keyPem, commonName, issuer = null, days, extensions }) {
+    const privateKey = forge.pki.privateKeyFromPem(keyPem);
+    const cert = forge.pki.createCertificate();
+    const subject = [{ name: 'commonName', value: commonName }, { name: 'organizationName', value: 'Keep-It-Moving' }];
+
+    cert.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+    cert.serialNumber = randomSerial();
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + days * DAY);
+    cert.setSubject(subject);
+    cert.setIssuer(issuer ? forge.pki.certificateFromPem(issuer.cert).subject.attributes : subject);
+    cert.setExtensions(extensions);
+    cert.sign(issuer ? forge.pki.privateKeyFromPem(issuer.key) : privateKey, forge.md.sha256.create());
+
+    return forge.pki.certificateToPem(cert);
+}
+
+function createCaCertificate(keyPem) {
+    return createCertificate({
+        keyPem,
+        commonName: `KIM Local CA (${os.hostname()})`,
+        days: CA_LIFETIME_DAYS,
+        extensions: [
+            { name: 'basicConstraints', cA: true, critical: true },
+            { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+            { name: 'subjectKeyIdentifier' }
+        ]
+    });
+}
+
+function createServerCertificate(keyPem, ca, hosts) {
+    return createCertificate({
+        keyPem,
+        commonName: 'KIM Relay',
+        issuer: ca,
+        days: CERT_LIFETIME_DAYS,
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            {
+                name: 'subjectAltName',
+                altNames: hosts.map(host => net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host })
+            }
+        ]
+    });
+}
+
+/**
+ * Is the cached server certificate still good for these hosts?
+ */
+function isServerCertificateUsable(certPem, caPem, hosts) {
+    try {
+        const cert = new crypto.X509Certificate(certPem);
+        const ca = new crypto.X509Certificate(caPem);
+
+        if (!cert.checkIssued(ca) || !cert.verify(ca.publicKey)) return false;
+        if (new Date(cert.validTo).getTime() - Date.now() < RENEW_BEFORE) return false;
+
+        return hosts.every(host => net.isIP(host) ? cert.checkIP(host) : cert.checkHost(host));
+    } catch (error) {
+        return false;
+    }
+}
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writePrivate(filePath, contents) {
+    await fs.promises.writeFile(filePath, contents, { mode: 0o600 });
+}
+
+/**
+ * Load the cached TLS credentials, creating the local CA and server
+ * certificate on first use. The server key is kept across renewals, so its
+ * fingerprint stays the same when LAN IPs change.
+ * @param {Object} options
+ * @param {string} options.dir - Where the CA and certificate live (default: ~/.kim/tls)
+ * @param {string[]} options.hosts - Host names and IPs the certificate must cover
+ * @returns {Promise<{ key: string, cert: string, ca: string, fingerprint: string }>} PEMs plus the key fingerprint
+ */
+async function loadTlsCredentials({ dir = dataPath('tls'), hosts = defaultHosts() } = {}) {
+    await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+    const file = name => path.join(dir, name);
+
+    let caKey = await readIfExists(file('ca.key'));
+    let caCert = await readIfExists(file('ca.crt'));
+    if (!caKey || !caCert) {
+        log.info('🔐 Creating a local certificate authority for KIM...');
+        caKey = generateKeyPem();
+        caCert = createCaCertificate(caKey);
+        await writePrivate(file('ca.key'), caKey);
+        await fs.promises.writeFile(file('ca.crt'), caCert);
+    }
+
+    let key = await readIfExists(file('server.key'));
+    if (!key) {
+        key = generateKeyPem();
+        await writePrivate(file('server.key'), key);
+    }
+
+    let cert = await readIfExists(file('server.crt'));
+    if (!cert || !isServerCertificateUsable(cert, caCert, hosts)) {
+        log.info('🔐 Issuing a server certificate', { hosts });
+        cert = createServerCertificate(key, { key: caKey, cert: caCert }, hosts);
+        await fs.promises.writeFile(file('server.crt'), cert);
+    }
+
+    return { key, cert, ca: caCert, fingerprint: fingerprintKey(key) };
+}
+
+module.exports = {
+    defaultHosts,
+    fingerprintKey,
+    fingerprintCertificate,
+    signChallenge,
+    loadTlsCredentials
+};
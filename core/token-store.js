@@ -0,0 +1,340 @@
+// KIM Token Store - paired devices that survive restarts 💾
+// Tokens are only ever kept as SHA-256 hashes; backends decide where the records live
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./data-dir');
+const { getLogger } = require('./logger');
+
+const log = getLogger('tokens');
+
+/** How long a paired device stays trusted */
+const TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+/** Batch lastActivity writes instead of hitting the backend on every prompt */
+const SAVE_DELAY = 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Short ID for a paired device - safe to show and send around, unlike its token
+ * @param {string} tokenHash
+ * @returns {string}
+ */
+function deviceIdFor(tokenHash) {
+    return tokenHash.substring(0, 12);
+}
+
+/** User agent hint -> what a device is called until someone renames it */
+const DEVICE_NAME_HINTS = [
+    [/iPhone/, 'iPhone'],
+    [/iPad/, 'iPad'],
+    [/Android/, 'Android'],
+    [/Macintosh|Mac OS X/, 'Mac'],
+    [/Windows/, 'Windows PC'],
+    [/Linux/, 'Linux']
+];
+
+function defaultDeviceName(deviceInfo = {}, deviceType = 'unknown') {
+    const hint = DEVICE_NAME_HINTS.find(([pattern]) => pattern.test(deviceInfo.userAgent || ''));
+    return hint ? hint[1] : `${deviceType.charAt(0).toUpperCase()}${deviceType.slice(1)} device`;
+}
+
+/**
+ * Public view of a device record (no token hash)
+ * @param {Object} record - Token store record
+ * @returns {Object}
+ */
+function describeDevice(record) {
+    // What the device says it is beats what the pairing code was generated for
+    const deviceType = record.deviceInfo?.type || record.deviceInfo?.deviceType || 'unknown';
+    return {
+        id: deviceIdFor(record.tokenHash),
+        name: record.name || defaultDeviceName(record.deviceInfo, deviceType),
+        deviceType,
+        deviceInfo: record.deviceInfo || {},
+        pairedAt: record.createdAt,
+        lastActivity: record.lastActivity,
+        expiresAt: record.expiresAt
+    };
+}
+
+/**
+ * Keeps records in memory only - the old behaviour, handy for tests
+ */
+class MemoryTokenBackend {
+    constructor() {
+        this.records = [];
+    }
+
+    async read() {
+        return this.records;
+    }
+
+    async write(records) {
+        this.records = records;
+    }
+}
+
+/**
+ * Persists records to a JSON file (used by the standalone relay)
+ */
+class JsonFileTokenBackend {
+    /**
+     * @param {string} filePath - Where to keep the token file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async read() {
+        const parsed = await readJsonFile(this.filePath, {});
+        return Array.isArray(parsed.tokens) ? parsed.tokens : [];
+    }
+
+    async write(records) {
+        await writeJsonFile(this.filePath, { version: 1, tokens: records });
+    }
+}
+
+/**
+ * Durable registry of paired device tokens
+ */
+class TokenStore {
+    /**
+     * @param {Object} backend - Anything with async read() and write(records)
+     * @param {Object} options
+     * @param {number} options.ttl - Token lifetime in ms (default: 24 hours)
+     */
+    constructor(backend = new MemoryTokenBackend(), { ttl = TOKEN_TTL } = {}) {
+        this.backend = backend;
+        this.ttl = ttl;
+        /** @type {Map<string, Object>} tokenHash -> { tokenHash, deviceInfo, createdAt, expiresAt, lastActivity } */
+        this.records = new Map();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Reload records from the backend, dropping anything that expired while we were down
+     * @returns {Promise<number>} Number of devices restored
+     */
+    async load() {
+        const now = Date.now();
+        let records = [];
+
+        try {
+            records = (await this.backend.read()) || [];
+        } catch (error) {
+            log.error('🐛 Failed to load paired devices, starting fresh', { error });
+        }
+
+        this.records.clear();
+        for (const record of records) {
+            if (record && record.tokenHash && record.expiresAt > now) {
+                this.records.set(record.tokenHash, record);
+            }
+        }
+
+        if (this.records.size !== records.length) {
+            this.scheduleSave();
+        }
+
+        return this.records.size;
+    }
+
+    /**
+     * Remember a freshly paired token
+     * @param {string} token - Raw token handed to the device
+     * @param {Object} deviceInfo - Whatever the device told us about itself
+     * @returns {Object} The stored record
+     */
+    issue(token, deviceInfo = {}) {
+        const now = Date.now();
+        const record = {
+            tokenHash: hashToken(token),
+            deviceInfo,
+            createdAt: now,
+            expiresAt: now + this.ttl,
+            lastActivity: now
+        };
+
+        this.records.set(record.tokenHash, record);
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Look up a token, forgetting it if it has expired
+     * @param {string} token - Raw token presented by a device
+     * @returns {Object|null}
+     */
+    get(token) {
+        if (!token) return null;
+
+        const tokenHash = hashToken(token);
+        const record = this.records.get(tokenHash);
+        if (!record) return null;
+
+        if (Date.now() > record.expiresAt) {
+            this.records.delete(tokenHash);
+            this.scheduleSave();
+            return null;
+        }
+
+        return record;
+    }
+
+    has(token) {
+        return this.get(token) !== null;
+    }
+
+    /**
+     * Record activity for a token
+     * @returns {boolean} Whether the token is still valid
+     */
+    touch(token) {
+        const record = this.get(token);
+        if (!record) return false;
+
+        record.lastActivity = Date.now();
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Merge extra fields (preferences, names...) into a token's record
+     * @returns {Object|null} The updated record
+     */
+    update(token, changes) {
+        const record = this.get(token);
+        if (!record) return null;
+
+        Object.assign(record, changes);
+        this.scheduleSave();
+        return record;
+    }
+
+    revoke(token) {
+        const removed = this.records.delete(hashToken(token));
+        if (removed) {
+            this.scheduleSave();
+        }
+        return removed;
+    }
+
+    /**
+     * Look up a device by the short ID from describeDevice
+     * @param {string} deviceId
+     * @returns {Object|null}
+     */
+    findDevice(deviceId) {
+        const now = Date.now();
+        for (const record of this.records.values()) {
+            if (deviceIdFor(record.tokenHash) === deviceId && record.expiresAt > now) {
+                return record;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Give a device a name people will recognise
+     * @returns {Object|null} The updated record
+     */
+    renameDevice(deviceId, name) {
+        const record = this.findDevice(deviceId);
+        if (!record) return null;
+
+        record.name = name;
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Forget a device so its token stops working
+     * @returns {Object|null} The removed record
+     */
+    revokeDevice(deviceId) {
+        const record = this.findDevice(deviceId);
+        if (!record) return null;
+
+        this.records.delete(record.tokenHash);
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Drop every expired token
+     * @param {Function} onRemove - Called with each removed record, to drop what was kept for it
+     * @returns {number} How many were removed
+     */
+    cleanup(onRemove = null) {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [tokenHash, record] of this.records.entries()) {
+            if (now > record.expiresAt) {
+                this.records.delete(tokenHash);
+                removed++;
+                if (onRemove) onRemove(record);
+            }
+        }
+
+        if (removed > 0) {
+            this.scheduleSave();
+        }
+        return removed;
+    }
+
+    list() {
+        return Array.from(this.records.values());
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY);
+
+        // Never keep the process alive just to save
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    async save() {
+        try {
+            await this.backend.write(this.list());
+        } catch (error) {
+            log.error('🐛 Failed to persist paired devices', { error });
+        }
+    }
+
+    /**
+     * Write any pending changes immediately (call before shutting down)
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+    }
+}
+
+module.exports = {
+    TOKEN_TTL,
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    TokenStore,
+    MemoryTokenBackend,
+    JsonFileTokenBackend
+};
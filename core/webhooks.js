@@ -0,0 +1,241 @@
+// KIM Webhooks - let desk lights, dashboards and scripts react to what the relay does 🪝
+// Signed JSON POSTs with retries, and a short log of how each delivery went
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getLogger } = require('./logger');
+const { deviceIdFor } = require('./token-store');
+
+const log = getLogger('webhooks');
+
+/** Events a webhook can subscribe to ('*' means all of them) */
+const WEBHOOK_EVENTS = [
+    'device_paired',
+    'prompt_relayed',
+    'prompt_delivered',
+    'prompt_failed'
+];
+
+/** Attempts per delivery, waiting RETRY_DELAY * 2^n between them */
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 1000;
+
+/** How long a receiver gets to answer one attempt */
+const REQUEST_TIMEOUT = 5 * 1000;
+
+/** Deliveries remembered for the delivery log */
+const DELIVERY_LOG_LIMIT = 100;
+
+/**
+ * Signature a receiver recomputes to check a payload came from KIM:
+ * hex HMAC-SHA256 of `${timestamp}.${body}` with the webhook's secret
+ * @param {string} secret
+ * @param {number} timestamp - X-KIM-Timestamp (ms)
+ * @param {string} body - Raw request body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Keep webhooks with a usable http(s) URL and normalise their event filters
+ * @param {Object[]} hooks - [{ url, events?, secret?, includePrompt? }]
+ * @returns {Object[]}
+ */
+function normalizeWebhooks(hooks = []) {
+    if (!Array.isArray(hooks)) return [];
+
+    return hooks.filter(hook => {
+        try {
+            return ['http:', 'https:'].includes(new URL(hook.url).protocol);
+        } catch (error) {
+            log.warn('🪝 Ignoring a webhook without a valid http(s) URL', { url: hook && hook.url });
+            return false;
+        }
+    }).map(hook => ({
+        url: hook.url,
+        events: Array.isArray(hook.events) && hook.events.length > 0 ? hook.events : ['*'],
+        secret: typeof hook.secret === 'string' && hook.secret ? hook.secret : null,
+        includePrompt: Boolean(hook.includePrompt)
+    }));
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.webhooks - [{ url, events, secret, includePrompt }]
+     * @param {string} options.server - 'relay' or 'embedded', sent with every payload
+     * @param {number} options.maxAttempts - Attempts per delivery
+     * @param {number} options.retryDelay - First retry delay in ms (doubles each time)
+     */
+    constructor({ webhooks = [], server = 'relay', maxAttempts = MAX_ATTEMPTS, retryDelay = RETRY_DELAY } = {}) {
+        this.server = server;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.webhooks = normalizeWebhooks(webhooks);
+        /** @type {Object[]} newest last: { id, event, url, status, attempts, responseStatus, error, createdAt, finishedAt } */
+        this.deliveries = [];
+        /** @type {Set<NodeJS.Timeout>} retries waiting to go out */
+        this.timers = new Set();
+    }
+
+    setWebhooks(webhooks) {
+        this.webhooks = normalizeWebhooks(webhooks);
+    }
+
+    /**
+     * Send an event to every webhook that wants it. Returns straight away;
+     * deliveries happen in the background.
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event details; `prompt` only goes to hooks with includePrompt
+     */
+    emit(event, data = {}) {
+        const hooks = this.webhooks.filter(hook => hook.events.includes('*') || hook.events.includes(event));
+        if (hooks.length === 0) return;
+
+        const timestamp = Date.now();
+        hooks.forEach(hook => {
+            const { prompt, ...rest } = data;
+            const payload = {
+                id: crypto.randomUUID(),
+                event,
+                server: this.server,
+                timestamp,
+                data: hook.includePrompt && prompt !== undefined ? { ...rest, prompt } : rest
+            };
+            const delivery = {
+                id: payload.id,
+                event,
+                url: hook.url,
+                status: 'pending',
+                attempts: 0,
+                responseStatus: null,
+                error: null,
+                createdAt: timestamp,
+                finishedAt: null
+            };
+
+            this.deliveries.push(delivery);
+            if (this.deliveries.length > DELIVERY_LOG_LIMIT) {
+                this.deliveries.shift();
+            }
+            this.attempt(hook, payload, delivery);
+        });
+    }
+
+    /**
+     * Emit prompt_delivered / prompt_failed as prompts settle in a PromptStatusLog
+     */
+    watchPromptStatus(promptStatus) {
+        promptStatus.on('update', (entry, previousStatus) => {
+            if (entry.status === previousStatus) return;
+
+            const base = { promptId: entry.promptId, deviceId: deviceIdFor(entry.tokenHash), target: entry.target || null };
+            if (entry.status === 'delivered') {
+                this.emit('prompt_delivered', { ...base, streaming: Boolean(entry.streaming) });
+            } else if (entry.status === 'failed') {
+                this.emit('prompt_failed', { ...base, code: entry.code, reason: entry.reason });
+            }
+        });
+    }
+
+    async attempt(hook, payload, delivery) {
+        delivery.attempts++;
+        const body = JSON.stringify(payload);
+
+        try {
+            const status = await this.post(hook, body, payload);
+            delivery.responseStatus = status;
+
+            if (status >= 200 && status < 300) {
+                this.finish(delivery, 'delivered');
+                return;
+            }
+            delivery.error = `HTTP ${status}`;
+            // Anything but "try later" or a server error won't get better by retrying
+            if (status < 500 && status !== 429) {
+                this.finish(delivery, 'failed');
+                return;
+            }
+        } catch (error) {
+            delivery.error = error.message;
+        }
+
+        if (delivery.attempts >= this.maxAttempts) {
+            this.finish(delivery, 'failed');
+            return;
+        }
+
+        delivery.status = 'retrying';
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.attempt(hook, payload, delivery);
+        }, this.retryDelay * 2 ** (delivery.attempts - 1));
+        timer.unref();
+        this.timers.add(timer);
+    }
+
+    finish(delivery, status) {
+        delivery.status = status;
+        delivery.finishedAt = Date.now();
+
+        const fields = { event: delivery.event, url: delivery.url, attempts: delivery.attempts, responseStatus: delivery.responseStatus };
+        if (status === 'delivered') {
+            log.debug('🪝 Webhook delivered', fields);
+        } else {
+            log.warn('🪝 Webhook delivery failed', { ...fields, reason: delivery.error });
+        }
+    }
+
+    /**
+     * POST one attempt
+     * @returns {Promise<number>} HTTP status
+     */
+    post(hook, body, payload) {
+        const url = new URL(hook.url);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'KIM-Webhooks',
+            'X-KIM-Event': payload.event,
+            'X-KIM-Delivery': payload.id,
+            'X-KIM-Timestamp': String(payload.timestamp)
+        };
+        if (hook.secret) {
+            headers['X-KIM-Signature'] = `sha256=${signPayload(hook.secret, payload.timestamp, body)}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.setTimeout(REQUEST_TIMEOUT, () => request.destroy(new Error('Timed out')));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * The delivery log, newest first
+     * @param {number} limit
+     */
+    getDeliveries(limit = DELIVERY_LOG_LIMIT) {
+        return this.deliveries.slice(-limit).reverse().map(delivery => ({ ...delivery }));
+    }
+
+    // Drop retries that haven't gone out yet
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    normalizeWebhooks,
+    WebhookDispatcher
+};
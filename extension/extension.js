@@ -6,25 +6,262 @@ const WebSocket = require('ws');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const http = require('http');
+const https = require('https');
 const os = require('os');
+const path = require('path');
+const {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    MAX_PROMPT_LENGTH,
+    MAX_DEVICE_NAME_LENGTH,
+    ERROR_CODES,
+    ERROR_EMOJI,
+    parseMessage,
+    negotiateVersion,
+    createPromptId,
+    normalizeContextDirectives,
+    createResponse,
+    createProtocolErrorResponse
+} = require('kim-protocol');
+const {
+    TokenStore,
+    DeviceEventLog,
+    PromptStatusLog,
+    RestApi,
+    PairingGuard,
+    PromptRateLimiter,
+    resolveLimits,
+    PREAUTH_TICKET_TTL,
+    createPairingCode,
+    createPairingTicket,
+    isLoopbackAddress,
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    loadTlsCredentials,
+    signChallenge,
+    getLogger,
+    configureLogging,
+    KIMMetrics,
+    MonitoringApi,
+    WebhookDispatcher,
+    InboundHookStore,
+    InboundHookApi,
+    PromptPipeline,
+    PromptRedactor,
+    PromptIntake,
+    summarizeFindings,
+    formatPretty,
+    findPwaBuild,
+    StaticAssets,
+    PRESENCE_FIELDS,
+    PresenceFeed
+} = require('kim-core');
+const { version: EXTENSION_VERSION } = require('./package.json');
+
+const log = getLogger('extension');
 
 // Embedded KIM Server - no external dependencies! 🚀
 let embeddedServer = null;
 let serverPort = 8080;
 let currentPairingCode = null;
 let statusBarItem = null;
+let tokenStore = null;
+let inboundHooks = null;
+let promptPipeline = null;
+let presenceFeed = null;
+let kimParticipant = null;
+let deviceTree = null;
+let outputChannel = null;
+
+// Relayed prompts waiting for the @kim chat participant to pick them up, by promptId
+const relayedChatPrompts = new Map(); // promptId -> queuedAt
+const RELAYED_PROMPT_TTL = 60 * 1000;
+
+// Editor context attached to a prompt: longest text per attachment, and how many file search matches get ranked and sent
+const MAX_CONTEXT_CHARS = 20000;
+const FILE_SEARCH_SCAN = 500;
+const FILE_SEARCH_RESULTS = 50;
+
+// Message types the embedded server understands (announced in the hello handshake)
+const CAPABILITIES = [
+    'hello',
+    'pair',
+    'preauth',
+    'resume',
+    'prompt',
+    'find_files',
+    'ping',
+    'generate_pairing_code',
+    'get_pairing_sessions',
+    'get_pairing_status',
+    'get_webhook_deliveries',
+    'list_devices',
+    'rename_device',
+    'revoke_device',
+    'verify_server'
+];
+
+/**
+ * Log sink for the "KIM" Output channel
+ */
+class OutputChannelSink {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    write(record) {
+        this.channel.appendLine(formatPretty(record));
+    }
+}
+
+// Level and prompt redaction come from the kim.logging.* settings
+function applyLoggingSettings() {
+    const config = vscode.workspace.getConfiguration('kim');
+    configureLogging({
+        level: config.get('logging.level', 'info'),
+        includePrompts: config.get('logging.includePrompts', false),
+        sinks: [new OutputChannelSink(outputChannel)]
+    });
+}
+
+/**
+ * Token backend for the embedded server - paired devices are kept in VS Code's
+ * SecretStorage so they survive window reloads (globalState on hosts without it)
+ */
+class VSCodeTokenBackend {
+    /**
+     * @param {vscode.ExtensionContext} context
+     * @param {string} key - Storage key
+     */
+    constructor(context, key = 'kim.pairedDevices') {
+        this.context = context;
+        this.key = key;
+    }
+
+    async read() {
+        if (this.context.secrets) {
+            const raw = await this.context.secrets.get(this.key);
+            return raw ? JSON.parse(raw) : [];
+        }
+        return this.context.globalState.get(this.key, []);
+    }
+
+    async write(records) {
+        if (this.context.secrets) {
+            await this.context.secrets.store(this.key, JSON.stringify(records));
+            return;
+        }
+        await this.context.globalState.update(this.key, records);
+    }
+}
+
+/** Device type -> codicon shown in the device tree */
+const DEVICE_ICONS = {
+    phone: 'device-mobile',
+    tablet: 'device-mobile',
+    laptop: 'device-desktop'
+};
+
+/**
+ * Paired devices in the explorer's KIM view, with rename and revoke actions 📱
+ * Each device expands into a few details; the list refreshes as devices come and go.
+ */
+class KIMDeviceTreeProvider {
+    constructor() {
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+    }
+
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        if (element) return element.details || [];
+        // Nothing to show while the server is stopped - the welcome view takes over
+        if (!embeddedServer) return [];
+        return embeddedServer.listDevices().map(device => this.createDeviceItem(device));
+    }
+
+    createDeviceItem(device) {
+        const item = new vscode.TreeItem(device.name, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = device.id;
+        item.deviceId = device.id;
+        item.contextValue = 'kimDevice';
+        item.iconPath = new vscode.ThemeIcon(DEVICE_ICONS[device.deviceType] || 'device-mobile');
+        item.description = device.online ? '🟢 online' : `⚪ last seen ${new Date(device.lastActivity).toLocaleString()}`;
+        item.tooltip = `${device.name} (${device.deviceType}) - ${device.online ? 'connected' : 'offline'}`;
+        item.details = [
+            ['Type', device.deviceType],
+            ['Paired', new Date(device.pairedAt).toLocaleString()],
+            ['Last active', new Date(device.lastActivity).toLocaleString()],
+            ['Expires', new Date(device.expiresAt).toLocaleString()]
+        ].map(([label, value]) => {
+            const detail = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+            detail.description = value;
+            return detail;
+        });
+        return item;
+    }
+}
 
 /**
  * Embedded KIM Relay Server - Runs directly in the VS Code extension! 🚀
  * No external processes needed - everything is self-contained
  */
 class EmbeddedKIMServer {
-    constructor(port = 8080) {
+    /**
+     * @param {number} port - Preferred port
+     * @param {Object} options
+     * @param {TokenStore} options.tokenStore - Where paired devices are remembered
+     * @param {boolean} options.tls - Serve https/wss with the local KIM certificate
+     * @param {string} options.tlsDir - Where the certificate is cached
+     * @param {Function} options.onDevicesChanged - Called with { type, deviceId } when the device list changes
+     * @param {Object} options.limits - Rate limits and caps (from the kim.limits.* settings)
+     * @param {Object[]} options.webhooks - [{ url, events, secret, includePrompt }] (from the kim.webhooks setting)
+     * @param {InboundHookStore} options.inboundHooks - Hooks that turn POSTed events into prompts
+     * @param {PromptPipeline} options.pipeline - Plugins from the workspace's .kim/plugins folder
+     * @param {Object} options.redaction - { policy, pii, customPatterns } (from the kim.redaction.* settings)
+     */
+    constructor(port = 8080, options = {}) {
         this.port = parseInt(port);
+        this.tlsEnabled = Boolean(options.tls);
+        this.tlsDir = options.tlsDir;
+        this.tls = null; // { key, cert, ca, fingerprint } once TLS is up
         this.httpServer = null;
         this.wss = null;
         this.clients = new Map(); // token -> client connection
         this.pairingSessions = new Map(); // code -> { token, expires, deviceType }
+        this.pairingGuard = new PairingGuard(); // backoff and lockouts for clients guessing codes
+        this.limits = resolveLimits(options.limits); // prompt rates, connection/pairing code caps, largest frame
+        this.rateLimiter = new PromptRateLimiter(this.limits); // token buckets per device and per remote address
+        this.tokenStore = options.tokenStore || new TokenStore(); // hashed token -> device record
+        this.eventLog = new DeviceEventLog(); // per-device event history for resume
+        this.responseRoutes = new Map(); // promptId -> { token, index, createdAt } for streamed answers
+        this.promptStatus = new PromptStatusLog(); // where each prompt got to, for the REST API
+        this.restApi = new RestApi(this);
+        this.metrics = new KIMMetrics(this, { server: 'embedded', version: EXTENSION_VERSION }); // behind /metrics
+        this.monitoring = new MonitoringApi(this); // /metrics, /healthz and /readyz
+        this.webhooks = new WebhookDispatcher({ webhooks: options.webhooks, server: 'embedded' }); // signed event POSTs
+        this.webhooks.watchPromptStatus(this.promptStatus);
+        this.inboundHooks = options.inboundHooks || new InboundHookStore(); // id -> { name, secret, template }
+        this.hookApi = new InboundHookApi(this); // POST /hooks/:hookId
+        this.pipeline = options.pipeline || new PromptPipeline(); // may rewrite or refuse prompts before injection
+        this.redactor = new PromptRedactor(options.redaction); // masks, flags or stops secrets pasted into prompts
+        this.intake = new PromptIntake(this, { server: 'embedded' }); // redactor + pipeline, reported to the device
+        this.presence = options.presence || new PresenceFeed(); // focus, active file, Copilot busy/idle for devices
+        this.presenceSubscription = this.presence.onChange(snapshot => this.broadcastPresence(snapshot));
+        // The React PWA: bundled as pwa-dist when packaged, ../pwa/dist when running from the repo
+        this.pwaAssets = new StaticAssets(findPwaBuild([
+            path.join(__dirname, 'pwa-dist'),
+            path.join(__dirname, '..', 'pwa', 'dist')
+        ]));
+        this.onDevicesChanged = options.onDevicesChanged || null;
         this.startTime = null;
         this.cleanupInterval = null;
         this.heartbeatInterval = null;
@@ -48,7 +285,7 @@ class EmbeddedKIMServer {
 
         for (const port of portRanges) {
             if (await this.isPortAvailable(port)) {
-                console.log(`✅ Found available port: ${port}`);
+                log.debug(`✅ Found available port: ${port}`);
                 return port;
             }
         }
@@ -86,7 +323,7 @@ class EmbeddedKIMServer {
             server.listen(0, '0.0.0.0', () => {
                 const port = server.address().port;
                 server.close(() => {
-                    console.log(`🎲 System assigned port: ${port}`);
+                    log.debug(`🎲 System assigned port: ${port}`);
                     resolve(port);
                 });
             });
@@ -97,7 +334,19 @@ class EmbeddedKIMServer {
 
     async start() {
         this.startTime = Date.now();
-        console.log('🚀 Starting embedded KIM server...');
+        log.info('🚀 Starting embedded KIM server...');
+
+        // Bring back devices paired before the last reload
+        const restored = await this.tokenStore.load();
+        if (restored > 0) {
+            log.info(`💾 Restored ${restored} paired device(s)`);
+        }
+        await this.inboundHooks.load();
+
+        if (this.tlsEnabled) {
+            this.tls = await loadTlsCredentials({ dir: this.tlsDir });
+            log.info('🔐 TLS enabled', { fingerprint: this.tls.fingerprint });
+        }
 
         // Find an available port dynamically
         this.port = await this.findAvailablePort(this.port);
@@ -107,28 +356,37 @@ class EmbeddedKIMServer {
         this.cleanupInterval = setInterval(() => this.cleanupExpiredTokens(), 5 * 60 * 1000);
         this.heartbeatInterval = setInterval(() => this.performHeartbeat(), 30 * 1000);
 
-        console.log(`🎉 Embedded KIM Server running on port ${this.port}`);
+        log.info(`🎉 Embedded KIM Server running on port ${this.port}`);
+        if (this.pwaAssets.available) {
+            log.info('📱 Serving the KIM PWA', { root: this.pwaAssets.root });
+        } else {
+            log.warn('⚠️ No PWA build found - serving the built-in page (build pwa/ and repackage to get the full app)');
+        }
         this.logNetworkInfo();
     }
 
     async tryStartOnPort(port) {
         return new Promise((resolve, reject) => {
-            // Create HTTP server for PWA serving and API endpoints
-            this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
+            // Create HTTP(S) server for PWA serving and API endpoints
+            const handler = (req, res) => this.handleHttpRequest(req, res);
+            this.httpServer = this.tls
+                ? https.createServer({ key: this.tls.key, cert: this.tls.cert }, handler)
+                : http.createServer(handler);
 
-            // Create WebSocket server
+            // Create WebSocket server - oversized frames close the connection (1009) before they are parsed
             this.wss = new WebSocket.Server({
-                server: this.httpServer
+                server: this.httpServer,
+                maxPayload: this.limits.maxMessageBytes
             });
 
             // Set up error handling before listening
             this.httpServer.on('error', (error) => {
-                console.log(`❌ Server error on port ${port}:`, error.message);
+                log.error(`❌ Server error on port ${port}`, { error });
                 reject(error);
             });
 
             this.httpServer.listen(port, '0.0.0.0', () => {
-                console.log(`✅ Server successfully bound to port ${port}`);
+                log.debug(`✅ Server successfully bound to port ${port}`);
                 resolve();
             });
 
@@ -139,30 +397,43 @@ class EmbeddedKIMServer {
                 ws.connectedAt = Date.now();
                 ws.lastPing = Date.now();
                 ws.clientIP = req.socket.remoteAddress;
+                // Peers that skip the hello handshake are assumed to speak the default version
+                ws.protocolVersion = PROTOCOL_VERSION;
 
-                console.log('📱 New connection from:', ws.clientIP);
+                if (this.wss.clients.size > this.limits.maxConnections) {
+                    this.rejectConnection(ws);
+                    return;
+                }
+                this.metrics.connections.inc({ outcome: 'accepted' });
+
+                log.debug('📱 New connection', { ip: ws.clientIP });
 
                 // Send welcome message
-                this.sendResponse(ws, 'welcome', true, 'Welcome to KIM! 🚀', '👋');
+                this.sendResponse(ws, 'welcome', true, 'Welcome to KIM! 🚀', '👋', null, {
+                    protocolVersion: PROTOCOL_VERSION,
+                    supportedVersions: SUPPORTED_VERSIONS
+                });
 
                 ws.on('message', (data) => {
-                    try {
-                        const message = JSON.parse(data.toString());
-                        ws.lastPing = Date.now();
-                        this.handleMessage(ws, message);
-                    } catch (error) {
-                        console.error('🐛 Message parsing error:', error);
-                        this.sendError(ws, 'Invalid message format', '🐛');
+                    ws.lastPing = Date.now();
+                    const { message, error } = parseMessage(data.toString());
+                    if (error) {
+                        log.warn('🐛 Rejected message', { ip: ws.clientIP, code: error.code, reason: error.message });
+                        if (ws.readyState === WebSocket.OPEN) {
+                            ws.send(JSON.stringify(createProtocolErrorResponse(error)));
+                        }
+                        return;
                     }
+                    this.handleMessage(ws, message);
                 });
 
                 ws.on('close', () => {
-                    console.log('👋 Client disconnected');
+                    log.debug('👋 Client disconnected', { ip: ws.clientIP });
                     this.removeClient(ws);
                 });
 
                 ws.on('error', (error) => {
-                    console.error('🐛 WebSocket error:', error);
+                    log.error('🐛 WebSocket error', { ip: ws.clientIP, error });
                 });
 
                 // Set up heartbeat
@@ -176,13 +447,43 @@ class EmbeddedKIMServer {
     }
 
     handleHttpRequest(req, res) {
+        // Prompts and devices for scripts and Shortcuts
+        if (this.restApi.handle(req, res)) {
+            return;
+        }
+
+        // Prometheus scrapes and health probes
+        if (this.monitoring.handle(req, res)) {
+            return;
+        }
+
+        // CI, test runners and scripts posting events for Copilot
+        if (this.hookApi.handle(req, res)) {
+            return;
+        }
+
         // Handle API endpoints
         if (req.url === '/api/server-info') {
             this.handleServerInfoRequest(req, res);
             return;
         }
 
-        // Serve the PWA directly from the extension
+        // Install this on a phone to trust the local KIM certificate
+        if (req.url === '/kim-ca.crt' && this.tls) {
+            res.writeHead(200, {
+                'Content-Type': 'application/x-x509-ca-cert',
+                'Content-Disposition': 'attachment; filename="kim-ca.crt"'
+            });
+            res.end(this.tls.ca);
+            return;
+        }
+
+        // The React PWA, with its own cache headers and SPA fallback
+        if (this.pwaAssets.serve(req, res)) {
+            return;
+        }
+
+        // No PWA build shipped - fall back to the built-in page
         if (req.url === '/' || req.url === '/index.html') {
             this.servePWA(req, res);
             return;
@@ -199,8 +500,7 @@ class EmbeddedKIMServer {
     }
 
     servePWA(req, res) {
-        const localIPs = this.getLocalIPs();
-        const wsUrl = localIPs.length > 0 ? `ws://${localIPs[0]}:${this.port}` : `ws://localhost:${this.port}`;
+        const wsUrl = this.getBaseUrl(this.tls ? 'wss' : 'ws');
 
         // Serve a complete PWA that connects to our WebSocket server
         res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -363,6 +663,16 @@ class EmbeddedKIMServer {
                         color: #e0e0e0;
                         word-wrap: break-word;
                     }
+                    .history-item .response-text {
+                        color: #c0c0c0;
+                        background: #262626;
+                        border-radius: 4px;
+                        padding: 6px 8px;
+                        margin-top: 6px;
+                        white-space: pre-wrap;
+                        font-family: monospace;
+                        font-size: 12px;
+                    }
                     .history-item .reuse-hint {
                         color: #888;
                         font-size: 10px;
@@ -425,6 +735,7 @@ class EmbeddedKIMServer {
                 <script>
                     let ws = null;
                     let token = null;
+                    let lastSeq = 0;
                     let isConnected = false;
                     let isPaired = false;
                     let promptHistory = [];
@@ -433,8 +744,6 @@ class EmbeddedKIMServer {
 
                     // Auto-detect server URL from current page
                     const wsUrl = '${wsUrl}';
-                    
-
 
                     function showToast(message, type = 'info') {
                         const toast = document.createElement('div');
@@ -484,31 +793,23 @@ class EmbeddedKIMServer {
                             // Only show connection success if we were previously disconnected
                             const showConnectionMessage = lastConnectionState !== 'connected';
                             
-                            // Check if we have a pre-auth token
-                            if (window.preAuthToken) {
-                                console.log('Sending pre-auth message');
-                                ws.send(JSON.stringify({
-                                    type: 'preauth',
-                                    token: window.preAuthToken,
-                                    deviceInfo: {
-                                        type: 'mobile',
-                                        userAgent: navigator.userAgent,
-                                        timestamp: Date.now()
-                                    }
-                                }));
-                                updateStatus('🟡 Pre-authenticating...', true, false);
-                            } else {
-                                updateStatus('🟡 Connected - Enter pairing code', true, false);
-                                if (showConnectionMessage) {
-                                    showToast('Connected to KIM server! 🚀', 'success');
-                                }
-                            }
-                            
+                            // Version handshake before anything else
+                            ws.send(JSON.stringify({
+                                type: 'hello',
+                                protocolVersion: ${PROTOCOL_VERSION},
+                                supportedVersions: ${JSON.stringify(SUPPORTED_VERSIONS)},
+                                client: { name: 'kim-embedded-pwa' }
+                            }));
+
+                            startSession(showConnectionMessage);
                             lastConnectionState = newState;
                         };
                         
                         ws.onmessage = (event) => {
                             const message = JSON.parse(event.data);
+                            if (typeof message.seq === 'number') {
+                                lastSeq = Math.max(lastSeq, message.seq);
+                            }
                             handleMessage(message);
                         };
                         
@@ -545,31 +846,85 @@ class EmbeddedKIMServer {
                         };
                     }
 
+                    function startSession(showConnectionMessage) {
+                        // Resume an existing pairing, otherwise redeem a QR ticket
+                        if (token) {
+                            // Already paired - pick up where we left off
+                            ws.send(JSON.stringify({ type: 'resume', token: token, lastSeq: lastSeq }));
+                            updateStatus('🟡 Resuming session...', true, false);
+                        } else if (window.preAuthTicket) {
+                            console.log('Redeeming pre-auth ticket');
+                            ws.send(JSON.stringify({
+                                type: 'preauth',
+                                ticket: window.preAuthTicket,
+                                deviceInfo: {
+                                    type: 'mobile',
+                                    userAgent: navigator.userAgent,
+                                    timestamp: Date.now()
+                                }
+                            }));
+                            updateStatus('🟡 Pre-authenticating...', true, false);
+                        } else {
+                            updateStatus('🟡 Connected - Enter pairing code', true, false);
+                            if (showConnectionMessage) {
+                                showToast('Connected to KIM server! 🚀', 'success');
+                            }
+                        }
+                    }
+
                     function handleMessage(message) {
                         switch (message.type) {
                             case 'paired':
                                 token = message.data?.token;
+                                window.preAuthTicket = null; // Tickets only work once
                                 updateStatus('🟢 Connected and paired! Ready to send prompts', true, true);
                                 showToast(\`\${message.message} \${message.emoji}\`, 'success');
                                 if (message.quip) {
                                     setTimeout(() => showToast(message.quip, 'info'), 1000);
                                 }
                                 break;
+                            case 'resumed':
+                                updateStatus('🟢 Connected and paired! Ready to send prompts', true, true);
+                                break;
+                            case 'revoked':
+                                // Unpaired from VS Code - back to the code entry
+                                token = null;
+                                updateStatus('🟡 Connected - Enter pairing code', true, false);
+                                showToast(\`\${message.message} \${message.emoji}\`, 'info');
+                                break;
                             case 'prompt_received':
+                                updateHistoryStatus(message.data?.promptId, 'received');
                                 showToast(\`\${message.message} \${message.emoji}\`, 'success');
                                 break;
                             case 'prompt_delivered':
+                                updateHistoryStatus(message.data?.promptId, 'delivered');
                                 showToast(\`\${message.message} \${message.emoji}\`, 'success');
                                 if (message.quip) {
                                     setTimeout(() => showToast(message.quip, 'info'), 500);
                                 }
                                 break;
+                            case 'prompt_failed':
+                                updateHistoryStatus(message.data?.promptId, 'failed');
+                                showToast(\`\${message.message} \${message.emoji}\`, 'error');
+                                break;
+                            case 'response_chunk':
+                                updateHistoryResponse(message.data?.promptId, message.data?.text, true);
+                                break;
+                            case 'response_done':
+                                updateHistoryResponse(message.data?.promptId, message.data?.text || message.data?.error || '', false);
+                                break;
                             case 'error':
                                 showToast(\`\${message.message} \${message.emoji}\`, 'error');
-                                if (message.message.includes('coffee break')) {
+                                updateHistoryStatus(message.data?.promptId, 'failed');
+                                if (message.data?.code === 'session_expired' || message.message.includes('coffee break')) {
                                     // Token expired, need to re-pair
                                     token = null;
                                     updateStatus('🟡 Connected - Enter pairing code', true, false);
+                                } else if (window.preAuthTicket && !token) {
+                                    // The QR ticket was used already or ran out - fall back to a code
+                                    window.preAuthTicket = null;
+                                    updateStatus('🟡 Connected - Enter pairing code', true, false);
+                                    setTimeout(() => showToast('That QR link only works once - ask for a fresh code 🎟️', 'info'), 1000);
                                 }
                                 break;
                         }
@@ -612,13 +967,14 @@ class EmbeddedKIMServer {
                             return;
                         }
                         
-                        // Add to history before sending
-                        addToHistory(prompt);
+                        // Add to history before sending - the id lets delivery updates find the row
+                        const promptId = addToHistory(prompt);
                         
                         ws.send(JSON.stringify({
                             type: 'prompt',
                             token: token,
-                            prompt: prompt
+                            prompt: prompt,
+                            promptId: promptId
                         }));
                         
                         document.getElementById('promptInput').value = '';
@@ -629,7 +985,8 @@ class EmbeddedKIMServer {
                         const historyItem = {
                             prompt: prompt,
                             timestamp: new Date(),
-                            id: Date.now()
+                            id: Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10),
+                            status: 'sent'
                         };
                         
                         promptHistory.unshift(historyItem); // Add to beginning
@@ -640,8 +997,33 @@ class EmbeddedKIMServer {
                         }
                         
                         updateHistoryDisplay();
+                        return historyItem.id;
                     }
                     
+                    function updateHistoryStatus(promptId, status) {
+                        const item = promptHistory.find(entry => entry.id === promptId);
+                        if (item) {
+                            item.status = status;
+                            updateHistoryDisplay();
+                        }
+                    }
+                    
+                    function updateHistoryResponse(promptId, text, append) {
+                        const item = promptHistory.find(entry => entry.id === promptId);
+                        if (item) {
+                            item.response = append ? (item.response || '') + text : text;
+                            updateHistoryDisplay();
+                        }
+                    }
+                    
+                    function escapeHtml(text) {
+                        return text.replace(/[&<>"']/g, char => ({
+                            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+                        })[char]);
+                    }
+                    
+                    const statusEmoji = { sent: '📤', received: '📨', delivered: '✅', failed: '❌' };
+                    
                     function updateHistoryDisplay() {
                         const historyContainer = document.getElementById('promptHistory');
                         
@@ -658,8 +1040,9 @@ class EmbeddedKIMServer {
                             
                             return \`
                                 <div class="history-item" onclick="reusePrompt('\${item.prompt.replace(/'/g, "\\'")}')">
-                                    <div class="timestamp">📤 \${timeStr}</div>
+                                    <div class="timestamp">\${statusEmoji[item.status] || '📤'} \${timeStr}</div>
                                     <div class="prompt-text">\${truncatedPrompt}</div>
+                                    \${item.response ? \`<div class="response-text">\${escapeHtml(item.response)}</div>\` : ''}
                                     <div class="reuse-hint">💡 Click to reuse</div>
                                 </div>
                             \`;
@@ -684,7 +1067,7 @@ class EmbeddedKIMServer {
                             ws.close();
                         }
                         token = null;
-                        window.preAuthToken = null;
+                        window.preAuthTicket = null;
                         lastConnectionState = 'manually_disconnected';
                         hasShownDisconnectMessage = true; // Prevent auto-reconnect messages
                         updateStatus('🔴 Disconnected', false, false);
@@ -858,12 +1241,12 @@ class EmbeddedKIMServer {
                         
                         try {
                             const qrUrl = new URL(qrData);
-                            const token = qrUrl.searchParams.get('token');
+                            const ticket = qrUrl.searchParams.get('ticket');
                             const code = qrUrl.searchParams.get('code');
                             
-                            if (token) {
-                                // Pre-auth token found
-                                window.preAuthToken = token;
+                            if (ticket) {
+                                // One-time pre-auth ticket found
+                                window.preAuthTicket = ticket;
                                 showToast('🚀 QR code scanned! Connecting...', 'success');
                                 connect();
                             } else if (code && code.length === 6) {
@@ -900,21 +1283,23 @@ class EmbeddedKIMServer {
                     // Handle clear history button
                     document.getElementById('clearHistory').addEventListener('click', clearHistory);
 
-                    // Check for pre-auth token or pairing code in URL
+                    // Check for a pre-auth ticket or pairing code in URL
                     const urlParams = new URLSearchParams(window.location.search);
-                    const preAuthToken = urlParams.get('token');
+                    const preAuthTicket = urlParams.get('ticket');
                     const codeFromUrl = urlParams.get('code');
                     
-                    // Pre-authentication: Skip pairing entirely if we have a token
-                    if (preAuthToken) {
-                        console.log('Pre-auth token detected - will auto-authenticate');
-                        token = preAuthToken;
-                        showToast('🚀 Pre-auth token detected! Connecting...', 'success');
+                    // Pre-authentication: Skip pairing entirely if we have a ticket
+                    if (preAuthTicket) {
+                        console.log('Pre-auth ticket detected - will auto-authenticate');
+                        showToast('🚀 QR link detected! Connecting...', 'success');
                         
-                        // Send pre-auth message after connection
-                        window.preAuthToken = preAuthToken;
+                        // Redeemed once connected; keep it out of the history either way
+                        window.preAuthTicket = preAuthTicket;
+                        urlParams.delete('ticket');
+                        const remaining = urlParams.toString();
+                        history.replaceState(null, '', window.location.pathname + (remaining ? '?' + remaining : ''));
                     }
-                    // Fallback: Auto-fill pairing code if no pre-auth token
+                    // Fallback: Auto-fill pairing code if no pre-auth ticket
                     else if (codeFromUrl && codeFromUrl.length === 6 && !isNaN(codeFromUrl)) {
                         document.getElementById('codeInput').value = codeFromUrl;
                         showToast('QR code detected! Code auto-filled 📱', 'success');
@@ -936,13 +1321,12 @@ class EmbeddedKIMServer {
     }
 
     servePWAAsset(req, res) {
-        // For now, return 404 for assets since we're serving everything inline
-        // Future enhancement: serve actual PWA assets from extension bundle
+        // Only reached without a PWA build - the built-in page is self-contained
         res.writeHead(404, {
             'Content-Type': 'text/plain',
             'Access-Control-Allow-Origin': '*'
         });
-        res.end('🤖 Asset not found - but the embedded PWA has everything you need!');
+        res.end('🤖 Asset not found - this KIM build has no PWA bundle, so the built-in page is served instead');
     }
 
     handleServerInfoRequest(req, res) {
@@ -950,7 +1334,8 @@ class EmbeddedKIMServer {
         const serverInfo = {
             port: this.port,
             ips: localIPs,
-            websocketUrls: localIPs.map(ip => `ws://${ip}:${this.port}`),
+            websocketUrls: localIPs.map(ip => `${this.tls ? 'wss' : 'ws'}://${ip}:${this.port}`),
+            secure: Boolean(this.tls),
             status: 'running',
             uptime: Date.now() - (this.startTime || Date.now()),
             activeConnections: this.wss?.clients?.size || 0,
@@ -964,6 +1349,23 @@ class EmbeddedKIMServer {
         res.end(JSON.stringify(serverInfo, null, 2));
     }
 
+    /**
+     * Where devices on the LAN reach this server
+     * @param {string} scheme - Defaults to https when TLS is on, http otherwise
+     */
+    getBaseUrl(scheme = this.tls ? 'https' : 'http') {
+        const localIPs = this.getLocalIPs();
+        return `${scheme}://${localIPs.length > 0 ? localIPs[0] : 'localhost'}:${this.port}`;
+    }
+
+    /**
+     * Link for a pairing QR: pre-auth when the code is still live, code-based otherwise
+     */
+    getPairingUrl(code) {
+        const baseUrl = this.getBaseUrl();
+        return this.generatePreAuthUrl(code) || (code ? `${baseUrl}?code=${code}` : baseUrl);
+    }
+
     getLocalIPs() {
         const networkInterfaces = os.networkInterfaces();
         const localIPs = [];
@@ -997,22 +1399,17 @@ class EmbeddedKIMServer {
         });
     }
 
-    
-
     logNetworkInfo() {
         const localIPs = this.getLocalIPs();
-        console.log('🔍 Network Debug Info:');
-        console.log('   All detected IPs:', localIPs);
-        console.log('   Selected IP:', localIPs.length > 0 ? localIPs[0] : 'localhost');
+        log.debug('🔍 Network Debug Info', { ips: localIPs, selected: localIPs.length > 0 ? localIPs[0] : 'localhost' });
 
         if (localIPs.length > 0) {
-            console.log('📱 Local network access:');
-            localIPs.forEach((ip, index) => {
-                console.log(`   ${index === 0 ? '👑' : '  '} http://${ip}:${this.port} (PWA)`);
-                console.log(`   ${index === 0 ? '👑' : '  '} ws://${ip}:${this.port} (WebSocket)`);
+            log.info('📱 Local network access', {
+                pwa: localIPs.map(ip => `${this.tls ? 'https' : 'http'}://${ip}:${this.port}`),
+                websocket: localIPs.map(ip => `${this.tls ? 'wss' : 'ws'}://${ip}:${this.port}`)
             });
         } else {
-            console.log('⚠️  No local network interfaces found. Using localhost only.');
+            log.warn('⚠️ No local network interfaces found. Using localhost only.');
         }
     }
 
@@ -1020,46 +1417,217 @@ class EmbeddedKIMServer {
         const { type, token, code, prompt, deviceInfo } = message;
 
         switch (type) {
+            case 'hello':
+                this.handleHello(ws, message);
+                break;
             case 'pair':
                 this.handlePairing(ws, code, deviceInfo);
                 break;
             case 'preauth':
-                this.handlePreAuth(ws, token, deviceInfo);
+                this.handlePreAuth(ws, message.ticket, deviceInfo);
+                break;
+            case 'resume':
+                this.handleResume(ws, token, message.lastSeq);
                 break;
             case 'prompt':
-                this.handlePrompt(ws, token, prompt);
+                this.handlePrompt(ws, token, prompt, message.promptId, message.context);
+                break;
+            case 'find_files':
+                this.handleFindFiles(ws, token, message.query);
                 break;
             case 'ping':
-                this.sendResponse(ws, 'pong', true, 'Connection alive', '💓');
+                this.sendResponse(ws, 'pong', true, 'Connection alive', '💓', null, {
+                    timestamp: message.timestamp || Date.now(),
+                    serverTime: Date.now()
+                });
+                break;
+            case 'get_pairing_sessions':
+                if (!this.requireLocal(ws, type)) break;
+                this.sendResponse(ws, 'pairing_sessions', true, 'Active sessions', '📋', null, {
+                    sessions: this.getActivePairingSessions()
+                });
+                break;
+            case 'verify_server':
+                this.handleVerifyServer(ws, message.nonce);
+                break;
+            case 'get_webhook_deliveries':
+                if (!this.requireLocal(ws, type)) break;
+                this.sendResponse(ws, 'webhook_deliveries', true, 'Webhook deliveries', '🪝', null, {
+                    webhooks: this.webhooks.webhooks.map(({ url, events }) => ({ url, events })),
+                    deliveries: this.webhooks.getDeliveries()
+                });
+                break;
+
+            case 'get_pairing_status':
+                if (!this.requireLocal(ws, type)) break;
+                this.sendResponse(ws, 'pairing_status', true, 'Pairing security', '🛡️', null, this.getPairingStatus());
                 break;
             case 'generate_pairing_code':
-                const newSession = this.generatePairingCode(deviceInfo?.deviceType || 'unknown');
+                if (!this.requireLocal(ws, type)) break;
+                const newSession = this.generatePairingCode(message.deviceType || deviceInfo?.deviceType || 'unknown');
                 this.sendResponse(ws, 'pairing_code_generated', true, 'New pairing code', '🔢', null, {
                     code: newSession.code,
-                    expiresIn: Math.ceil((newSession.expires - Date.now()) / 1000)
+                    expiresIn: Math.ceil((newSession.expires - Date.now()) / 1000),
+                    ticket: newSession.ticket,
+                    fingerprint: this.tls ? this.tls.fingerprint : null
                 });
                 // Update the global pairing code for the extension
                 currentPairingCode = newSession.code;
                 break;
+            case 'list_devices':
+                this.handleListDevices(ws, token);
+                break;
+            case 'rename_device':
+                this.handleRenameDevice(ws, message);
+                break;
+            case 'revoke_device':
+                this.handleRevokeDevice(ws, message);
+                break;
             default:
-                this.sendError(ws, 'Unknown message type', '🤔');
+                this.sendError(ws, `${type} is not supported by this server`, '🚧', {
+                    code: ERROR_CODES.UNSUPPORTED_MESSAGE
+                });
+        }
+    }
+
+    /**
+     * Version handshake - agree on the newest protocol both sides speak
+     */
+    handleHello(ws, hello) {
+        const version = negotiateVersion(hello);
+
+        if (version === null) {
+            this.sendError(ws, 'No protocol version in common - please update KIM', '📜', {
+                code: ERROR_CODES.UNSUPPORTED_VERSION,
+                supportedVersions: SUPPORTED_VERSIONS
+            });
+            ws.close(1002, 'Unsupported protocol version');
+            return;
         }
+
+        ws.protocolVersion = version;
+        ws.clientInfo = hello.client || {};
+
+        this.sendResponse(ws, 'hello', true, 'Protocol negotiated', '🤝', null, {
+            protocolVersion: version,
+            server: { name: 'kim-vscode-extension', version: EXTENSION_VERSION },
+            capabilities: CAPABILITIES
+        });
+    }
+
+    /**
+     * Prove this server holds the key behind its certificate. Only worth asking for
+     * when the client can compare the signed certificate with the one its TLS session
+     * saw - a browser page cannot, and relies on the installed KIM CA instead
+     */
+    handleVerifyServer(ws, nonce) {
+        if (!this.tls) {
+            this.sendError(ws, 'This server is not using TLS', ERROR_EMOJI[ERROR_CODES.TLS_DISABLED], {
+                code: ERROR_CODES.TLS_DISABLED
+            });
+            return;
+        }
+
+        if (nonce.length < 16 || nonce.length > 256) {
+            this.sendError(ws, 'The nonce must be 16-256 characters', ERROR_EMOJI[ERROR_CODES.INVALID_MESSAGE], {
+                code: ERROR_CODES.INVALID_MESSAGE
+            });
+            return;
+        }
+
+        this.sendResponse(ws, 'server_identity', true, 'Here is my ID', '🪪', null, {
+            fingerprint: this.tls.fingerprint,
+            ...signChallenge(this.tls.key, nonce, this.tls.cert)
+        });
+    }
+
+    /**
+     * Only this machine may hand out or list pairing codes - a LAN client
+     * that could read them would not need to guess
+     */
+    requireLocal(ws, type) {
+        if (isLoopbackAddress(ws.clientIP)) return true;
+
+        this.sendError(ws, `${type} only works from the machine running VS Code`, ERROR_EMOJI[ERROR_CODES.LOCAL_ONLY], {
+            code: ERROR_CODES.LOCAL_ONLY
+        });
+        return false;
+    }
+
+    /**
+     * Refuse pair/preauth attempts from a client that is backing off or locked out
+     * @returns {boolean} Whether the attempt may go ahead
+     */
+    checkPairingAllowed(ws) {
+        const { allowed, locked, retryAfter } = this.pairingGuard.check(ws.clientIP);
+        if (allowed) return true;
+
+        const seconds = Math.ceil(retryAfter / 1000);
+        this.metrics.pairings.inc({ outcome: 'throttled' });
+        const message = locked
+            ? `Too many wrong codes! Pairing is locked for ${Math.ceil(seconds / 60)} more minute(s)`
+            : `Easy there! Try again in ${seconds}s`;
+        this.sendError(ws, message, ERROR_EMOJI[ERROR_CODES.TOO_MANY_ATTEMPTS], {
+            code: ERROR_CODES.TOO_MANY_ATTEMPTS,
+            retryAfter: seconds,
+            locked
+        });
+        return false;
+    }
+
+    /**
+     * Count a failed pair/preauth attempt and tell the client when it may try again.
+     * Live codes that collected too many wrong guesses are retired.
+     */
+    rejectPairingAttempt(ws, reason, emoji, liveCodes = []) {
+        const { locked, retryAfter, burned } = this.pairingGuard.recordFailure(ws.clientIP, liveCodes);
+        this.metrics.pairings.inc({ outcome: 'failed' });
+
+        burned.forEach(code => {
+            this.pairingSessions.delete(code);
+            if (currentPairingCode === code) {
+                currentPairingCode = null;
+            }
+            log.warn('🔥 Pairing code retired after too many wrong guesses', { pairingCode: code });
+        });
+
+        const message = locked
+            ? `${reason} - too many wrong codes, pairing is locked for ${Math.ceil(retryAfter / 60000)} minute(s)`
+            : reason;
+        this.sendError(ws, message, emoji, {
+            code: locked ? ERROR_CODES.TOO_MANY_ATTEMPTS : ERROR_CODES.PAIRING_FAILED,
+            retryAfter: Math.ceil(retryAfter / 1000),
+            locked
+        });
+    }
+
+    // Failed attempts and lockouts, for the control panel
+    getPairingStatus() {
+        return {
+            ...this.pairingGuard.getStatus(),
+            activeCodes: this.getActivePairingSessions().length
+        };
     }
 
     handlePairing(ws, code, deviceInfo = {}) {
+        if (!this.checkPairingAllowed(ws)) return;
+
         const validation = this.validatePairingCode(code);
 
         if (!validation.valid) {
-            this.sendError(ws, validation.reason, validation.emoji);
+            const liveCodes = this.getActivePairingSessions().map(session => session.code);
+            this.rejectPairingAttempt(ws, validation.reason, validation.emoji, liveCodes);
             return;
         }
 
+        this.pairingGuard.recordSuccess(ws.clientIP);
         const session = validation.session;
         session.isActive = false; // Mark as used
 
         // Store client connection
         this.clients.set(session.token, ws);
         ws.kimToken = session.token;
+        const tokenSession = this.tokenStore.issue(session.token, { deviceType: session.deviceType, ...deviceInfo });
 
         const deviceEmoji = {
             phone: '📱',
@@ -1081,80 +1649,212 @@ class EmbeddedKIMServer {
 
         this.sendResponse(ws, 'paired', true, 'Device paired successfully!', '🚀', randomQuip, {
             token: session.token,
-            expiresIn: 24 * 60 * 60 // 24 hours
+            expiresIn: Math.ceil((tokenSession.expiresAt - Date.now()) / 1000)
         });
+        this.sendPresence(ws);
 
-        console.log('🔗 Device paired successfully:', {
-            code,
-            token: session.token.substring(0, 8) + '...',
+        log.info('🔗 Device paired successfully', {
+            deviceId: deviceIdFor(hashToken(session.token)),
             deviceType: session.deviceType
         });
+
+        this.metrics.pairings.inc({ outcome: 'paired' });
+        this.webhooks.emit('device_paired', {
+            deviceId: deviceIdFor(hashToken(session.token)),
+            deviceType: session.deviceType,
+            via: 'code'
+        });
+        this.notifyDevicesChanged('paired', hashToken(session.token));
     }
 
-    handlePreAuth(ws, token, deviceInfo = {}) {
-        // Find session by token
-        let validSession = null;
-        for (const [code, session] of this.pairingSessions.entries()) {
-            if (session.token === token && session.expires > Date.now()) {
-                validSession = session;
-                break;
-            }
-        }
+    /**
+     * Redeem a QR link's single-use ticket for a freshly minted device token.
+     * The ticket and its pairing code are spent on first use, so a photographed
+     * QR (or one left in browser history) is worthless afterwards.
+     */
+    handlePreAuth(ws, ticket, deviceInfo = {}) {
+        if (!this.checkPairingAllowed(ws)) return;
 
+        const validSession = this.findSessionByTicket(ticket);
         if (!validSession) {
-            this.sendError(ws, 'Invalid or expired pre-auth token', '❌');
+            this.rejectPairingAttempt(ws, 'This QR link has expired or was already used', '🎟️');
             return;
         }
 
+        validSession.isActive = false;
+        validSession.ticket = null;
+        if (currentPairingCode === validSession.code) {
+            currentPairingCode = null;
+        }
+
+        const token = uuidv4();
+        this.pairingGuard.recordSuccess(ws.clientIP);
+
         // Store client connection with token
         this.clients.set(token, ws);
         ws.kimToken = token;
+        const tokenSession = this.tokenStore.issue(token, { deviceType: validSession.deviceType, ...deviceInfo });
 
         // Send success response - already paired!
         this.sendResponse(ws, 'paired', true, 'Pre-authenticated successfully', '🚀',
-            'Ready to send prompts!', { token });
+            'Ready to send prompts!', { token, expiresIn: Math.ceil((tokenSession.expiresAt - Date.now()) / 1000) });
+        this.sendPresence(ws);
 
-        console.log('🚀 Device pre-authenticated:', {
-            token: token.substring(0, 8) + '...',
+        log.info('🚀 Device pre-authenticated', {
+            deviceId: deviceIdFor(hashToken(token)),
             deviceType: validSession.deviceType
         });
+
+        this.metrics.pairings.inc({ outcome: 'preauth' });
+        this.webhooks.emit('device_paired', {
+            deviceId: deviceIdFor(hashToken(token)),
+            deviceType: validSession.deviceType,
+            via: 'preauth'
+        });
+        this.notifyDevicesChanged('paired', hashToken(token));
     }
 
-    handlePrompt(ws, token, prompt) {
+    // Rebind a reconnecting device to its new socket and replay what it missed
+    handleResume(ws, token, lastSeq = 0) {
         if (!this.validateToken(token)) {
-            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕');
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
             return;
         }
 
-        if (!prompt || prompt.trim().length === 0) {
-            this.sendError(ws, 'That prompt needs some love! Try again', '💝');
-            return;
+        // A half-open socket may still hold this token - let the new one take over
+        const previous = this.clients.get(token);
+        if (previous && previous !== ws) {
+            previous.kimToken = null;
         }
+        this.bindClient(token, ws);
+
+        const session = this.tokenStore.get(token);
+        const missed = this.eventLog.since(token, lastSeq);
+
+        this.sendResponse(ws, 'resumed', true, 'Welcome back!', '🔄', null, {
+            expiresIn: Math.ceil((session.expiresAt - Date.now()) / 1000),
+            lastSeq: this.eventLog.latestSeq(token),
+            replayed: missed.length
+        });
+
+        missed.forEach(event => {
+            ws.send(JSON.stringify({ ...event, replayed: true }));
+        });
+        this.sendPresence(ws);
+
+        log.info('🔄 Device resumed', {
+            deviceId: deviceIdFor(hashToken(token)),
+            replayed: missed.length
+        });
 
-        if (prompt.length > 1000) {
-            this.sendError(ws, 'Whoa there! That prompt is a novel! Keep it under 1000 characters', '📚');
+        this.notifyDevicesChanged('online', hashToken(token));
+    }
+
+    handlePrompt(ws, token, prompt, promptId = createPromptId(), context = null) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED,
+                promptId
+            });
             return;
         }
 
-        // Send confirmation to device with fun feedback
+        // A device restored from the token store may be talking on a new socket
+        this.bindClient(token, ws);
+
+        const result = this.submitPrompt(token, prompt, { promptId, clientIP: ws.clientIP, context });
+        if (!result.accepted) {
+            this.metrics.rejected.inc({ code: result.code });
+            this.sendError(ws, result.message, result.emoji, {
+                code: result.code,
+                promptId,
+                retryAfter: result.retryAfter,
+                scope: result.scope
+            });
+        }
+    }
+
+    // Over the connection cap - say why, then hang up
+    rejectConnection(ws) {
+        this.metrics.connections.inc({ outcome: 'refused' });
+        log.warn(`🏟️ Refused connection - ${this.limits.maxConnections} connections already open`, { ip: ws.clientIP });
+        this.sendError(ws, 'KIM is full right now - try again in a bit', ERROR_EMOJI[ERROR_CODES.SERVER_FULL], {
+            code: ERROR_CODES.SERVER_FULL
+        });
+        ws.close(1013, 'Too many connections');
+    }
+
+    /**
+     * Validate a prompt from an authenticated device and inject it into Copilot chat.
+     * Shared by the WebSocket protocol and the REST API.
+     * @param {string} token - Already validated device token
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { promptId, clientIP, context } (targets only exist on the standalone relay)
+     * @returns {Object} { accepted: true, promptId, target } or { accepted: false, code, message, emoji, retryAfter?, scope? }
+     */
+    submitPrompt(token, prompt, { promptId = createPromptId(), clientIP = null, context = null } = {}) {
+        if (!prompt || prompt.trim().length === 0) {
+            return { accepted: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'That prompt needs some love! Try again', emoji: '💝' };
+        }
+
+        if (prompt.length > MAX_PROMPT_LENGTH) {
+            return {
+                accepted: false,
+                code: ERROR_CODES.INVALID_MESSAGE,
+                message: `Whoa there! That prompt is a novel! Keep it under ${MAX_PROMPT_LENGTH} characters`,
+                emoji: '📚'
+            };
+        }
+
+        // Editor context is resolved by the injector, right before Copilot chat opens
+        const { directives, error: contextError } = normalizeContextDirectives(context);
+        if (contextError) {
+            return { accepted: false, code: ERROR_CODES.INVALID_MESSAGE, message: `Can't attach that: ${contextError}`, emoji: '📎' };
+        }
+
+        // A runaway device must not be able to spam Copilot chat
+        const rate = this.rateLimiter.check(hashToken(token), clientIP);
+        if (!rate.allowed) {
+            const seconds = Math.ceil(rate.retryAfter / 1000);
+            log.warn(`🚦 Rate limited for ${seconds}s`, { scope: rate.scope, ip: clientIP, deviceId: deviceIdFor(hashToken(token)) });
+            return {
+                accepted: false,
+                code: ERROR_CODES.RATE_LIMITED,
+                message: `Whoa, slow down! Copilot needs a breather - try again in ${seconds}s`,
+                emoji: ERROR_EMOJI[ERROR_CODES.RATE_LIMITED],
+                retryAfter: seconds,
+                scope: rate.scope
+            };
+        }
+
+        // Secrets are screened and workspace plugins get their say; a prompt they let through
+        // is received and relayed to VS Code (this extension!)
         const receivedQuips = [
             "Got it! Processing your brilliant idea! 🧠",
             "Prompt received loud and clear! 📡",
             "Your wish is my command! ✨",
             "Incoming transmission decoded! 🛸"
         ];
-        const randomQuip = receivedQuips[Math.floor(Math.random() * receivedQuips.length)];
-
-        this.sendResponse(ws, 'prompt_received', true, randomQuip, '📤');
-
-        // Relay to VS Code (this extension!)
-        this.relayToVSCode(prompt, token);
+        const receivedMessage = receivedQuips[Math.floor(Math.random() * receivedQuips.length)];
+        this.intake.process(prompt, { token, promptId, receivedMessage }, ready => {
+            log.info('📨 Prompt relayed', { promptId, prompt: ready, context: directives.map(directive => directive.type) });
+            return this.relayToVSCode(ready, token, promptId, directives);
+        });
 
-        console.log('📨 Prompt relayed:', prompt.substring(0, 50) + '...');
+        return { accepted: true, promptId, target: null };
     }
 
-    relayToVSCode(prompt, token) {
-        console.log('🎯 Relaying prompt to VS Code Copilot:', prompt);
+    async relayToVSCode(prompt, token, promptId, context = []) {
+        log.debug('🎯 Relaying prompt to VS Code Copilot', { promptId, deviceId: deviceIdFor(hashToken(token)) });
+        this.webhooks.emit('prompt_relayed', {
+            promptId,
+            deviceId: deviceIdFor(hashToken(token)),
+            target: null,
+            queued: false,
+            prompt
+        });
 
         // Generate a fun quip for the prompt
         const quips = [
@@ -1165,34 +1865,115 @@ class EmbeddedKIMServer {
         ];
         const randomQuip = quips[Math.floor(Math.random() * quips.length)];
 
-        // Inject directly into Copilot chat using VS Code API
-        vscode.commands.executeCommand('kim.injectPrompt', prompt, randomQuip);
+        // The answer may start streaming before the injector returns
+        this.responseRoutes.set(promptId, { token, index: 0, createdAt: Date.now() });
+        this.updateCopilotActivity();
 
-        // Confirm delivery to the client
-        setTimeout(() => {
-            const client = this.clients.get(token);
-            if (client) {
-                this.sendResponse(client, 'prompt_delivered', true, 'Delivered to Copilot!', '🚀', randomQuip);
-            }
-        }, 200);
+        // Inject directly into Copilot chat using VS Code API and report what really happened
+        let result;
+        try {
+            result = await vscode.commands.executeCommand('kim.injectPrompt', prompt, randomQuip, promptId, context);
+        } catch (error) {
+            result = { delivered: false, code: ERROR_CODES.CHAT_OPEN_FAILED, reason: error.message };
+        }
+
+        if (!result || !result.delivered || !result.streaming) {
+            this.responseRoutes.delete(promptId);
+            this.updateCopilotActivity();
+        }
+
+        if (result && result.delivered) {
+            this.sendToDevice(token, 'prompt_delivered', true, 'Delivered to Copilot!', '🚀', randomQuip, {
+                promptId,
+                streaming: Boolean(result.streaming)
+            });
+            return;
+        }
+
+        const code = result?.code || ERROR_CODES.CHAT_OPEN_FAILED;
+        const reason = result?.reason || 'Copilot chat did not accept the prompt';
+        this.sendToDevice(token, 'prompt_failed', false, reason, ERROR_EMOJI[code] || '🌀', null, {
+            promptId,
+            code,
+            reason
+        });
+    }
+
+    // Live piece of Copilot's answer - not kept for replay, response_done carries the full text
+    streamResponseChunk(promptId, text) {
+        const route = this.responseRoutes.get(promptId);
+        if (!route) return;
+
+        const client = this.clients.get(route.token);
+        if (client) {
+            this.sendResponse(client, 'response_chunk', true, 'Copilot is typing...', '✍️', null, {
+                promptId,
+                index: route.index++,
+                text
+            });
+        }
+    }
+
+    /**
+     * Wrap up a streamed answer
+     * @param {string} promptId - Correlation ID of the relayed prompt
+     * @param {Object} outcome - { success, text, model?, error? }
+     */
+    finishResponse(promptId, { success, text, model = null, error = null }) {
+        const route = this.responseRoutes.get(promptId);
+        if (!route) return;
+
+        this.responseRoutes.delete(promptId);
+        this.updateCopilotActivity();
+        this.sendToDevice(route.token, 'response_done', success,
+            success ? 'Copilot answered!' : 'Copilot could not finish the answer',
+            success ? '💬' : '🌀', null, { promptId, text, model, error });
+    }
+
+    // Copilot counts as busy while it is answering a prompt a device sent
+    updateCopilotActivity() {
+        this.presence.update({ copilot: this.responseRoutes.size > 0 ? 'busy' : 'idle' });
+    }
+
+    /**
+     * Presence is a live view, not history - it goes to connected devices only
+     * and is not kept for replay (a resuming device gets the current one instead)
+     */
+    broadcastPresence(snapshot = this.presence.snapshot()) {
+        for (const ws of this.clients.values()) {
+            this.sendPresence(ws, snapshot);
+        }
+    }
+
+    sendPresence(ws, snapshot = this.presence.snapshot()) {
+        const message = snapshot.shared.length === 0
+            ? 'VS Code is not sharing its status'
+            : `VS Code is ${snapshot.focused === false ? 'in the background' : 'active'}`;
+        this.sendResponse(ws, 'presence', true, message, snapshot.copilot === 'busy' ? '🤖' : '👀', null, snapshot);
     }
 
     generatePairingCode(deviceType = 'unknown') {
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+        this.makeRoomForPairingCode();
+        const code = createPairingCode(this.pairingSessions);
         const token = uuidv4();
         const expires = Date.now() + (10 * 60 * 1000); // 10 minutes
 
+        const createdAt = Date.now();
+
         const session = {
             code,
             token,
             expires,
-            createdAt: Date.now(),
+            createdAt,
             deviceType,
-            isActive: true
+            isActive: true,
+            // QR links carry this instead of the token
+            ticket: createPairingTicket(),
+            ticketExpires: Math.min(expires, createdAt + PREAUTH_TICKET_TTL)
         };
 
         this.pairingSessions.set(code, session);
-        console.log('🔢 Generated pairing code:', code, 'for device type:', deviceType);
+        log.info('🔢 Generated pairing code', { pairingCode: code, deviceType });
 
         // Store for extension access
         currentPairingCode = code;
@@ -1202,90 +1983,349 @@ class EmbeddedKIMServer {
 
     generatePreAuthUrl(code) {
         const session = this.pairingSessions.get(code);
-        if (!session) {
+        if (!session || !session.isActive || !session.ticket || Date.now() > session.ticketExpires) {
             return null;
         }
 
-        // Get local URL
-        const localIPs = this.getLocalIPs();
-        const baseUrl = localIPs.length > 0 ? `http://${localIPs[0]}:${this.port}` : `http://localhost:${this.port}`;
+        // Single-use ticket for instant access - never the device token itself
+        return `${this.getBaseUrl()}?ticket=${session.ticket}`;
+    }
+
+    // Live pairing session a QR ticket belongs to, if it can still be redeemed
+    findSessionByTicket(ticket) {
+        const now = Date.now();
+        for (const session of this.pairingSessions.values()) {
+            if (session.ticket && session.ticket === ticket) {
+                return session.isActive && now < session.ticketExpires ? session : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Kill every outstanding pairing code and QR link (e.g. a QR was shared by mistake)
+     * @returns {number} How many were still live
+     */
+    invalidatePairingLinks() {
+        const live = this.getActivePairingSessions().length;
+        for (const session of this.pairingSessions.values()) {
+            session.isActive = false;
+            session.ticket = null;
+        }
+        this.pairingSessions.clear();
+        currentPairingCode = null;
+
+        log.info(`🚫 Invalidated ${live} outstanding pairing link(s)`);
+        return live;
+    }
+
+    async generateQRCode(code) {
+        try {
+            // Use pre-auth URL for instant access (no pairing step needed)
+            const pwaUrl = this.getPairingUrl(code);
+
+            return await QRCode.toDataURL(pwaUrl, {
+                errorCorrectionLevel: 'H', // Higher error correction for better scanning
+                type: 'image/png',
+                quality: 0.92,
+                margin: 2, // Larger margin for iPhone camera
+                width: 300, // Larger size for better scanning
+                color: {
+                    dark: '#000000',
+                    light: '#FFFFFF'
+                }
+            });
+        } catch (error) {
+            log.error('🐛 QR code generation failed', { error });
+            return null;
+        }
+    }
+
+    /**
+     * Keep pairingSessions under the cap: spent and expired codes go first,
+     * then the oldest live ones
+     */
+    makeRoomForPairingCode() {
+        if (this.pairingSessions.size < this.limits.maxPairingCodes) return;
+
+        const now = Date.now();
+        for (const [code, session] of this.pairingSessions.entries()) {
+            if (!session.isActive || now > session.expires) {
+                this.pairingSessions.delete(code);
+            }
+        }
+
+        while (this.pairingSessions.size >= this.limits.maxPairingCodes) {
+            const oldest = this.pairingSessions.keys().next().value;
+            this.pairingSessions.delete(oldest);
+            this.pairingGuard.forgetCode(oldest);
+            if (currentPairingCode === oldest) {
+                currentPairingCode = null;
+            }
+            log.info('🧹 Retired the oldest pairing code to stay under the cap', { pairingCode: oldest });
+        }
+    }
+
+    // Get all active pairing sessions (for status displays)
+    getActivePairingSessions() {
+        const now = Date.now();
+        const activeSessions = [];
+
+        for (const [code, session] of this.pairingSessions.entries()) {
+            if (session.isActive && now < session.expires) {
+                activeSessions.push({
+                    code,
+                    deviceType: session.deviceType,
+                    expiresIn: Math.ceil((session.expires - now) / 1000),
+                    createdAt: session.createdAt
+                });
+            }
+        }
+
+        return activeSessions;
+    }
+
+    validatePairingCode(code) {
+        const session = this.pairingSessions.get(code);
+
+        if (!session) {
+            return { valid: false, reason: 'Code not found', emoji: '🔍' };
+        }
+
+        if (!session.isActive) {
+            return { valid: false, reason: 'Code already used', emoji: '🔒' };
+        }
+
+        if (Date.now() > session.expires) {
+            this.pairingSessions.delete(code);
+            return { valid: false, reason: 'Code expired', emoji: '⏰' };
+        }
+
+        return { valid: true, session };
+    }
+
+    validateToken(token) {
+        // Valid while the token store knows it - even across VS Code reloads
+        if (!this.tokenStore.touch(token)) {
+            this.clients.delete(token);
+            return false;
+        }
+        return true;
+    }
+
+    bindClient(token, ws) {
+        if (this.clients.get(token) !== ws) {
+            this.clients.set(token, ws);
+            ws.kimToken = token;
+        }
+    }
+
+    sendResponse(ws, type, success, message, emoji = '✅', quip = null, data = null) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(createResponse(type, success, message, emoji, quip, data)));
+        }
+    }
+
+    sendError(ws, message, emoji = '❌', data = null) {
+        this.sendResponse(ws, 'error', false, message, emoji, null, data);
+    }
+
+    // Sequenced and kept in the event log so an offline device can replay it on resume
+    sendToDevice(token, type, success, message, emoji = '✅', quip = null, data = null) {
+        const event = this.eventLog.append(token, createResponse(type, success, message, emoji, quip, data));
+        this.promptStatus.record(hashToken(token), event);
+        const client = this.clients.get(token);
+
+        if (client && client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(event));
+        }
+    }
+
+    isDeviceOnline(tokenHash) {
+        for (const [token, ws] of this.clients.entries()) {
+            if (hashToken(token) === tokenHash && ws.readyState === WebSocket.OPEN) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    removeClient(ws) {
+        // Only drop the binding if a resumed socket hasn't already taken it over
+        if (ws.kimToken && this.clients.get(ws.kimToken) === ws) {
+            this.clients.delete(ws.kimToken);
+            this.notifyDevicesChanged('offline', hashToken(ws.kimToken));
+        }
+    }
+
+    /**
+     * Any paired device (it sends its token) may list devices, but only rename or
+     * revoke itself. Every device can be managed from this machine (the CLI, or
+     * anything else local without a token) and from the device tree.
+     * @param {string} [deviceId] - Device a rename or revoke acts on
+     */
+    authorizeDeviceManagement(ws, token, type, deviceId = null) {
+        if (!token) return this.requireLocal(ws, type);
+
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return false;
+        }
+        this.bindClient(token, ws);
+
+        // A lost phone must not be able to kick the owner's other devices
+        if (deviceId && deviceId !== deviceIdFor(hashToken(token)) && !isLoopbackAddress(ws.clientIP)) {
+            this.sendError(ws, 'A device can only rename or unpair itself - manage the others from VS Code', ERROR_EMOJI[ERROR_CODES.LOCAL_ONLY], {
+                code: ERROR_CODES.LOCAL_ONLY
+            });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Paired devices, most recently paired first (also feeds the device tree)
+     * @param {string|null} currentHash - Device asking, flagged as `current`
+     */
+    listDevices(currentHash = null) {
+        return this.tokenStore.list()
+            .filter(record => record.expiresAt > Date.now())
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(record => ({
+                ...describeDevice(record),
+                online: this.isDeviceOnline(record.tokenHash),
+                current: record.tokenHash === currentHash
+            }));
+    }
+
+    /**
+     * Workspace files a device can attach to a prompt - paths only, never contents.
+     * Matches anywhere in the relative path, ignoring case; file name matches come first.
+     */
+    async handleFindFiles(ws, token, query = '') {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return;
+        }
+
+        const trimmed = String(query || '').trim();
+        const needle = trimmed.toLowerCase();
 
-        // Return URL with pre-auth token for instant access
-        return `${baseUrl}?token=${session.token}`;
-    }
+        // A newer query from the same device makes the last one moot
+        if (ws.fileSearch) ws.fileSearch.cancel();
+        const search = new vscode.CancellationTokenSource();
+        ws.fileSearch = search;
 
-    async generateQRCode(code) {
+        let files;
         try {
-            // Use local URL
-            const localIPs = this.getLocalIPs();
-            const serverUrl = localIPs.length > 0 ? `http://${localIPs[0]}:${this.port}` : `http://localhost:${this.port}`;
-
-            // Use pre-auth URL for instant access (no pairing step needed)
-            const pwaUrl = this.generatePreAuthUrl(code) || `${serverUrl}?code=${code}`;
-
-            return await QRCode.toDataURL(pwaUrl, {
-                errorCorrectionLevel: 'H', // Higher error correction for better scanning
-                type: 'image/png',
-                quality: 0.92,
-                margin: 2, // Larger margin for iPhone camera
-                width: 300, // Larger size for better scanning
-                color: {
-                    dark: '#000000',
-                    light: '#FFFFFF'
-                }
-            });
+            // VS Code does the matching, skipping what files.exclude and search.exclude hide (node_modules and friends)
+            const uris = await vscode.workspace.findFiles(fileSearchGlob(trimmed), fileSearchExcludes(), FILE_SEARCH_SCAN, search.token);
+            files = uris.map(uri => vscode.workspace.asRelativePath(uri, false));
         } catch (error) {
-            console.error('🐛 QR code generation failed:', error);
-            return null;
+            log.error('🐛 Workspace file search failed', { error });
+            this.sendError(ws, 'Could not search the workspace', '📂');
+            return;
+        } finally {
+            if (ws.fileSearch === search) ws.fileSearch = null;
+            search.dispose();
         }
+        if (search.token.isCancellationRequested) return;
+
+        const nameOf = file => file.substring(file.lastIndexOf('/') + 1).toLowerCase();
+        const matches = files
+            .filter(file => file.toLowerCase().includes(needle))
+            .sort((a, b) => (nameOf(b).includes(needle) - nameOf(a).includes(needle)) || a.length - b.length || a.localeCompare(b))
+            .slice(0, FILE_SEARCH_RESULTS);
+
+        this.sendResponse(ws, 'files', true, `${matches.length} file(s)`, '📂', null, { query: trimmed, files: matches });
     }
 
-    validatePairingCode(code) {
-        const session = this.pairingSessions.get(code);
+    handleListDevices(ws, token) {
+        if (!this.authorizeDeviceManagement(ws, token, 'list_devices')) return;
 
-        if (!session) {
-            return { valid: false, reason: 'Code not found', emoji: '🔍' };
-        }
+        const devices = this.listDevices(token ? hashToken(token) : null);
+        this.sendResponse(ws, 'devices', true, `${devices.length} paired device(s)`, '📱', null, { devices, change: null });
+    }
 
-        if (!session.isActive) {
-            return { valid: false, reason: 'Code already used', emoji: '🔒' };
-        }
+    handleRenameDevice(ws, { token, deviceId, name }) {
+        if (!this.authorizeDeviceManagement(ws, token, 'rename_device', deviceId)) return;
 
-        if (Date.now() > session.expires) {
-            this.pairingSessions.delete(code);
-            return { valid: false, reason: 'Code expired', emoji: '⏰' };
+        const result = this.renameDevice(deviceId, name);
+        if (result.error) {
+            this.sendError(ws, result.error, ERROR_EMOJI[result.code], { code: result.code });
+            return;
         }
 
-        return { valid: true, session };
+        this.sendResponse(ws, 'device_renamed', true, `Device renamed to ${result.device.name}`, '🏷️', null, {
+            device: result.device
+        });
     }
 
-    validateToken(token) {
-        return this.clients.has(token);
+    handleRevokeDevice(ws, { token, deviceId }) {
+        if (!this.authorizeDeviceManagement(ws, token, 'revoke_device', deviceId)) return;
+
+        const record = this.revokeDevice(deviceId);
+        if (!record) {
+            this.sendError(ws, 'No paired device with that ID', ERROR_EMOJI[ERROR_CODES.DEVICE_NOT_FOUND], {
+                code: ERROR_CODES.DEVICE_NOT_FOUND
+            });
+            return;
+        }
+
+        this.sendResponse(ws, 'device_revoked', true, `${describeDevice(record).name} was unpaired`, '🚪', null, { deviceId });
     }
 
-    sendResponse(ws, type, success, message, emoji = '✅', quip = null, data = null) {
-        const response = {
-            type,
-            success,
-            message,
-            emoji,
-            quip,
-            data,
-            timestamp: Date.now()
-        };
+    /**
+     * Rename a device - shared by the protocol and the device tree
+     * @returns {Object} { device } or { error, code }
+     */
+    renameDevice(deviceId, name) {
+        const trimmed = String(name).trim();
+        if (!trimmed || trimmed.length > MAX_DEVICE_NAME_LENGTH) {
+            return { error: `Device names need 1-${MAX_DEVICE_NAME_LENGTH} characters`, code: ERROR_CODES.INVALID_MESSAGE };
+        }
 
-        if (ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(response));
+        const record = this.tokenStore.renameDevice(deviceId, trimmed);
+        if (!record) {
+            return { error: 'No paired device with that ID', code: ERROR_CODES.DEVICE_NOT_FOUND };
         }
+
+        this.notifyDevicesChanged('renamed', record.tokenHash);
+        return { device: describeDevice(record) };
     }
 
-    sendError(ws, message, emoji = '❌') {
-        this.sendResponse(ws, 'error', false, message, emoji);
+    /**
+     * Unpair a device: its token stops working, its event history is dropped,
+     * and if it is connected it is sent back to pairing
+     * @returns {Object|null} The removed token record
+     */
+    revokeDevice(deviceId) {
+        const record = this.tokenStore.revokeDevice(deviceId);
+        if (!record) return null;
+
+        for (const [token, ws] of this.clients.entries()) {
+            if (hashToken(token) === record.tokenHash) {
+                this.clients.delete(token);
+                ws.kimToken = null;
+                this.sendResponse(ws, 'revoked', false, 'This device was unpaired from VS Code - pair again to keep going', '🚪', null, { deviceId });
+            }
+        }
+
+        this.eventLog.forgetByHash(record.tokenHash);
+
+        log.info('🚪 Device revoked', { deviceId });
+        this.notifyDevicesChanged('revoked', record.tokenHash);
+        return record;
     }
 
-    removeClient(ws) {
-        if (ws.kimToken) {
-            this.clients.delete(ws.kimToken);
+    // Keep the device tree in the explorer live
+    notifyDevicesChanged(type, tokenHash) {
+        if (this.onDevicesChanged) {
+            this.onDevicesChanged({ type, deviceId: deviceIdFor(tokenHash) });
         }
     }
 
@@ -1297,6 +2337,26 @@ class EmbeddedKIMServer {
                 this.pairingSessions.delete(code);
             }
         }
+
+        // Answers that never finished streaming
+        for (const [promptId, route] of this.responseRoutes.entries()) {
+            if (now - route.createdAt > 10 * 60 * 1000) {
+                this.responseRoutes.delete(promptId);
+            }
+        }
+        this.updateCopilotActivity();
+
+        // Clients that stopped guessing, codes that are gone
+        this.pairingGuard.cleanup(this.getActivePairingSessions().map(session => session.code));
+        this.rateLimiter.cleanup();
+
+        // And paired devices whose 24 hours are up, with their replay streams
+        this.tokenStore.cleanup(record => this.eventLog.forgetByHash(record.tokenHash));
+        for (const token of this.clients.keys()) {
+            if (!this.tokenStore.has(token)) {
+                this.clients.delete(token);
+            }
+        }
     }
 
     performHeartbeat() {
@@ -1312,10 +2372,23 @@ class EmbeddedKIMServer {
         });
     }
 
-    async stop() {
-        console.log('🛑 Stopping embedded KIM server...');
+    /**
+     * What /readyz reports: ready while the HTTP/WebSocket server is listening
+     * @returns {{ ready: boolean, checks: Object }}
+     */
+    getReadiness() {
+        const checks = {
+            websocket: Boolean(this.wss) && !this.stopping,
+            http: Boolean(this.httpServer && this.httpServer.listening)
+        };
+        return { ready: Object.values(checks).every(Boolean), checks };
+    }
 
-        // Reset timers
+    async stop() {
+        this.stopping = true;
+        this.webhooks.stop();
+        this.presenceSubscription.dispose();
+        log.info('🛑 Stopping embedded KIM server...');
 
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
@@ -1331,10 +2404,209 @@ class EmbeddedKIMServer {
             this.httpServer.close();
         }
 
+        await this.tokenStore.flush();
+
         this.clients.clear();
         this.pairingSessions.clear();
-        console.log('✅ Embedded KIM server stopped');
+        log.info('✅ Embedded KIM server stopped');
+    }
+}
+
+/**
+ * (Re)load prompt plugins from each workspace folder's .kim/plugins. Plugins are
+ * code from the workspace, so untrusted workspaces don't get to run any.
+ * @returns {number} Plugins loaded
+ */
+function loadWorkspacePlugins() {
+    const enabled = vscode.workspace.getConfiguration('kim').get('plugins.enabled', true);
+    const dirs = enabled && vscode.workspace.isTrusted
+        ? (vscode.workspace.workspaceFolders || []).map(folder => path.join(folder.uri.fsPath, '.kim', 'plugins'))
+        : [];
+    return promptPipeline.loadDirectories(dirs);
+}
+
+// kim.redaction.* settings in the shape PromptRedactor takes
+function redactionSettings() {
+    const config = vscode.workspace.getConfiguration('kim');
+    return {
+        policy: config.get('redaction.policy', 'mask'),
+        pii: config.get('redaction.detectPii', false),
+        customPatterns: config.get('redaction.customPatterns', [])
+    };
+}
+
+/**
+ * The active editor as presence fields - relative path and language, never contents
+ * @param {vscode.TextEditor|undefined} editor
+ * @returns {Object|null} null when the editor says nothing about the user's work
+ */
+function describeEditor(editor) {
+    if (!editor) {
+        return { activeFile: null, language: null };
+    }
+    // Clicking into the Output panel makes it the active editor - keep showing the real file
+    if (editor.document.uri.scheme === 'output') {
+        return null;
+    }
+    return {
+        activeFile: vscode.workspace.asRelativePath(editor.document.uri, false),
+        language: editor.document.languageId
+    };
+}
+
+// The editor the user is working in - the Output panel can be "active" too
+function workingEditor() {
+    const active = vscode.window.activeTextEditor;
+    if (active && active.document.uri.scheme !== 'output') {
+        return active;
+    }
+    return vscode.window.visibleTextEditors.find(editor => editor.document.uri.scheme !== 'output');
+}
+
+/**
+ * Open a file a device named, looking only inside the workspace folders
+ * @param {string} relativePath - Already checked by normalizeContextDirectives
+ * @returns {Promise<vscode.TextDocument|null>}
+ */
+async function openWorkspaceFile(relativePath) {
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        const uri = vscode.Uri.joinPath(folder.uri, relativePath);
+        const inside = path.relative(folder.uri.fsPath, uri.fsPath);
+        if (!inside || inside.startsWith('..') || path.isAbsolute(inside)) continue;
+        try {
+            return await vscode.workspace.openTextDocument(uri);
+        } catch (error) {
+            // Not in this folder, or not text - try the next one
+        }
+    }
+    return null;
+}
+
+/**
+ * Include glob for a find_files query: the query anywhere in the path, ignoring case.
+ * Glob syntax in the query becomes a single-character wildcard - the exact match is checked afterwards.
+ * @param {string} query
+ * @returns {string} e.g. "**\/*[aA][pP][pP].[jJ][sS]*" for "app.js"
+ */
+function fileSearchGlob(query) {
+    const pattern = Array.from(query, char => {
+        if ('*?[]{},!\\'.includes(char)) return '?';
+        const lower = char.toLowerCase();
+        const upper = char.toUpperCase();
+        return lower === upper ? char : `[${lower}${upper}]`;
+    }).join('');
+    return pattern ? `**/*${pattern}*` : '**/*';
+}
+
+/**
+ * files.exclude and search.exclude as one glob, the way the search view skips them.
+ * findFiles only applies files.exclude on its own.
+ * @returns {string|undefined} undefined when nothing is excluded
+ */
+function fileSearchExcludes() {
+    const patterns = ['files', 'search'].flatMap(section => {
+        const excludes = vscode.workspace.getConfiguration(section).get('exclude') || {};
+        // Conditional ({ when }) entries need the sibling file, which a glob can't express
+        return Object.keys(excludes).filter(pattern => excludes[pattern] === true);
+    });
+    const unique = [...new Set(patterns)];
+    return unique.length > 0 ? `{${unique.join(',')}}` : undefined;
+}
+
+function lineSpan(range) {
+    return `lines ${range.start.line + 1}-${range.end.line + 1}`;
+}
+
+/**
+ * Turn a prompt's context directives into text for Copilot, from the editor as it is right now
+ * @param {Object[]} directives - From normalizeContextDirectives
+ * @returns {Promise<Object>} { attachments: [{ label, language, text }] } or { error } when one can't be had
+ */
+async function resolveEditorContext(directives) {
+    const attachments = [];
+    for (const directive of directives) {
+        if (directive.type === 'file') {
+            const document = await openWorkspaceFile(directive.path);
+            if (!document) {
+                return { error: `${directive.path} is not a text file in this workspace` };
+            }
+            attachments.push({ label: directive.path, language: document.languageId, text: document.getText() });
+            continue;
+        }
+
+        const editor = workingEditor();
+        if (!editor) {
+            return { error: 'No file is open in VS Code' };
+        }
+        const { document } = editor;
+        const name = vscode.workspace.asRelativePath(document.uri, false);
+
+        if (directive.type === 'activeFile') {
+            attachments.push({ label: name, language: document.languageId, text: document.getText() });
+        } else if (directive.type === 'selection') {
+            if (editor.selection.isEmpty) {
+                return { error: `Nothing is selected in ${name}` };
+            }
+            attachments.push({
+                label: `Selection from ${name} (${lineSpan(editor.selection)})`,
+                language: document.languageId,
+                text: document.getText(editor.selection)
+            });
+        } else if (directive.type === 'visibleRange') {
+            const ranges = editor.visibleRanges;
+            if (ranges.length === 0) {
+                return { error: `No code from ${name} is on screen` };
+            }
+            const range = new vscode.Range(ranges[0].start, ranges[ranges.length - 1].end);
+            attachments.push({
+                label: `Visible code in ${name} (${lineSpan(range)})`,
+                language: document.languageId,
+                text: document.getText(range)
+            });
+        }
+    }
+    return { attachments };
+}
+
+/**
+ * Attachments come from the editor rather than the device, but a .env file is
+ * still a .env file - run them past the same redaction policy as prompts
+ * @returns {Object} { attachments } or { error } when the policy blocks one
+ */
+function screenAttachments(attachments) {
+    if (!embeddedServer) {
+        return { attachments };
+    }
+
+    const screened = [];
+    for (const attachment of attachments) {
+        const result = embeddedServer.redactor.apply(attachment.text);
+        if (result.action === 'blocked') {
+            return { error: `${attachment.label} contains ${summarizeFindings(result.findings)}` };
+        }
+        screened.push({ ...attachment, text: result.prompt });
     }
+    return { attachments: screened };
+}
+
+// The prompt first, then each attachment as a fenced block
+function withContext(prompt, attachments) {
+    const blocks = attachments.map(({ label, language, text }) => {
+        const clipped = text.length > MAX_CONTEXT_CHARS ? `${text.substring(0, MAX_CONTEXT_CHARS)}\n… (truncated)` : text;
+        // A fence longer than any backtick run inside keeps the block from closing early
+        const fence = '`'.repeat(Math.max(2, ...(clipped.match(/`+/g) || []).map(run => run.length)) + 1);
+        return `${label}:\n${fence}${language || ''}\n${clipped}\n${fence}`;
+    });
+    return [prompt, ...blocks].join('\n\n');
+}
+
+// Hook names and templates are typed by the user - keep them from becoming markup
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
 // Server state with emoji indicators 🎭
@@ -1349,12 +2621,67 @@ const serverState = {
  * @param {vscode.ExtensionContext} context
  */
 function activate(context) {
-    console.log('🚀 KIM Extension is now active!');
+    // Everything the extension and its server log ends up in the "KIM" Output channel
+    outputChannel = vscode.window.createOutputChannel('KIM');
+    context.subscriptions.push(outputChannel);
+    applyLoggingSettings();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('kim.logging')) {
+            applyLoggingSettings();
+        }
+        if (event.affectsConfiguration('kim.plugins')) {
+            loadWorkspacePlugins();
+        }
+        if (event.affectsConfiguration('kim.redaction') && embeddedServer) {
+            embeddedServer.redactor.configure(redactionSettings());
+        }
+        if (event.affectsConfiguration('kim.webhooks') && embeddedServer) {
+            embeddedServer.webhooks.setWebhooks(vscode.workspace.getConfiguration('kim').get('webhooks', []));
+        }
+        if (event.affectsConfiguration('kim.presence') && presenceFeed) {
+            presenceFeed.setFields(vscode.workspace.getConfiguration('kim').get('presence.share', PRESENCE_FIELDS));
+        }
+    }));
+
+    log.info('🚀 KIM Extension is now active!');
 
     // Get configuration
     const config = vscode.workspace.getConfiguration('kim');
     serverPort = config.get('serverPort', 8080);
 
+    // Paired devices outlive the server and VS Code itself
+    tokenStore = new TokenStore(new VSCodeTokenBackend(context));
+
+    // Inbound hooks carry secrets too, so they live next to the tokens
+    inboundHooks = new InboundHookStore(new VSCodeTokenBackend(context, 'kim.inboundHooks'));
+    inboundHooks.load();
+
+    // Prompt middleware from .kim/plugins, picked up again when folders or trust change
+    promptPipeline = new PromptPipeline();
+    loadWorkspacePlugins();
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(() => loadWorkspacePlugins()),
+        vscode.workspace.onDidGrantWorkspaceTrust(() => loadWorkspacePlugins())
+    );
+
+    // What paired devices may see of this window, limited by kim.presence.share
+    presenceFeed = new PresenceFeed({ fields: config.get('presence.share', PRESENCE_FIELDS) });
+    presenceFeed.update({
+        focused: vscode.window.state.focused,
+        workspace: vscode.workspace.name || null,
+        copilot: 'idle',
+        ...describeEditor(vscode.window.activeTextEditor)
+    });
+    context.subscriptions.push(
+        vscode.window.onDidChangeWindowState(state => presenceFeed.update({ focused: state.focused })),
+        vscode.window.onDidChangeActiveTextEditor(editor => {
+            const described = describeEditor(editor);
+            if (described) presenceFeed.update(described);
+        }),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => presenceFeed.update({ workspace: vscode.workspace.name || null })),
+        { dispose: () => presenceFeed.dispose() }
+    );
+
     // Create status bar item with hover capability
     statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
     statusBarItem.command = 'kim.openPanel';
@@ -1398,7 +2725,114 @@ function activate(context) {
     context.subscriptions.push(hoverProvider);
     context.subscriptions.push(statusBarItem);
 
+    // Paired devices live in the explorer's KIM view
+    deviceTree = new KIMDeviceTreeProvider();
+    context.subscriptions.push(vscode.window.registerTreeDataProvider('kimPanel', deviceTree));
+
+    // Tree items carry their device; from the command palette we ask which one
+    async function pickDevice(item, placeHolder) {
+        if (item?.deviceId) return item.deviceId;
+        if (!embeddedServer) {
+            vscode.window.showWarningMessage('🔌 Start the KIM server to manage paired devices');
+            return null;
+        }
+
+        const devices = embeddedServer.listDevices();
+        if (devices.length === 0) {
+            vscode.window.showInformationMessage('📱 No devices are paired yet');
+            return null;
+        }
+
+        const picked = await vscode.window.showQuickPick(devices.map(device => ({
+            label: device.name,
+            description: device.online ? '🟢 online' : '⚪ offline',
+            deviceId: device.id
+        })), { placeHolder });
+        return picked ? picked.deviceId : null;
+    }
+
+    context.subscriptions.push(vscode.commands.registerCommand('kim.refreshDevices', () => deviceTree.refresh()));
+
+    context.subscriptions.push(vscode.commands.registerCommand('kim.showLogs', () => outputChannel.show(true)));
+
+    // Recent webhook deliveries go to the Output channel, next to the rest of the logs
+    context.subscriptions.push(vscode.commands.registerCommand('kim.showWebhookDeliveries', () => {
+        if (!embeddedServer) {
+            vscode.window.showInformationMessage('🪝 Start the KIM server to send webhooks');
+            return;
+        }
+
+        const { webhooks } = embeddedServer.webhooks;
+        if (webhooks.length === 0) {
+            vscode.window.showInformationMessage('🪝 No webhooks configured - add some under the kim.webhooks setting');
+            return;
+        }
+
+        const icons = { delivered: '✅', failed: '❌', retrying: '🔁', pending: '⏳' };
+        outputChannel.appendLine(`🪝 ${webhooks.length} webhook(s): ${webhooks.map(hook => `${hook.url} (${hook.events.join(', ')})`).join(', ')}`);
+        embeddedServer.webhooks.getDeliveries(20).forEach(delivery => {
+            const detail = delivery.error ? ` - ${delivery.error}` : '';
+            outputChannel.appendLine(`   ${icons[delivery.status] || '❔'} ${new Date(delivery.createdAt).toLocaleTimeString()} ${delivery.event} -> ${delivery.url} (${delivery.attempts} attempt(s))${detail}`);
+        });
+        outputChannel.show(true);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('kim.reloadPlugins', () => {
+        if (!vscode.workspace.isTrusted) {
+            vscode.window.showWarningMessage('🧩 Prompt plugins only run in trusted workspaces');
+            return;
+        }
+
+        const count = loadWorkspacePlugins();
+        const failed = promptPipeline.loadErrors;
+        if (failed.length > 0) {
+            vscode.window.showErrorMessage(`🧩 ${failed.length} plugin(s) failed to load - prompts are refused until they are fixed: ${failed.map(error => `${path.basename(error.file)}: ${error.message}`).join('; ')}`);
+            return;
+        }
+        vscode.window.showInformationMessage(`🧩 ${count} prompt plugin(s) loaded${count > 0 ? `: ${promptPipeline.plugins.map(plugin => plugin.name).join(', ')}` : ' - add some to .kim/plugins'}`);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('kim.renameDevice', async (item) => {
+        const deviceId = await pickDevice(item, 'Which device should get a new name?');
+        if (!deviceId || !embeddedServer) return;
+
+        const current = embeddedServer.listDevices().find(device => device.id === deviceId);
+        const name = await vscode.window.showInputBox({
+            prompt: 'New name for this device',
+            value: current ? current.name : '',
+            validateInput: value => value.trim() && value.trim().length <= MAX_DEVICE_NAME_LENGTH
+                ? null
+                : `Use 1-${MAX_DEVICE_NAME_LENGTH} characters`
+        });
+        if (name === undefined) return;
+
+        const result = embeddedServer.renameDevice(deviceId, name);
+        if (result.error) {
+            vscode.window.showErrorMessage(`${ERROR_EMOJI[result.code]} ${result.error}`);
+            return;
+        }
+        vscode.window.showInformationMessage(`🏷️ Device renamed to ${result.device.name}`);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('kim.revokeDevice', async (item) => {
+        const deviceId = await pickDevice(item, 'Which device should be unpaired?');
+        if (!deviceId || !embeddedServer) return;
+
+        const device = embeddedServer.listDevices().find(entry => entry.id === deviceId);
+        const answer = await vscode.window.showWarningMessage(
+            `Unpair ${device ? device.name : 'this device'}? It will have to pair again to send prompts.`,
+            { modal: true },
+            'Revoke'
+        );
+        if (answer !== 'Revoke') return;
 
+        const record = embeddedServer.revokeDevice(deviceId);
+        if (!record) {
+            vscode.window.showErrorMessage('👻 That device was already unpaired');
+            return;
+        }
+        vscode.window.showInformationMessage(`🚪 ${describeDevice(record).name} was unpaired`);
+    }));
 
     // Function to generate control panel HTML
     function getControlPanelHTML() {
@@ -1412,7 +2846,17 @@ function activate(context) {
         let pwaUrl;
         const localIPs = embeddedServer ? embeddedServer.getLocalIPs() : [];
         const serverIp = localIPs.length > 0 ? localIPs[0] : 'localhost';
-        pwaUrl = `http://${serverIp}:${serverPort}?code=${currentCode}`;
+        pwaUrl = embeddedServer
+            ? `${embeddedServer.getBaseUrl()}?code=${currentCode}`
+            : `http://${serverIp}:${serverPort}?code=${currentCode}`;
+
+        // Wrong guesses and lockouts from the pairing guard
+        const pairingStatus = embeddedServer ? embeddedServer.getPairingStatus() : null;
+        const blockedClients = pairingStatus ? [...pairingStatus.lockedOut, ...pairingStatus.throttled] : [];
+
+        // Where tools should POST their events
+        const hooks = inboundHooks ? inboundHooks.list() : [];
+        const hookBaseUrl = embeddedServer ? embeddedServer.getBaseUrl() : `http://localhost:${serverPort}`;
 
         return `
             <!DOCTYPE html>
@@ -1600,11 +3044,51 @@ function activate(context) {
                     
                     <button class="button" onclick="generateCode()">🔢 Generate New Code</button>
                     ${serverStatus === 'running' && currentCode !== 'None' ?
-                `<button class="button secondary" onclick="openPWA()">🌐 Open PWA (Auto-Paired)</button>` :
+                `<button class="button secondary" onclick="openPWA()">🌐 Open PWA (Auto-Paired)</button>
+                    <button class="button secondary" onclick="invalidateLinks()">🚫 Invalidate QR Links</button>` :
                 ''
             }
                 </div>
 
+                ${pairingStatus ? `
+                <div class="section">
+                    <h3>🛡️ Pairing Security</h3>
+                    <div class="info-grid">
+                        <span class="info-label">Failed attempts:</span>
+                        <span class="info-value">${pairingStatus.failedAttempts}</span>
+                        <span class="info-label">Codes retired:</span>
+                        <span class="info-value">${pairingStatus.burnedCodes}</span>
+                        ${blockedClients.map(client => `
+                        <span class="info-label">${client.ip}:</span>
+                        <span class="info-value">${pairingStatus.lockedOut.includes(client) ? '🔒 Locked out' : '🧊 Backing off'} for ${client.retryAfter}s (${client.failures} wrong)</span>
+                        `).join('')}
+                    </div>
+                    <p style="font-size: 12px; color: var(--vscode-descriptionForeground); margin: 0;">
+                        ${pairingStatus.lockedOut.length > 0
+                    ? 'Someone on your network kept guessing pairing codes. They can try again once the lockout ends.'
+                    : 'Clients that guess wrong codes are slowed down, then locked out for 15 minutes.'}
+                    </p>
+                </div>
+                ` : ''}
+
+                <div class="section">
+                    <h3>🪝 Inbound Hooks</h3>
+                    <p style="font-size: 12px; color: var(--vscode-descriptionForeground); margin: 0 0 10px 0;">
+                        CI jobs, test runners and scripts can POST JSON to a hook. Its template, e.g. <code>Fix the failing test {{test}}: {{message}}</code>, becomes the prompt.
+                    </p>
+                    ${hooks.map(hook => `
+                    <div class="code-display" style="text-align: left;">
+                        <div><strong>${escapeHtml(hook.name)}</strong> - ${hook.triggerCount} call(s)${hook.lastTriggeredAt ? `, last ${new Date(hook.lastTriggeredAt).toLocaleString()}` : ''}</div>
+                        <div class="info-value" style="margin: 8px 0; word-break: break-all;">POST ${hookBaseUrl}/hooks/${hook.id}</div>
+                        <div class="info-value" style="margin-bottom: 8px;">${escapeHtml(hook.template)}</div>
+                        <button class="button secondary" onclick="hookAction('copyHookUrl', '${hook.id}')">📋 Copy URL</button>
+                        <button class="button secondary" onclick="hookAction('copyHookSecret', '${hook.id}')">🔑 Copy Secret</button>
+                        <button class="button secondary" onclick="hookAction('deleteHook', '${hook.id}')">🗑️ Delete</button>
+                    </div>
+                    `).join('')}
+                    <button class="button" onclick="hookAction('createHook')">➕ New Hook</button>
+                </div>
+
                 <div class="section">
                     <h3>⚙️ Settings</h3>
                     <div class="checkbox-container">
@@ -1645,6 +3129,14 @@ function activate(context) {
                         vscode.postMessage({ command: 'generateCode' });
                     }
 
+                    function invalidateLinks() {
+                        vscode.postMessage({ command: 'invalidateLinks' });
+                    }
+
+                    function hookAction(command, hookId) {
+                        vscode.postMessage({ command, hookId });
+                    }
+
                     function copyUrl() {
                         const urlElement = document.getElementById('mobile-url');
                         if (urlElement) {
@@ -1958,7 +3450,9 @@ function activate(context) {
         let pwaUrl = embeddedServer ? embeddedServer.generatePreAuthUrl(code) : null;
         if (!pwaUrl) {
             // Fallback to code-based URL (local only)
-            pwaUrl = `http://${serverIp}:${currentServerPort}?code=${code}`;
+            pwaUrl = embeddedServer
+                ? `${embeddedServer.getBaseUrl()}?code=${code}`
+                : `http://${serverIp}:${currentServerPort}?code=${code}`;
         }
 
         try {
@@ -1970,13 +3464,15 @@ function activate(context) {
                 for (const testPort of commonPorts) {
                     // Simple port check instead of PWA availability
                     pwaPort = testPort;
-                    console.log(`📱 Using port ${pwaPort} for PWA`);
+                    log.debug(`📱 Using port ${pwaPort} for PWA`);
                     break;
                 }
             }
 
             // Update pwaUrl with final port (use server port since it serves the PWA)
-            pwaUrl = `http://${serverIp}:${currentServerPort}?code=${code}`;
+            pwaUrl = embeddedServer
+                ? `${embeddedServer.getBaseUrl()}?code=${code}`
+                : `http://${serverIp}:${currentServerPort}?code=${code}`;
 
             // Generate QR code with direct URL (not JSON)
             // Generate QR code as data URL with direct URL
@@ -2172,7 +3668,7 @@ function activate(context) {
                 context.subscriptions
             );
         } catch (error) {
-            console.error('Failed to generate QR code:', error);
+            log.error('🐛 Failed to generate QR code', { error, url: pwaUrl });
 
             // Show a more helpful error message
             const errorQuips = [
@@ -2188,10 +3684,6 @@ function activate(context) {
 
             vscode.window.showWarningMessage(`${randomQuip} Using manual code instead.`);
 
-            // Log the actual error for debugging (but keep user message playful)
-            console.log(`🐛 QR Code Error Details: ${error.message}`);
-            console.log(`📊 Error Context: Code=${code}, URL=${pwaUrl}`);
-
             // Create manual fallback HTML
             panel.webview.html = createManualCodeFallback(code, pwaUrl, serverIp, pwaPort);
         }
@@ -2204,6 +3696,7 @@ function activate(context) {
             try {
                 await embeddedServer.stop();
                 embeddedServer = null;
+                deviceTree.refresh();
                 updateStatusBar('🔴 Disconnected');
                 vscode.window.showInformationMessage('🛑 KIM Embedded Server stopped');
             } catch (error) {
@@ -2212,8 +3705,21 @@ function activate(context) {
         } else {
             // Start embedded server
             try {
-                embeddedServer = new EmbeddedKIMServer(serverPort);
+                const config = vscode.workspace.getConfiguration('kim');
+                embeddedServer = new EmbeddedKIMServer(serverPort, {
+                    tokenStore,
+                    tls: config.get('enableTls', false),
+                    tlsDir: path.join(context.globalStorageUri.fsPath, 'tls'),
+                    limits: config.get('limits', {}),
+                    webhooks: config.get('webhooks', []),
+                    inboundHooks,
+                    pipeline: promptPipeline,
+                    redaction: redactionSettings(),
+                    presence: presenceFeed,
+                    onDevicesChanged: () => deviceTree.refresh()
+                });
                 await embeddedServer.start();
+                deviceTree.refresh();
 
                 // Update the actual port (in case it changed due to conflicts)
                 serverPort = embeddedServer.port;
@@ -2226,7 +3732,7 @@ function activate(context) {
                     if (embeddedServer) {
                         const session = embeddedServer.generatePairingCode('vscode');
                         currentPairingCode = session.code;
-                        console.log('🔢 Auto-generated pairing code:', currentPairingCode);
+                        log.debug('🔢 Auto-generated pairing code', { pairingCode: currentPairingCode });
                     }
                 }, 500);
 
@@ -2275,8 +3781,10 @@ function activate(context) {
             });
     });
 
-    // Inject prompt directly into Copilot chat
-    let injectPrompt = vscode.commands.registerCommand('kim.injectPrompt', async function (prompt, quip) {
+    // Inject prompt directly into Copilot chat, with any editor context the device asked for
+    // Resolves to { delivered, streaming?, code?, reason? } so the server can tell the device what happened
+    let injectPrompt = vscode.commands.registerCommand('kim.injectPrompt', async function (prompt, quip, promptId, context = []) {
+        let relayed = null;
         try {
             // Check if Copilot is available
             const copilotExtension = vscode.extensions.getExtension('GitHub.copilot');
@@ -2289,7 +3797,27 @@ function activate(context) {
                 ];
                 const randomError = copilotErrors[Math.floor(Math.random() * copilotErrors.length)];
                 vscode.window.showErrorMessage(randomError);
-                return;
+                return {
+                    delivered: false,
+                    code: ERROR_CODES.COPILOT_UNAVAILABLE,
+                    reason: 'GitHub Copilot is not installed in VS Code'
+                };
+            }
+
+            // Read the editor before chat opens and takes the focus
+            let fullPrompt = prompt;
+            if (context && context.length > 0) {
+                const resolved = await resolveEditorContext(context);
+                const screened = resolved.error ? resolved : screenAttachments(resolved.attachments);
+                if (screened.error) {
+                    log.warn('📎 Could not attach editor context', { promptId, reason: screened.error });
+                    return {
+                        delivered: false,
+                        code: resolved.error ? ERROR_CODES.CONTEXT_UNAVAILABLE : ERROR_CODES.SECRET_DETECTED,
+                        reason: screened.error
+                    };
+                }
+                fullPrompt = withContext(prompt, screened.attachments);
             }
 
             // Show the quip to the user as a fun notification, not to Copilot
@@ -2297,19 +3825,37 @@ function activate(context) {
                 vscode.window.showInformationMessage(`📱 ${quip}`, { modal: false });
             }
 
-            console.log('😺 Injecting prompt into Copilot Chat:', prompt);
+            log.info('😺 Injecting prompt into Copilot Chat', { promptId, prompt });
+
+            // Copilot answers in its own chat unless the user opted into @kim, which streams the answer back
+            let query = fullPrompt;
+            const streamAnswers = vscode.workspace.getConfiguration('kim').get('streamAnswers', false);
+            if (kimParticipant && promptId && streamAnswers) {
+                relayed = promptId;
+                relayedChatPrompts.set(promptId, Date.now());
+                query = `@kim /relay ${promptId} ${fullPrompt}`;
+            }
 
             // Direct injection using VS Code Chat API
             await vscode.commands.executeCommand('workbench.action.chat.open', {
-                query: prompt
+                query
             });
 
             vscode.window.showInformationMessage(`✅ Prompt delivered: "${prompt.substring(0, 50)}..."`);
-            console.log('✅ Successfully injected prompt into Copilot Chat');
+            log.info('✅ Successfully injected prompt into Copilot Chat', { promptId });
+            return { delivered: true, streaming: Boolean(relayed) };
 
         } catch (error) {
-            console.error('❌ Extension error:', error);
+            if (relayed) {
+                relayedChatPrompts.delete(relayed);
+            }
+            log.error('❌ Prompt injection failed', { promptId, error });
             vscode.window.showErrorMessage('🌀 Prompt injection failed: ' + error.message);
+            return {
+                delivered: false,
+                code: ERROR_CODES.CHAT_OPEN_FAILED,
+                reason: `Copilot chat could not be opened: ${error.message}`
+            };
         }
     });
 
@@ -2346,16 +3892,62 @@ function activate(context) {
                         // Refresh the control panel to show new code
                         panel.webview.html = getControlPanelHTML();
                         break;
+                    case 'invalidateLinks':
+                        // A QR got shared or photographed - make every outstanding link useless
+                        if (embeddedServer) {
+                            const count = embeddedServer.invalidatePairingLinks();
+                            vscode.window.showInformationMessage(`🚫 ${count} pairing link(s) invalidated - generate a new code to pair again`);
+                        }
+                        panel.webview.html = getControlPanelHTML();
+                        break;
                     case 'showQRCode':
                         await vscode.commands.executeCommand('kim.showPairingCode');
                         break;
+                    case 'createHook': {
+                        const name = await vscode.window.showInputBox({
+                            prompt: 'Name the hook',
+                            placeHolder: 'CI failures'
+                        });
+                        if (name === undefined) break;
+                        const template = await vscode.window.showInputBox({
+                            prompt: 'Prompt template - {{field}} is filled from the JSON payload',
+                            placeHolder: 'Fix the failing test {{test}}: {{message}}',
+                            validateInput: value => value.trim() ? null : 'The template becomes the prompt, so it cannot be empty'
+                        });
+                        if (!template) break;
+
+                        const hook = await inboundHooks.create({ name, template });
+                        await vscode.env.clipboard.writeText(hook.secret);
+                        vscode.window.showInformationMessage(`🪝 Hook "${hook.name}" created - its secret is on your clipboard`);
+                        panel.webview.html = getControlPanelHTML();
+                        break;
+                    }
+                    case 'deleteHook': {
+                        const hook = inboundHooks.get(message.hookId);
+                        if (!hook) break;
+                        const answer = await vscode.window.showWarningMessage(
+                            `Delete the hook "${hook.name}"? Anything still posting to it will get a 404.`, { modal: true }, 'Delete');
+                        if (answer !== 'Delete') break;
+
+                        await inboundHooks.remove(hook.id);
+                        panel.webview.html = getControlPanelHTML();
+                        break;
+                    }
+                    case 'copyHookUrl':
+                    case 'copyHookSecret': {
+                        const hook = inboundHooks.get(message.hookId);
+                        if (!hook) break;
+                        const baseUrl = embeddedServer ? embeddedServer.getBaseUrl() : `http://localhost:${serverPort}`;
+                        await vscode.env.clipboard.writeText(message.command === 'copyHookUrl' ? `${baseUrl}/hooks/${hook.id}` : hook.secret);
+                        vscode.window.showInformationMessage(`📋 Hook ${message.command === 'copyHookUrl' ? 'URL' : 'secret'} copied to clipboard!`);
+                        break;
+                    }
                     case 'openPWA':
                         if (embeddedServer) {
-                            const localIPs = embeddedServer.getLocalIPs();
-                            const serverIp = localIPs.length > 0 ? localIPs[0] : 'localhost';
+                            const baseUrl = embeddedServer.getBaseUrl();
                             const pwaUrl = currentPairingCode ?
-                                `http://${serverIp}:${embeddedServer.port}?code=${currentPairingCode}` :
-                                `http://${serverIp}:${embeddedServer.port}`;
+                                `${baseUrl}?code=${currentPairingCode}` :
+                                baseUrl;
                             vscode.env.openExternal(vscode.Uri.parse(pwaUrl));
                         }
                         break;
@@ -2370,8 +3962,7 @@ function activate(context) {
                         if (embeddedServer && currentPairingCode) {
                             try {
                                 // Use pre-auth URL for instant access
-                                const pwaUrl = embeddedServer.generatePreAuthUrl(currentPairingCode) ||
-                                    `http://localhost:${embeddedServer.port}?code=${currentPairingCode}`;
+                                const pwaUrl = embeddedServer.getPairingUrl(currentPairingCode);
 
                                 const qrCodeDataUrl = await QRCode.toDataURL(pwaUrl, {
                                     width: 200,
@@ -2389,7 +3980,7 @@ function activate(context) {
                                     url: pwaUrl
                                 });
                             } catch (error) {
-                                console.error('❌ Failed to generate QR code:', error);
+                                log.error('❌ Failed to generate QR code', { error });
                                 panel.webview.postMessage({
                                     command: 'updateQR',
                                     error: 'Failed to generate QR code'
@@ -2407,6 +3998,9 @@ function activate(context) {
 
     context.subscriptions.push(showPairingCode, toggleServer, showStatus, injectPrompt, openPanel);
 
+    // @kim answers relayed prompts in Copilot chat and streams the reply back to the device
+    registerKimParticipant(context);
+
     // Auto-start embedded server on activation
     const autoStart = config.get('autoStartServer', true); // Default to true for embedded server
     if (autoStart) {
@@ -2495,7 +4089,7 @@ async function createQRCodeHover(code) {
 
         return new vscode.Hover(content);
     } catch (error) {
-        console.error('Failed to create QR code hover:', error);
+        log.error('🐛 Failed to create QR code hover', { error });
 
         // Fallback to simple text hover
         const content = new vscode.MarkdownString();
@@ -2506,15 +4100,105 @@ async function createQRCodeHover(code) {
     }
 }
 
+/**
+ * Register the @kim chat participant (VS Code 1.90+). Older hosts keep
+ * the fire-and-forget behaviour.
+ * @param {vscode.ExtensionContext} context
+ */
+function registerKimParticipant(context) {
+    if (!vscode.chat?.createChatParticipant || !vscode.lm?.selectChatModels) {
+        log.info('💬 Chat participant API not available - answers will not stream back');
+        return;
+    }
+
+    kimParticipant = vscode.chat.createChatParticipant('kim.relay', handleKimChatRequest);
+    kimParticipant.iconPath = new vscode.ThemeIcon('rocket');
+    context.subscriptions.push(kimParticipant);
+}
+
+// Split "/relay <promptId> <prompt>" and forget the promptId; unknown or stale IDs are not streamed anywhere
+function takeRelayedPrompt(request) {
+    if (request.command !== 'relay') {
+        return { promptId: null, prompt: request.prompt };
+    }
+
+    const now = Date.now();
+    for (const [promptId, queuedAt] of relayedChatPrompts) {
+        if (now - queuedAt > RELAYED_PROMPT_TTL) {
+            relayedChatPrompts.delete(promptId);
+        }
+    }
+
+    const [, id = '', prompt = ''] = request.prompt.match(/^\s*(\S*)\s*([\s\S]*)$/) || [];
+    const promptId = relayedChatPrompts.delete(id) ? id : null;
+    return { promptId, prompt };
+}
+
+// Earlier @kim turns of this chat, so follow-ups keep their context
+function chatHistoryMessages(chatContext) {
+    const messages = [];
+    for (const turn of chatContext.history || []) {
+        if (turn instanceof vscode.ChatRequestTurn) {
+            const prompt = turn.command === 'relay' ? turn.prompt.replace(/^\s*\S*\s*/, '') : turn.prompt;
+            messages.push(vscode.LanguageModelChatMessage.User(prompt));
+        } else if (turn instanceof vscode.ChatResponseTurn) {
+            const answer = turn.response
+                .filter(part => part instanceof vscode.ChatResponseMarkdownPart)
+                .map(part => part.value.value)
+                .join('');
+            if (answer) {
+                messages.push(vscode.LanguageModelChatMessage.Assistant(answer));
+            }
+        }
+    }
+    return messages;
+}
+
+async function handleKimChatRequest(request, chatContext, stream, cancellationToken) {
+    const { promptId, prompt } = takeRelayedPrompt(request);
+    let text = '';
+
+    try {
+        // Prefer whatever model is picked in the chat view, otherwise any Copilot model
+        const model = request.model || (await vscode.lm.selectChatModels({ vendor: 'copilot' }))[0];
+        if (!model) {
+            throw new Error('No Copilot language model is available');
+        }
+
+        const response = await model.sendRequest(
+            [...chatHistoryMessages(chatContext), vscode.LanguageModelChatMessage.User(prompt)],
+            {},
+            cancellationToken
+        );
 
+        for await (const fragment of response.text) {
+            text += fragment;
+            stream.markdown(fragment);
+            if (promptId && embeddedServer) {
+                embeddedServer.streamResponseChunk(promptId, fragment);
+            }
+        }
+
+        if (promptId && embeddedServer) {
+            embeddedServer.finishResponse(promptId, { success: true, text, model: model.name || model.id });
+        }
+    } catch (error) {
+        log.error('🌀 @kim could not answer', { promptId, error });
+        stream.markdown(`🌀 ${error.message}`);
+        if (promptId && embeddedServer) {
+            embeddedServer.finishResponse(promptId, { success: false, text, error: error.message });
+        }
+    }
+}
 
 function deactivate() {
-    console.log('👋 KIM Extension deactivated');
+    log.info('👋 KIM Extension deactivated');
 
-    // Clean up embedded server
+    // Clean up embedded server (VS Code waits for the returned promise)
     if (embeddedServer) {
-        embeddedServer.stop();
+        const stopping = embeddedServer.stop();
         embeddedServer = null;
+        return stopping;
     }
 }
 
@@ -0,0 +1,364 @@
+// Keep-It-Moving (KIM) Wire Protocol
+// Shared, versioned message contract for the relay, the embedded server and every client 📡
+
+const {
+    MAX_PROMPT_LENGTH,
+    MAX_DEVICE_NAME_LENGTH,
+    CONTEXT_DIRECTIVES,
+    MAX_CONTEXT_DIRECTIVES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES
+} = require('./schemas');
+
+/** Version this build speaks by default */
+const PROTOCOL_VERSION = 1;
+
+/** Every version this build can still talk, newest first */
+const SUPPORTED_VERSIONS = [1];
+
+const ERROR_CODES = {
+    INVALID_JSON: 'invalid_json',
+    INVALID_MESSAGE: 'invalid_message',
+    UNKNOWN_TYPE: 'unknown_type',
+    UNSUPPORTED_MESSAGE: 'unsupported_message',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    SESSION_EXPIRED: 'session_expired',
+    // Why a prompt never made it into Copilot chat (prompt_failed)
+    VSCODE_OFFLINE: 'vscode_offline',
+    COPILOT_UNAVAILABLE: 'copilot_unavailable',
+    CHAT_OPEN_FAILED: 'chat_open_failed',
+    DELIVERY_TIMEOUT: 'delivery_timeout',
+    QUEUE_FULL: 'queue_full',
+    QUEUE_EXPIRED: 'queue_expired',
+    PROMPT_NOT_FOUND: 'prompt_not_found',
+    UNKNOWN_TARGET: 'unknown_target',
+    // Another live connection already registered that VS Code window
+    TARGET_IN_USE: 'target_in_use',
+    TLS_DISABLED: 'tls_disabled',
+    // REST API requests without a bearer token, or a remote VS Code with the wrong extension secret
+    UNAUTHORIZED: 'unauthorized',
+    // Pairing: wrong code or token, and the brakes put on clients that keep guessing
+    PAIRING_FAILED: 'pairing_failed',
+    TOO_MANY_ATTEMPTS: 'too_many_attempts',
+    LOCAL_ONLY: 'local_only',
+    DEVICE_NOT_FOUND: 'device_not_found',
+    HOOK_NOT_FOUND: 'hook_not_found',
+    // Prompt plugins: refused on purpose, or a plugin that broke
+    PROMPT_REJECTED: 'prompt_rejected',
+    PLUGIN_ERROR: 'plugin_error',
+    // A secret was found in the prompt and the redaction policy is 'block'
+    SECRET_DETECTED: 'secret_detected',
+    // The prompt asked for editor context VS Code could not provide (nothing selected, no such file)
+    CONTEXT_UNAVAILABLE: 'context_unavailable',
+    // Something broke on the server's side between the plugins and VS Code
+    RELAY_ERROR: 'relay_error',
+    // Quotas: too many prompts too fast, or too many connections at once
+    RATE_LIMITED: 'rate_limited',
+    SERVER_FULL: 'server_full'
+};
+
+const ERROR_EMOJI = {
+    [ERROR_CODES.INVALID_JSON]: '🐛',
+    [ERROR_CODES.INVALID_MESSAGE]: '🧐',
+    [ERROR_CODES.UNKNOWN_TYPE]: '🤔',
+    [ERROR_CODES.UNSUPPORTED_MESSAGE]: '🚧',
+    [ERROR_CODES.UNSUPPORTED_VERSION]: '📜',
+    [ERROR_CODES.SESSION_EXPIRED]: '☕',
+    [ERROR_CODES.VSCODE_OFFLINE]: '🔌',
+    [ERROR_CODES.COPILOT_UNAVAILABLE]: '🍕',
+    [ERROR_CODES.CHAT_OPEN_FAILED]: '🌀',
+    [ERROR_CODES.DELIVERY_TIMEOUT]: '⏰',
+    [ERROR_CODES.QUEUE_FULL]: '📪',
+    [ERROR_CODES.QUEUE_EXPIRED]: '⌛',
+    [ERROR_CODES.PROMPT_NOT_FOUND]: '🔍',
+    [ERROR_CODES.UNKNOWN_TARGET]: '🎯',
+    [ERROR_CODES.TARGET_IN_USE]: '🪟',
+    [ERROR_CODES.TLS_DISABLED]: '🔓',
+    [ERROR_CODES.UNAUTHORIZED]: '🔑',
+    [ERROR_CODES.PAIRING_FAILED]: '🔍',
+    [ERROR_CODES.TOO_MANY_ATTEMPTS]: '🧊',
+    [ERROR_CODES.LOCAL_ONLY]: '🏠',
+    [ERROR_CODES.DEVICE_NOT_FOUND]: '👻',
+    [ERROR_CODES.HOOK_NOT_FOUND]: '🪝',
+    [ERROR_CODES.PROMPT_REJECTED]: '🚫',
+    [ERROR_CODES.PLUGIN_ERROR]: '🧩',
+    [ERROR_CODES.SECRET_DETECTED]: '🔐',
+    [ERROR_CODES.CONTEXT_UNAVAILABLE]: '📎',
+    [ERROR_CODES.RELAY_ERROR]: '💥',
+    [ERROR_CODES.RATE_LIMITED]: '🚦',
+    [ERROR_CODES.SERVER_FULL]: '🏟️'
+};
+
+/** Prefix a TLS server signs together with a device's verify_server nonce */
+const IDENTITY_CONTEXT = 'kim-server-identity:';
+
+/**
+ * What a TLS server signs to answer verify_server: the certificate it is
+ * serving and the device's nonce, so the signature can't be passed off for
+ * another certificate
+ * @param {string} certificateFingerprint - base64url SHA-256 of the served certificate (DER)
+ * @param {string} nonce - The device's nonce
+ * @returns {string}
+ */
+function identityPayload(certificateFingerprint, nonce) {
+    return `${IDENTITY_CONTEXT}${certificateFingerprint}:${nonce}`;
+}
+
+/**
+ * Raised when a message does not match its schema
+ */
+class ProtocolError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable reason
+     * @param {string[]} [errors] - Per-field problems
+     */
+    constructor(code, message, errors = []) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.errors = errors;
+        this.emoji = ERROR_EMOJI[code] || '❌';
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Validate a client -> server message against its schema
+ * @param {Object} message - Decoded message
+ * @returns {{ valid: boolean, error?: ProtocolError }}
+ */
+function validateMessage(message) {
+    if (typeOf(message) !== 'object') {
+        return { valid: false, error: new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Messages must be JSON objects') };
+    }
+
+    if (typeof message.type !== 'string') {
+        return { valid: false, error: new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Message is missing a type') };
+    }
+
+    const schema = CLIENT_MESSAGES[message.type];
+    if (!schema) {
+        return { valid: false, error: new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, 'Unknown message type') };
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = message[field];
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push(`${field} is required`);
+            }
+            continue;
+        }
+
+        if (typeOf(value) !== rule.type) {
+            errors.push(`${field} must be a ${rule.type}`);
+            continue;
+        }
+
+        if (rule.items && value.some(item => typeOf(item) !== rule.items)) {
+            errors.push(`${field} must only contain ${rule.items} values`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return {
+            valid: false,
+            error: new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${message.type} message: ${errors.join(', ')}`, errors)
+        };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Decode and validate a raw frame received by a server
+ * @param {string} raw - Frame payload
+ * @returns {{ message?: Object, error?: ProtocolError }}
+ */
+function parseMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return { error: new ProtocolError(ERROR_CODES.INVALID_JSON, 'Invalid message format') };
+    }
+
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+        return { error: validation.error };
+    }
+
+    return { message };
+}
+
+/**
+ * Decode a raw frame received by a client. Unknown response types are passed
+ * through so older clients keep working when a server learns new messages.
+ * @param {string} raw - Frame payload
+ * @returns {{ message?: Object, error?: ProtocolError }}
+ */
+function parseResponse(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return { error: new ProtocolError(ERROR_CODES.INVALID_JSON, 'Invalid message format') };
+    }
+
+    if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+        return { error: new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Response is missing a type') };
+    }
+
+    return { message };
+}
+
+/**
+ * Build a client -> server message, throwing if it would be rejected
+ * @param {string} type - Message type
+ * @param {Object} fields - Message fields
+ * @returns {Object}
+ */
+function createMessage(type, fields = {}) {
+    const message = { type, ...fields };
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+        throw validation.error;
+    }
+    return message;
+}
+
+/**
+ * Check a prompt's context directives and reduce them to { type } / { type, path }.
+ * File paths must stay inside the workspace: relative, no `..` segments.
+ * @param {Object[]} [context] - e.g. [{ type: 'selection' }, { type: 'file', path: 'src/app.js' }]
+ * @returns {{ directives?: Object[], error?: string }}
+ */
+function normalizeContextDirectives(context) {
+    if (context === undefined || context === null) {
+        return { directives: [] };
+    }
+    if (!Array.isArray(context) || context.length > MAX_CONTEXT_DIRECTIVES) {
+        return { error: `context takes up to ${MAX_CONTEXT_DIRECTIVES} directives` };
+    }
+
+    const directives = [];
+    for (const item of context) {
+        if (typeOf(item) !== 'object' || !CONTEXT_DIRECTIVES.includes(item.type)) {
+            return { error: `context directives are ${CONTEXT_DIRECTIVES.join(', ')}` };
+        }
+
+        if (item.type !== 'file') {
+            if (!directives.some(directive => directive.type === item.type)) {
+                directives.push({ type: item.type });
+            }
+            continue;
+        }
+
+        const filePath = typeof item.path === 'string' ? item.path.trim().replace(/\\/g, '/') : '';
+        if (!filePath || filePath.startsWith('/') || /^[a-z]:/i.test(filePath) || filePath.split('/').includes('..')) {
+            return { error: 'file context needs a path relative to the workspace' };
+        }
+        if (!directives.some(directive => directive.path === filePath)) {
+            directives.push({ type: 'file', path: filePath });
+        }
+    }
+    return { directives };
+}
+
+/**
+ * Correlation ID for a prompt, so delivery updates can find their way back.
+ * Works without crypto.randomUUID, which browsers only expose on https.
+ * @returns {string}
+ */
+function createPromptId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Build the opening handshake for a client
+ * @param {Object} client - { name, version }
+ * @returns {Object}
+ */
+function createHello(client = {}) {
+    return createMessage('hello', {
+        protocolVersion: PROTOCOL_VERSION,
+        supportedVersions: SUPPORTED_VERSIONS,
+        client
+    });
+}
+
+/**
+ * Pick the newest version both peers speak
+ * @param {Object} hello - The client's hello message
+ * @returns {number|null} Agreed version, or null when there is none
+ */
+function negotiateVersion(hello) {
+    const offered = Array.isArray(hello.supportedVersions) && hello.supportedVersions.length > 0
+        ? hello.supportedVersions
+        : [hello.protocolVersion];
+
+    const common = SUPPORTED_VERSIONS.filter(version => offered.includes(version));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Build the server -> client envelope. quip and data are always present
+ * (null when unused) so clients never have to guess.
+ */
+function createResponse(type, success, message, emoji = '✅', quip = null, data = null) {
+    return {
+        type,
+        success,
+        message,
+        emoji,
+        quip: quip || null,
+        data: data || null,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Build an error envelope for a ProtocolError
+ * @param {ProtocolError} error
+ * @returns {Object}
+ */
+function createProtocolErrorResponse(error) {
+    return createResponse('error', false, error.message, error.emoji, null, {
+        code: error.code,
+        errors: error.errors
+    });
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    MAX_PROMPT_LENGTH,
+    MAX_DEVICE_NAME_LENGTH,
+    CONTEXT_DIRECTIVES,
+    MAX_CONTEXT_DIRECTIVES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    ERROR_CODES,
+    ERROR_EMOJI,
+    IDENTITY_CONTEXT,
+    identityPayload,
+    ProtocolError,
+    validateMessage,
+    parseMessage,
+    parseResponse,
+    createMessage,
+    createHello,
+    createPromptId,
+    normalizeContextDirectives,
+    negotiateVersion,
+    createResponse,
+    createProtocolErrorResponse
+};
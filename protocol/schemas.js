@@ -0,0 +1,259 @@
+// KIM Wire Protocol - message schemas 📜
+// One entry per message type; both servers and every client read from here
+
+/** Longest prompt a device may relay to Copilot */
+const MAX_PROMPT_LENGTH = 1000;
+
+/** Longest name a paired device can be given */
+const MAX_DEVICE_NAME_LENGTH = 40;
+
+/**
+ * Editor context a prompt can ask VS Code to attach: the selection, the whole
+ * active file, the code on screen, or a named workspace file ({ type: 'file', path })
+ */
+const CONTEXT_DIRECTIVES = ['selection', 'activeFile', 'visibleRange', 'file'];
+
+/** Most context directives one prompt may carry */
+const MAX_CONTEXT_DIRECTIVES = 5;
+
+/**
+ * Messages a client (PWA, CLI, VS Code extension) may send to a server.
+ * Each field is { type, required?, items? }. Unknown fields are ignored so
+ * newer clients can add data without breaking older servers.
+ */
+const CLIENT_MESSAGES = {
+    hello: {
+        description: 'Opening handshake - negotiates the protocol version',
+        fields: {
+            protocolVersion: { type: 'number', required: true },
+            supportedVersions: { type: 'array', items: 'number' },
+            client: { type: 'object' }
+        }
+    },
+    pair: {
+        description: 'Pair a device with a 6-digit code',
+        fields: {
+            code: { type: 'string', required: true },
+            deviceInfo: { type: 'object' }
+        }
+    },
+    preauth: {
+        description: 'Pair a device with the single-use ticket carried in a QR link',
+        fields: {
+            ticket: { type: 'string', required: true },
+            deviceInfo: { type: 'object' }
+        }
+    },
+    resume: {
+        description: 'Rebind a paired token to a new socket and replay missed events',
+        fields: {
+            token: { type: 'string', required: true },
+            lastSeq: { type: 'number' }
+        }
+    },
+    prompt: {
+        description: 'Relay a prompt to Copilot chat',
+        fields: {
+            token: { type: 'string', required: true },
+            prompt: { type: 'string' },
+            promptId: { type: 'string' },
+            target: { type: 'string' },
+            context: { type: 'array', items: 'object' }
+        }
+    },
+    prompt_ack: {
+        description: 'VS Code reports whether a relayed prompt reached Copilot chat',
+        fields: {
+            promptId: { type: 'string', required: true },
+            success: { type: 'boolean', required: true },
+            streaming: { type: 'boolean' },
+            code: { type: 'string' },
+            reason: { type: 'string' }
+        }
+    },
+    response_chunk: {
+        description: 'VS Code streams a piece of Copilot\'s answer to a relayed prompt',
+        fields: {
+            promptId: { type: 'string', required: true },
+            text: { type: 'string', required: true }
+        }
+    },
+    response_done: {
+        description: 'VS Code finished (or gave up on) the answer to a relayed prompt',
+        fields: {
+            promptId: { type: 'string', required: true },
+            success: { type: 'boolean', required: true },
+            text: { type: 'string' },
+            model: { type: 'string' },
+            error: { type: 'string' }
+        }
+    },
+    list_queue: {
+        description: 'List this device\'s prompts still waiting for VS Code',
+        fields: {
+            token: { type: 'string', required: true }
+        }
+    },
+    cancel_prompt: {
+        description: 'Withdraw a prompt that is still waiting for VS Code',
+        fields: {
+            token: { type: 'string', required: true },
+            promptId: { type: 'string', required: true }
+        }
+    },
+    find_files: {
+        description: 'Search the workspace for files to attach to a prompt (embedded server only)',
+        fields: {
+            token: { type: 'string', required: true },
+            query: { type: 'string' }
+        }
+    },
+    ping: {
+        description: 'Application-level heartbeat',
+        fields: {
+            timestamp: { type: 'number' }
+        }
+    },
+    generate_pairing_code: {
+        description: 'Ask the server for a fresh pairing code',
+        fields: {
+            deviceType: { type: 'string' },
+            deviceInfo: { type: 'object' }
+        }
+    },
+    get_pairing_sessions: {
+        description: 'List pairing codes that are still waiting for a device',
+        fields: {}
+    },
+    get_pairing_status: {
+        description: 'Failed pairing attempts and lockouts (local connections only)',
+        fields: {}
+    },
+    get_webhook_deliveries: {
+        description: 'Configured webhooks and how their recent deliveries went (local connections only)',
+        fields: {}
+    },
+    register_extension: {
+        description: 'Identify the connection as a VS Code window that can take prompts',
+        fields: {
+            targetId: { type: 'string' },
+            workspace: { type: 'string' },
+            window: { type: 'object' },
+            // Needed from anywhere but this machine, when the relay sets KIM_EXTENSION_SECRET
+            secret: { type: 'string' }
+        }
+    },
+    list_targets: {
+        description: 'List the VS Code windows prompts can be sent to',
+        fields: {
+            token: { type: 'string', required: true }
+        }
+    },
+    set_default_target: {
+        description: 'Pick the VS Code window this device\'s prompts go to by default (null clears it)',
+        fields: {
+            token: { type: 'string', required: true },
+            targetId: { type: 'string' }
+        }
+    },
+    list_devices: {
+        description: 'List paired devices (with a device token, or from the machine running KIM)',
+        fields: {
+            token: { type: 'string' }
+        }
+    },
+    rename_device: {
+        description: 'Give a paired device a recognisable name',
+        fields: {
+            token: { type: 'string' },
+            deviceId: { type: 'string', required: true },
+            name: { type: 'string', required: true }
+        }
+    },
+    revoke_device: {
+        description: 'Unpair a device - its token stops working and it is sent back to pairing',
+        fields: {
+            token: { type: 'string' },
+            deviceId: { type: 'string', required: true }
+        }
+    },
+    verify_server: {
+        description: 'Ask a TLS server to sign a nonce for the certificate it serves',
+        fields: {
+            nonce: { type: 'string', required: true }
+        }
+    }
+};
+
+/**
+ * Messages a server may send. Every one uses the same envelope:
+ * { type, success, message, emoji, quip, data, timestamp }
+ * Events addressed to a paired device also carry a per-device `seq`
+ * (and `replayed: true` when re-sent after a resume).
+ * prompt_received / prompt_delivered / prompt_failed carry `data.promptId`;
+ * prompt_failed adds `data.code` and `data.reason`; prompt_queued adds `data.position`.
+ * prompt_redacted ({ promptId, action, policy, findings: [{ type, label, preview }], prompt? }) says a
+ * secret was found: `action` is masked (`prompt` is what was relayed), warned or blocked.
+ * response_chunk ({ promptId, index, text }) streams Copilot's answer live;
+ * response_done ({ promptId, text, model, error }) carries the full answer and is replayable.
+ * server_identity ({ fingerprint, publicKey, certificate, signature, algorithm }) answers verify_server.
+ * pairing_status ({ failedAttempts, burnedCodes, lockedOut, throttled, activeCodes }) answers get_pairing_status.
+ * webhook_deliveries ({ webhooks: [{ url, events }], deliveries }) answers get_webhook_deliveries.
+ * Failed pair/preauth errors carry `data.retryAfter` (seconds before the next attempt is accepted).
+ * Prompts refused with `rate_limited` carry `data.retryAfter` (seconds) and `data.scope` ('device' or 'ip').
+ * devices ({ devices, change }) answers list_devices and is pushed to VS Code whenever a device
+ * pairs, is renamed or revoked, or comes and goes (`change` is { type, deviceId } then).
+ * device_renamed ({ device }) and device_revoked ({ deviceId }) confirm the change to whoever asked;
+ * revoked ({ deviceId }) tells the unpaired device itself that its token is gone.
+ * extension_online / extension_offline ({ targetId, workspace, onlineTargets, lastSeen }) tell connected
+ * devices a VS Code window came or went (relay only; not sequenced - `resumed` carries `extensionOnline`).
+ * presence ({ shared, focused?, workspace?, activeFile?, language?, copilot?, updatedAt }) is what the
+ * embedded server's VS Code window is doing; only the fields listed in `shared` are sent. Pushed on change
+ * and after paired/resumed, not sequenced.
+ * files ({ query, files: [relative path] }) answers find_files.
+ * A prompt's `context` directives are resolved by VS Code right before Copilot chat opens (prompt_relay
+ * carries them as `data.context`); ones it cannot resolve fail the prompt with `code: context_unavailable`.
+ */
+const SERVER_MESSAGES = [
+    'welcome',
+    'hello',
+    'paired',
+    'resumed',
+    'prompt_received',
+    'prompt_queued',
+    'prompt_redacted',
+    'prompt_cancelled',
+    'queue',
+    'prompt_delivered',
+    'prompt_failed',
+    'prompt_relay',
+    'response_chunk',
+    'response_done',
+    'pong',
+    'pairing_code_generated',
+    'pairing_sessions',
+    'pairing_status',
+    'webhook_deliveries',
+    'extension_registered',
+    'extension_online',
+    'extension_offline',
+    'presence',
+    'files',
+    'targets',
+    'default_target_set',
+    'server_identity',
+    'devices',
+    'device_renamed',
+    'device_revoked',
+    'revoked',
+    'error'
+];
+
+module.exports = {
+    MAX_PROMPT_LENGTH,
+    MAX_DEVICE_NAME_LENGTH,
+    CONTEXT_DIRECTIVES,
+    MAX_CONTEXT_DIRECTIVES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES
+};
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
-import { Routes, Route, Navigate } from 'react-router-dom'
+import { Routes, Route, Navigate, useNavigate } from 'react-router-dom'
+import { createMessage, createPromptId, MAX_PROMPT_LENGTH } from 'kim-protocol'
 import { useWebSocket } from './hooks/useWebSocket'
 import { useDeviceDetection } from './hooks/useDeviceDetection'
 import Header from './components/Header'
@@ -18,15 +19,41 @@ function App() {
     const [isPaired, setIsPaired] = useState(false)
     const [token, setToken] = useState(null)
     const [toast, setToast] = useState(null)
+    // { id, text, timestamp, status: sent | received | delivered | failed, reason?, target?, response? }
+    const [promptHistory, setPromptHistory] = useState(() => StatusPersistence.getPromptHistory())
+    // VS Code windows the server knows about, and the one this device sends to by default
+    const [targets, setTargets] = useState([])
+    const [selectedTarget, setSelectedTarget] = useState(null)
+    // What the VS Code window is up to, as far as it shares ({ shared, focused, activeFile, ... })
+    const [presence, setPresence] = useState(null)
+    // Latest workspace file search, for attaching files to a prompt
+    const [fileResults, setFileResults] = useState([])
     const deviceType = useDeviceDetection()
+    const navigate = useNavigate()
+
+    const updatePromptEntry = (promptId, update) => {
+        if (!promptId) return
+        setPromptHistory(prev => prev.map(item =>
+            item.id === promptId ? { ...item, ...update(item) } : item
+        ))
+    }
+
+    const updatePromptStatus = (promptId, status, reason = null) => {
+        updatePromptEntry(promptId, () => ({ status, reason }))
+    }
 
     // Initialize WebSocket connection
     const {
         connect,
         disconnect,
         sendMessage,
+        redeemTicket,
+        requestTargets,
+        findFiles,
+        capabilities,
         connectionState
     } = useWebSocket({
+        token,
         onConnected: () => {
             setIsConnected(true)
             StatusPersistence.saveConnectionState('connected')
@@ -37,6 +64,7 @@ function App() {
         onDisconnected: () => {
             setIsConnected(false)
             setIsPaired(false)
+            setPresence(null)
             StatusPersistence.saveConnectionState('disconnected')
             showToast('Connection lost - will try to reconnect 🔄', 'warning', 3000)
             notifications.showConnectionLost()
@@ -51,10 +79,103 @@ function App() {
             // Automatically redirect to prompt screen after successful pairing
             window.history.pushState(null, '', '/prompt')
         },
-        onPromptDelivered: (message) => {
+        onResumed: () => {
+            // Same token, new socket - no need to pair again
+            setIsPaired(true)
+        },
+        onSessionExpired: (message) => {
+            setToken(null)
+            setIsPaired(false)
+            showToast(`${message} ☕`, 'warning', 5000)
+        },
+        onRevoked: (message) => {
+            setToken(null)
+            setIsPaired(false)
+            setTargets([])
+            setSelectedTarget(null)
+            setPresence(null)
+            showToast(message, 'warning', 8000)
+            navigate('/pair', { replace: true })
+        },
+        onRateLimited: (message, data) => {
+            // useWebSocket sends the prompt again once the server is ready for more
+            showToast(`${message} 🚦`, 'warning', Math.min((data?.retryAfter || 1) * 1000, 6000))
+        },
+        onPromptReceived: (data) => {
+            updatePromptEntry(data?.promptId, () => ({ status: 'received', reason: null, target: data.target || null }))
+        },
+        onPromptQueued: (message, data) => {
+            updatePromptEntry(data?.promptId, () => ({ status: 'queued', position: data.position }))
+            showToast(`${message} 📬`, 'info', 3000)
+        },
+        onPromptRedacted: (message, data) => {
+            // Keep the masked version, so the secret doesn't sit in the history either
+            updatePromptEntry(data?.promptId, item => ({
+                text: data.prompt || item.text,
+                redaction: { action: data.action, findings: data.findings || [] }
+            }))
+            showToast(`${message} 🔐`, data?.action === 'masked' ? 'info' : 'warning', 5000)
+        },
+        onPromptCancelled: (data) => {
+            updatePromptEntry(data?.promptId, () => ({ status: 'cancelled', position: null }))
+        },
+        onQueue: (prompts) => {
+            prompts.forEach(queued => {
+                updatePromptEntry(queued.promptId, () => ({ status: 'queued', position: queued.position }))
+            })
+        },
+        onPromptDelivered: (message, data) => {
+            updatePromptEntry(data?.promptId, item => ({
+                status: 'delivered',
+                reason: null,
+                // Leave room for Copilot's answer if it is going to stream back
+                response: data?.streaming ? (item.response || { text: '', status: 'streaming' }) : item.response
+            }))
             showToast(`${successMessages.prompt.sent} ${getRandomQuip('success')}`, 'success')
             // Don't show notification for prompt delivery to avoid spam
         },
+        onPromptFailed: (message, data) => {
+            updatePromptStatus(data?.promptId, 'failed', data?.reason || message)
+            showToast(`Prompt not delivered: ${data?.reason || message}`, 'error', 6000)
+        },
+        onResponseChunk: (data) => {
+            updatePromptEntry(data?.promptId, item => ({
+                response: {
+                    ...item.response,
+                    text: (item.response?.text || '') + (data.text || ''),
+                    status: 'streaming'
+                }
+            }))
+        },
+        onResponseDone: (success, data) => {
+            // The final message carries the whole answer, so a missed chunk never matters
+            updatePromptEntry(data?.promptId, item => ({
+                response: {
+                    text: data.text || item.response?.text || '',
+                    status: success ? 'done' : 'failed',
+                    model: data.model || null,
+                    error: data.error || null
+                }
+            }))
+        },
+        onTargets: (knownTargets, defaultTarget) => {
+            setTargets(knownTargets)
+            setSelectedTarget(defaultTarget)
+        },
+        onDefaultTarget: (targetId) => {
+            setSelectedTarget(targetId)
+        },
+        onExtensionPresence: (online, message, data) => {
+            // The relay noticed a VS Code window come or go
+            setTargets(prev => prev.map(target => target.targetId === data?.targetId ? { ...target, online } : target))
+            showToast(message, online ? 'success' : 'warning', 4000)
+        },
+        onPresence: (data) => {
+            setPresence(data)
+        },
+        onFiles: (files) => {
+            setFileResults(files)
+        },
         onError: (error) => {
             const friendlyError = getErrorMessage(error, 'connection')
             showToast(friendlyError, 'error', 6000) // Show errors longer
@@ -76,6 +197,19 @@ function App() {
         const serverFromUrl = urlParams.get('server');
         const portFromUrl = urlParams.get('port');
 
+        // VS Code's QR links carry a single-use ticket that pairs without typing a code
+        const ticketFromUrl = urlParams.get('ticket');
+        if (ticketFromUrl && !localStorage.getItem('kim-token')) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            showToast('🚀 QR link detected! Connecting...', 'info', 3000);
+            redeemTicket(ticketFromUrl, {
+                type: deviceType,
+                userAgent: navigator.userAgent,
+                timestamp: Date.now()
+            });
+            return;
+        }
+
         if (codeFromUrl) {
             console.log('🔗 QR code detected in URL:', codeFromUrl);
             console.log('🔗 Server info from URL:', { server: serverFromUrl, port: portFromUrl });
@@ -93,7 +227,7 @@ function App() {
             window.history.replaceState({}, document.title, window.location.pathname);
 
             // Show enhanced toast with server info
-            const serverInfo = serverFromUrl ? ` (${serverFromUrl}:${portFromUrl || '8080'})` : '';
+            const serverInfo = serverFromUrl ? ` (${[serverFromUrl, portFromUrl].filter(Boolean).join(':')})` : '';
             showToast(`🔗 QR code detected: ${codeFromUrl}${serverInfo}! Connecting...`, 'info', 4000);
 
             // Use the dedicated QR code pairing function with server info
@@ -138,6 +272,11 @@ function App() {
         }
     }, [token])
 
+    // Keep history (and delivery status) around for offline viewing
+    useEffect(() => {
+        StatusPersistence.savePromptHistory(promptHistory)
+    }, [promptHistory])
+
     const showToast = (message, type = 'info', duration = 4000) => {
         setToast({ message, type, duration })
         setTimeout(() => setToast(null), duration)
@@ -182,15 +321,14 @@ function App() {
         showToast(`🚀 Pairing with code ${code}...`, 'info', 2000);
 
         try {
-            sendMessage({
-                type: 'pair',
+            sendMessage(createMessage('pair', {
                 code,
                 deviceInfo: {
                     type: deviceType,
                     userAgent: navigator.userAgent,
                     timestamp: Date.now()
                 }
-            });
+            }));
         } catch (error) {
             console.error('❌ Failed to send pairing message:', error);
             showToast(`❌ Pairing failed: ${error.message}`, 'error', 5000);
@@ -202,16 +340,17 @@ function App() {
         console.log('🔗 Starting QR code pairing process for code:', code);
         console.log('🔗 Server details:', { serverHost, serverPort });
 
-        // Build custom server URL if provided
+        // Build custom server URL if provided - without a port it is the page's own
         let customServerUrl = null;
+        const serverAddress = [serverHost, serverPort || window.location.port].filter(Boolean).join(':');
         if (serverHost) {
-            const port = serverPort || '8080';
-            customServerUrl = `ws://${serverHost}:${port}`;
+            const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            customServerUrl = `${scheme}://${serverAddress}`;
             console.log('🎯 Using custom server URL from QR code:', customServerUrl);
         }
 
         // Show immediate feedback with server info
-        const serverInfo = customServerUrl ? ` to ${serverHost}:${serverPort || '8080'}` : '';
+        const serverInfo = customServerUrl ? ` to ${serverAddress}` : '';
         showToast(`🔗 QR code detected! Connecting${serverInfo}...`, 'info', 3000);
 
         // First ensure we're connected to the right server
@@ -236,7 +375,7 @@ function App() {
                 } else if (attempts >= maxAttempts) {
                     console.log('❌ Connection timeout during QR pairing');
                     const timeoutMsg = customServerUrl
-                        ? `❌ Could not connect to ${serverHost}:${serverPort || '8080'}. Please check VS Code extension is running.`
+                        ? `❌ Could not connect to ${serverAddress}. Please check VS Code extension is running.`
                         : '❌ Connection timeout. Please try manual pairing.';
                     showToast(timeoutMsg, 'error', 6000);
                     clearInterval(checkInterval);
@@ -256,7 +395,7 @@ function App() {
         }
     }
 
-    const handleSendPrompt = (prompt) => {
+    const handleSendPrompt = (prompt, context = []) => {
         if (!token || !isConnected) {
             showToast(getErrorMessage('Not connected', 'prompt'), 'error')
             return Promise.reject(new Error('Not connected'))
@@ -267,21 +406,27 @@ function App() {
             return Promise.reject(new Error('Empty prompt'))
         }
 
-        if (prompt.length > 1000) {
+        if (prompt.length > MAX_PROMPT_LENGTH) {
             showToast(getErrorMessage('Prompt too long', 'prompt'), 'warning')
             return Promise.reject(new Error('Prompt too long'))
         }
 
         try {
-            sendMessage({
-                type: 'prompt',
+            // Correlation ID so delivery updates land on the right history row
+            const promptId = createPromptId()
+
+            sendMessage(createMessage('prompt', {
                 token,
-                prompt: prompt.trim()
-            })
+                prompt: prompt.trim(),
+                promptId,
+                // Read by VS Code from the editor right before Copilot chat opens
+                context: context.length > 0 ? context : undefined
+            }))
 
-            // Save to prompt history for offline viewing
-            const currentHistory = StatusPersistence.getPromptHistory()
-            StatusPersistence.savePromptHistory([prompt.trim(), ...currentHistory])
+            setPromptHistory(prev => [
+                { id: promptId, text: prompt.trim(), timestamp: Date.now(), status: 'sent', context },
+                ...prev.slice(0, 9)
+            ])
 
             return Promise.resolve()
         } catch (error) {
@@ -291,6 +436,22 @@ function App() {
         }
     }
 
+    const handleCancelPrompt = (promptId) => {
+        try {
+            sendMessage(createMessage('cancel_prompt', { token, promptId }))
+        } catch (error) {
+            showToast(getErrorMessage(error, 'prompt'), 'error')
+        }
+    }
+
+    const handleSelectTarget = (targetId) => {
+        try {
+            sendMessage(createMessage('set_default_target', { token, targetId }))
+        } catch (error) {
+            showToast(getErrorMessage(error, 'prompt'), 'error')
+        }
+    }
+
     const handleDisconnect = () => {
         disconnect()
         setToken(null)
@@ -307,6 +468,7 @@ function App() {
                 onDisconnect={handleDisconnect}
                 connectionState={connectionState}
                 reconnectAttempts={0} // TODO: Get from useWebSocket
+                presence={isPaired ? presence : null}
             />
 
             <main className="container mx-auto px-4 py-8">
@@ -335,6 +497,15 @@ function App() {
                             isPaired ?
                                 <PromptScreen
                                     onSendPrompt={handleSendPrompt}
+                                    promptHistory={promptHistory}
+                                    onCancelPrompt={handleCancelPrompt}
+                                    targets={targets}
+                                    selectedTarget={selectedTarget}
+                                    onSelectTarget={handleSelectTarget}
+                                    onRefreshTargets={() => requestTargets()}
+                                    canAttachContext={capabilities.includes('find_files')}
+                                    fileResults={fileResults}
+                                    onFindFiles={(query) => findFiles(query)}
                                     connectionState={connectionState}
                                     isConnected={isConnected}
                                 /> :
@@ -349,6 +520,7 @@ function App() {
                                 isPaired={isPaired}
                                 deviceType={deviceType}
                                 connectionState={connectionState}
+                                presence={isPaired ? presence : null}
                             />
                         }
                     />
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react'
+import { MAX_CONTEXT_DIRECTIVES } from 'kim-protocol'
+
+// What VS Code can read from the editor, in chip order
+const EDITOR_CONTEXT = [
+    { type: 'selection', emoji: '✂️', label: 'Selection' },
+    { type: 'visibleRange', emoji: '👁️', label: 'Visible code' },
+    { type: 'activeFile', emoji: '📄', label: 'Active file' }
+]
+
+// Short chip text for a directive, e.g. "✂️ Selection" or "📁 App.jsx"
+export const describeContext = (directive) => {
+    if (directive.type === 'file') return `📁 ${directive.path.split('/').pop()}`
+    const item = EDITOR_CONTEXT.find(entry => entry.type === directive.type)
+    return item ? `${item.emoji} ${item.label}` : `📎 ${directive.type}`
+}
+
+/**
+ * Attach editor context to the next prompt. VS Code reads it right before
+ * Copilot chat opens, so "Explain this code" arrives with the code.
+ * @param {Object[]} props.context - [{ type }] and [{ type: 'file', path }] directives
+ * @param {string[]} props.files - Latest find_files results
+ */
+function ContextPicker({ context = [], onChange, onFindFiles, files = [] }) {
+    const [searching, setSearching] = useState(false)
+    const [query, setQuery] = useState('')
+
+    // Search once typing settles
+    useEffect(() => {
+        if (!searching) return
+        const timer = setTimeout(() => onFindFiles?.(query), 250)
+        return () => clearTimeout(timer)
+    }, [query, searching])
+
+    const isOn = (type) => context.some(directive => directive.type === type)
+    const full = context.length >= MAX_CONTEXT_DIRECTIVES
+    const namedFiles = context.filter(directive => directive.type === 'file')
+
+    const toggle = (type) => {
+        onChange(isOn(type) ? context.filter(directive => directive.type !== type) : [...context, { type }])
+    }
+
+    const addFile = (path) => {
+        if (!context.some(directive => directive.path === path)) {
+            onChange([...context, { type: 'file', path }])
+        }
+        setSearching(false)
+        setQuery('')
+    }
+
+    const chipClass = (on) => `px-3 py-1 rounded-full text-xs font-medium transition-colors ${on
+        ? 'bg-kim-blue text-white'
+        : 'bg-gray-700 text-gray-300 hover:bg-gray-600 hover:text-white'
+        }`
+
+    return (
+        <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+                <span className="emoji">📎</span> Attach from VS Code:
+            </label>
+            <div className="flex flex-wrap gap-2">
+                {EDITOR_CONTEXT.map(item => (
+                    <button
+                        key={item.type}
+                        type="button"
+                        onClick={() => toggle(item.type)}
+                        disabled={full && !isOn(item.type)}
+                        className={`${chipClass(isOn(item.type))} disabled:opacity-50`}
+                    >
+                        <span className="emoji">{item.emoji}</span> {item.label}
+                    </button>
+                ))}
+                {namedFiles.map(directive => (
+                    <button
+                        key={directive.path}
+                        type="button"
+                        onClick={() => onChange(context.filter(other => other.path !== directive.path))}
+                        className={chipClass(true)}
+                        title={`${directive.path} - tap to remove`}
+                    >
+                        {describeContext(directive)} ✕
+                    </button>
+                ))}
+                <button
+                    type="button"
+                    onClick={() => setSearching(!searching)}
+                    disabled={full}
+                    className={`${chipClass(searching)} disabled:opacity-50`}
+                >
+                    <span className="emoji">📁</span> File…
+                </button>
+            </div>
+
+            {searching && (
+                <div className="mt-2 p-2 bg-gray-700 rounded-lg">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search workspace files..."
+                        className="kim-input w-full text-sm"
+                        autoFocus
+                    />
+                    <div className="mt-2 max-h-48 overflow-y-auto space-y-1">
+                        {files.length === 0 ? (
+                            <div className="p-2 text-xs text-gray-400">No matching files</div>
+                        ) : files.map(file => (
+                            <button
+                                key={file}
+                                type="button"
+                                onClick={() => addFile(file)}
+                                className="block w-full text-left p-2 rounded text-xs font-mono text-gray-300 hover:bg-gray-600 hover:text-white break-all"
+                            >
+                                {file}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ContextPicker
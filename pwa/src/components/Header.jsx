@@ -2,7 +2,7 @@ import React from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import ConnectionHealth from './ConnectionHealth'
 
-function Header({ isConnected, isPaired, deviceType, onDisconnect, connectionState, reconnectAttempts }) {
+function Header({ isConnected, isPaired, deviceType, onDisconnect, connectionState, reconnectAttempts, presence }) {
     const location = useLocation()
 
     const getStatusEmoji = () => {
@@ -20,6 +20,18 @@ function Header({ isConnected, isPaired, deviceType, onDisconnect, connectionSta
         }
     }
 
+    // One glance at what VS Code is doing - only what it chose to share
+    const getPresenceSummary = () => {
+        if (!presence || !presence.shared?.length) return null
+        const parts = []
+        if ('focused' in presence) parts.push(presence.focused ? '👀' : '💤')
+        if (presence.activeFile) parts.push(presence.activeFile.split('/').pop())
+        else if (presence.workspace) parts.push(presence.workspace)
+        if (presence.copilot === 'busy') parts.push('🤖 busy')
+        return parts.length > 0 ? parts.join(' ') : null
+    }
+    const presenceSummary = getPresenceSummary()
+
     return (
         <header className="bg-gray-800 border-b border-gray-700 sticky top-0 z-50">
             <div className="container mx-auto px-4 py-4">
@@ -36,6 +48,15 @@ function Header({ isConnected, isPaired, deviceType, onDisconnect, connectionSta
                             isConnected={isConnected}
                             reconnectAttempts={reconnectAttempts}
                         />
+                        {presenceSummary && (
+                            <Link
+                                to="/status"
+                                className="block max-w-[10rem] truncate text-xs text-gray-400 hover:text-gray-200"
+                                title={presence.activeFile || presence.workspace || 'VS Code'}
+                            >
+                                {presenceSummary}
+                            </Link>
+                        )}
                     </div>
 
                     <nav className="flex items-center space-x-4">
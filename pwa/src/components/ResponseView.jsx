@@ -0,0 +1,111 @@
+import React, { useState } from 'react'
+import { parseBlocks, parseInline } from '../utils/markdown'
+
+function Inline({ text }) {
+    return parseInline(text).map((span, index) => {
+        switch (span.type) {
+            case 'code':
+                return <code key={index} className="px-1 bg-gray-900 rounded text-kim-blue">{span.text}</code>
+            case 'bold':
+                return <strong key={index} className="text-white">{span.text}</strong>
+            case 'italic':
+                return <em key={index}>{span.text}</em>
+            case 'link':
+                return (
+                    <a key={index} href={span.href} target="_blank" rel="noopener noreferrer" className="text-kim-blue underline">
+                        {span.text}
+                    </a>
+                )
+            default:
+                return <React.Fragment key={index}>{span.text}</React.Fragment>
+        }
+    })
+}
+
+function CodeBlock({ lang, code }) {
+    const [copied, setCopied] = useState(false)
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(code)
+            setCopied(true)
+            setTimeout(() => setCopied(false), 1500)
+        } catch (error) {
+            console.warn('Failed to copy code:', error)
+        }
+    }
+
+    return (
+        <div className="my-2 rounded-lg bg-gray-900 border border-gray-700 overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-1 text-xs text-gray-400 border-b border-gray-700">
+                <span>{lang || 'code'}</span>
+                <button onClick={handleCopy} className="hover:text-white transition-colors">
+                    <span className="emoji">{copied ? '✅' : '📋'}</span> {copied ? 'Copied' : 'Copy'}
+                </button>
+            </div>
+            <pre className="p-3 overflow-x-auto text-xs text-gray-200"><code>{code}</code></pre>
+        </div>
+    )
+}
+
+/**
+ * Copilot's answer to a relayed prompt, rendered from Markdown
+ * @param {Object} props.response - { text, status: streaming | done | failed, model?, error? }
+ */
+function ResponseView({ response }) {
+    if (!response) return null
+
+    const headingSizes = ['text-lg', 'text-base', 'text-sm', 'text-sm', 'text-xs', 'text-xs']
+
+    return (
+        <div className="mt-2 p-3 bg-gray-800 border border-gray-600 rounded-lg text-sm text-gray-300">
+            <div className="flex items-center justify-between mb-2 text-xs text-gray-400">
+                <span>
+                    <span className="emoji">🤖</span> Copilot{response.model ? ` · ${response.model}` : ''}
+                </span>
+                {response.status === 'streaming' && (
+                    <span className="animate-pulse"><span className="emoji">✍️</span> Typing...</span>
+                )}
+            </div>
+
+            {parseBlocks(response.text).map((block, index) => {
+                switch (block.type) {
+                    case 'code':
+                        return <CodeBlock key={index} lang={block.lang} code={block.code} />
+                    case 'heading':
+                        return (
+                            <p key={index} className={`font-bold text-white mt-2 ${headingSizes[block.level - 1]}`}>
+                                <Inline text={block.text} />
+                            </p>
+                        )
+                    case 'list': {
+                        const List = block.ordered ? 'ol' : 'ul'
+                        return (
+                            <List key={index} className={`my-1 pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+                                {block.items.map((item, itemIndex) => (
+                                    <li key={itemIndex}><Inline text={item} /></li>
+                                ))}
+                            </List>
+                        )
+                    }
+                    case 'quote':
+                        return (
+                            <blockquote key={index} className="my-1 pl-3 border-l-2 border-gray-500 italic">
+                                <Inline text={block.text} />
+                            </blockquote>
+                        )
+                    default:
+                        return <p key={index} className="my-1"><Inline text={block.text} /></p>
+                }
+            })}
+
+            {response.status === 'failed' && (
+                <p className="mt-2 text-xs text-kim-red">
+                    <span className="emoji">🌀</span> {response.error || 'Copilot could not finish the answer'}
+                </p>
+            )}
+        </div>
+    )
+}
+
+export default ResponseView
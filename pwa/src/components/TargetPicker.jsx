@@ -0,0 +1,50 @@
+import React from 'react'
+
+/**
+ * Pick which VS Code window prompts go to. Only shown when the server
+ * knows about more than one window, or the device pinned one that went away.
+ * @param {Object[]} props.targets - { targetId, workspace, window, online, queued }
+ * @param {string|null} props.selectedTarget - The device's default, null for "latest window"
+ */
+function TargetPicker({ targets = [], selectedTarget = null, onSelect, onRefresh }) {
+    if (targets.length < 2 && !selectedTarget) return null
+
+    const describe = (target) => {
+        const title = target.window?.title ? ` - ${target.window.title}` : ''
+        const status = target.online ? '🟢' : '⚪'
+        const queued = target.queued > 0 ? ` (${target.queued} waiting)` : ''
+        return `${status} ${target.workspace}${title}${queued}`
+    }
+
+    return (
+        <div className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+                <label htmlFor="kim-target" className="text-sm font-medium text-gray-300">
+                    <span className="emoji">🪟</span> Send to VS Code window:
+                </label>
+                <button
+                    type="button"
+                    onClick={onRefresh}
+                    className="text-xs text-gray-400 hover:text-white transition-colors"
+                >
+                    <span className="emoji">🔄</span> Refresh
+                </button>
+            </div>
+            <select
+                id="kim-target"
+                value={selectedTarget || ''}
+                onChange={(e) => onSelect?.(e.target.value || null)}
+                className="kim-input w-full"
+            >
+                <option value="">✨ Latest window</option>
+                {targets.map(target => (
+                    <option key={target.targetId} value={target.targetId}>
+                        {describe(target)}
+                    </option>
+                ))}
+            </select>
+        </div>
+    )
+}
+
+export default TargetPicker
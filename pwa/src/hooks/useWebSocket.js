@@ -1,45 +1,63 @@
 import { useState, useRef, useCallback } from 'react'
+import { createHello, createMessage, parseResponse, ERROR_CODES } from 'kim-protocol'
+import StatusPersistence from '../utils/statusPersistence'
+
+// Pages served over https (TLS mode) can only open secure sockets
+const wsScheme = () => window.location.protocol === 'https:' ? 'wss' : 'ws'
+
+// Both KIM servers take the WebSocket upgrade on the port that served the page
+// (the Vite dev server is pointed at the relay by VITE_KIM_SERVER_URL)
+const defaultServerUrl = () => `${wsScheme()}://${window.location.host}`
 
 export function useWebSocket({
+    token,
     onConnected,
     onDisconnected,
     onPaired,
+    onResumed,
+    onSessionExpired,
+    onRevoked,
+    onRateLimited,
+    onPromptReceived,
+    onPromptQueued,
+    onPromptRedacted,
+    onPromptCancelled,
+    onQueue,
     onPromptDelivered,
+    onPromptFailed,
+    onResponseChunk,
+    onResponseDone,
+    onTargets,
+    onDefaultTarget,
+    onExtensionPresence,
+    onPresence,
+    onFiles,
     onError
 }) {
     const [connectionState, setConnectionState] = useState('disconnected') // disconnected, connecting, connected
+    const [capabilities, setCapabilities] = useState([])
     const wsRef = useRef(null)
     const reconnectTimeoutRef = useRef(null)
     const reconnectAttempts = useRef(0)
     const heartbeatIntervalRef = useRef(null)
     const lastPongRef = useRef(Date.now())
     const offlineQueueRef = useRef([])
+    const protocolVersionRef = useRef(null)
+    const capabilitiesRef = useRef([])
+    const tokenRef = useRef(token)
+    const lastSeqRef = useRef(StatusPersistence.getLastSeq())
+    // Single-use pre-auth ticket from a QR link, spent once the connection is up
+    const pendingTicketRef = useRef(null)
+    // Rate limiting: prompts sent but not yet confirmed, and when the server wants to hear from us again
+    const inFlightPromptsRef = useRef(new Map())
+    const backoffUntilRef = useRef(0)
+    const backoffTimerRef = useRef(null)
+    const maxRateLimitRetries = 3
     const maxReconnectAttempts = 10
     const heartbeatInterval = 30000 // 30 seconds
 
-    // Server discovery helper
-    const tryServerDiscovery = async (fallbackUrl) => {
-        try {
-            const currentHost = window.location.hostname
-            const discoveryUrl = `http://${currentHost}:8080/api/server-info`
-
-            console.log('🔍 Trying server discovery:', discoveryUrl)
-
-            const response = await fetch(discoveryUrl, {
-                timeout: 2000,
-                signal: AbortSignal.timeout(2000)
-            })
-
-            if (response.ok) {
-                const serverInfo = await response.json()
-                console.log('📡 Server discovery successful:', serverInfo)
-                return serverInfo
-            }
-        } catch (error) {
-            console.log('🔍 Server discovery failed, using fallback:', error.message)
-        }
-        return null
-    }
+    // Reconnects happen outside React renders, so keep the latest token at hand
+    tokenRef.current = token
 
     const connect = useCallback(async (customServerUrl = null) => {
         if (wsRef.current?.readyState === WebSocket.OPEN) {
@@ -49,64 +67,9 @@ export function useWebSocket({
         setConnectionState('connecting')
 
         try {
-            // Enhanced server URL detection with multiple fallback strategies
-            let serverUrl = customServerUrl || import.meta.env.VITE_KIM_SERVER_URL
-
-            if (!serverUrl) {
-                // Strategy 1: Check URL parameters for server info (from QR code)
-                const urlParams = new URLSearchParams(window.location.search)
-                const serverHost = urlParams.get('server') || urlParams.get('host')
-                const serverPort = urlParams.get('port') || '8080'
-
-                console.log('🔍 URL parameters detected:', { serverHost, serverPort })
-
-                if (serverHost) {
-                    serverUrl = `ws://${serverHost}:${serverPort}`
-                    console.log('✅ Using server from QR code URL:', serverUrl)
-                } else {
-                    // Strategy 2: Auto-detect based on current page location
-                    const currentHost = window.location.hostname
-                    const wsPort = 8080 // Default WebSocket server port
-                    serverUrl = `ws://${currentHost}:${wsPort}`
-                    console.log('🔍 Auto-detecting server:', serverUrl)
-                }
-            }
-
+            const serverUrl = customServerUrl || import.meta.env.VITE_KIM_SERVER_URL || defaultServerUrl()
             console.log('🔗 Attempting connection to KIM server:', serverUrl)
-
-            // Try multiple connection strategies with fallbacks
-            const connectionStrategies = [
-                serverUrl, // Primary URL from QR code or detection
-                `ws://localhost:8080`, // Localhost fallback
-                `ws://127.0.0.1:8080`, // IP fallback
-                `ws://${window.location.hostname}:8080`, // Current host fallback
-                `ws://${window.location.hostname}:8081`, // Alternative port
-                `ws://${window.location.hostname}:8082`  // Another alternative
-            ]
-
-            // Remove duplicates
-            const uniqueStrategies = [...new Set(connectionStrategies)]
-            console.log('🎯 Connection strategies:', uniqueStrategies)
-
-            // Try each strategy
-            for (let i = 0; i < uniqueStrategies.length; i++) {
-                const tryUrl = uniqueStrategies[i]
-                console.log(`🔗 Trying connection ${i + 1}/${uniqueStrategies.length}: ${tryUrl}`)
-
-                try {
-                    await attemptConnection(tryUrl)
-                    console.log('✅ Connection successful with:', tryUrl)
-                    return // Success!
-                } catch (error) {
-                    console.log(`❌ Connection failed for ${tryUrl}:`, error.message)
-                    if (i === uniqueStrategies.length - 1) {
-                        throw new Error('All connection strategies failed')
-                    }
-                    // Wait a bit before trying next strategy
-                    await new Promise(resolve => setTimeout(resolve, 500))
-                }
-            }
-
+            await attemptConnection(serverUrl)
         } catch (error) {
             console.error('Failed to establish WebSocket connection:', error)
             setConnectionState('disconnected')
@@ -147,12 +110,12 @@ export function useWebSocket({
 
                     // Set up event handlers for the successful connection
                     ws.onmessage = (event) => {
-                        try {
-                            const message = JSON.parse(event.data)
-                            handleServerMessage(message)
-                        } catch (error) {
-                            console.error('Failed to parse server message:', error)
+                        const { message, error } = parseResponse(event.data)
+                        if (error) {
+                            console.error('Failed to parse server message:', error.message)
+                            return
                         }
+                        handleServerMessage(message)
                     }
 
                     ws.onclose = (event) => {
@@ -184,12 +147,16 @@ export function useWebSocket({
                         onError?.('Connection error occurred')
                     }
 
+                    // Negotiate the protocol version before anything else goes out
+                    protocolVersionRef.current = null
+                    ws.send(JSON.stringify(createHello({ name: 'kim-pwa' })))
+
+                    // Over TLS the browser has already checked the certificate against the KIM CA the user installed
+                    startSession(ws)
+
                     // Start heartbeat
                     startHeartbeat()
 
-                    // Process offline queue
-                    processOfflineQueue()
-
                     onConnected?.()
                     resolve()
                 }
@@ -206,181 +173,328 @@ export function useWebSocket({
         })
     }
 
-    wsRef.current.onopen = () => {
-        console.log('🔗 Connected to KIM server')
-        setConnectionState('connected')
-        reconnectAttempts.current = 0
-        lastPongRef.current = Date.now()
-
-        // Start heartbeat
-        startHeartbeat()
-
-        // Process offline queue
-        processOfflineQueue()
+    const disconnect = useCallback(() => {
+        if (reconnectTimeoutRef.current) {
+            clearTimeout(reconnectTimeoutRef.current)
+        }
 
-        onConnected?.()
-    }
+        stopHeartbeat()
 
-    wsRef.current.onmessage = (event) => {
-        try {
-            const message = JSON.parse(event.data)
-            handleServerMessage(message)
-        } catch (error) {
-            console.error('Failed to parse server message:', error)
+        if (wsRef.current) {
+            wsRef.current.close()
+            wsRef.current = null
         }
-    }
 
-    wsRef.current.onclose = (event) => {
-        console.log('🔌 Disconnected from KIM server', event.code, event.reason)
         setConnectionState('disconnected')
+        reconnectAttempts.current = 0
+        offlineQueueRef.current = [] // Clear offline queue
+        inFlightPromptsRef.current.clear()
+        clearTimeout(backoffTimerRef.current)
+        backoffTimerRef.current = null
+    }, [])
 
-        // Stop heartbeat
-        stopHeartbeat()
-
-        onDisconnected?.()
-
-        // Auto-reconnect with exponential backoff
-        if (reconnectAttempts.current < maxReconnectAttempts) {
-            const delay = Math.min(Math.pow(2, reconnectAttempts.current) * 1000, 30000) // Max 30 seconds
-            const jitter = Math.random() * 1000 // Add jitter to prevent thundering herd
+    const sendMessage = useCallback((message) => {
+        if (message.type === 'prompt') {
+            trackPrompt(message)
 
-            console.log(`🔄 Reconnecting in ${Math.round((delay + jitter) / 1000)}s (attempt ${reconnectAttempts.current + 1}/${maxReconnectAttempts})`)
+            // The server asked us to slow down - wait our turn
+            if (isBackingOff()) {
+                offlineQueueRef.current.push({ ...message, queuedAt: Date.now() })
+                scheduleBackoffFlush()
+                return
+            }
+        }
 
-            reconnectTimeoutRef.current = setTimeout(() => {
-                reconnectAttempts.current++
-                connect()
-            }, delay + jitter)
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+            wsRef.current.send(JSON.stringify(message))
         } else {
-            console.log('❌ Max reconnection attempts reached')
-            onError?.('Connection failed after multiple attempts. Please refresh the page.')
+            // Queue message for when connection is restored
+            if (message.type === 'prompt') {
+                console.log('📥 Queueing message for offline delivery')
+                offlineQueueRef.current.push({
+                    ...message,
+                    queuedAt: Date.now()
+                })
+
+                // Limit queue size
+                if (offlineQueueRef.current.length > 10) {
+                    offlineQueueRef.current.shift() // Remove oldest
+                }
+
+                onError?.('Message queued - will send when reconnected 📥')
+            } else {
+                onError?.('Not connected to server')
+            }
         }
+    }, [onError])
+
+    const startHeartbeat = () => {
+        stopHeartbeat() // Clear any existing heartbeat
+
+        heartbeatIntervalRef.current = setInterval(() => {
+            if (wsRef.current?.readyState === WebSocket.OPEN) {
+                // Check if we've received a pong recently
+                const timeSinceLastPong = Date.now() - lastPongRef.current
+                if (timeSinceLastPong > heartbeatInterval * 2) {
+                    console.log('💔 Heartbeat timeout - connection may be dead')
+                    wsRef.current.close()
+                    return
+                }
+
+                // Send ping
+                wsRef.current.send(JSON.stringify(createMessage('ping', { timestamp: Date.now() })))
+            }
+        }, heartbeatInterval)
     }
 
-    wsRef.current.onerror = (error) => {
-        console.error('WebSocket error:', error)
-        setConnectionState('disconnected')
-        onError?.('Connection failed')
+    const stopHeartbeat = () => {
+        if (heartbeatIntervalRef.current) {
+            clearInterval(heartbeatIntervalRef.current)
+            heartbeatIntervalRef.current = null
+        }
     }
 
-} catch (error) {
-    console.error('Failed to create WebSocket connection:', error)
-    setConnectionState('disconnected')
-    onError?.('Failed to connect to server')
-}
-    }, [onConnected, onDisconnected, onError])
+    // Connected - resume, then send whatever waited for the connection
+    const startSession = (ws) => {
+        // Already paired? Rebind to this socket and catch up on missed events
+        if (tokenRef.current) {
+            ws.send(JSON.stringify(createMessage('resume', {
+                token: tokenRef.current,
+                lastSeq: lastSeqRef.current
+            })))
+        } else if (pendingTicketRef.current) {
+            ws.send(JSON.stringify(createMessage('preauth', pendingTicketRef.current)))
+            pendingTicketRef.current = null
+        }
 
-const disconnect = useCallback(() => {
-    if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current)
+        processOfflineQueue()
     }
 
-    stopHeartbeat()
+    // Remember prompts until the server confirms them, so a rate-limited one can be sent again
+    const trackPrompt = (message) => {
+        if (!message.promptId || inFlightPromptsRef.current.has(message.promptId)) return
+        inFlightPromptsRef.current.set(message.promptId, { message, attempts: 0 })
 
-    if (wsRef.current) {
-        wsRef.current.close()
-        wsRef.current = null
+        if (inFlightPromptsRef.current.size > 20) {
+            inFlightPromptsRef.current.delete(inFlightPromptsRef.current.keys().next().value)
+        }
     }
 
-    setConnectionState('disconnected')
-    reconnectAttempts.current = 0
-    offlineQueueRef.current = [] // Clear offline queue
-}, [])
+    const isBackingOff = () => Date.now() < backoffUntilRef.current
 
-const sendMessage = useCallback((message) => {
-    if (wsRef.current?.readyState === WebSocket.OPEN) {
-        wsRef.current.send(JSON.stringify(message))
-    } else {
-        // Queue message for when connection is restored
-        if (message.type === 'prompt') {
-            console.log('📥 Queueing message for offline delivery')
-            offlineQueueRef.current.push({
-                ...message,
-                queuedAt: Date.now()
-            })
+    const scheduleBackoffFlush = () => {
+        if (backoffTimerRef.current) return
+        backoffTimerRef.current = setTimeout(() => {
+            backoffTimerRef.current = null
+            processOfflineQueue()
+        }, Math.max(backoffUntilRef.current - Date.now(), 0))
+    }
 
-            // Limit queue size
-            if (offlineQueueRef.current.length > 10) {
-                offlineQueueRef.current.shift() // Remove oldest
-            }
+    // rate_limited: hold prompts until retryAfter has passed, then resend the refused one
+    const handleRateLimited = (message) => {
+        const { promptId, retryAfter = 1 } = message.data || {}
+        backoffUntilRef.current = Math.max(backoffUntilRef.current, Date.now() + retryAfter * 1000)
 
-            onError?.('Message queued - will send when reconnected 📥')
-        } else {
-            onError?.('Not connected to server')
+        const pending = inFlightPromptsRef.current.get(promptId)
+        if (!pending || pending.attempts >= maxRateLimitRetries) {
+            inFlightPromptsRef.current.delete(promptId)
+            onPromptFailed?.(message.message, message.data)
+            return
         }
+
+        pending.attempts++
+        offlineQueueRef.current.unshift({ ...pending.message, queuedAt: Date.now() })
+        scheduleBackoffFlush()
+        onRateLimited?.(message.message, message.data)
     }
-}, [onError])
 
-const startHeartbeat = () => {
-    stopHeartbeat() // Clear any existing heartbeat
+    const processOfflineQueue = () => {
+        // Still offline? startSession flushes the queue once we are back
+        if (wsRef.current?.readyState !== WebSocket.OPEN) return
 
-    heartbeatIntervalRef.current = setInterval(() => {
-        if (wsRef.current?.readyState === WebSocket.OPEN) {
-            // Check if we've received a pong recently
-            const timeSinceLastPong = Date.now() - lastPongRef.current
-            if (timeSinceLastPong > heartbeatInterval * 2) {
-                console.log('💔 Heartbeat timeout - connection may be dead')
-                wsRef.current.close()
+        if (offlineQueueRef.current.length > 0) {
+            if (isBackingOff()) {
+                scheduleBackoffFlush()
                 return
             }
 
-            // Send ping
-            wsRef.current.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }))
-        }
-    }, heartbeatInterval)
-}
-
-const stopHeartbeat = () => {
-    if (heartbeatIntervalRef.current) {
-        clearInterval(heartbeatIntervalRef.current)
-        heartbeatIntervalRef.current = null
-    }
-}
-
-const processOfflineQueue = () => {
-    if (offlineQueueRef.current.length > 0) {
-        console.log(`📤 Processing ${offlineQueueRef.current.length} queued messages`)
+            console.log(`📤 Processing ${offlineQueueRef.current.length} queued messages`)
 
-        offlineQueueRef.current.forEach(message => {
-            if (wsRef.current?.readyState === WebSocket.OPEN) {
+            offlineQueueRef.current.forEach(message => {
                 wsRef.current.send(JSON.stringify(message))
-            }
-        })
+            })
 
-        offlineQueueRef.current = []
+            offlineQueueRef.current = []
+        }
     }
-}
 
-const handleServerMessage = (message) => {
-    switch (message.type) {
-        case 'paired':
-            onPaired?.(message.data?.token)
-            break
-
-        case 'prompt_delivered':
-            onPromptDelivered?.(message.message)
-            break
+    // Servers that know several VS Code windows let the device pick one
+    const requestTargets = (targetToken = tokenRef.current) => {
+        if (!targetToken || !capabilitiesRef.current.includes('list_targets')) return
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+            wsRef.current.send(JSON.stringify(createMessage('list_targets', { token: targetToken })))
+        }
+    }
 
-        case 'prompt_received':
-            onPromptDelivered?.(message.message)
-            break
+    // Workspace files to attach to a prompt - only the embedded server can search them
+    const findFiles = (query = '', targetToken = tokenRef.current) => {
+        if (!targetToken || !capabilitiesRef.current.includes('find_files')) return
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+            wsRef.current.send(JSON.stringify(createMessage('find_files', { token: targetToken, query })))
+        }
+    }
 
-        case 'pong':
-            lastPongRef.current = Date.now()
-            break
+    const handleServerMessage = (message) => {
+        if (typeof message.seq === 'number' && message.seq > lastSeqRef.current) {
+            lastSeqRef.current = message.seq
+            StatusPersistence.saveLastSeq(message.seq)
+        }
 
-        case 'error':
-            onError?.(message.message)
-            break
+        switch (message.type) {
+            case 'welcome':
+                break
+
+            case 'hello':
+                protocolVersionRef.current = message.data?.protocolVersion
+                capabilitiesRef.current = message.data?.capabilities || []
+                setCapabilities(capabilitiesRef.current)
+                console.log('🤝 Protocol negotiated:', message.data)
+                break
+
+            case 'paired':
+                // Fresh token, fresh event stream
+                lastSeqRef.current = 0
+                StatusPersistence.clearLastSeq()
+                onPaired?.(message.data?.token)
+                requestTargets(message.data?.token)
+                break
+
+            case 'resumed':
+                console.log('🔄 Session resumed:', message.data)
+                onResumed?.(message.data)
+
+                // Servers with a prompt queue can tell us where our waiting prompts stand
+                if (capabilitiesRef.current.includes('list_queue') && wsRef.current?.readyState === WebSocket.OPEN) {
+                    wsRef.current.send(JSON.stringify(createMessage('list_queue', { token: tokenRef.current })))
+                }
+                requestTargets(tokenRef.current)
+                break
+
+            case 'prompt_received':
+                inFlightPromptsRef.current.delete(message.data?.promptId)
+                onPromptReceived?.(message.data)
+                break
+
+            case 'prompt_queued':
+                onPromptQueued?.(message.message, message.data)
+                break
+
+            case 'prompt_redacted':
+                onPromptRedacted?.(message.message, message.data)
+                break
+
+            case 'prompt_cancelled':
+                onPromptCancelled?.(message.data)
+                break
+
+            case 'queue':
+                onQueue?.(message.data?.prompts || [])
+                break
+
+            case 'prompt_delivered':
+                onPromptDelivered?.(message.message, message.data)
+                break
+
+            case 'prompt_failed':
+                inFlightPromptsRef.current.delete(message.data?.promptId)
+                onPromptFailed?.(message.message, message.data)
+                break
+
+            case 'response_chunk':
+                onResponseChunk?.(message.data)
+                break
+
+            case 'response_done':
+                onResponseDone?.(message.success, message.data)
+                break
+
+            case 'targets':
+                onTargets?.(message.data?.targets || [], message.data?.defaultTarget || null)
+                break
+
+            case 'default_target_set':
+                onDefaultTarget?.(message.data?.targetId || null)
+                break
+
+            case 'extension_online':
+            case 'extension_offline':
+                onExtensionPresence?.(message.type === 'extension_online', message.message, message.data)
+                break
+
+            case 'presence':
+                onPresence?.(message.data || null)
+                break
+
+            case 'files':
+                onFiles?.(message.data?.files || [], message.data?.query || '')
+                break
+
+            case 'revoked':
+                // Unpaired from VS Code - the token is gone for good
+                lastSeqRef.current = 0
+                StatusPersistence.clearLastSeq()
+                offlineQueueRef.current = []
+                inFlightPromptsRef.current.clear()
+                onRevoked?.(message.message)
+                break
+
+            case 'pong':
+                lastPongRef.current = Date.now()
+                break
+
+            case 'error':
+                if (message.data?.code === ERROR_CODES.SESSION_EXPIRED) {
+                    lastSeqRef.current = 0
+                    StatusPersistence.clearLastSeq()
+                    onSessionExpired?.(message.message)
+                    break
+                }
+                if (message.data?.code === ERROR_CODES.RATE_LIMITED) {
+                    handleRateLimited(message)
+                    break
+                }
+                // Rejected prompts come back as errors tagged with their promptId
+                if (message.data?.promptId) {
+                    inFlightPromptsRef.current.delete(message.data.promptId)
+                    onPromptFailed?.(message.message, message.data)
+                    break
+                }
+                onError?.(message.message)
+                break
 
-        default:
-            console.log('Unknown message type:', message.type)
+            default:
+                console.log('Unknown message type:', message.type)
+        }
     }
-}
 
-return {
-    connect,
-    disconnect,
-    sendMessage,
-    connectionState
+    // Pair with a QR link's ticket instead of a code - sent as soon as the session starts
+    const redeemTicket = useCallback((ticket, deviceInfo) => {
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+            sendMessage(createMessage('preauth', { ticket, deviceInfo }))
+            return
+        }
+        pendingTicketRef.current = { ticket, deviceInfo }
+        connect()
+    }, [connect, sendMessage])
+
+    return {
+        connect,
+        redeemTicket,
+        disconnect,
+        sendMessage,
+        requestTargets,
+        findFiles,
+        capabilities,
+        connectionState
+    }
 }
-}
\ No newline at end of file
@@ -1,10 +1,37 @@
 import React, { useState, useRef, useEffect } from 'react'
+import { MAX_PROMPT_LENGTH } from 'kim-protocol'
+import ResponseView from '../components/ResponseView'
+import TargetPicker from '../components/TargetPicker'
+import ContextPicker, { describeContext } from '../components/ContextPicker'
 
-function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
+const statusBadges = {
+    sent: { emoji: '📤', label: 'Sent' },
+    received: { emoji: '📨', label: 'Received by server' },
+    queued: { emoji: '⏳', label: 'Waiting for VS Code' },
+    cancelled: { emoji: '🗑️', label: 'Cancelled' },
+    delivered: { emoji: '✅', label: 'Delivered to Copilot' },
+    failed: { emoji: '❌', label: 'Not delivered' }
+}
+
+function PromptScreen({
+    onSendPrompt,
+    onCancelPrompt,
+    promptHistory = [],
+    targets = [],
+    selectedTarget = null,
+    onSelectTarget,
+    onRefreshTargets,
+    canAttachContext = false,
+    fileResults = [],
+    onFindFiles,
+    connectionState,
+    isConnected
+}) {
     const [prompt, setPrompt] = useState('')
     const [isSending, setIsSending] = useState(false)
     const [lastSentPrompt, setLastSentPrompt] = useState('')
-    const [promptHistory, setPromptHistory] = useState([])
+    // Editor context to attach - stays on between prompts, like a mode
+    const [context, setContext] = useState([])
     const textareaRef = useRef(null)
 
     const handleSubmit = async (e) => {
@@ -16,13 +43,7 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
         setLastSentPrompt(trimmedPrompt)
 
         try {
-            await onSendPrompt(trimmedPrompt)
-
-            // Add to history
-            setPromptHistory(prev => [
-                { text: trimmedPrompt, timestamp: Date.now(), status: 'sent' },
-                ...prev.slice(0, 4) // Keep last 5 prompts
-            ])
+            await onSendPrompt(trimmedPrompt, canAttachContext ? context : [])
 
             setPrompt('')
             textareaRef.current?.focus()
@@ -39,13 +60,14 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
         }
     }
 
+    // "this code" means nothing to Copilot without the code - each one brings the context it needs
     const quickPrompts = [
-        "Explain this code",
-        "Add error handling",
-        "Optimize performance",
-        "Write unit tests",
-        "Add documentation",
-        "Refactor this function"
+        { text: "Explain this code", context: 'selection' },
+        { text: "Add error handling", context: 'selection' },
+        { text: "Optimize performance", context: 'selection' },
+        { text: "Write unit tests", context: 'activeFile' },
+        { text: "Add documentation", context: 'selection' },
+        { text: "Refactor this function", context: 'selection' }
     ]
 
     const vibeCheckQuips = [
@@ -82,8 +104,14 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
         }
     }, [vibeCheckEnabled])
 
+    const targetName = (targetId) => targets.find(target => target.targetId === targetId)?.workspace
+
     const handleQuickPrompt = (quickPrompt) => {
-        setPrompt(quickPrompt)
+        setPrompt(quickPrompt.text)
+        // Leave context the user picked alone
+        if (canAttachContext && context.length === 0) {
+            setContext([{ type: quickPrompt.context }])
+        }
         textareaRef.current?.focus()
     }
 
@@ -115,6 +143,13 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                     </div>
                 </div>
 
+                <TargetPicker
+                    targets={targets}
+                    selectedTarget={selectedTarget}
+                    onSelect={onSelectTarget}
+                    onRefresh={onRefreshTargets}
+                />
+
                 <form onSubmit={handleSubmit} className="space-y-6">
                     <div>
                         <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -127,11 +162,11 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                             onKeyDown={handleKeyDown}
                             placeholder="Type your prompt here... (Cmd/Ctrl + Enter to send)"
                             className="kim-input w-full h-32 resize-none"
-                            maxLength={1000}
+                            maxLength={MAX_PROMPT_LENGTH}
                         />
                         <div className="flex justify-between items-center mt-2">
                             <span className="text-xs text-gray-400">
-                                {prompt.length}/1000 characters
+                                {prompt.length}/{MAX_PROMPT_LENGTH} characters
                             </span>
                             <span className="text-xs text-gray-400">
                                 <span className="emoji">⌨️</span> Cmd/Ctrl + Enter to send
@@ -139,6 +174,15 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                         </div>
                     </div>
 
+                    {canAttachContext && (
+                        <ContextPicker
+                            context={context}
+                            onChange={setContext}
+                            onFindFiles={onFindFiles}
+                            files={fileResults}
+                        />
+                    )}
+
                     <button
                         type="submit"
                         disabled={!prompt.trim() || isSending || !isConnected}
@@ -175,7 +219,7 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                                 onClick={() => handleQuickPrompt(quickPrompt)}
                                 className="text-left p-3 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm text-gray-300 hover:text-white transition-colors"
                             >
-                                {quickPrompt}
+                                {quickPrompt.text}
                             </button>
                         ))}
                     </div>
@@ -188,19 +232,61 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                             <span className="emoji">📝</span> Recent Prompts:
                         </h3>
                         <div className="space-y-2">
-                            {promptHistory.map((item, index) => (
-                                <div
-                                    key={index}
-                                    className="p-2 bg-gray-700 rounded text-xs text-gray-300 cursor-pointer hover:bg-gray-600 transition-colors"
-                                    onClick={() => {
-                                        setPrompt(item.text)
-                                        textareaRef.current?.focus()
-                                    }}
-                                >
-                                    <div className="flex items-center justify-between">
-                                        <span className="truncate flex-1">{item.text}</span>
-                                        <span className="emoji ml-2">✅</span>
+                            {promptHistory.slice(0, 5).map((item, index) => (
+                                <div key={item.id || index}>
+                                    <div
+                                        className="p-2 bg-gray-700 rounded text-xs text-gray-300 cursor-pointer hover:bg-gray-600 transition-colors"
+                                        onClick={() => {
+                                            setPrompt(item.text)
+                                            if (canAttachContext && item.context?.length > 0) {
+                                                setContext(item.context)
+                                            }
+                                            textareaRef.current?.focus()
+                                        }}
+                                    >
+                                        <div className="flex items-center justify-between">
+                                            <span className="truncate flex-1">{item.text}</span>
+                                            <span
+                                                className="emoji ml-2"
+                                                title={(statusBadges[item.status] || statusBadges.sent).label}
+                                            >
+                                                {(statusBadges[item.status] || statusBadges.sent).emoji}
+                                            </span>
+                                        </div>
+                                        {targets.length > 1 && targetName(item.target) && (
+                                            <div className="mt-1 text-gray-400">
+                                                <span className="emoji">🪟</span> {targetName(item.target)}
+                                            </div>
+                                        )}
+                                        {item.context?.length > 0 && (
+                                            <div className="mt-1 text-gray-400">
+                                                <span className="emoji">📎</span> {item.context.map(describeContext).join(', ')}
+                                            </div>
+                                        )}
+                                        {item.redaction?.findings?.length > 0 && (
+                                            <div className="mt-1 text-kim-yellow">
+                                                <span className="emoji">🔐</span> {item.redaction.action === 'masked' ? 'Masked' : 'Contains'}: {item.redaction.findings.map(finding => `${finding.label} (${finding.preview})`).join(', ')}
+                                            </div>
+                                        )}
+                                        {item.status === 'failed' && item.reason && (
+                                            <div className="mt-1 text-kim-red">{item.reason}</div>
+                                        )}
+                                        {item.status === 'queued' && (
+                                            <div className="mt-1 flex items-center justify-between text-kim-yellow">
+                                                <span>#{item.position} in line - sends when VS Code is back</span>
+                                                <button
+                                                    onClick={(e) => {
+                                                        e.stopPropagation()
+                                                        onCancelPrompt?.(item.id)
+                                                    }}
+                                                    className="ml-2 px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-gray-200"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        )}
                                     </div>
+                                    <ResponseView response={item.response} />
                                 </div>
                             ))}
                         </div>
@@ -239,7 +325,7 @@ function PromptScreen({ onSendPrompt, connectionState, isConnected }) {
                     </h3>
                     <ul className="text-xs text-gray-300 space-y-1">
                         <li>• Be specific about what you want Copilot to do</li>
-                        <li>• Include context about your code or project</li>
+                        <li>• Attach the selection or a file so Copilot sees the code</li>
                         <li>• Ask for explanations, improvements, or alternatives</li>
                         <li>• Use Cmd/Ctrl + Enter for quick sending</li>
                         <li>• Click recent prompts to reuse them</li>
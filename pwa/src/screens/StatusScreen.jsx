@@ -1,6 +1,6 @@
 import React from 'react'
 
-function StatusScreen({ isConnected, isPaired, deviceType, connectionState }) {
+function StatusScreen({ isConnected, isPaired, deviceType, connectionState, presence }) {
     const getConnectionEmoji = () => {
         switch (connectionState) {
             case 'connected': return '🟢'
@@ -40,12 +40,64 @@ function StatusScreen({ isConnected, isPaired, deviceType, connectionState }) {
         },
         {
             label: 'Server',
-            value: 'localhost:8080',
+            value: import.meta.env.VITE_KIM_SERVER_URL ? new URL(import.meta.env.VITE_KIM_SERVER_URL).host : window.location.host,
             emoji: '🖥️',
-            description: 'Local KIM relay server'
+            description: 'Local KIM server (page, APIs and WebSocket on one port)'
         }
     ]
 
+    // VS Code only sends the fields its kim.presence.share setting allows
+    const shares = (field) => presence?.shared?.includes(field)
+    if (presence && presence.shared?.length === 0) {
+        statusItems.push({
+            label: 'VS Code',
+            value: 'private',
+            emoji: '🙈',
+            description: 'VS Code is not sharing what it is doing'
+        })
+    }
+    if (shares('focused')) {
+        statusItems.push({
+            label: 'VS Code',
+            value: presence.focused ? 'focused' : 'background',
+            emoji: presence.focused ? '👀' : '💤',
+            description: presence.focused ? 'The window has focus' : 'Another app has focus'
+        })
+    }
+    if (shares('workspace')) {
+        statusItems.push({
+            label: 'Workspace',
+            value: presence.workspace || 'none',
+            emoji: '🗂️',
+            description: 'Open in VS Code',
+            exact: true
+        })
+    }
+    if (shares('activeFile')) {
+        statusItems.push({
+            label: 'Active File',
+            value: presence.activeFile || 'none',
+            emoji: '📄',
+            description: shares('language') && presence.language ? `Editing ${presence.language}` : 'Open in the editor',
+            exact: true
+        })
+    } else if (shares('language') && presence.language) {
+        statusItems.push({
+            label: 'Language',
+            value: presence.language,
+            emoji: '📄',
+            description: 'Of the active file'
+        })
+    }
+    if (shares('copilot')) {
+        statusItems.push({
+            label: 'Copilot',
+            value: presence.copilot || 'idle',
+            emoji: presence.copilot === 'busy' ? '🤖' : '😴',
+            description: presence.copilot === 'busy' ? 'Answering a prompt' : 'Ready for the next prompt'
+        })
+    }
+
     return (
         <div className="max-w-lg mx-auto">
             <div className="kim-card">
@@ -69,7 +121,7 @@ function StatusScreen({ isConnected, isPaired, deviceType, connectionState }) {
                                 </div>
                             </div>
                             <div className="text-right">
-                                <div className="font-mono text-sm text-kim-blue capitalize">
+                                <div className={`font-mono text-sm text-kim-blue ${item.exact ? 'break-all' : 'capitalize'}`}>
                                     {item.value}
                                 </div>
                             </div>
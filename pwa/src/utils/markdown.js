@@ -0,0 +1,125 @@
+// Tiny Markdown parser for Copilot answers 📝
+// Covers what chat replies actually use and returns plain objects -
+// ResponseView turns them into React elements, so no HTML is ever injected
+
+const FENCE = /^\s*```(\S*)\s*$/
+const HEADING = /^(#{1,6})\s+(.*)$/
+const BULLET = /^\s*[-*+]\s+(.*)$/
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/
+const QUOTE = /^\s*>\s?(.*)$/
+
+/**
+ * Split Markdown into blocks. An unclosed code fence (common mid-stream)
+ * simply runs to the end of the text.
+ * @param {string} text
+ * @returns {Object[]} { type: code|heading|list|quote|paragraph, ... }
+ */
+export function parseBlocks(text = '') {
+    const lines = text.replace(/\r\n/g, '\n').split('\n')
+    const blocks = []
+    let i = 0
+
+    while (i < lines.length) {
+        const line = lines[i]
+
+        const fence = line.match(FENCE)
+        if (fence) {
+            const code = []
+            i++
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                code.push(lines[i])
+                i++
+            }
+            i++ // skip the closing fence
+            blocks.push({ type: 'code', lang: fence[1] || null, code: code.join('\n') })
+            continue
+        }
+
+        if (!line.trim()) {
+            i++
+            continue
+        }
+
+        const heading = line.match(HEADING)
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] })
+            i++
+            continue
+        }
+
+        if (BULLET.test(line) || NUMBERED.test(line)) {
+            const ordered = NUMBERED.test(line)
+            const pattern = ordered ? NUMBERED : BULLET
+            const items = []
+            while (i < lines.length && pattern.test(lines[i])) {
+                items.push(lines[i].match(pattern)[1])
+                i++
+            }
+            blocks.push({ type: 'list', ordered, items })
+            continue
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = []
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].match(QUOTE)[1])
+                i++
+            }
+            blocks.push({ type: 'quote', text: quoted.join(' ') })
+            continue
+        }
+
+        // Paragraph: everything up to the next blank line or block start
+        const paragraph = []
+        while (i < lines.length && lines[i].trim() &&
+            !FENCE.test(lines[i]) && !HEADING.test(lines[i]) &&
+            !BULLET.test(lines[i]) && !NUMBERED.test(lines[i]) && !QUOTE.test(lines[i])) {
+            paragraph.push(lines[i])
+            i++
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') })
+    }
+
+    return blocks
+}
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*)|(\[[^\]]+\]\([^)\s]+\))/g
+
+/**
+ * Split a line into inline spans
+ * @param {string} text
+ * @returns {Object[]} { type: text|code|bold|italic|link, text, href? }
+ */
+export function parseInline(text = '') {
+    const spans = []
+    let last = 0
+
+    for (const match of text.matchAll(INLINE)) {
+        if (match.index > last) {
+            spans.push({ type: 'text', text: text.slice(last, match.index) })
+        }
+
+        const [token] = match
+        if (match[1]) {
+            spans.push({ type: 'code', text: token.slice(1, -1) })
+        } else if (match[2]) {
+            spans.push({ type: 'bold', text: token.slice(2, -2) })
+        } else if (match[3]) {
+            spans.push({ type: 'italic', text: token.slice(1, -1) })
+        } else {
+            const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/)
+            // Only real web links - never javascript: and friends
+            spans.push(/^https?:\/\//i.test(href)
+                ? { type: 'link', text: label, href }
+                : { type: 'text', text: label })
+        }
+
+        last = match.index + token.length
+    }
+
+    if (last < text.length) {
+        spans.push({ type: 'text', text: text.slice(last) })
+    }
+
+    return spans
+}
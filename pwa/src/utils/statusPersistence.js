@@ -5,7 +5,8 @@ const STORAGE_KEYS = {
     PAIRING_TOKEN: 'kim-token',
     DEVICE_INFO: 'kim-device-info',
     PROMPT_HISTORY: 'kim-prompt-history',
-    SETTINGS: 'kim-settings'
+    SETTINGS: 'kim-settings',
+    LAST_SEQ: 'kim-last-seq'
 }
 
 export class StatusPersistence {
@@ -90,7 +91,10 @@ export class StatusPersistence {
                 const { prompts, timestamp } = JSON.parse(saved)
                 // Keep history for 24 hours
                 if (Date.now() - timestamp < 24 * 60 * 60 * 1000) {
-                    return prompts || []
+                    // Older builds saved bare strings - upgrade them to history rows
+                    return (prompts || []).map(item => typeof item === 'string'
+                        ? { id: null, text: item, timestamp, status: 'sent' }
+                        : item)
                 }
             }
         } catch (error) {
@@ -99,6 +103,33 @@ export class StatusPersistence {
         return []
     }
 
+    // Highest event seq seen from the server - sent with resume to replay missed events
+    static saveLastSeq(seq) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.LAST_SEQ, String(seq))
+        } catch (error) {
+            console.warn('Failed to save last seq:', error)
+        }
+    }
+
+    static getLastSeq() {
+        try {
+            const saved = parseInt(localStorage.getItem(STORAGE_KEYS.LAST_SEQ), 10)
+            return Number.isFinite(saved) ? saved : 0
+        } catch (error) {
+            console.warn('Failed to load last seq:', error)
+        }
+        return 0
+    }
+
+    static clearLastSeq() {
+        try {
+            localStorage.removeItem(STORAGE_KEYS.LAST_SEQ)
+        } catch (error) {
+            console.warn('Failed to clear last seq:', error)
+        }
+    }
+
     static saveSettings(settings) {
         try {
             localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({
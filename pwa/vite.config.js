@@ -35,6 +35,15 @@ export default defineConfig({
             }
         })
     ],
+    // kim-protocol is a CommonJS workspace package shared with the Node servers
+    optimizeDeps: {
+        include: ['kim-protocol']
+    },
+    build: {
+        commonjsOptions: {
+            include: [/protocol/, /node_modules/]
+        }
+    },
     server: {
         host: '0.0.0.0', // Allow access from other devices on LAN
         port: 3000
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// KIM PWA Bundler
+// Copies the built PWA into the extension so the embedded server can serve it 📱
+// Runs as the extension's vscode:prepublish step; builds the PWA first if needed
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const pwaPath = path.join(__dirname, '..', 'pwa');
+const distPath = path.join(pwaPath, 'dist');
+const bundlePath = path.join(__dirname, '..', 'extension', 'pwa-dist');
+
+function buildPWA() {
+    console.log('📱 Building PWA...');
+    const result = spawnSync('npm', ['run', 'build'], {
+        cwd: pwaPath,
+        stdio: 'inherit',
+        shell: process.platform === 'win32'
+    });
+    if (result.status !== 0) {
+        throw new Error(`PWA build failed with exit code ${result.status}`);
+    }
+}
+
+function main() {
+    const rebuild = process.argv.includes('--build');
+    if (rebuild || !fs.existsSync(path.join(distPath, 'index.html'))) {
+        buildPWA();
+    }
+
+    fs.rmSync(bundlePath, { recursive: true, force: true });
+    fs.cpSync(distPath, bundlePath, { recursive: true });
+    console.log('✅ Bundled pwa/dist into extension/pwa-dist');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Could not bundle the PWA:', error.message);
+    process.exit(1);
+}
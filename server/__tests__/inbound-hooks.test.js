@@ -0,0 +1,106 @@
+// Inbound hooks: templates, secrets and signatures 🪝
+
+const http = require('http');
+const { renderTemplate, signHookPayload, safeEqual, InboundHookStore, InboundHookApi, PromptStatusLog } = require('kim-core');
+
+describe('renderTemplate', () => {
+    test('fills dotted paths, blanks missing values and prints objects as JSON', () => {
+        const payload = { test: { file: 'app.test.js' }, failures: [{ message: 'boom' }], meta: { a: 1 }, zero: 0 };
+
+        expect(renderTemplate('Fix {{test.file}}: {{ failures.0.message }}', payload)).toBe('Fix app.test.js: boom');
+        expect(renderTemplate('{{missing.deep}}|{{meta}}|{{zero}}', payload)).toBe('|{"a":1}|0');
+    });
+});
+
+describe('safeEqual', () => {
+    test('compares without throwing on different lengths', () => {
+        expect(safeEqual('secret', 'secret')).toBe(true);
+        expect(safeEqual('secret', 'secreT')).toBe(false);
+        expect(safeEqual('secret', 'secret-but-longer')).toBe(false);
+        expect(safeEqual('', '')).toBe(true);
+    });
+});
+
+describe('InboundHookStore', () => {
+    test('creates hooks with a fresh secret and never describes it', async () => {
+        const store = new InboundHookStore();
+        const first = await store.create({ name: 'CI failures', template: ' Fix {{test}} ' });
+        const second = await store.create({ template: 'Again' });
+
+        expect(first.template).toBe('Fix {{test}}');
+        expect(first.secret).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(first.secret).not.toBe(second.secret);
+        expect(JSON.stringify(store.describe())).not.toContain(first.secret);
+        await expect(store.create({ name: 'Empty', template: ' ' })).rejects.toThrow();
+    });
+});
+
+describe('InboundHookApi', () => {
+    let server;
+    let hook;
+    let submitted;
+
+    beforeEach(async () => {
+        submitted = [];
+        const inboundHooks = new InboundHookStore();
+        hook = await inboundHooks.create({ name: 'CI', template: 'Fix the failing test {{test}}' });
+        const host = {
+            inboundHooks,
+            promptStatus: new PromptStatusLog(),
+            metrics: { rejected: { inc: () => {} } },
+            submitPrompt: (token, prompt, { promptId }) => {
+                submitted.push({ token, prompt });
+                return { accepted: true, promptId };
+            }
+        };
+        const api = new InboundHookApi(host, { wait: 10 });
+        server = http.createServer((req, res) => api.handle(req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const post = (path, body, headers = {}) => new Promise((resolve, reject) => {
+        const request = http.request({ host: '127.0.0.1', port: server.address().port, path, method: 'POST', headers }, response => {
+            let text = '';
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+
+    const body = JSON.stringify({ test: 'login.spec.js' });
+
+    test('takes the secret as a bearer token', async () => {
+        const response = await post(`/hooks/${hook.id}`, body, { Authorization: `Bearer ${hook.secret}` });
+
+        expect(response.status).toBe(202);
+        expect(submitted).toEqual([{ token: `hook:${hook.id}`, prompt: 'Fix the failing test login.spec.js' }]);
+    });
+
+    test('takes an HMAC signature over the exact body, GitHub header included', async () => {
+        const signature = `sha256=${signHookPayload(hook.secret, body)}`;
+
+        expect((await post(`/hooks/${hook.id}`, body, { 'X-KIM-Signature': signature })).status).toBe(202);
+        expect((await post(`/hooks/${hook.id}`, body, { 'X-Hub-Signature-256': signature })).status).toBe(202);
+        expect((await post(`/hooks/${hook.id}`, `${body} `, { 'X-KIM-Signature': signature })).status).toBe(401);
+    });
+
+    test('refuses wrong secrets and unknown hooks without running anything', async () => {
+        expect((await post(`/hooks/${hook.id}`, body, { Authorization: `Bearer ${hook.secret}x` })).body.code).toBe('unauthorized');
+        expect((await post(`/hooks/${hook.id}`, body, { 'X-KIM-Signature': 'sha256=00' })).body.code).toBe('unauthorized');
+        expect((await post(`/hooks/${hook.id}`, body)).body.code).toBe('unauthorized');
+        expect((await post('/hooks/nope', body, { Authorization: `Bearer ${hook.secret}` })).status).toBe(404);
+        expect(submitted).toEqual([]);
+    });
+
+    test('wants JSON once the caller is known', async () => {
+        const response = await post(`/hooks/${hook.id}`, 'not json', { Authorization: `Bearer ${hook.secret}` });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('invalid_json');
+    });
+});
@@ -0,0 +1,141 @@
+// Structured logs that keep tokens and prompts to themselves 📜
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLogger, configureLogging, redactFields, RotatingFileSink } = require('kim-core');
+
+const TOKEN = 'f3a9c2e71b5d4a60';
+
+describe('redactFields', () => {
+    test('masks credentials, keeping enough to tell two apart', () => {
+        expect(redactFields({ token: TOKEN, secret: 'short', authorization: null })).toEqual({
+            token: 'f3a9c2e7…',
+            secret: '[redacted]',
+            authorization: '[redacted]'
+        });
+    });
+
+    test('swaps prompt text for its length unless prompts are wanted', () => {
+        expect(redactFields({ prompt: 'Fix the login bug', text: 42 })).toEqual({ prompt: '[17 chars]', text: '[redacted]' });
+        expect(redactFields({ prompt: 'Fix the login bug' }, { includePrompts: true })).toEqual({ prompt: 'Fix the login bug' });
+    });
+
+    test('reaches into nested objects and arrays', () => {
+        const redacted = redactFields({
+            device: { name: 'Pixel', auth: { token: TOKEN } },
+            devices: [{ name: 'iPad', token: TOKEN }, 'loose string', 3],
+            findings: [[{ text: 'sk-live-secret' }]]
+        });
+
+        expect(redacted).toEqual({
+            device: { name: 'Pixel', auth: { token: 'f3a9c2e7…' } },
+            devices: [{ name: 'iPad', token: 'f3a9c2e7…' }, 'loose string', 3],
+            findings: [[{ text: '[14 chars]' }]]
+        });
+    });
+
+    test('turns errors into plain fields and drops undefined ones', () => {
+        const error = Object.assign(new Error('EADDRINUSE'), { code: 'EADDRINUSE' });
+        const redacted = redactFields({ error, errors: [error], missing: undefined });
+
+        expect(redacted.error).toMatchObject({ name: 'Error', message: 'EADDRINUSE', code: 'EADDRINUSE' });
+        expect(redacted.errors[0]).toMatchObject({ message: 'EADDRINUSE' });
+        expect(redacted).not.toHaveProperty('missing');
+    });
+});
+
+describe('Logger', () => {
+    let records;
+
+    beforeEach(() => {
+        records = [];
+        configureLogging({ level: 'info', includePrompts: false, sinks: [{ write: record => records.push(record) }] });
+    });
+
+    afterEach(() => {
+        configureLogging({ level: 'warn', format: 'pretty' });
+    });
+
+    test('writes what its level lets through', () => {
+        const log = getLogger('relay');
+        log.debug('🔍 hidden');
+        log.info('📨 shown');
+        configureLogging({ level: 'error' });
+        log.warn('⚠️ hidden too');
+        log.error('❌ shown too');
+
+        expect(records.map(record => [record.level, record.msg])).toEqual([['info', '📨 shown'], ['error', '❌ shown too']]);
+        expect(records[0]).toMatchObject({ scope: 'relay', time: expect.any(String) });
+    });
+
+    test('falls back to info for an unknown level', () => {
+        configureLogging({ level: 'verbose' });
+        getLogger('relay').debug('🔍 hidden');
+        getLogger('relay').info('📨 shown');
+
+        expect(records).toHaveLength(1);
+    });
+
+    test('child loggers add their fields, redacted like the rest', () => {
+        getLogger('extension').child({ token: TOKEN }).info('📨 Prompt relayed', { prompt: 'hello' });
+
+        expect(records[0]).toMatchObject({ token: 'f3a9c2e7…', prompt: '[5 chars]' });
+    });
+});
+
+describe('RotatingFileSink', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kim-log-'));
+        file = path.join(dir, 'logs', 'kim.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const record = (n) => ({ time: '2026-01-01T00:00:00.000Z', level: 'info', scope: 'test', msg: `line ${n}` });
+    const lines = (name) => fs.readFileSync(name, 'utf8').trim().split('\n').map(line => JSON.parse(line).msg);
+
+    test('appends JSON lines, creating the directory', () => {
+        const sink = new RotatingFileSink({ file });
+        sink.write(record(1));
+        sink.write(record(2));
+
+        expect(lines(file)).toEqual(['line 1', 'line 2']);
+    });
+
+    test('rolls over past maxBytes and keeps only maxFiles old files', () => {
+        // Each record is one line of ~80 bytes, so every write after the first rotates
+        const sink = new RotatingFileSink({ file, maxBytes: 100, maxFiles: 2 });
+        [1, 2, 3, 4].forEach(n => sink.write(record(n)));
+
+        expect(lines(file)).toEqual(['line 4']);
+        expect(lines(`${file}.1`)).toEqual(['line 3']);
+        expect(lines(`${file}.2`)).toEqual(['line 2']);
+        expect(fs.existsSync(`${file}.3`)).toBe(false);
+    });
+
+    test('picks up the size of an existing file', () => {
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, 'x'.repeat(90) + '\n');
+        new RotatingFileSink({ file, maxBytes: 100 }).write(record(1));
+
+        expect(lines(file)).toEqual(['line 1']);
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).toHaveLength(91);
+    });
+
+    test('turns itself off when the directory cannot be made', () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.writeFileSync(path.join(dir, 'blocker'), '');
+
+        const sink = new RotatingFileSink({ file: path.join(dir, 'blocker', 'kim.log') });
+        expect(sink.failed).toBe(true);
+        expect(() => sink.write(record(1))).not.toThrow();
+        expect(() => configureLogging({ file: path.join(dir, 'blocker', 'kim.log') })).not.toThrow();
+        spy.mockRestore();
+    });
+});
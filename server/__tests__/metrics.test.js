@@ -0,0 +1,163 @@
+// Prometheus metrics and the health probes 📈
+
+const { MetricsRegistry, KIMMetrics, MonitoringApi, PromptStatusLog, hashToken } = require('kim-core');
+
+const DEVICE = hashToken('device-token');
+
+describe('MetricsRegistry', () => {
+    test('renders counters with HELP and TYPE, one line per label set', () => {
+        const registry = new MetricsRegistry();
+        const prompts = registry.counter('kim_prompts_total', 'Prompts by status');
+        prompts.inc({ status: 'received' });
+        prompts.inc({ status: 'received' }, 2);
+        prompts.inc({ status: 'failed' });
+
+        expect(registry.render()).toBe([
+            '# HELP kim_prompts_total Prompts by status',
+            '# TYPE kim_prompts_total counter',
+            'kim_prompts_total{status="received"} 3',
+            'kim_prompts_total{status="failed"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    test('the same labels in another order are the same series', () => {
+        const counter = new MetricsRegistry().counter('kim_redactions_total', 'Secrets found');
+        counter.inc({ type: 'jwt', action: 'masked' });
+        counter.inc({ action: 'masked', type: 'jwt' });
+
+        expect(counter.get({ type: 'jwt', action: 'masked' })).toBe(2);
+        expect(counter.get({ type: 'email', action: 'masked' })).toBe(0);
+    });
+
+    test('escapes backslashes, quotes and newlines in label values', () => {
+        const registry = new MetricsRegistry();
+        registry.gauge('kim_build_info', 'Build', () => [{ labels: { version: 'a\\b "c"\nd' }, value: 1 }]);
+
+        expect(registry.render()).toContain('kim_build_info{version="a\\\\b \\"c\\"\\nd"} 1');
+    });
+
+    test('histograms count cumulatively, with +Inf, sum and count', () => {
+        const registry = new MetricsRegistry();
+        const latency = registry.histogram('kim_relay_latency_seconds', 'Latency', [1, 0.1, 10]);
+        [0.05, 0.5, 0.5, 20].forEach(value => latency.observe(value));
+
+        expect(registry.render().split('\n').slice(2, -1)).toEqual([
+            'kim_relay_latency_seconds_bucket{le="0.1"} 1',
+            'kim_relay_latency_seconds_bucket{le="1"} 3',
+            'kim_relay_latency_seconds_bucket{le="10"} 3',
+            'kim_relay_latency_seconds_bucket{le="+Inf"} 4',
+            'kim_relay_latency_seconds_sum 21.05',
+            'kim_relay_latency_seconds_count 4'
+        ]);
+    });
+
+    test('a gauge that throws is left out of the scrape, not the whole scrape', () => {
+        const registry = new MetricsRegistry();
+        registry.gauge('kim_broken', 'Broken', () => { throw new Error('nope'); });
+        registry.gauge('kim_queue_depth', 'Queue', () => 'not a number');
+        registry.gauge('kim_connections', 'Connections', () => 4);
+
+        const text = registry.render();
+        expect(text).not.toContain('kim_broken');
+        expect(text).toContain('kim_queue_depth 0');
+        expect(text).toContain('kim_connections 4');
+    });
+});
+
+describe('KIMMetrics', () => {
+    const createHost = () => ({
+        startTime: Date.now() - 5000,
+        wss: { clients: new Set([{}, {}]) },
+        tokenStore: { size: 3 },
+        promptQueue: { size: 1 },
+        promptStatus: new PromptStatusLog()
+    });
+
+    test('reads the gauges from the host when scraped', () => {
+        const metrics = new KIMMetrics(createHost(), { server: 'relay', version: '1.2.3' });
+        const text = metrics.render();
+
+        expect(text).toContain('kim_build_info{server="relay",version="1.2.3"} 1');
+        expect(text).toContain('kim_connections 2');
+        expect(text).toContain('kim_paired_devices 3');
+        expect(text).toContain('kim_queue_depth 1');
+        expect(text).toMatch(/kim_uptime_seconds 5(\.\d+)?\n/);
+    });
+
+    test('leaves the queue out for a host without one', () => {
+        const host = { ...createHost(), promptQueue: undefined };
+        expect(new KIMMetrics(host, { server: 'embedded' }).render()).not.toContain('kim_queue_depth');
+    });
+
+    test('counts each status a prompt moves into and times its delivery', () => {
+        const host = createHost();
+        const metrics = new KIMMetrics(host, { server: 'relay' });
+        const record = (type, data, success = true) => host.promptStatus.record(DEVICE, { type, success, data });
+
+        record('prompt_received', { promptId: 'p1' });
+        record('prompt_queued', { promptId: 'p1' });
+        record('prompt_queued', { promptId: 'p1', position: 1 });
+        record('prompt_delivered', { promptId: 'p1' });
+        record('response_done', { promptId: 'p1', text: 'ok' });
+        record('prompt_received', { promptId: 'p2' });
+        record('prompt_failed', { promptId: 'p2', code: 'vscode_offline' }, false);
+
+        expect(metrics.prompts.get({ status: 'received' })).toBe(2);
+        expect(metrics.prompts.get({ status: 'queued' })).toBe(1);
+        expect(metrics.prompts.get({ status: 'delivered' })).toBe(1);
+        expect(metrics.prompts.get({ status: 'answered' })).toBe(0);
+        expect(metrics.failures.get({ code: 'vscode_offline' })).toBe(1);
+        expect(metrics.latency.count).toBe(1);
+    });
+});
+
+describe('MonitoringApi', () => {
+    const fakeResponse = () => {
+        const res = { status: null, headers: {}, body: null };
+        res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+        res.end = (body) => { res.body = body; };
+        return res;
+    };
+
+    const createApi = (readiness = { ready: true, checks: { websocket: true, http: true } }) => new MonitoringApi({
+        startTime: Date.now() - 90 * 1000,
+        metrics: { render: () => 'kim_connections 2\n' },
+        getReadiness: () => readiness
+    });
+
+    const get = (api, url) => {
+        const res = fakeResponse();
+        expect(api.handle({ method: 'GET', url, headers: {} }, res)).toBe(true);
+        return res;
+    };
+
+    test('/metrics speaks the text exposition format', () => {
+        const res = get(createApi(), '/metrics?name[]=x');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+        expect(res.body).toBe('kim_connections 2\n');
+    });
+
+    test('/healthz answers while the process is up', () => {
+        const res = get(createApi({ ready: false, checks: {} }), '/healthz');
+
+        expect(res.status).toBe(200);
+        expect(JSON.parse(res.body)).toEqual({ status: 'ok', uptime: 90 });
+    });
+
+    test('/readyz reports each check, with 503 until all pass', () => {
+        const ready = get(createApi(), '/readyz');
+        expect(ready.status).toBe(200);
+        expect(JSON.parse(ready.body)).toEqual({ status: 'ready', checks: { websocket: true, http: true } });
+
+        const stopping = get(createApi({ ready: false, checks: { websocket: false, http: true } }), '/readyz');
+        expect(stopping.status).toBe(503);
+        expect(JSON.parse(stopping.body).status).toBe('not_ready');
+    });
+
+    test('leaves every other path alone', () => {
+        expect(createApi().handle({ method: 'GET', url: '/metricsz', headers: {} }, fakeResponse())).toBe(false);
+    });
+});
@@ -0,0 +1,105 @@
+// Pairing codes, backoff and lockouts for clients that keep guessing 🛡️
+
+const { PairingGuard, createPairingCode, isLoopbackAddress } = require('kim-core');
+
+let now;
+
+beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+});
+
+afterEach(() => {
+    now.mockRestore();
+});
+
+describe('createPairingCode', () => {
+    test('is six digits', () => {
+        for (let i = 0; i < 50; i++) {
+            expect(createPairingCode()).toMatch(/^[1-9]\d{5}$/);
+        }
+    });
+
+    test('never hands out a code that is already live', () => {
+        const taken = new Set();
+        for (let code = 100000; code < 1000000; code++) taken.add(String(code));
+        taken.delete('424242');
+
+        expect(createPairingCode(taken)).toBe('424242');
+    });
+});
+
+describe('isLoopbackAddress', () => {
+    test('knows this machine in IPv4, IPv6 and mapped form', () => {
+        expect(isLoopbackAddress('127.0.0.1')).toBe(true);
+        expect(isLoopbackAddress('::1')).toBe(true);
+        expect(isLoopbackAddress('::ffff:127.0.0.1')).toBe(true);
+        expect(isLoopbackAddress('192.168.1.20')).toBe(false);
+        expect(isLoopbackAddress('::ffff:10.0.0.1')).toBe(false);
+        expect(isLoopbackAddress(undefined)).toBe(false);
+    });
+});
+
+describe('PairingGuard', () => {
+    test('lets the first few typos through, then doubles the wait', () => {
+        const guard = new PairingGuard({ freeAttempts: 3, baseDelay: 2000, maxDelay: 8000 });
+        for (let i = 0; i < 3; i++) {
+            expect(guard.recordFailure('10.0.0.2').retryAfter).toBe(0);
+        }
+
+        expect(guard.recordFailure('10.0.0.2').retryAfter).toBe(2000);
+        expect(guard.check('10.0.0.2')).toEqual({ allowed: false, locked: false, retryAfter: 2000 });
+        expect(guard.recordFailure('10.0.0.2').retryAfter).toBe(4000);
+        expect(guard.recordFailure('10.0.0.2').retryAfter).toBe(8000);
+        expect(guard.recordFailure('10.0.0.2').retryAfter).toBe(8000);
+
+        now.mockReturnValue(1000000 + 8000);
+        expect(guard.check('10.0.0.2').allowed).toBe(true);
+        expect(guard.check('10.0.0.3').allowed).toBe(true);
+    });
+
+    test('locks a client out after too many failures, then starts over', () => {
+        const guard = new PairingGuard({ maxFailures: 5, lockoutDuration: 60000 });
+        let result;
+        for (let i = 0; i < 5; i++) {
+            result = guard.recordFailure('10.0.0.2');
+        }
+
+        expect(result).toMatchObject({ locked: true, retryAfter: 60000 });
+        expect(guard.getStatus().lockedOut).toEqual([{ ip: '10.0.0.2', failures: 5, retryAfter: 60 }]);
+
+        now.mockReturnValue(1000000 + 60001);
+        expect(guard.check('10.0.0.2')).toEqual({ allowed: true, locked: false, retryAfter: 0 });
+        expect(guard.clients.has('10.0.0.2')).toBe(false);
+    });
+
+    test('a successful pairing clears the slate', () => {
+        const guard = new PairingGuard({ freeAttempts: 0 });
+        guard.recordFailure('10.0.0.2');
+        expect(guard.check('10.0.0.2').allowed).toBe(false);
+
+        guard.recordSuccess('10.0.0.2');
+        expect(guard.check('10.0.0.2').allowed).toBe(true);
+    });
+
+    test('burns a live code once it has collected too many wrong guesses', () => {
+        const guard = new PairingGuard({ maxCodeFailures: 3 });
+
+        expect(guard.recordFailure('10.0.0.2', ['111111', '222222']).burned).toEqual([]);
+        expect(guard.recordFailure('10.0.0.3', ['111111']).burned).toEqual([]);
+        expect(guard.recordFailure('10.0.0.4', ['111111', '222222']).burned).toEqual(['111111']);
+
+        expect(guard.getStatus()).toMatchObject({ failedAttempts: 3, burnedCodes: 1 });
+        expect(guard.codes.get('222222')).toBe(2);
+    });
+
+    test('cleanup forgets quiet clients and codes that are gone', () => {
+        const guard = new PairingGuard({ lockoutDuration: 1000 });
+        guard.recordFailure('10.0.0.2', ['111111', '222222']);
+
+        now.mockReturnValue(1000000 + 1001);
+        guard.cleanup(['222222']);
+
+        expect(guard.clients.size).toBe(0);
+        expect(Array.from(guard.codes.keys())).toEqual(['222222']);
+    });
+});
@@ -0,0 +1,112 @@
+// What VS Code is up to, as far as devices may know 👀
+
+const { PRESENCE_FIELDS, PRESENCE_DEBOUNCE, PresenceFeed } = require('kim-core');
+
+const EDITOR = { focused: true, workspace: 'kim', activeFile: 'src/app.js', language: 'javascript', copilot: 'idle' };
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+const listen = (feed) => {
+    const seen = [];
+    feed.onChange(snapshot => seen.push(snapshot));
+    return seen;
+};
+
+describe('PresenceFeed', () => {
+    test('shares every field by default', () => {
+        const feed = new PresenceFeed();
+        feed.update(EDITOR);
+
+        expect(feed.snapshot()).toEqual({ shared: PRESENCE_FIELDS, ...EDITOR, updatedAt: expect.any(Number) });
+        feed.dispose();
+    });
+
+    test('hands out only the fields the user agreed to share', () => {
+        const feed = new PresenceFeed({ fields: ['language', 'focused', 'clipboard'] });
+        feed.update(EDITOR);
+
+        const snapshot = feed.snapshot();
+        expect(snapshot.shared).toEqual(['focused', 'language']);
+        expect(snapshot).not.toHaveProperty('activeFile');
+        expect(snapshot).not.toHaveProperty('workspace');
+        expect(snapshot).toMatchObject({ focused: true, language: 'javascript' });
+        feed.dispose();
+    });
+
+    test('an empty list turns presence off', () => {
+        const feed = new PresenceFeed({ fields: [] });
+        feed.update(EDITOR);
+
+        expect(feed.enabled).toBe(false);
+        expect(feed.snapshot()).toEqual({ shared: [], updatedAt: expect.any(Number) });
+        feed.dispose();
+    });
+
+    test('coalesces a burst of changes into one update after the quiet time', () => {
+        const feed = new PresenceFeed();
+        jest.advanceTimersByTime(PRESENCE_DEBOUNCE);
+        const seen = listen(feed);
+
+        feed.update({ activeFile: 'a.js', language: 'javascript' });
+        jest.advanceTimersByTime(PRESENCE_DEBOUNCE / 2);
+        feed.update({ activeFile: 'b.py', language: 'python' });
+        feed.update({ focused: false });
+        expect(seen).toHaveLength(0);
+
+        jest.advanceTimersByTime(PRESENCE_DEBOUNCE / 2);
+        expect(seen).toHaveLength(1);
+        expect(seen[0]).toMatchObject({ activeFile: 'b.py', language: 'python', focused: false });
+        feed.dispose();
+    });
+
+    test('stays quiet when nothing devices can see changed', () => {
+        const feed = new PresenceFeed({ fields: ['focused'], debounce: 100 });
+        feed.update({ focused: true });
+        jest.advanceTimersByTime(100);
+        const seen = listen(feed);
+
+        feed.update({ activeFile: 'secret-plans.md' });
+        feed.update({ focused: true });
+        jest.advanceTimersByTime(100);
+        expect(seen).toHaveLength(0);
+
+        feed.update({ focused: false });
+        jest.advanceTimersByTime(100);
+        expect(seen).toEqual([{ shared: ['focused'], focused: false, updatedAt: expect.any(Number) }]);
+        feed.dispose();
+    });
+
+    test('sharing more fields sends what was held back', () => {
+        const feed = new PresenceFeed({ fields: ['focused'], debounce: 100 });
+        feed.update(EDITOR);
+        jest.advanceTimersByTime(100);
+        const seen = listen(feed);
+
+        feed.setFields(['focused', 'activeFile']);
+        jest.advanceTimersByTime(100);
+        expect(seen[0]).toMatchObject({ shared: ['focused', 'activeFile'], activeFile: 'src/app.js' });
+        feed.dispose();
+    });
+
+    test('disposed listeners and feeds hear nothing more', () => {
+        const feed = new PresenceFeed({ debounce: 100 });
+        const seen = [];
+        const subscription = feed.onChange(snapshot => seen.push(snapshot));
+        subscription.dispose();
+        feed.update({ focused: false });
+        jest.advanceTimersByTime(100);
+        expect(seen).toHaveLength(0);
+
+        feed.onChange(snapshot => seen.push(snapshot));
+        feed.update({ focused: true });
+        feed.dispose();
+        jest.advanceTimersByTime(100);
+        expect(seen).toHaveLength(0);
+    });
+});
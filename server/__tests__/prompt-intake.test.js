@@ -0,0 +1,82 @@
+// Screening and plugins between an accepted prompt and VS Code 🛂
+
+const { PromptIntake, PromptPipeline, PromptRedactor, MetricsRegistry } = require('kim-core');
+
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+
+const createHost = (redaction = {}) => {
+    const host = {
+        sent: [],
+        redactor: new PromptRedactor(redaction),
+        pipeline: new PromptPipeline(),
+        metrics: { redactions: new MetricsRegistry().counter('kim_redactions_total', 'Secrets found') },
+        sendToDevice(token, type, success, message, emoji, quip, data) {
+            host.sent.push({ type, success, message, data });
+        }
+    };
+    return host;
+};
+
+const run = async (host, prompt, options = {}) => {
+    const relayed = [];
+    const intake = new PromptIntake(host, { server: 'embedded' });
+    await intake.process(prompt, { token: 'device-token', promptId: 'p1', ...options }, ready => relayed.push(ready));
+    return relayed;
+};
+
+describe('PromptIntake', () => {
+    test('relays a clean prompt, reported as received first', async () => {
+        const host = createHost();
+        const relayed = await run(host, 'Fix the build', { target: 'win-a', receivedMessage: 'Got it!' });
+
+        expect(relayed).toEqual(['Fix the build']);
+        expect(host.sent).toEqual([{ type: 'prompt_received', success: true, message: 'Got it!', data: { promptId: 'p1', target: 'win-a' } }]);
+    });
+
+    test('masks secrets and says so once the prompt is received', async () => {
+        const host = createHost({ policy: 'mask' });
+        const relayed = await run(host, `Why does ${GITHUB_TOKEN} fail?`);
+
+        expect(relayed).toEqual(['Why does [redacted GitHub token] fail?']);
+        expect(host.sent.map(message => message.type)).toEqual(['prompt_received', 'prompt_redacted']);
+        expect(host.sent[1].data).toMatchObject({ action: 'masked', policy: 'mask', prompt: relayed[0] });
+        expect(host.metrics.redactions.get({ type: 'github_token', action: 'masked' })).toBe(1);
+    });
+
+    test('a blocked prompt goes nowhere and fails with secret_detected', async () => {
+        const host = createHost({ policy: 'block' });
+        const relayed = await run(host, `Use ${GITHUB_TOKEN}`);
+
+        expect(relayed).toEqual([]);
+        expect(host.sent.map(message => [message.type, message.success])).toEqual([['prompt_redacted', false], ['prompt_failed', false]]);
+        expect(host.sent[1].data).toMatchObject({ promptId: 'p1', code: 'secret_detected' });
+    });
+
+    test('plugins may rewrite a prompt or refuse it', async () => {
+        const host = createHost();
+        host.pipeline.use((prompt, context) => {
+            expect(context).toMatchObject({ promptId: 'p1', server: 'embedded', target: null });
+            return prompt.includes('deploy') ? context.reject('Not on Fridays') : `${prompt}!`;
+        }, 'friday');
+
+        expect(await run(host, 'test it')).toEqual(['test it!']);
+
+        host.sent.length = 0;
+        expect(await run(host, 'deploy it')).toEqual([]);
+        expect(host.sent).toEqual([{
+            type: 'prompt_failed',
+            success: false,
+            message: 'Not on Fridays',
+            data: { promptId: 'p1', code: 'prompt_rejected', reason: 'Not on Fridays', plugin: 'friday' }
+        }]);
+    });
+
+    test('a relay that throws fails the prompt with relay_error', async () => {
+        const host = createHost();
+        const intake = new PromptIntake(host, { server: 'relay' });
+        await intake.process('Fix the build', { token: 'device-token', promptId: 'p1' }, () => Promise.reject(new Error('boom')));
+
+        expect(host.sent.map(message => message.type)).toEqual(['prompt_received', 'prompt_failed']);
+        expect(host.sent[1].data).toMatchObject({ promptId: 'p1', code: 'relay_error' });
+    });
+});
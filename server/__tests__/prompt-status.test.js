@@ -0,0 +1,144 @@
+// Where each prompt got to, and the REST API that reads it 🧭
+
+const { hashToken, PromptStatusLog, RestApi } = require('kim-core');
+
+const DEVICE = hashToken('device-token');
+const OTHER = hashToken('other-token');
+
+const event = (type, data, success = true) => ({ type, success, data });
+
+describe('PromptStatusLog', () => {
+    test('follows a prompt from received to answered', () => {
+        const status = new PromptStatusLog();
+        const seen = [];
+        status.on('update', (entry, previous) => seen.push([previous, entry.status]));
+
+        status.record(DEVICE, event('prompt_received', { promptId: 'p1', target: 'win-1' }));
+        status.record(DEVICE, event('prompt_queued', { promptId: 'p1', position: 2 }));
+        expect(status.get(DEVICE, 'p1')).toMatchObject({ status: 'queued', position: 2, target: 'win-1' });
+
+        status.record(DEVICE, event('prompt_delivered', { promptId: 'p1', streaming: true }));
+        expect(status.get(DEVICE, 'p1')).not.toHaveProperty('position');
+        expect(status.get(DEVICE, 'p1').streaming).toBe(true);
+
+        status.record(DEVICE, event('response_done', { promptId: 'p1', text: 'Done', model: 'gpt' }));
+        expect(status.get(DEVICE, 'p1')).toMatchObject({ status: 'answered', answer: { success: true, text: 'Done', model: 'gpt' } });
+        expect(seen).toEqual([[undefined, 'received'], ['received', 'queued'], ['queued', 'delivered'], ['delivered', 'answered']]);
+    });
+
+    test('keeps a prompt delivered when its answer fails', () => {
+        const status = new PromptStatusLog();
+        status.record(DEVICE, event('prompt_delivered', { promptId: 'p1' }));
+        status.record(DEVICE, event('response_done', { promptId: 'p1', error: 'cancelled' }, false));
+
+        expect(status.get(DEVICE, 'p1')).toMatchObject({ status: 'delivered', answer: { success: false, error: 'cancelled' } });
+    });
+
+    test('records why a prompt failed', () => {
+        const status = new PromptStatusLog();
+        status.record(DEVICE, event('prompt_failed', { promptId: 'p1', code: 'vscode_offline', reason: 'VS Code disconnected' }, false));
+
+        expect(status.get(DEVICE, 'p1')).toMatchObject({ status: 'failed', code: 'vscode_offline', reason: 'VS Code disconnected' });
+    });
+
+    test('ignores events without a promptId or a status, and redaction notes ride along', () => {
+        const status = new PromptStatusLog();
+        status.record(DEVICE, event('prompt_received', {}));
+        status.record(DEVICE, event('presence', { promptId: 'p1' }));
+        expect(status.prompts.size).toBe(0);
+
+        status.record(DEVICE, event('prompt_received', { promptId: 'p1' }));
+        status.record(DEVICE, event('prompt_redacted', { promptId: 'p1', action: 'mask', findings: [{ type: 'aws_key', count: 1 }] }));
+        expect(status.get(DEVICE, 'p1')).toMatchObject({ status: 'received', redaction: { action: 'mask' } });
+    });
+
+    test('only the sending device can see or move its prompt', () => {
+        const status = new PromptStatusLog();
+        status.record(DEVICE, event('prompt_received', { promptId: 'p1' }));
+        status.record(OTHER, event('prompt_failed', { promptId: 'p1', code: 'x' }));
+
+        expect(status.get(OTHER, 'p1')).toBeNull();
+        expect(status.get(DEVICE, 'p1').status).toBe('received');
+        expect(status.describe(status.get(DEVICE, 'p1'))).not.toHaveProperty('tokenHash');
+    });
+
+    test('forgets the oldest prompts past its limit and age', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const status = new PromptStatusLog({ limit: 2, maxAge: 500 });
+        ['p1', 'p2', 'p3'].forEach(promptId => status.record(DEVICE, event('prompt_received', { promptId })));
+        expect(Array.from(status.prompts.keys())).toEqual(['p2', 'p3']);
+
+        now.mockReturnValue(1600);
+        expect(status.get(DEVICE, 'p3')).toBeNull();
+        now.mockRestore();
+    });
+
+    test('waitForSettled resolves once the prompt moves past received, or on timeout', async () => {
+        const status = new PromptStatusLog();
+        status.record(DEVICE, event('prompt_received', { promptId: 'p1' }));
+
+        const settled = status.waitForSettled(DEVICE, 'p1', 5000);
+        status.record(DEVICE, event('prompt_delivered', { promptId: 'p1' }));
+        expect((await settled).status).toBe('delivered');
+
+        status.record(DEVICE, event('prompt_received', { promptId: 'p2' }));
+        expect((await status.waitForSettled(DEVICE, 'p2', 10)).status).toBe('received');
+        expect(status.listenerCount('update')).toBe(0);
+    });
+});
+
+describe('RestApi', () => {
+    const fakeResponse = () => {
+        const res = { headers: {}, status: null, body: null };
+        res.setHeader = (name, value) => { res.headers[name] = value; };
+        res.writeHead = (status) => { res.status = status; };
+        res.end = (body) => { res.body = body ? JSON.parse(body) : null; res.done(); };
+        res.finished = new Promise(resolve => { res.done = resolve; });
+        return res;
+    };
+
+    const request = async (api, { method = 'GET', url, token }) => {
+        const res = fakeResponse();
+        const headers = token ? { authorization: `Bearer ${token}` } : {};
+        expect(api.handle({ method, url, headers }, res)).toBe(true);
+        await res.finished;
+        return res;
+    };
+
+    const createApi = () => {
+        const promptStatus = new PromptStatusLog();
+        const api = new RestApi({
+            promptStatus,
+            validateToken: token => ['device-token', 'other-token'].includes(token)
+        });
+        return { api, promptStatus };
+    };
+
+    test('wants a valid bearer token', async () => {
+        const { api } = createApi();
+
+        expect((await request(api, { url: '/api/prompts/p1' })).body.code).toBe('unauthorized');
+        expect((await request(api, { url: '/api/prompts/p1', token: 'stolen' })).body.code).toBe('session_expired');
+    });
+
+    test('shows a prompt to the device that sent it and nobody else', async () => {
+        const { api, promptStatus } = createApi();
+        promptStatus.record(DEVICE, event('prompt_delivered', { promptId: 'p1' }));
+
+        const own = await request(api, { url: '/api/prompts/p1', token: 'device-token' });
+        expect(own.status).toBe(200);
+        expect(own.body.prompt).toMatchObject({ promptId: 'p1', status: 'delivered' });
+        expect(own.body.prompt).not.toHaveProperty('tokenHash');
+
+        const other = await request(api, { url: '/api/prompts/p1', token: 'other-token' });
+        expect(other.status).toBe(404);
+    });
+
+    test('leaves other paths alone and refuses the wrong method', async () => {
+        const { api } = createApi();
+        expect(api.handle({ method: 'GET', url: '/index.html', headers: {} }, fakeResponse())).toBe(false);
+
+        const res = await request(api, { method: 'DELETE', url: '/api/prompts/p1', token: 'device-token' });
+        expect(res.status).toBe(405);
+    });
+});
@@ -0,0 +1,126 @@
+// Wire protocol: what servers accept, and the envelope they answer with 📜
+
+const {
+    SUPPORTED_VERSIONS,
+    CLIENT_MESSAGES,
+    ERROR_CODES,
+    ProtocolError,
+    validateMessage,
+    parseMessage,
+    parseResponse,
+    createMessage,
+    createHello,
+    createPromptId,
+    negotiateVersion,
+    createResponse,
+    createProtocolErrorResponse
+} = require('kim-protocol');
+
+describe('validateMessage', () => {
+    test('accepts a well-formed prompt', () => {
+        expect(validateMessage({ type: 'prompt', token: 'abc', prompt: 'hi', promptId: 'p1' })).toEqual({ valid: true });
+    });
+
+    test('rejects non-objects and messages without a type', () => {
+        expect(validateMessage('hello').error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+        expect(validateMessage([]).error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+        expect(validateMessage({ token: 'abc' }).error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+    });
+
+    test('rejects unknown types', () => {
+        const { valid, error } = validateMessage({ type: 'launch_missiles' });
+        expect(valid).toBe(false);
+        expect(error).toBeInstanceOf(ProtocolError);
+        expect(error.code).toBe(ERROR_CODES.UNKNOWN_TYPE);
+    });
+
+    test('lists every missing or mistyped field', () => {
+        const { error } = validateMessage({ type: 'pair', code: 123456, deviceInfo: 'phone' });
+        expect(error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+        expect(error.errors).toEqual(['code must be a string', 'deviceInfo must be a object']);
+
+        expect(validateMessage({ type: 'prompt' }).error.errors).toEqual(['token is required']);
+    });
+
+    test('checks array items', () => {
+        const hello = { type: 'hello', protocolVersion: 1, supportedVersions: [1, '2'] };
+        expect(validateMessage(hello).error.errors).toEqual(['supportedVersions must only contain number values']);
+    });
+
+    test('treats null like a missing field and ignores unknown fields', () => {
+        expect(validateMessage({ type: 'ping', timestamp: null, extra: true }).valid).toBe(true);
+    });
+
+    test('every schema names a description and fields', () => {
+        for (const schema of Object.values(CLIENT_MESSAGES)) {
+            expect(typeof schema.description).toBe('string');
+            expect(typeof schema.fields).toBe('object');
+        }
+    });
+});
+
+describe('parseMessage / parseResponse', () => {
+    test('parseMessage decodes and validates', () => {
+        expect(parseMessage('{"type":"ping"}').message).toEqual({ type: 'ping' });
+        expect(parseMessage('{nope').error.code).toBe(ERROR_CODES.INVALID_JSON);
+        expect(parseMessage('{"type":"nope"}').error.code).toBe(ERROR_CODES.UNKNOWN_TYPE);
+    });
+
+    test('parseResponse passes unknown server types through', () => {
+        expect(parseResponse('{"type":"from_the_future","data":1}').message.type).toBe('from_the_future');
+        expect(parseResponse('[]').error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+        expect(parseResponse('nope').error.code).toBe(ERROR_CODES.INVALID_JSON);
+    });
+});
+
+describe('createMessage', () => {
+    test('builds valid messages and throws on invalid ones', () => {
+        expect(createMessage('resume', { token: 't', lastSeq: 3 })).toEqual({ type: 'resume', token: 't', lastSeq: 3 });
+        expect(() => createMessage('resume', { lastSeq: 'x' })).toThrow(ProtocolError);
+    });
+
+    test('createHello offers every supported version', () => {
+        const hello = createHello({ name: 'test' });
+        expect(hello.supportedVersions).toEqual(SUPPORTED_VERSIONS);
+        expect(validateMessage(hello).valid).toBe(true);
+    });
+
+    test('createPromptId does not repeat', () => {
+        const ids = new Set(Array.from({ length: 200 }, () => createPromptId()));
+        expect(ids.size).toBe(200);
+    });
+});
+
+describe('negotiateVersion', () => {
+    test('picks the newest version both sides speak', () => {
+        expect(negotiateVersion({ protocolVersion: 1, supportedVersions: [3, 2, 1] })).toBe(1);
+        expect(negotiateVersion({ protocolVersion: 1 })).toBe(1);
+    });
+
+    test('returns null when nothing is shared', () => {
+        expect(negotiateVersion({ protocolVersion: 99, supportedVersions: [99] })).toBeNull();
+    });
+});
+
+describe('response envelope', () => {
+    test('always carries quip and data', () => {
+        const response = createResponse('pong', true, 'alive', '💓');
+        expect(response).toEqual({
+            type: 'pong',
+            success: true,
+            message: 'alive',
+            emoji: '💓',
+            quip: null,
+            data: null,
+            timestamp: expect.any(Number)
+        });
+    });
+
+    test('protocol errors keep their code and field errors', () => {
+        const { error } = validateMessage({ type: 'prompt' });
+        const response = createProtocolErrorResponse(error);
+        expect(response.type).toBe('error');
+        expect(response.success).toBe(false);
+        expect(response.data).toEqual({ code: ERROR_CODES.INVALID_MESSAGE, errors: ['token is required'] });
+    });
+});
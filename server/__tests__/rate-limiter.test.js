@@ -0,0 +1,92 @@
+// Token buckets per device and per address, and the limits behind them 🚦
+
+const { DEFAULT_LIMITS, resolveLimits, limitsFromEnv, TokenBucketLimiter, PromptRateLimiter } = require('kim-core');
+
+let now;
+
+beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+});
+
+afterEach(() => {
+    now.mockRestore();
+});
+
+describe('limits', () => {
+    test('only positive numbers override the defaults', () => {
+        const limits = resolveLimits({ promptsPerMinute: '5', promptBurst: 0, maxConnections: -1, maxPairingCodes: 'many', unknown: 3 });
+
+        expect(limits).toEqual({ ...DEFAULT_LIMITS, promptsPerMinute: 5 });
+    });
+
+    test('the relay reads KIM_* variables', () => {
+        const limits = limitsFromEnv({ KIM_PROMPT_BURST: '2', KIM_MAX_MESSAGE_BYTES: '1024', PATH: '/bin' });
+
+        expect(limits).toMatchObject({ promptBurst: 2, maxMessageBytes: 1024, promptsPerMinute: DEFAULT_LIMITS.promptsPerMinute });
+    });
+});
+
+describe('TokenBucketLimiter', () => {
+    test('allows a burst, then refills at the per-minute rate', () => {
+        const bucket = new TokenBucketLimiter({ perMinute: 6, burst: 2 });
+
+        expect(bucket.take('a')).toBe(true);
+        expect(bucket.take('a')).toBe(true);
+        expect(bucket.take('a')).toBe(false);
+        expect(bucket.peek('a')).toBe(10000);
+        expect(bucket.take('b')).toBe(true);
+
+        now.mockReturnValue(1000000 + 10000);
+        expect(bucket.peek('a')).toBe(0);
+        expect(bucket.take('a')).toBe(true);
+        expect(bucket.take('a')).toBe(false);
+    });
+
+    test('never saves up more than the burst', () => {
+        const bucket = new TokenBucketLimiter({ perMinute: 60, burst: 2 });
+        bucket.take('a');
+
+        now.mockReturnValue(1000000 + 60 * 60 * 1000);
+        expect([bucket.take('a'), bucket.take('a'), bucket.take('a')]).toEqual([true, true, false]);
+    });
+
+    test('drops the least recently used buckets past its cap, and full ones on cleanup', () => {
+        const bucket = new TokenBucketLimiter({ perMinute: 60, burst: 5, maxBuckets: 2 });
+        ['a', 'b', 'c'].forEach(key => bucket.take(key));
+        expect(Array.from(bucket.buckets.keys())).toEqual(['b', 'c']);
+
+        now.mockReturnValue(1000000 + 1000);
+        bucket.cleanup();
+        expect(bucket.buckets.size).toBe(0);
+    });
+});
+
+describe('PromptRateLimiter', () => {
+    test('limits each device on its own', () => {
+        const limiter = new PromptRateLimiter(resolveLimits({ promptsPerMinute: 60, promptBurst: 2 }));
+
+        expect(limiter.check('device-a').allowed).toBe(true);
+        expect(limiter.check('device-a').allowed).toBe(true);
+        expect(limiter.check('device-a')).toEqual({ allowed: false, retryAfter: 1000, scope: 'device' });
+        expect(limiter.check('device-b').allowed).toBe(true);
+    });
+
+    test('limits an address across all of its devices', () => {
+        const limiter = new PromptRateLimiter(resolveLimits({ promptsPerMinute: 60, promptBurst: 1, promptsPerMinutePerIp: 6 }));
+
+        expect(limiter.check('device-a', '10.0.0.2').allowed).toBe(true);
+        expect(limiter.check('device-b', '10.0.0.2').allowed).toBe(true);
+        expect(limiter.check('device-c', '10.0.0.2')).toMatchObject({ allowed: false, scope: 'ip', retryAfter: 10000 });
+        expect(limiter.check('device-c', '10.0.0.3').allowed).toBe(true);
+    });
+
+    test('a refused prompt uses up nothing', () => {
+        const limiter = new PromptRateLimiter(resolveLimits({ promptsPerMinute: 60, promptBurst: 1, promptsPerMinutePerIp: 60 }));
+        limiter.check('device-a', '10.0.0.2');
+        limiter.check('device-a', '10.0.0.2');
+        limiter.check('device-a', '10.0.0.2');
+
+        // The device was refused twice, so the address still has its second token
+        expect(limiter.check('device-b', '10.0.0.2').allowed).toBe(true);
+    });
+});
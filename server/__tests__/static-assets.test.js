@@ -0,0 +1,264 @@
+// Serving the built PWA from disk 📦
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { contentTypeFor, cacheControlFor, findPwaBuild, StaticAssets } = require('kim-core');
+const PWAServer = require('../pwa-server');
+
+// Big enough to be worth compressing
+const BUNDLE = `export const rows = [${Array.from({ length: 200 }, (_, i) => `'row ${i}'`).join(', ')}];`;
+
+let dir;
+let root;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kim-assets-'));
+    root = path.join(dir, 'dist');
+    fs.mkdirSync(path.join(root, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'index.html'), '<!doctype html><div id="root"></div>');
+    fs.writeFileSync(path.join(root, 'assets', 'index-3f2a1b.js'), 'console.log("kim")');
+
+    // Next to the build, where no request should reach
+    fs.writeFileSync(path.join(dir, 'secret.txt'), 'not for phones');
+    fs.mkdirSync(path.join(dir, 'dist-private'));
+    fs.writeFileSync(path.join(dir, 'dist-private', 'key.txt'), 'not for phones either');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const fakeResponse = () => {
+    const res = { status: null, headers: {}, body: null, headersSent: false };
+    res.writeHead = (status, headers = {}) => { res.status = status; res.headers = headers; res.headersSent = true; };
+    res.end = (body) => { res.raw = body; res.body = body === undefined ? null : String(body); res.done(); };
+    res.finished = new Promise(resolve => { res.done = resolve; });
+    return res;
+};
+
+const get = async (assets, url, { method = 'GET', headers = {} } = {}) => {
+    const res = fakeResponse();
+    expect(assets.serve({ method, url, headers }, res)).toBe(true);
+    await res.finished;
+    return res;
+};
+
+describe('findPwaBuild', () => {
+    test('picks the first directory with an index.html', () => {
+        expect(findPwaBuild([null, path.join(dir, 'missing'), dir, root])).toBe(root);
+        expect(findPwaBuild([path.join(dir, 'missing')])).toBeNull();
+    });
+});
+
+describe('StaticAssets', () => {
+    test('serves files from the build, and / as index.html', async () => {
+        const assets = new StaticAssets(root);
+
+        const script = await get(assets, '/assets/index-3f2a1b.js');
+        expect(script.status).toBe(200);
+        expect(script.body).toBe('console.log("kim")');
+
+        expect((await get(assets, '/')).body).toContain('id="root"');
+    });
+
+    test.each([
+        '/../secret.txt',
+        '/%2e%2e/secret.txt',
+        '/assets/%2e%2e%2f%2e%2e%2fsecret.txt',
+        '/..%2fsecret.txt',
+        '/%2e%2e/dist-private/key.txt'
+    ])('keeps %s inside the build', async (url) => {
+        const res = await get(new StaticAssets(root), url);
+
+        expect([403, 404]).toContain(res.status);
+        expect(res.body).not.toMatch(/not for phones/);
+    });
+
+    test('refuses decoded paths that climb out of the build', async () => {
+        expect((await get(new StaticAssets(root), '/assets/..%2f..%2fsecret.txt')).status).toBe(403);
+    });
+
+    test('answers a malformed escape with 400', async () => {
+        expect((await get(new StaticAssets(root), '/%E0%A4%A')).status).toBe(400);
+    });
+
+    test('falls back to index.html for app routes, but not for missing files', async () => {
+        const assets = new StaticAssets(root);
+
+        const route = await get(assets, '/settings/devices');
+        expect(route.status).toBe(200);
+        expect(route.body).toContain('id="root"');
+
+        expect((await get(assets, '/assets/gone-123.js')).status).toBe(404);
+    });
+
+    test('leaves other methods, and servers without a build, to the caller', () => {
+        expect(new StaticAssets(root).serve({ method: 'POST', url: '/', headers: {} }, fakeResponse())).toBe(false);
+        expect(new StaticAssets(null).serve({ method: 'GET', url: '/', headers: {} }, fakeResponse())).toBe(false);
+        expect(new StaticAssets(path.join(dir, 'missing')).available).toBe(false);
+    });
+});
+
+describe('cache and type headers', () => {
+    test.each([
+        ['/assets/index-3f2a1b.js', 'public, max-age=31536000, immutable'],
+        ['/index.html', 'no-cache'],
+        ['/sw.js', 'no-cache'],
+        ['/manifest.webmanifest', 'no-cache'],
+        ['/workbox-5f3e2d1c.js', 'no-cache'],
+        ['/icon-192.png', 'public, max-age=3600']
+    ])('%s is cached with %s', (urlPath, expected) => {
+        expect(cacheControlFor(urlPath)).toBe(expected);
+    });
+
+    test('types follow the extension, case aside', () => {
+        expect(contentTypeFor('/assets/app.JS')).toBe('application/javascript; charset=utf-8');
+        expect(contentTypeFor('/manifest.webmanifest')).toBe('application/manifest+json');
+        expect(contentTypeFor('/icon-512.png')).toBe('image/png');
+        expect(contentTypeFor('/LICENSE')).toBe('application/octet-stream');
+    });
+});
+
+describe('ETags and compression', () => {
+    beforeEach(() => {
+        fs.writeFileSync(path.join(root, 'assets', 'vendor-9a8b7c.js'), BUNDLE);
+    });
+
+    test('answers a matching If-None-Match with an empty 304', async () => {
+        const assets = new StaticAssets(root);
+        const first = await get(assets, '/assets/index-3f2a1b.js');
+        expect(first.headers.ETag).toMatch(/^"[\w-]{27}"$/);
+        expect(first.headers['Cache-Control']).toBe('public, max-age=31536000, immutable');
+
+        const again = await get(assets, '/assets/index-3f2a1b.js', { headers: { 'if-none-match': `W/"other", ${first.headers.ETag}` } });
+        expect(again.status).toBe(304);
+        expect(again.body).toBeNull();
+        expect(again.headers.ETag).toBe(first.headers.ETag);
+
+        expect((await get(assets, '/assets/index-3f2a1b.js', { headers: { 'if-none-match': '"other"' } })).status).toBe(200);
+    });
+
+    test('a rebuilt file gets a new ETag', async () => {
+        const assets = new StaticAssets(root);
+        const before = (await get(assets, '/index.html')).headers.ETag;
+
+        fs.writeFileSync(path.join(root, 'index.html'), '<!doctype html><div id="root" class="v2"></div>');
+        const after = await get(assets, '/index.html', { headers: { 'if-none-match': before } });
+        expect(after.status).toBe(200);
+        expect(after.headers.ETag).not.toBe(before);
+        expect(after.body).toContain('v2');
+    });
+
+    test('prefers brotli, honours q=0 and keeps ETags apart per coding', async () => {
+        const assets = new StaticAssets(root);
+        const url = '/assets/vendor-9a8b7c.js';
+
+        const br = await get(assets, url, { headers: { 'accept-encoding': 'gzip, deflate, br' } });
+        expect(br.headers).toMatchObject({ 'Content-Encoding': 'br', Vary: 'Accept-Encoding' });
+        expect(zlib.brotliDecompressSync(br.raw).toString()).toBe(BUNDLE);
+        expect(br.headers['Content-Length']).toBeLessThan(BUNDLE.length);
+
+        const gzip = await get(assets, url, { headers: { 'accept-encoding': 'br;q=0, gzip' } });
+        expect(gzip.headers['Content-Encoding']).toBe('gzip');
+        expect(zlib.gunzipSync(gzip.raw).toString()).toBe(BUNDLE);
+
+        const plain = await get(assets, url, { headers: { 'accept-encoding': 'identity' } });
+        expect(plain.headers).not.toHaveProperty('Content-Encoding');
+        expect(plain.body).toBe(BUNDLE);
+
+        expect(new Set([br.headers.ETag, gzip.headers.ETag, plain.headers.ETag]).size).toBe(3);
+        expect((await get(assets, url, { headers: { 'accept-encoding': 'gzip', 'if-none-match': gzip.headers.ETag } })).status).toBe(304);
+    });
+
+    test('leaves small files and images uncompressed', async () => {
+        fs.writeFileSync(path.join(root, 'icon-192.png'), Buffer.alloc(4096, 1));
+        const assets = new StaticAssets(root);
+
+        for (const url of ['/assets/index-3f2a1b.js', '/icon-192.png']) {
+            const res = await get(assets, url, { headers: { 'accept-encoding': 'br, gzip' } });
+            expect(res.headers).not.toHaveProperty('Content-Encoding');
+            expect(res.headers).not.toHaveProperty('Vary');
+        }
+    });
+
+    test('sends files too big to cache uncompressed', async () => {
+        const assets = new StaticAssets(root, { maxFileSize: 1024 });
+        const res = await get(assets, '/assets/vendor-9a8b7c.js', { headers: { 'accept-encoding': 'br, gzip' } });
+
+        expect(res.headers).not.toHaveProperty('Content-Encoding');
+        expect(res.body).toBe(BUNDLE);
+        expect(assets.cache.size).toBe(0);
+    });
+
+    test('counts compressed copies against the cache size', async () => {
+        fs.writeFileSync(path.join(root, 'assets', 'other-1d2e3f.js'), BUNDLE.replace(/row/g, 'col'));
+        const assets = new StaticAssets(root, { maxCacheSize: Buffer.byteLength(BUNDLE) * 2 + 100 });
+        const headers = { 'accept-encoding': 'br' };
+
+        await get(assets, '/assets/vendor-9a8b7c.js', { headers });
+        const vendor = assets.cache.get(path.join(root, 'assets', 'vendor-9a8b7c.js'));
+        expect(assets.cacheSize).toBe(vendor.data.length + vendor.encoded.br.length);
+
+        // Both raw files fit, but not with both brotli copies - the older file makes room
+        await get(assets, '/assets/other-1d2e3f.js', { headers });
+        expect(assets.cacheSize).toBeLessThanOrEqual(assets.maxCacheSize);
+        expect(Array.from(assets.cache.keys())).toEqual([path.join(root, 'assets', 'other-1d2e3f.js')]);
+    });
+
+    test('HEAD sends the headers without a body', async () => {
+        const res = await get(new StaticAssets(root), '/assets/vendor-9a8b7c.js', { method: 'HEAD' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['Content-Length']).toBe(Buffer.byteLength(BUNDLE));
+        expect(res.body).toBeNull();
+    });
+});
+
+describe('PWAServer', () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+        fs.writeFileSync(path.join(root, 'assets', 'vendor-9a8b7c.js'), BUNDLE);
+        server = new PWAServer(0, { root }).createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const request = (urlPath, { method = 'GET', headers = {} } = {}) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+
+    test('serves the build compressed over http and revalidates it', async () => {
+        const first = await request('/assets/vendor-9a8b7c.js', { headers: { 'accept-encoding': 'gzip' } });
+        expect(first.status).toBe(200);
+        expect(first.headers['content-encoding']).toBe('gzip');
+        expect(zlib.gunzipSync(first.body).toString()).toBe(BUNDLE);
+
+        const again = await request('/assets/vendor-9a8b7c.js', {
+            headers: { 'accept-encoding': 'gzip', 'if-none-match': first.headers.etag }
+        });
+        expect(again.status).toBe(304);
+        expect(again.body.length).toBe(0);
+    });
+
+    test('refuses to write to the build', async () => {
+        const res = await request('/index.html', { method: 'PUT' });
+
+        expect(res.status).toBe(405);
+        expect(res.headers.allow).toBe('GET, HEAD');
+    });
+});
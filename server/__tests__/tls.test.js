@@ -0,0 +1,71 @@
+// Local TLS credentials and the verify_server signature 🔐
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { identityPayload } = require('kim-protocol');
+const { loadTlsCredentials, fingerprintKey, fingerprintCertificate, signChallenge } = require('kim-core');
+
+let dir;
+let tls;
+
+beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kim-tls-'));
+    tls = await loadTlsCredentials({ dir, hosts: ['localhost', '127.0.0.1'] });
+}, 60000);
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const verify = (identity, payload) => crypto.verify(
+    'sha256',
+    Buffer.from(payload),
+    crypto.createPublicKey({ key: Buffer.from(identity.publicKey, 'base64'), format: 'der', type: 'spki' }),
+    Buffer.from(identity.signature, 'base64')
+);
+
+describe('loadTlsCredentials', () => {
+    test('keeps the server key, and so its fingerprint, across loads', async () => {
+        const again = await loadTlsCredentials({ dir, hosts: ['localhost', '127.0.0.1'] });
+
+        expect(again.key).toBe(tls.key);
+        expect(again.fingerprint).toBe(fingerprintKey(tls.key));
+        expect(tls.fingerprint).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    });
+
+    test('writes the private keys for the owner only', () => {
+        if (process.platform === 'win32') return;
+        expect(fs.statSync(path.join(dir, 'server.key')).mode & 0o077).toBe(0);
+        expect(fs.statSync(path.join(dir, 'ca.key')).mode & 0o077).toBe(0);
+    });
+});
+
+describe('signChallenge', () => {
+    const nonce = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+    test('signs the served certificate together with the nonce', () => {
+        const identity = signChallenge(tls.key, nonce, tls.cert);
+        const certificate = Buffer.from(identity.certificate, 'base64');
+
+        expect(certificate.equals(new crypto.X509Certificate(tls.cert).raw)).toBe(true);
+        expect(verify(identity, identityPayload(fingerprintCertificate(certificate), nonce))).toBe(true);
+    });
+
+    test('the served certificate carries the pinned key', () => {
+        const identity = signChallenge(tls.key, nonce, tls.cert);
+        const publicKey = Buffer.from(identity.publicKey, 'base64');
+
+        expect(crypto.createHash('sha256').update(publicKey).digest('base64url')).toBe(tls.fingerprint);
+        expect(Buffer.from(identity.certificate, 'base64').includes(publicKey)).toBe(true);
+    });
+
+    test('a signature does not carry over to another nonce or certificate', () => {
+        const identity = signChallenge(tls.key, nonce, tls.cert);
+        const servedFingerprint = fingerprintCertificate(tls.cert);
+
+        expect(verify(identity, identityPayload(servedFingerprint, 'another-nonce-0000'))).toBe(false);
+        expect(verify(identity, identityPayload(fingerprintCertificate(tls.ca), nonce))).toBe(false);
+    });
+});
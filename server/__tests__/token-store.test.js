@@ -0,0 +1,119 @@
+// Paired device tokens: hashed at rest, expiring, and surviving restarts 💾
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    TokenStore,
+    MemoryTokenBackend,
+    JsonFileTokenBackend
+} = require('kim-core');
+
+describe('hashToken', () => {
+    test('is a stable SHA-256 hex digest', () => {
+        expect(hashToken('secret')).toBe('2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b');
+        expect(hashToken('secret')).toBe(hashToken('secret'));
+        expect(hashToken('secret')).not.toBe(hashToken('Secret'));
+    });
+
+    test('device IDs are a prefix of the hash, never the token', () => {
+        const tokenHash = hashToken('secret');
+        expect(deviceIdFor(tokenHash)).toBe(tokenHash.substring(0, 12));
+    });
+});
+
+describe('TokenStore', () => {
+    test('keeps only the hash of an issued token', () => {
+        const store = new TokenStore();
+        const record = store.issue('raw-token', { type: 'phone' });
+
+        expect(record.tokenHash).toBe(hashToken('raw-token'));
+        expect(JSON.stringify(store.list())).not.toContain('raw-token');
+        expect(store.has('raw-token')).toBe(true);
+        expect(store.has('other-token')).toBe(false);
+        expect(store.get(null)).toBeNull();
+    });
+
+    test('forgets tokens once they expire', () => {
+        const store = new TokenStore(new MemoryTokenBackend(), { ttl: 1000 });
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        store.issue('raw-token');
+        clock.mockReturnValue(now + 999);
+        expect(store.touch('raw-token')).toBe(true);
+        clock.mockReturnValue(now + 1001);
+        expect(store.get('raw-token')).toBeNull();
+        expect(store.size).toBe(0);
+
+        clock.mockRestore();
+    });
+
+    test('cleanup drops every expired record', () => {
+        const store = new TokenStore(new MemoryTokenBackend(), { ttl: 1000 });
+        store.issue('old');
+        store.records.get(hashToken('old')).expiresAt = Date.now() - 1;
+        store.issue('fresh');
+
+        const removed = [];
+        expect(store.cleanup(record => removed.push(record.tokenHash))).toBe(1);
+        expect(removed).toEqual([hashToken('old')]);
+        expect(store.has('fresh')).toBe(true);
+    });
+
+    test('renames and revokes devices by their short ID', () => {
+        const store = new TokenStore();
+        const record = store.issue('raw-token', { name: 'Phone' });
+        const deviceId = deviceIdFor(record.tokenHash);
+
+        expect(store.renameDevice(deviceId, 'Work phone').name).toBe('Work phone');
+        expect(store.renameDevice('000000000000', 'Nope')).toBeNull();
+        expect(store.revokeDevice(deviceId)).toBe(record);
+        expect(store.has('raw-token')).toBe(false);
+        expect(store.revokeDevice(deviceId)).toBeNull();
+    });
+
+    test('describeDevice never exposes the token hash', () => {
+        const store = new TokenStore();
+        const record = store.issue('raw-token');
+        expect(Object.values(describeDevice(record))).not.toContain(record.tokenHash);
+    });
+});
+
+describe('JsonFileTokenBackend', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kim-tokens-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a restarted store gets its devices back, minus the expired ones', async () => {
+        const file = path.join(dir, 'tokens.json');
+        const first = new TokenStore(new JsonFileTokenBackend(file));
+        first.issue('keep-me', { type: 'phone' });
+        first.issue('expired');
+        first.records.get(hashToken('expired')).expiresAt = Date.now() - 1;
+        await first.flush();
+
+        const onDisk = fs.readFileSync(file, 'utf8');
+        expect(onDisk).not.toContain('keep-me');
+        expect(onDisk).toContain(hashToken('keep-me'));
+
+        const second = new TokenStore(new JsonFileTokenBackend(file));
+        expect(await second.load()).toBe(1);
+        expect(second.has('keep-me')).toBe(true);
+        await second.flush();
+    });
+
+    test('a missing file means no devices', async () => {
+        const store = new TokenStore(new JsonFileTokenBackend(path.join(dir, 'nope.json')));
+        expect(await store.load()).toBe(0);
+    });
+});
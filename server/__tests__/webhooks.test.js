@@ -0,0 +1,135 @@
+// Signed webhook deliveries, filters and retries 🪝
+
+const crypto = require('crypto');
+const http = require('http');
+const { signPayload, normalizeWebhooks, WebhookDispatcher, PromptStatusLog, hashToken } = require('kim-core');
+
+// A receiver on this machine that answers with the queued statuses (then 200)
+let server;
+let url;
+let received;
+let statuses;
+
+beforeEach(async () => {
+    received = [];
+    statuses = [];
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+const settled = async (dispatcher) => {
+    while (dispatcher.deliveries.some(delivery => !delivery.finishedAt)) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return dispatcher.getDeliveries();
+};
+
+describe('signPayload', () => {
+    test('is the hex HMAC-SHA256 of "timestamp.body"', () => {
+        const expected = crypto.createHmac('sha256', 's3cret').update('1700000000000.{"a":1}').digest('hex');
+
+        expect(signPayload('s3cret', 1700000000000, '{"a":1}')).toBe(expected);
+        expect(signPayload('s3cret', 1700000000001, '{"a":1}')).not.toBe(expected);
+        expect(signPayload('other', 1700000000000, '{"a":1}')).not.toBe(expected);
+    });
+});
+
+describe('normalizeWebhooks', () => {
+    test('keeps http(s) hooks and fills in defaults', () => {
+        const hooks = normalizeWebhooks([
+            { url: 'https://example.test/kim', secret: '' },
+            { url: 'ftp://example.test' },
+            { url: 'not a url' },
+            { url: 'http://localhost:9000', events: ['prompt_failed'], secret: 'abc', includePrompt: 1 }
+        ]);
+
+        expect(hooks).toEqual([
+            { url: 'https://example.test/kim', events: ['*'], secret: null, includePrompt: false },
+            { url: 'http://localhost:9000', events: ['prompt_failed'], secret: 'abc', includePrompt: true }
+        ]);
+        expect(normalizeWebhooks({ url: 'https://example.test' })).toEqual([]);
+    });
+});
+
+describe('WebhookDispatcher', () => {
+    test('signs what it sends so the receiver can check it', async () => {
+        const dispatcher = new WebhookDispatcher({ webhooks: [{ url, secret: 's3cret' }] });
+        dispatcher.emit('device_paired', { deviceId: 'abc123', via: 'code' });
+        await settled(dispatcher);
+
+        const [{ headers, body }] = received;
+        expect(headers['x-kim-event']).toBe('device_paired');
+        expect(headers['x-kim-signature']).toBe(`sha256=${signPayload('s3cret', headers['x-kim-timestamp'], body)}`);
+        expect(JSON.parse(body)).toMatchObject({ event: 'device_paired', server: 'relay', data: { deviceId: 'abc123' } });
+    });
+
+    test('sends no signature without a secret, and the prompt only when asked', async () => {
+        const dispatcher = new WebhookDispatcher({
+            webhooks: [{ url }, { url: `${url}?full`, includePrompt: true }]
+        });
+        dispatcher.emit('prompt_relayed', { promptId: 'p1', prompt: 'Fix the build' });
+        await settled(dispatcher);
+
+        const plain = received.find(request => !request.body.includes('Fix the build'));
+        const full = received.find(request => request.body.includes('Fix the build'));
+        expect(plain.headers).not.toHaveProperty('x-kim-signature');
+        expect(JSON.parse(plain.body).data).toEqual({ promptId: 'p1' });
+        expect(JSON.parse(full.body).data).toEqual({ promptId: 'p1', prompt: 'Fix the build' });
+    });
+
+    test('only sends the events a hook subscribed to', async () => {
+        const dispatcher = new WebhookDispatcher({ webhooks: [{ url, events: ['prompt_failed'] }] });
+        dispatcher.emit('device_paired', {});
+        dispatcher.emit('prompt_failed', { promptId: 'p1' });
+        await settled(dispatcher);
+
+        expect(received.map(request => request.headers['x-kim-event'])).toEqual(['prompt_failed']);
+    });
+
+    test('retries server errors and gives up on client errors', async () => {
+        statuses = [503, 500];
+        const retrying = new WebhookDispatcher({ webhooks: [{ url }], retryDelay: 1 });
+        retrying.emit('device_paired', {});
+        expect(await settled(retrying)).toMatchObject([{ status: 'delivered', attempts: 3, responseStatus: 200 }]);
+
+        statuses = [404];
+        const refused = new WebhookDispatcher({ webhooks: [{ url }], retryDelay: 1 });
+        refused.emit('device_paired', {});
+        expect(await settled(refused)).toMatchObject([{ status: 'failed', attempts: 1, error: 'HTTP 404' }]);
+    });
+
+    test('stops after maxAttempts', async () => {
+        statuses = [500, 500, 500];
+        const dispatcher = new WebhookDispatcher({ webhooks: [{ url }], retryDelay: 1, maxAttempts: 2 });
+        dispatcher.emit('device_paired', {});
+
+        expect(await settled(dispatcher)).toMatchObject([{ status: 'failed', attempts: 2 }]);
+    });
+
+    test('turns prompt status changes into events, once each', async () => {
+        const dispatcher = new WebhookDispatcher({ webhooks: [{ url }] });
+        const status = new PromptStatusLog();
+        dispatcher.watchPromptStatus(status);
+        const tokenHash = hashToken('device-token');
+
+        status.record(tokenHash, { type: 'prompt_received', data: { promptId: 'p1' } });
+        status.record(tokenHash, { type: 'prompt_delivered', data: { promptId: 'p1' } });
+        status.record(tokenHash, { type: 'response_done', success: false, data: { promptId: 'p1' } });
+        await settled(dispatcher);
+
+        expect(received.map(request => JSON.parse(request.body).event)).toEqual(['prompt_delivered']);
+    });
+});
@@ -3,7 +3,91 @@
 
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
+const {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    MAX_PROMPT_LENGTH,
+    MAX_DEVICE_NAME_LENGTH,
+    ERROR_CODES,
+    ERROR_EMOJI,
+    parseMessage,
+    negotiateVersion,
+    createPromptId,
+    normalizeContextDirectives,
+    createResponse,
+    createProtocolErrorResponse
+} = require('kim-protocol');
+const {
+    TokenStore,
+    JsonFileTokenBackend,
+    DeviceEventLog,
+    PromptQueue,
+    JsonFileQueueBackend,
+    DEFAULT_TARGET,
+    hashToken,
+    deviceIdFor,
+    describeDevice,
+    dataPath,
+    readJsonFile,
+    loadTlsCredentials,
+    signChallenge,
+    PromptStatusLog,
+    RestApi,
+    PairingGuard,
+    PromptRateLimiter,
+    resolveLimits,
+    limitsFromEnv,
+    getLogger,
+    configureLogging,
+    KIMMetrics,
+    MonitoringApi,
+    WebhookDispatcher,
+    PromptPipeline,
+    PromptRedactor,
+    PromptIntake,
+    loggingFromEnv,
+    PREAUTH_TICKET_TTL,
+    createPairingCode,
+    createPairingTicket,
+    safeEqual,
+    isLoopbackAddress
+} = require('kim-core');
 const PWAServer = require('./pwa-server');
+const { version: SERVER_VERSION } = require('./package.json');
+
+const log = getLogger('relay');
+
+/** Message types this relay understands (announced in the hello handshake) */
+const CAPABILITIES = [
+    'hello',
+    'pair',
+    'preauth',
+    'resume',
+    'prompt',
+    'list_queue',
+    'cancel_prompt',
+    'ping',
+    'generate_pairing_code',
+    'get_pairing_sessions',
+    'get_pairing_status',
+    'get_webhook_deliveries',
+    'register_extension',
+    'list_targets',
+    'set_default_target',
+    'list_devices',
+    'rename_device',
+    'revoke_device',
+    'prompt_ack',
+    'response_chunk',
+    'response_done',
+    'verify_server'
+];
+
+/** How long VS Code has to confirm a relayed prompt before the device is told it failed */
+const DELIVERY_TIMEOUT = 15 * 1000;
+
+/** How often every socket is pinged; one that misses a round is dropped */
+const HEARTBEAT_INTERVAL = 30 * 1000;
 
 /**
  * KIM Relay Server - The heart of local-first prompt relaying! 🚀
@@ -12,141 +96,226 @@ const PWAServer = require('./pwa-server');
 class KIMRelayServer {
     /**
      * @param {number|string} port - Server port (default: 8080)
+     * @param {Object} options
+     * @param {TokenStore} options.tokenStore - Where paired devices are remembered (default: ~/.kim/tokens.json)
+     * @param {PromptQueue} options.promptQueue - Where prompts wait while VS Code is away (default: ~/.kim/queue.json)
+     * @param {string} options.host - Interface to listen on (default: KIM_HOST or 0.0.0.0, so phones can reach it)
+     * @param {boolean} options.tls - Serve https/wss with the local KIM certificate (default: KIM_TLS=true)
+     * @param {Object} options.limits - Rate limits and caps (default: KIM_PROMPTS_PER_MINUTE, KIM_MAX_CONNECTIONS, ...)
+     * @param {Object} options.logging - Level, format and log file (default: KIM_LOG_LEVEL, KIM_LOG_FILE, ...)
+     * @param {Object[]} options.webhooks - [{ url, events, secret, includePrompt }] (default: ~/.kim/webhooks.json)
+     * @param {string} options.pluginsDir - Prompt plugins to load (default: KIM_PLUGINS_DIR or ~/.kim/plugins)
+     * @param {Object} options.redaction - { policy, pii, customPatterns } (default: ~/.kim/redaction.json, KIM_REDACTION_POLICY)
+     * @param {number} options.heartbeatInterval - Ping period in ms; a socket silent for a whole period is terminated (default: 30s)
+     * @param {string} options.extensionSecret - Lets VS Code register from another machine (default: KIM_EXTENSION_SECRET, unset = this machine only)
      */
-    constructor(port = process.env.KIM_PORT || 8080) {
+    constructor(port = process.env.KIM_PORT || 8080, options = {}) {
+        configureLogging(options.logging || loggingFromEnv());
+
         this.port = parseInt(port);
         this.wss = null;
         /** @type {Map<string, WebSocket>} token -> client connection */
         this.clients = new Map();
         /** @type {Map<string, Object>} code -> { token, expires, deviceType } */
         this.pairingSessions = new Map();
-        this.vsCodeConnection = null;
+        /** @type {PairingGuard} backoff and lockouts for clients guessing codes */
+        this.pairingGuard = new PairingGuard();
+        /** @type {Object} prompt rates, connection/pairing code caps and the largest frame we accept */
+        this.limits = options.limits ? resolveLimits(options.limits) : limitsFromEnv();
+        /** @type {PromptRateLimiter} token buckets per device and per remote address */
+        this.rateLimiter = new PromptRateLimiter(this.limits);
+        /** @type {TokenStore} hashed token -> { deviceInfo, expiresAt, lastActivity } */
+        this.tokenStore = options.tokenStore || new TokenStore(new JsonFileTokenBackend(dataPath('tokens.json')));
+        /** @type {DeviceEventLog} per-device event history for resume */
+        this.eventLog = new DeviceEventLog();
+        /** @type {PromptQueue} prompts waiting for VS Code, per target */
+        this.promptQueue = options.promptQueue || new PromptQueue(new JsonFileQueueBackend(dataPath('queue.json')));
+        /** @type {Map<string, Object>} promptId -> { tokenHash, target, quip, timer, extension } awaiting a prompt_ack */
+        this.pendingDeliveries = new Map();
+        /** @type {Map<string, Object>} promptId -> { tokenHash, index, createdAt, extension } for streamed answers */
+        this.responseRoutes = new Map();
+        /** @type {Map<string, Object>} targetId -> { targetId, workspace, window, ws, registeredAt, lastSeen } */
+        this.targets = new Map();
+        /** @type {PromptStatusLog} where each prompt got to, for the REST API */
+        this.promptStatus = new PromptStatusLog();
+        this.restApi = new RestApi(this);
+        /** @type {KIMMetrics} counters behind /metrics on the relay's port */
+        this.metrics = new KIMMetrics(this, { server: 'relay', version: SERVER_VERSION });
+        this.monitoring = new MonitoringApi(this);
+        /** @type {WebhookDispatcher} signed event POSTs, configured in ~/.kim/webhooks.json */
+        this.webhooks = new WebhookDispatcher({ webhooks: options.webhooks, server: 'relay' });
+        this.webhooks.watchPromptStatus(this.promptStatus);
+        this.webhooksFile = options.webhooks ? null : dataPath('webhooks.json');
+        /** @type {PromptPipeline} plugins that may rewrite or refuse prompts before they are relayed */
+        this.pipeline = new PromptPipeline();
+        this.pluginsDir = options.pluginsDir || process.env.KIM_PLUGINS_DIR || dataPath('plugins');
+        /** @type {PromptRedactor} masks, flags or stops secrets pasted into prompts */
+        this.redactor = new PromptRedactor(options.redaction || { policy: process.env.KIM_REDACTION_POLICY });
+        this.redactionFile = options.redaction ? null : dataPath('redaction.json');
+        /** @type {PromptIntake} screening and plugins, reported to the device as they go */
+        this.intake = new PromptIntake(this, { server: 'relay' });
+        this.heartbeatInterval = options.heartbeatInterval || HEARTBEAT_INTERVAL;
+        this.extensionSecret = options.extensionSecret || process.env.KIM_EXTENSION_SECRET || null;
+        this.startTime = null;
+        /** @type {PWAServer} answers the plain HTTP requests on the relay's port */
         this.pwaServer = null;
+        /** @type {http.Server|https.Server} the one listening socket, shared with the WebSocket upgrade */
+        this.httpServer = null;
+        this.host = options.host || process.env.KIM_HOST || '0.0.0.0';
+        this.tlsEnabled = options.tls ?? ['1', 'true'].includes(process.env.KIM_TLS);
+        /** @type {Object|null} { key, cert, ca, fingerprint } once TLS is up */
+        this.tls = null;
     }
 
     /**
-     * Try to start server on the specified port, with automatic fallback
+     * Bind the shared http(s) server - PWA, JSON APIs and the WebSocket upgrade - to one port
+     * @returns {Promise<boolean>} false when the port is taken
      */
-    async tryStartOnPort(port, maxRetries = 5) {
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                const testPort = port + attempt;
-                if (process.env.NODE_ENV !== 'test') {
-                    console.log(`🔍 Trying port ${testPort}...`);
-                }
+    tryStartOnPort(port, host) {
+        return new Promise((resolve, reject) => {
+            const server = this.pwaServer.createServer();
 
-                return new Promise((resolve, reject) => {
-                    const server = new WebSocket.Server({
-                        port: testPort,
-                        host: process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost'
-                    });
-
-                    server.on('listening', () => {
-                        this.port = testPort;
-                        this.wss = server;
-                        resolve(server);
-                    });
-
-                    server.on('error', (error) => {
-                        if (error.code === 'EADDRINUSE') {
-                            if (process.env.NODE_ENV !== 'test') {
-                                console.log(`⚠️ Port ${testPort} in use, trying next...`);
-                            }
-                            server.close();
-                            if (attempt === maxRetries - 1) {
-                                reject(new Error(`All ports from ${port} to ${port + maxRetries - 1} are in use`));
-                            } else {
-                                resolve(null); // Try next port
-                            }
-                        } else {
-                            reject(error);
-                        }
-                    });
-                });
-            } catch (error) {
-                if (attempt === maxRetries - 1) {
-                    throw error;
+            const onError = (error) => {
+                server.removeListener('listening', onListening);
+                if (error.code === 'EADDRINUSE') {
+                    resolve(false);
+                } else {
+                    reject(error);
                 }
-            }
-        }
+            };
+            const onListening = () => {
+                server.removeListener('error', onError);
+                this.httpServer = server;
+                resolve(true);
+            };
+
+            server.once('error', onError);
+            server.once('listening', onListening);
+            server.listen(port, host);
+        });
     }
 
     async start() {
-        if (process.env.NODE_ENV !== 'test') {
-            console.log('🚀 KIM Relay Server starting up...');
+        this.startTime = Date.now();
+        this.stopping = false;
+        log.info('🚀 KIM Relay Server starting up...');
+
+        // Bring back devices paired before the last restart
+        const restored = await this.tokenStore.load();
+        if (restored > 0) {
+            log.info(`💾 Restored ${restored} paired device(s)`);
         }
 
-        // Try to start on the specified port with automatic fallback
-        let attempts = 0;
-        const maxAttempts = 5;
+        // ...and the prompts that were still waiting for VS Code
+        const queued = await this.promptQueue.load();
+        this.expireQueuedPrompts();
+        if (this.promptQueue.size > 0) {
+            log.info(`📬 ${this.promptQueue.size} of ${queued} queued prompt(s) still waiting for VS Code`);
+        }
 
-        while (attempts < maxAttempts) {
+        // Local tools that want to hear about pairings and prompts
+        if (this.webhooksFile) {
             try {
-                const testPort = this.port + attempts;
-                if (process.env.NODE_ENV !== 'test') {
-                    console.log(`🔍 Trying port ${testPort}...`);
-                }
-
-                this.wss = new WebSocket.Server({
-                    port: testPort,
-                    host: process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost'
-                });
+                const config = await readJsonFile(this.webhooksFile, []);
+                this.webhooks.setWebhooks(Array.isArray(config) ? config : config.webhooks);
+            } catch (error) {
+                log.error('🐛 Could not read webhooks.json, webhooks are off', { error });
+            }
+        }
+        if (this.webhooks.webhooks.length > 0) {
+            log.info(`🪝 ${this.webhooks.webhooks.length} webhook(s) configured`);
+        }
 
-                this.port = testPort;
-                break; // Success!
+        // House-style preambles, abbreviation expanders, keyword blockers...
+        this.pipeline.loadDirectories([this.pluginsDir]);
 
+        // In-house secret formats and what to do when one turns up
+        if (this.redactionFile) {
+            try {
+                const config = await readJsonFile(this.redactionFile, {});
+                this.redactor.configure({ ...config, policy: process.env.KIM_REDACTION_POLICY || config.policy });
             } catch (error) {
-                if (error.code === 'EADDRINUSE') {
-                    attempts++;
-                    if (process.env.NODE_ENV !== 'test') {
-                        console.log(`⚠️ Port ${this.port + attempts - 1} in use, trying next...`);
-                    }
-                    if (attempts >= maxAttempts) {
-                        const funnyErrors = [
-                            "All the good ports are having a party without us! 🎉",
-                            "Ports are playing hide and seek! 🙈",
-                            "Time to find a new neighborhood for our server! 🏠"
-                        ];
-                        const randomError = funnyErrors[Math.floor(Math.random() * funnyErrors.length)];
-                        throw new Error(`${randomError} (Ports ${this.port}-${this.port + maxAttempts - 1} are busy)`);
-                    }
-                } else {
-                    throw error;
-                }
+                log.error('🐛 Could not read redaction.json, using the built-in secret patterns', { error });
+            }
+        }
+
+        if (this.tlsEnabled) {
+            this.tls = await loadTlsCredentials();
+            log.info('🔐 TLS enabled', { fingerprint: this.tls.fingerprint });
+        }
+
+        // The PWA, the JSON APIs and the WebSocket share one port, like the embedded server
+        this.pwaServer = new PWAServer(this.port, { tls: this.tls, api: this.restApi, monitoring: this.monitoring });
+
+        // Try to start on the specified port with automatic fallback
+        const maxAttempts = 5;
+        let attempts = 0;
+
+        while (!(await this.tryStartOnPort(this.port + attempts, this.host))) {
+            attempts++;
+            log.warn(`⚠️ Port ${this.port + attempts - 1} in use, trying next...`);
+            if (attempts >= maxAttempts) {
+                const funnyErrors = [
+                    "All the good ports are having a party without us! 🎉",
+                    "Ports are playing hide and seek! 🙈",
+                    "Time to find a new neighborhood for our server! 🏠"
+                ];
+                const randomError = funnyErrors[Math.floor(Math.random() * funnyErrors.length)];
+                throw new Error(`${randomError} (Ports ${this.port}-${this.port + maxAttempts - 1} are busy)`);
             }
         }
+        this.port += attempts;
+        this.pwaServer.port = this.port;
+
+        // Oversized frames close the connection (1009) before they are ever parsed
+        this.wss = new WebSocket.Server({ server: this.httpServer, maxPayload: this.limits.maxMessageBytes });
 
         this.wss.on('connection', (ws, req) => {
-            if (process.env.NODE_ENV !== 'test') {
-                console.log('📱 New connection from:', req.socket.remoteAddress);
+            log.debug('📱 New connection', { ip: req.socket.remoteAddress });
+
+            // Peers that skip the hello handshake are assumed to speak the default version
+            ws.protocolVersion = PROTOCOL_VERSION;
+            ws.clientIP = req.socket.remoteAddress;
+
+            if (this.wss.clients.size > this.limits.maxConnections) {
+                this.rejectConnection(ws);
+                return;
             }
+            this.metrics.connections.inc({ outcome: 'accepted' });
+
+            // Half-open sockets (a phone that lost Wi-Fi) never close on their own
+            ws.isAlive = true;
+            ws.on('pong', () => this.markAlive(ws));
+
+            this.sendResponse(ws, 'welcome', true, 'Welcome to KIM! 🚀', '👋', null, {
+                protocolVersion: PROTOCOL_VERSION,
+                supportedVersions: SUPPORTED_VERSIONS
+            });
 
             ws.on('message', (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
-                    this.handleMessage(ws, message);
-                } catch (error) {
-                    console.error('🐛 Message parsing error:', error);
-                    this.sendError(ws, 'Invalid message format', '🐛');
+                this.markAlive(ws);
+                const { message, error } = parseMessage(data.toString());
+                if (error) {
+                    log.warn('🐛 Rejected message', { ip: ws.clientIP, code: error.code, reason: error.message });
+                    ws.send(JSON.stringify(createProtocolErrorResponse(error)));
+                    return;
                 }
+                this.handleMessage(ws, message);
             });
 
             ws.on('close', () => {
-                if (process.env.NODE_ENV !== 'test') {
-                    console.log('👋 Client disconnected');
-                }
+                log.debug('👋 Client disconnected', { ip: ws.clientIP });
 
                 // Check if this was the VS Code extension
                 if (ws.isVSCodeExtension) {
-                    console.log('🔌 VS Code extension disconnected');
-                    this.vsCodeConnection = null;
+                    this.unregisterExtension(ws);
                 }
 
                 this.removeClient(ws);
             });
 
             ws.on('error', (error) => {
-                console.error('🐛 WebSocket error:', error);
+                log.error('🐛 WebSocket error', { ip: ws.clientIP, error });
             });
         });
 
@@ -154,25 +323,56 @@ class KIMRelayServer {
         this.cleanupInterval = setInterval(() => {
             this.cleanupExpiredTokens();
         }, 5 * 60 * 1000);
+        this.heartbeatTimer = setInterval(() => this.performHeartbeat(), this.heartbeatInterval);
 
-        console.log(`🎉 KIM Server running on ws://localhost:${this.port}`);
-        console.log('📡 Ready to relay prompts with emoji magic!');
-
-        // Start PWA server on port 3000 (or next available)
-        this.pwaServer = new PWAServer(3000);
-        this.pwaServer.start();
+        log.info(`🎉 KIM Server running on ${this.pwaServer.scheme}://localhost:${this.port} (PWA, APIs and ${this.tls ? 'wss' : 'ws'} on one port)`);
+        log.info('📡 Ready to relay prompts with emoji magic!');
+        this.pwaServer.logNetworkUrls();
     }
 
     handleMessage(ws, message) {
         const { type, token, code, prompt, deviceInfo } = message;
 
         switch (type) {
+            case 'hello':
+                this.handleHello(ws, message);
+                break;
+
             case 'pair':
                 this.handlePairing(ws, code, deviceInfo);
                 break;
 
+            case 'preauth':
+                this.handlePreAuth(ws, message.ticket, deviceInfo);
+                break;
+
+            case 'resume':
+                this.handleResume(ws, token, message.lastSeq);
+                break;
+
             case 'prompt':
-                this.handlePrompt(ws, token, prompt);
+                this.handlePrompt(ws, token, prompt, message.promptId, message.target, message.context);
+                break;
+
+            case 'list_queue':
+                this.handleListQueue(ws, token);
+                break;
+
+            case 'cancel_prompt':
+                this.handleCancelPrompt(ws, token, message.promptId);
+                break;
+
+            case 'prompt_ack':
+                this.handlePromptAck(ws, message);
+                break;
+
+            case 'response_chunk':
+            case 'response_done':
+                this.handleResponse(ws, message);
+                break;
+
+            case 'verify_server':
+                this.handleVerifyServer(ws, message.nonce);
                 break;
 
             case 'ping':
@@ -184,52 +384,224 @@ class KIMRelayServer {
 
             case 'get_pairing_sessions':
                 // For VS Code extension to get active pairing sessions
+                if (!this.requireLocal(ws, type)) break;
                 const sessions = this.getActivePairingSessions();
                 this.sendResponse(ws, 'pairing_sessions', true, 'Active sessions', '📋', null, { sessions });
                 break;
 
+            case 'get_webhook_deliveries':
+                if (!this.requireLocal(ws, type)) break;
+                this.sendResponse(ws, 'webhook_deliveries', true, 'Webhook deliveries', '🪝', null, {
+                    webhooks: this.webhooks.webhooks.map(({ url, events }) => ({ url, events })),
+                    deliveries: this.webhooks.getDeliveries()
+                });
+                break;
+
+            case 'get_pairing_status':
+                if (!this.requireLocal(ws, type)) break;
+                this.sendResponse(ws, 'pairing_status', true, 'Pairing security', '🛡️', null, this.getPairingStatus());
+                break;
+
             case 'generate_pairing_code':
                 // For VS Code extension to generate new pairing codes
-                const { deviceType = 'unknown' } = message;
+                if (!this.requireLocal(ws, type)) break;
+                const deviceType = message.deviceType || deviceInfo?.deviceType || 'unknown';
                 const newSession = this.generatePairingCode(deviceType);
                 this.sendResponse(ws, 'pairing_code_generated', true, 'New pairing code', '🔢', null, {
                     code: newSession.code,
-                    expiresIn: Math.ceil((newSession.expires - Date.now()) / 1000)
+                    expiresIn: Math.ceil((newSession.expires - Date.now()) / 1000),
+                    // Single-use pre-auth ticket for QR links (?ticket=)
+                    ticket: newSession.ticket,
+                    // Set when TLS is on, so pairing links can use https
+                    fingerprint: this.tls ? this.tls.fingerprint : null
                 });
                 break;
 
             case 'register_extension':
-                // Register VS Code extension connection
-                ws.isVSCodeExtension = true;
-                this.vsCodeConnection = ws; // Store reference for easy access
-                this.sendResponse(ws, 'extension_registered', true, 'VS Code extension connected', '🔗');
-                console.log('🔗 VS Code extension registered and stored');
+                if (!this.authorizeExtension(ws, message.secret)) break;
+                this.registerExtension(ws, message);
+                break;
+
+            case 'list_targets':
+                this.handleListTargets(ws, token);
+                break;
+
+            case 'set_default_target':
+                this.handleSetDefaultTarget(ws, token, message.targetId);
+                break;
+
+            case 'list_devices':
+                this.handleListDevices(ws, token);
+                break;
+
+            case 'rename_device':
+                this.handleRenameDevice(ws, message);
+                break;
+
+            case 'revoke_device':
+                this.handleRevokeDevice(ws, message);
                 break;
 
             default:
-                this.sendError(ws, 'Unknown message type', '🤔');
+                this.sendError(ws, `${type} is not supported by this server`, '🚧', {
+                    code: ERROR_CODES.UNSUPPORTED_MESSAGE
+                });
+        }
+    }
+
+    // Version handshake - agree on the newest protocol both sides speak
+    handleHello(ws, hello) {
+        const version = negotiateVersion(hello);
+
+        if (version === null) {
+            this.sendError(ws, 'No protocol version in common - please update KIM', '📜', {
+                code: ERROR_CODES.UNSUPPORTED_VERSION,
+                supportedVersions: SUPPORTED_VERSIONS
+            });
+            ws.close(1002, 'Unsupported protocol version');
+            return;
         }
+
+        ws.protocolVersion = version;
+        ws.clientInfo = hello.client || {};
+
+        this.sendResponse(ws, 'hello', true, 'Protocol negotiated', '🤝', null, {
+            protocolVersion: version,
+            server: { name: 'kim-relay-server', version: SERVER_VERSION },
+            capabilities: CAPABILITIES
+        });
+    }
+
+    // Prove this server holds the key behind its certificate - only useful to clients that can
+    // compare the signed certificate with their TLS peer; browsers rely on the installed KIM CA
+    handleVerifyServer(ws, nonce) {
+        if (!this.tls) {
+            this.sendError(ws, 'This server is not using TLS', ERROR_EMOJI[ERROR_CODES.TLS_DISABLED], {
+                code: ERROR_CODES.TLS_DISABLED
+            });
+            return;
+        }
+
+        if (nonce.length < 16 || nonce.length > 256) {
+            this.sendError(ws, 'The nonce must be 16-256 characters', ERROR_EMOJI[ERROR_CODES.INVALID_MESSAGE], {
+                code: ERROR_CODES.INVALID_MESSAGE
+            });
+            return;
+        }
+
+        this.sendResponse(ws, 'server_identity', true, 'Here is my ID', '🪪', null, {
+            fingerprint: this.tls.fingerprint,
+            ...signChallenge(this.tls.key, nonce, this.tls.cert)
+        });
+    }
+
+    /**
+     * Pairing codes are handed out (and listed) only to this machine - a LAN
+     * client that could read them would not need to guess
+     */
+    requireLocal(ws, type) {
+        if (isLoopbackAddress(ws.clientIP)) return true;
+
+        this.sendError(ws, `${type} only works from the machine running KIM`, ERROR_EMOJI[ERROR_CODES.LOCAL_ONLY], {
+            code: ERROR_CODES.LOCAL_ONLY
+        });
+        return false;
+    }
+
+    /**
+     * Only the real VS Code side may register and be handed prompts: it runs on
+     * this machine, or proves itself with the configured extension secret
+     * @returns {boolean} Whether the connection may register
+     */
+    authorizeExtension(ws, secret) {
+        if (isLoopbackAddress(ws.clientIP)) return true;
+        if (!this.extensionSecret) return this.requireLocal(ws, 'register_extension');
+
+        if (typeof secret === 'string' && safeEqual(secret, this.extensionSecret)) {
+            ws.extensionAuthenticated = true;
+            return true;
+        }
+
+        log.warn('🔑 Refused a VS Code registration with the wrong secret', { ip: ws.clientIP });
+        this.sendError(ws, 'The extension secret does not match', ERROR_EMOJI[ERROR_CODES.UNAUTHORIZED], {
+            code: ERROR_CODES.UNAUTHORIZED
+        });
+        return false;
+    }
+
+    /**
+     * Refuse pair/preauth attempts from a client that is backing off or locked out
+     * @returns {boolean} Whether the attempt may go ahead
+     */
+    checkPairingAllowed(ws) {
+        const { allowed, locked, retryAfter } = this.pairingGuard.check(ws.clientIP);
+        if (allowed) return true;
+
+        const seconds = Math.ceil(retryAfter / 1000);
+        this.metrics.pairings.inc({ outcome: 'throttled' });
+        const message = locked
+            ? `Too many wrong codes! Pairing is locked for ${Math.ceil(seconds / 60)} more minute(s)`
+            : `Easy there! Try again in ${seconds}s`;
+        this.sendError(ws, message, ERROR_EMOJI[ERROR_CODES.TOO_MANY_ATTEMPTS], {
+            code: ERROR_CODES.TOO_MANY_ATTEMPTS,
+            retryAfter: seconds,
+            locked
+        });
+        return false;
+    }
+
+    /**
+     * Count a failed pair/preauth attempt and tell the client when it may try again.
+     * Live codes that collected too many wrong guesses are retired.
+     */
+    rejectPairingAttempt(ws, reason, emoji, liveCodes = []) {
+        const { locked, retryAfter, burned } = this.pairingGuard.recordFailure(ws.clientIP, liveCodes);
+        this.metrics.pairings.inc({ outcome: 'failed' });
+
+        burned.forEach(code => {
+            this.pairingSessions.delete(code);
+            log.warn('🔥 Pairing code retired after too many wrong guesses', { pairingCode: code });
+        });
+
+        const message = locked
+            ? `${reason} - too many wrong codes, pairing is locked for ${Math.ceil(retryAfter / 60000)} minute(s)`
+            : reason;
+        this.sendError(ws, message, emoji, {
+            code: locked ? ERROR_CODES.TOO_MANY_ATTEMPTS : ERROR_CODES.PAIRING_FAILED,
+            retryAfter: Math.ceil(retryAfter / 1000),
+            locked
+        });
+    }
+
+    getPairingStatus() {
+        return {
+            ...this.pairingGuard.getStatus(),
+            activeCodes: this.getActivePairingSessions().length
+        };
     }
 
     handlePairing(ws, code, deviceInfo = {}) {
+        if (!this.checkPairingAllowed(ws)) return;
+
         const validation = this.validatePairingCode(code);
 
         if (!validation.valid) {
-            this.sendError(ws, validation.reason, validation.emoji);
+            const liveCodes = this.getActivePairingSessions().map(session => session.code);
+            this.rejectPairingAttempt(ws, validation.reason, validation.emoji, liveCodes);
             return;
         }
 
+        this.pairingGuard.recordSuccess(ws.clientIP);
         const session = validation.session;
 
         // Mark session as used
         session.isActive = false;
 
         // Store client connection with token
-        this.clients.set(session.token, ws);
-        ws.kimToken = session.token;
+        this.bindClient(session.token, ws);
 
         // Store token session for 24-hour management
-        this.storeTokenSession(session.token, deviceInfo);
+        const tokenSession = this.storeTokenSession(session.token, { deviceType: session.deviceType, ...deviceInfo });
 
         // Send success response with token and fun quip
         const pairingQuips = [
@@ -247,111 +619,799 @@ class KIMRelayServer {
 
         this.sendResponse(ws, 'paired', true, 'Device paired successfully!', '🚀', randomQuip, {
             token: session.token,
-            expiresIn: 24 * 60 * 60 // 24 hours in seconds
+            expiresIn: Math.ceil((tokenSession.expiresAt - Date.now()) / 1000)
         });
 
-        console.log('🔗 Device paired successfully:', {
-            code,
-            token: session.token.substring(0, 8) + '...',
+        log.info('🔗 Device paired successfully', {
+            deviceId: deviceIdFor(hashToken(session.token)),
             deviceType: session.deviceType
         });
 
-        // Notify VS Code extension about successful pairing
-        this.notifyVSCodePairing(session);
+        // Let VS Code windows show the new device
+        this.metrics.pairings.inc({ outcome: 'paired' });
+        this.webhooks.emit('device_paired', {
+            deviceId: deviceIdFor(hashToken(session.token)),
+            deviceType: session.deviceType,
+            via: 'code'
+        });
+        this.notifyDevicesChanged('paired', hashToken(session.token));
+    }
+
+    /**
+     * Redeem a QR link's single-use ticket for a freshly minted device token.
+     * The ticket and its pairing code are spent on first use, so a photographed
+     * QR (or one left in browser history) is worthless afterwards.
+     */
+    handlePreAuth(ws, ticket, deviceInfo = {}) {
+        if (!this.checkPairingAllowed(ws)) return;
+
+        const validSession = this.findSessionByTicket(ticket);
+        if (!validSession) {
+            this.rejectPairingAttempt(ws, 'This QR link has expired or was already used', '🎟️');
+            return;
+        }
+
+        validSession.isActive = false;
+        validSession.ticket = null;
+
+        const token = uuidv4();
+        this.pairingGuard.recordSuccess(ws.clientIP);
+        this.bindClient(token, ws);
+        const tokenSession = this.storeTokenSession(token, { deviceType: validSession.deviceType, ...deviceInfo });
+
+        this.sendResponse(ws, 'paired', true, 'Pre-authenticated successfully', '🚀',
+            'Ready to send prompts!', { token, expiresIn: Math.ceil((tokenSession.expiresAt - Date.now()) / 1000) });
+
+        log.info('🚀 Device pre-authenticated', {
+            deviceId: deviceIdFor(hashToken(token)),
+            deviceType: validSession.deviceType
+        });
+
+        this.metrics.pairings.inc({ outcome: 'preauth' });
+        this.webhooks.emit('device_paired', {
+            deviceId: deviceIdFor(hashToken(token)),
+            deviceType: validSession.deviceType,
+            via: 'preauth'
+        });
+        this.notifyDevicesChanged('paired', hashToken(token));
     }
 
-    handlePrompt(ws, token, prompt) {
+    // Rebind a reconnecting device to its new socket and replay what it missed
+    handleResume(ws, token, lastSeq = 0) {
         if (!this.validateToken(token)) {
-            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕');
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
             return;
         }
 
+        // A half-open socket may still hold this token - let the new one take over
+        const previous = this.clients.get(token);
+        if (previous && previous !== ws) {
+            previous.kimToken = null;
+            previous.kimTokenHash = null;
+        }
+        this.bindClient(token, ws);
+
+        const session = this.tokenStore.get(token);
+        const missed = this.eventLog.since(token, lastSeq);
+
+        this.sendResponse(ws, 'resumed', true, 'Welcome back!', '🔄', null, {
+            expiresIn: Math.ceil((session.expiresAt - Date.now()) / 1000),
+            lastSeq: this.eventLog.latestSeq(token),
+            replayed: missed.length,
+            // Presence events are not replayed, so say where VS Code stands now
+            extensionOnline: this.getOnlineTargets().length > 0
+        });
+
+        missed.forEach(event => {
+            ws.send(JSON.stringify({ ...event, replayed: true }));
+        });
+
+        log.info('🔄 Device resumed', {
+            deviceId: deviceIdFor(hashToken(token)),
+            replayed: missed.length
+        });
+
+        this.notifyDevicesChanged('online', hashToken(token));
+    }
+
+    handlePrompt(ws, token, prompt, promptId = createPromptId(), requestedTarget = null, context = null) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED,
+                promptId
+            });
+            return;
+        }
+
+        // A device restored from the token store may be talking on a new socket
+        this.bindClient(token, ws);
+
+        const result = this.submitPrompt(token, prompt, { promptId, target: requestedTarget, clientIP: ws.clientIP, context });
+        if (!result.accepted) {
+            this.metrics.rejected.inc({ code: result.code });
+            this.sendError(ws, result.message, result.emoji, {
+                code: result.code,
+                promptId,
+                retryAfter: result.retryAfter,
+                scope: result.scope
+            });
+        }
+    }
+
+    // Over the connection cap - say why, then hang up
+    rejectConnection(ws) {
+        this.metrics.connections.inc({ outcome: 'refused' });
+        log.warn(`🏟️ Refused connection - ${this.limits.maxConnections} connections already open`, { ip: ws.clientIP });
+        this.sendError(ws, 'KIM is full right now - try again in a bit', ERROR_EMOJI[ERROR_CODES.SERVER_FULL], {
+            code: ERROR_CODES.SERVER_FULL
+        });
+        ws.close(1013, 'Too many connections');
+    }
+
+    /**
+     * Validate a prompt from an authenticated device and hand it to the relay
+     * pipeline - shared by the WebSocket protocol and the REST API
+     * @param {string} token - Already validated device token
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { promptId, target, clientIP, context }
+     * @returns {Object} { accepted: true, promptId, target } or { accepted: false, code, message, emoji, retryAfter?, scope? }
+     */
+    submitPrompt(token, prompt, { promptId = createPromptId(), target: requestedTarget = null, clientIP = null, context = null } = {}) {
         if (!prompt || prompt.trim().length === 0) {
-            this.sendError(ws, 'That prompt needs some love! Try again', '💝');
+            return { accepted: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'That prompt needs some love! Try again', emoji: '💝' };
+        }
+
+        if (prompt.length > MAX_PROMPT_LENGTH) {
+            return {
+                accepted: false,
+                code: ERROR_CODES.INVALID_MESSAGE,
+                message: `Whoa there! That prompt is a novel! Keep it under ${MAX_PROMPT_LENGTH} characters`,
+                emoji: '📚'
+            };
+        }
+
+        // Editor context can only be read by the VS Code window, so it travels with the prompt
+        const { directives, error: contextError } = normalizeContextDirectives(context);
+        if (contextError) {
+            return { accepted: false, code: ERROR_CODES.INVALID_MESSAGE, message: `Can't attach that: ${contextError}`, emoji: '📎' };
+        }
+
+        const target = this.resolveTarget(token, requestedTarget);
+        if (!target) {
+            return {
+                accepted: false,
+                code: ERROR_CODES.UNKNOWN_TARGET,
+                message: `No VS Code window called "${requestedTarget}" has checked in`,
+                emoji: ERROR_EMOJI[ERROR_CODES.UNKNOWN_TARGET]
+            };
+        }
+
+        // Only well-formed prompts use up the device's (and address's) allowance
+        const rate = this.rateLimiter.check(hashToken(token), clientIP);
+        if (!rate.allowed) {
+            const seconds = Math.ceil(rate.retryAfter / 1000);
+            log.warn(`🚦 Rate limited for ${seconds}s`, { scope: rate.scope, ip: clientIP, deviceId: deviceIdFor(hashToken(token)) });
+            return {
+                accepted: false,
+                code: ERROR_CODES.RATE_LIMITED,
+                message: `Whoa, slow down! Copilot needs a breather - try again in ${seconds}s`,
+                emoji: ERROR_EMOJI[ERROR_CODES.RATE_LIMITED],
+                retryAfter: seconds,
+                scope: rate.scope
+            };
+        }
+
+        // Secrets are screened and plugins get their say; a prompt they let through is received
+        // and goes to VS Code, where delivery is confirmed once the extension acks it
+        this.intake.process(prompt, { token, promptId, target }, ready => {
+            log.info('📨 Prompt relayed', { promptId, target, prompt: ready });
+            this.relayToVSCode(ready, token, promptId, target, directives);
+        });
+
+        return { accepted: true, promptId, target };
+    }
+
+    relayToVSCode(prompt, token, promptId, target = DEFAULT_TARGET, context = []) {
+        log.debug('🎯 Relaying to VS Code', { promptId, target, deviceId: deviceIdFor(hashToken(token)) });
+
+        const extension = this.getOnlineTarget(target);
+        this.webhooks.emit('prompt_relayed', {
+            promptId,
+            deviceId: deviceIdFor(hashToken(token)),
+            target,
+            queued: !extension,
+            prompt
+        });
+
+        if (extension) {
+            log.debug('✅ Found VS Code extension, sending prompt...', { promptId });
+            this.sendPromptToExtension(extension.ws, { promptId, prompt, target, tokenHash: hashToken(token), context });
             return;
         }
 
-        if (prompt.length > 1000) {
-            this.sendError(ws, 'Whoa there! That prompt is a novel! Keep it under 1000 characters', '📚');
+        // That window is not connected - hold on to the prompt until it registers
+        log.info('⚠️ No VS Code extension connected, queueing prompt', { promptId, target });
+        const queued = this.promptQueue.enqueue({ promptId, token, prompt, target, context });
+
+        if (!queued) {
+            this.sendToDevice(token, 'prompt_failed', false, 'VS Code is away and the queue is full', ERROR_EMOJI[ERROR_CODES.QUEUE_FULL], null, {
+                promptId,
+                code: ERROR_CODES.QUEUE_FULL,
+                reason: 'VS Code is away and the queue is full'
+            });
             return;
         }
 
-        // Send confirmation to device
-        this.sendResponse(ws, 'prompt_received', true, 'Prompt received!', '📤');
+        this.sendToDevice(token, 'prompt_queued', true, `VS Code is away - you're #${queued.position} in line`, '📬', null, {
+            promptId,
+            target: queued.entry.target,
+            position: queued.position,
+            expiresIn: Math.ceil((queued.entry.expiresAt - Date.now()) / 1000)
+        });
+    }
 
-        // Relay to VS Code (placeholder for now)
-        this.relayToVSCode(prompt, token);
+    /**
+     * Send a prompt to a registered extension and wait for its prompt_ack
+     * @param {WebSocket} extension - The extension's connection
+     * @param {Object} prompt - { promptId, prompt, target, tokenHash, context }
+     */
+    sendPromptToExtension(extension, { promptId, prompt, target = DEFAULT_TARGET, tokenHash, context = [] }) {
+        // Generate a fun quip for the prompt
+        const quips = [
+            "Fresh from the mobile command center! 📱",
+            "Incoming transmission from the field! 📡",
+            "Your remote coding buddy says hi! 👋",
+            "Delivered with extra emoji love! 💝",
+            "Coded with passion, delivered with style! ✨",
+            "Your mobile coding companion strikes again! ⚡",
+            "Beaming up some coding wisdom! 🛸",
+            "Hot off the mobile development press! 📰",
+            "Crafted with care on the go! 🎨",
+            "Your pocket-sized coding assistant! 📱"
+        ];
+        const randomQuip = quips[Math.floor(Math.random() * quips.length)];
+
+        // Send prompt to VS Code extension
+        const relayMessage = {
+            type: 'prompt_relay',
+            data: {
+                prompt,
+                promptId,
+                quip: randomQuip,
+                context,
+                sourceDevice: tokenHash.substring(0, 8)
+            },
+            timestamp: Date.now()
+        };
+
+        // Wait for the extension's prompt_ack before telling the device anything
+        const timer = setTimeout(() => {
+            this.settleDelivery(promptId, {
+                success: false,
+                code: ERROR_CODES.DELIVERY_TIMEOUT,
+                reason: 'VS Code never confirmed the prompt reached Copilot'
+            });
+        }, DELIVERY_TIMEOUT);
+        this.pendingDeliveries.set(promptId, { tokenHash, target, quip: randomQuip, timer, extension });
+        this.responseRoutes.set(promptId, { tokenHash, index: 0, createdAt: Date.now(), extension });
 
-        console.log('📨 Prompt relayed:', prompt.substring(0, 50) + '...');
+        extension.send(JSON.stringify(relayMessage));
+    }
+
+    /**
+     * Whether a connection is a VS Code extension we may hand prompts to:
+     * registered, and running on this machine or holding the extension secret
+     */
+    isTrustedExtension(ws) {
+        return Boolean(ws.isVSCodeExtension) && (isLoopbackAddress(ws.clientIP) || Boolean(ws.extensionAuthenticated));
     }
 
-    relayToVSCode(prompt, token) {
-        console.log('🎯 Relaying to VS Code:', { prompt, token: token.substring(0, 8) + '...' });
+    // Relay everything that queued up while VS Code was away, oldest first
+    drainQueue(extension, target = DEFAULT_TARGET) {
+        // Persisted prompts only ever go to the real VS Code side
+        if (!this.isTrustedExtension(extension)) {
+            log.warn('🚫 Not draining queued prompts to an untrusted connection', { target, ip: extension.clientIP });
+            return;
+        }
 
-        // Check if we have a VS Code extension connection
-        let vsCodeExtension = this.vsCodeConnection;
+        this.expireQueuedPrompts();
 
-        // Fallback: search through all connections
-        if (!vsCodeExtension || vsCodeExtension.readyState !== WebSocket.OPEN) {
-            console.log('🔍 Searching for VS Code extension connection...');
-            for (const [, ws] of this.clients.entries()) {
-                if (ws.isVSCodeExtension && ws.readyState === WebSocket.OPEN) {
-                    vsCodeExtension = ws;
-                    this.vsCodeConnection = ws; // Update reference
-                    break;
-                }
+        const prompts = this.promptQueue.drain(target);
+        if (prompts.length === 0) return;
+
+        log.info(`📬 Draining ${prompts.length} queued prompt(s) to VS Code`, { target });
+        prompts.forEach(entry => this.sendPromptToExtension(extension, entry));
+    }
+
+    /**
+     * A VS Code window checks in. Windows are told apart by targetId; a window
+     * that registers again (e.g. after a reload) takes over its old entry once
+     * the old connection is gone - a live one is never taken over.
+     */
+    registerExtension(ws, { targetId = DEFAULT_TARGET, workspace, window = {} }) {
+        const existing = this.targets.get(targetId);
+        if (existing && existing.ws && existing.ws !== ws) {
+            if (existing.ws.readyState === WebSocket.OPEN) {
+                log.warn('🪟 Refused a second connection for a live VS Code window', { targetId, ip: ws.clientIP });
+                this.sendError(ws, 'That VS Code window is already connected', ERROR_EMOJI[ERROR_CODES.TARGET_IN_USE], {
+                    code: ERROR_CODES.TARGET_IN_USE,
+                    targetId
+                });
+                return;
             }
+
+            log.info('🔁 VS Code window registered again, replacing its old connection', { targetId });
+            existing.ws.kimTargetId = null;
         }
 
-        if (vsCodeExtension && vsCodeExtension.readyState === WebSocket.OPEN) {
-            console.log('✅ Found VS Code extension, sending prompt...');
-            // Generate a fun quip for the prompt
-            const quips = [
-                "Fresh from the mobile command center! 📱",
-                "Incoming transmission from the field! 📡",
-                "Your remote coding buddy says hi! 👋",
-                "Delivered with extra emoji love! 💝",
-                "Coded with passion, delivered with style! ✨",
-                "Your mobile coding companion strikes again! ⚡",
-                "Beaming up some coding wisdom! 🛸",
-                "Hot off the mobile development press! 📰",
-                "Crafted with care on the go! 🎨",
-                "Your pocket-sized coding assistant! 📱"
-            ];
-            const randomQuip = quips[Math.floor(Math.random() * quips.length)];
-
-            // Send prompt to VS Code extension
-            const relayMessage = {
-                type: 'prompt_relay',
-                data: {
-                    prompt,
-                    quip: randomQuip,
-                    sourceToken: token.substring(0, 8) + '...'
-                },
-                timestamp: Date.now()
-            };
+        const wasOnline = Boolean(this.getOnlineTarget(targetId));
+        const now = Date.now();
+        ws.isVSCodeExtension = true;
+        ws.kimTargetId = targetId;
+        this.targets.set(targetId, {
+            targetId,
+            workspace: workspace || existing?.workspace || 'VS Code',
+            window,
+            ws,
+            registeredAt: now,
+            lastSeen: now
+        });
 
-            vsCodeExtension.send(JSON.stringify(relayMessage));
+        this.sendResponse(ws, 'extension_registered', true, 'VS Code extension connected', '🔗', null, { targetId });
+        log.info('🔗 VS Code extension registered', { targetId, workspace: workspace || 'VS Code' });
+        if (!wasOnline) {
+            this.notifyExtensionPresence(this.targets.get(targetId), true);
+        }
 
-            // Confirm delivery to the original client
-            setTimeout(() => {
-                const client = this.clients.get(token);
-                if (client) {
-                    this.sendResponse(client, 'prompt_delivered', true, 'Delivered to Copilot!', '🚀', randomQuip);
-                }
-            }, 200);
-        } else {
-            // No VS Code extension connected
-            console.log('⚠️ No VS Code extension connected');
-            const client = this.clients.get(token);
+        // Hand over what piled up for this window, then prompts that named no window
+        this.drainQueue(ws, targetId);
+        if (targetId !== DEFAULT_TARGET) {
+            this.drainQueue(ws, DEFAULT_TARGET);
+        }
+    }
+
+    unregisterExtension(ws) {
+        const target = this.targets.get(ws.kimTargetId);
+        if (!target || target.ws !== ws) return;
+
+        log.info('🔌 VS Code extension disconnected', { targetId: target.targetId });
+        target.ws = null;
+        target.lastSeen = Date.now();
+        this.failPendingDeliveries(ERROR_CODES.VSCODE_OFFLINE, 'VS Code disconnected before confirming delivery', target.targetId);
+        this.notifyExtensionPresence(target, false);
+    }
+
+    /**
+     * Tell every connected device that a VS Code window came or went, so it can
+     * say "prompts will queue" before the user hits send. Not sequenced - a
+     * replayed presence event would be stale by the time the device resumes.
+     * @param {Object} target - Entry from this.targets
+     * @param {boolean} online
+     */
+    notifyExtensionPresence(target, online) {
+        const onlineTargets = this.getOnlineTargets().length;
+        const data = {
+            targetId: target.targetId,
+            workspace: target.workspace,
+            onlineTargets,
+            lastSeen: target.lastSeen
+        };
+        const message = online
+            ? `VS Code is online (${target.workspace})`
+            : onlineTargets > 0
+                ? `${target.workspace} went offline - other VS Code windows are still around`
+                : 'VS Code went offline - prompts will wait in the queue';
+
+        for (const ws of this.clients.values()) {
+            this.sendResponse(ws, online ? 'extension_online' : 'extension_offline', online, message, online ? '🟢' : '🔌', null, data);
+        }
+    }
+
+    // Any sign of life from a socket counts for the heartbeat
+    markAlive(ws) {
+        ws.isAlive = true;
+        if (ws.isVSCodeExtension) {
+            const target = this.targets.get(ws.kimTargetId);
+            if (target && target.ws === ws) {
+                target.lastSeen = Date.now();
+            }
+        }
+    }
+
+    /**
+     * Ping every socket; terminate those that did not answer the last ping.
+     * Their close handlers then unregister VS Code windows (failing pending
+     * deliveries, announcing extension_offline) and unbind devices.
+     */
+    performHeartbeat() {
+        if (!this.wss) return;
+
+        this.wss.clients.forEach(ws => {
+            if (!ws.isAlive) {
+                log.warn(ws.isVSCodeExtension ? '💀 VS Code stopped answering pings, dropping it' : '💀 Dropping a silent connection', {
+                    ip: ws.clientIP,
+                    targetId: ws.kimTargetId || undefined,
+                    deviceId: ws.kimTokenHash ? deviceIdFor(ws.kimTokenHash) : undefined
+                });
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    getOnlineTarget(targetId) {
+        const target = this.targets.get(targetId);
+        return target && target.ws && target.ws.readyState === WebSocket.OPEN ? target : null;
+    }
+
+    // Connected windows, most recently registered first
+    getOnlineTargets() {
+        return Array.from(this.targets.values())
+            .filter(target => target.ws && target.ws.readyState === WebSocket.OPEN)
+            .sort((a, b) => b.registeredAt - a.registeredAt);
+    }
+
+    /**
+     * Which window a prompt goes to: the one the device asked for, its default,
+     * or the most recently registered window
+     * @returns {string|null} null when the requested window never checked in
+     */
+    resolveTarget(token, requested = null) {
+        if (requested) {
+            return this.targets.has(requested) ? requested : null;
+        }
+
+        const preferred = this.tokenStore.get(token)?.defaultTarget;
+        if (preferred && this.targets.has(preferred)) {
+            return preferred;
+        }
+
+        const [latest] = this.getOnlineTargets();
+        return latest ? latest.targetId : DEFAULT_TARGET;
+    }
+
+    describeTarget(target) {
+        return {
+            targetId: target.targetId,
+            workspace: target.workspace,
+            window: target.window,
+            online: Boolean(target.ws && target.ws.readyState === WebSocket.OPEN),
+            queued: this.promptQueue.list(target.targetId).length,
+            registeredAt: target.registeredAt,
+            lastSeen: target.lastSeen
+        };
+    }
+
+    handleListTargets(ws, token) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return;
+        }
+        this.bindClient(token, ws);
+
+        const targets = Array.from(this.targets.values()).map(target => this.describeTarget(target));
+        this.sendResponse(ws, 'targets', true, `${targets.length} VS Code window(s) known`, '🪟', null, {
+            targets,
+            defaultTarget: this.tokenStore.get(token).defaultTarget || null
+        });
+    }
+
+    handleSetDefaultTarget(ws, token, targetId = null) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return;
+        }
+        this.bindClient(token, ws);
+
+        if (targetId && !this.targets.has(targetId)) {
+            this.sendError(ws, `No VS Code window called "${targetId}" has checked in`, ERROR_EMOJI[ERROR_CODES.UNKNOWN_TARGET], {
+                code: ERROR_CODES.UNKNOWN_TARGET
+            });
+            return;
+        }
+
+        this.tokenStore.update(token, { defaultTarget: targetId || null });
+        const message = targetId
+            ? `Prompts will go to ${this.targets.get(targetId).workspace}`
+            : 'Prompts will go to the latest VS Code window';
+        this.sendResponse(ws, 'default_target_set', true, message, '🎯', null, { targetId: targetId || null });
+    }
+
+    /**
+     * Any paired device (it sends its token) may list devices, but only rename or
+     * revoke itself. Every device can be managed from this machine, where VS Code
+     * talks to the relay without a token of its own.
+     * @param {string} [deviceId] - Device a rename or revoke acts on
+     */
+    authorizeDeviceManagement(ws, token, type, deviceId = null) {
+        if (!token) return this.requireLocal(ws, type);
+
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return false;
+        }
+        this.bindClient(token, ws);
+
+        // A lost phone must not be able to kick the owner's other devices
+        if (deviceId && deviceId !== deviceIdFor(hashToken(token)) && !isLoopbackAddress(ws.clientIP)) {
+            this.sendError(ws, 'A device can only rename or unpair itself - manage the others from VS Code', ERROR_EMOJI[ERROR_CODES.LOCAL_ONLY], {
+                code: ERROR_CODES.LOCAL_ONLY
+            });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Paired devices, most recently paired first
+     * @param {string|null} currentHash - Device asking, flagged as `current`
+     */
+    listDevices(currentHash = null) {
+        return this.tokenStore.list()
+            .filter(record => record.expiresAt > Date.now())
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(record => ({
+                ...describeDevice(record),
+                online: this.isDeviceOnline(record.tokenHash),
+                current: record.tokenHash === currentHash
+            }));
+    }
+
+    handleListDevices(ws, token) {
+        if (!this.authorizeDeviceManagement(ws, token, 'list_devices')) return;
+
+        const devices = this.listDevices(token ? hashToken(token) : null);
+        this.sendResponse(ws, 'devices', true, `${devices.length} paired device(s)`, '📱', null, { devices, change: null });
+    }
+
+    handleRenameDevice(ws, { token, deviceId, name }) {
+        if (!this.authorizeDeviceManagement(ws, token, 'rename_device', deviceId)) return;
+
+        const result = this.renameDevice(deviceId, name);
+        if (result.error) {
+            this.sendError(ws, result.error, ERROR_EMOJI[result.code], { code: result.code });
+            return;
+        }
+
+        this.sendResponse(ws, 'device_renamed', true, `Device renamed to ${result.device.name}`, '🏷️', null, {
+            device: result.device
+        });
+    }
+
+    handleRevokeDevice(ws, { token, deviceId }) {
+        if (!this.authorizeDeviceManagement(ws, token, 'revoke_device', deviceId)) return;
+
+        const record = this.revokeDevice(deviceId);
+        if (!record) {
+            this.sendError(ws, 'No paired device with that ID', ERROR_EMOJI[ERROR_CODES.DEVICE_NOT_FOUND], {
+                code: ERROR_CODES.DEVICE_NOT_FOUND
+            });
+            return;
+        }
+
+        this.sendResponse(ws, 'device_revoked', true, `${describeDevice(record).name} was unpaired`, '🚪', null, { deviceId });
+    }
+
+    /**
+     * @returns {Object} { device } or { error, code }
+     */
+    renameDevice(deviceId, name) {
+        const trimmed = String(name).trim();
+        if (!trimmed || trimmed.length > MAX_DEVICE_NAME_LENGTH) {
+            return { error: `Device names need 1-${MAX_DEVICE_NAME_LENGTH} characters`, code: ERROR_CODES.INVALID_MESSAGE };
+        }
+
+        const record = this.tokenStore.renameDevice(deviceId, trimmed);
+        if (!record) {
+            return { error: 'No paired device with that ID', code: ERROR_CODES.DEVICE_NOT_FOUND };
+        }
+
+        this.notifyDevicesChanged('renamed', record.tokenHash);
+        return { device: describeDevice(record) };
+    }
+
+    /**
+     * Unpair a device: its token stops working, its queued prompts and event
+     * history are dropped, and if it is connected it is sent back to pairing
+     * @returns {Object|null} The removed token record
+     */
+    revokeDevice(deviceId) {
+        const record = this.tokenStore.revokeDevice(deviceId);
+        if (!record) return null;
+
+        const client = this.findClient(record.tokenHash);
+        if (client) {
+            this.clients.delete(client.kimToken);
+            client.kimToken = null;
+            client.kimTokenHash = null;
+            this.sendResponse(client, 'revoked', false, 'This device was unpaired from VS Code - pair again to keep going', '🚪', null, { deviceId });
+        }
+
+        this.promptQueue.forgetDevice(record.tokenHash);
+        this.eventLog.forgetByHash(record.tokenHash);
+
+        log.info('🚪 Device revoked', { deviceId });
+        this.notifyDevicesChanged('revoked', record.tokenHash);
+        return record;
+    }
+
+    /**
+     * Push the device list to every connected VS Code window so device trees stay live
+     * @param {string} type - paired, renamed, revoked, online or offline
+     * @param {string} tokenHash - Device that changed
+     */
+    notifyDevicesChanged(type, tokenHash) {
+        const windows = this.getOnlineTargets();
+        if (windows.length === 0) return;
+
+        const devices = this.listDevices();
+        const change = { type, deviceId: deviceIdFor(tokenHash) };
+        windows.forEach(target => {
+            this.sendResponse(target.ws, 'devices', true, `${devices.length} paired device(s)`, '📱', null, { devices, change });
+        });
+    }
+
+    // Let devices know their prompt gave up waiting
+    expireQueuedPrompts() {
+        this.promptQueue.expire().forEach(entry => {
+            this.sendToDeviceHash(entry.tokenHash, 'prompt_failed', false, 'Your prompt waited too long for VS Code', ERROR_EMOJI[ERROR_CODES.QUEUE_EXPIRED], null, {
+                promptId: entry.promptId,
+                code: ERROR_CODES.QUEUE_EXPIRED,
+                reason: 'Your prompt waited too long for VS Code'
+            });
+        });
+    }
+
+    handleListQueue(ws, token) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return;
+        }
+        this.bindClient(token, ws);
+
+        const now = Date.now();
+        const prompts = this.promptQueue.listForToken(token).map(entry => ({
+            promptId: entry.promptId,
+            prompt: entry.prompt,
+            target: entry.target,
+            position: entry.position,
+            enqueuedAt: entry.enqueuedAt,
+            expiresIn: Math.max(0, Math.ceil((entry.expiresAt - now) / 1000))
+        }));
+
+        this.sendResponse(ws, 'queue', true, `${prompts.length} prompt(s) waiting for VS Code`, '📬', null, { prompts });
+    }
+
+    handleCancelPrompt(ws, token, promptId) {
+        if (!this.validateToken(token)) {
+            this.sendError(ws, 'Your coding session took a coffee break! Please pair again', '☕', {
+                code: ERROR_CODES.SESSION_EXPIRED
+            });
+            return;
+        }
+        this.bindClient(token, ws);
+
+        if (!this.promptQueue.cancel(token, promptId)) {
+            this.sendError(ws, 'That prompt is no longer waiting in line', '🔍', {
+                code: ERROR_CODES.PROMPT_NOT_FOUND
+            });
+            return;
+        }
+
+        this.sendToDevice(token, 'prompt_cancelled', true, 'Prompt pulled from the queue', '🗑️', null, { promptId });
+    }
+
+    // VS Code reports whether a relayed prompt made it into Copilot chat
+    handlePromptAck(ws, ack) {
+        if (!ws.isVSCodeExtension) {
+            this.sendError(ws, 'Only VS Code can confirm deliveries', '🙅', {
+                code: ERROR_CODES.UNSUPPORTED_MESSAGE
+            });
+            return;
+        }
+
+        // Only the connection the prompt went to may settle it
+        const pending = this.pendingDeliveries.get(ack.promptId);
+        if (!pending || pending.extension !== ws || !this.settleDelivery(ack.promptId, ack)) {
+            log.debug('🤷 Ack for unknown or already settled prompt', { promptId: ack.promptId });
+        }
+    }
+
+    /**
+     * Tell the originating device how a relayed prompt ended up
+     * @param {string} promptId - Correlation ID of the prompt
+     * @param {Object} outcome - { success, code?, reason? }
+     * @returns {boolean} Whether the prompt was still pending
+     */
+    settleDelivery(promptId, outcome) {
+        const pending = this.pendingDeliveries.get(promptId);
+        if (!pending) return false;
+
+        clearTimeout(pending.timer);
+        this.pendingDeliveries.delete(promptId);
+
+        if (outcome.success) {
+            this.sendToDeviceHash(pending.tokenHash, 'prompt_delivered', true, 'Delivered to Copilot!', '🚀', pending.quip, {
+                promptId,
+                streaming: Boolean(outcome.streaming)
+            });
+            if (!outcome.streaming) {
+                this.responseRoutes.delete(promptId);
+            }
+            return true;
+        }
+
+        this.responseRoutes.delete(promptId);
+
+        const code = outcome.code || ERROR_CODES.CHAT_OPEN_FAILED;
+        const reason = outcome.reason || 'Copilot chat did not accept the prompt';
+        this.sendToDeviceHash(pending.tokenHash, 'prompt_failed', false, reason, ERROR_EMOJI[code] || '🌀', null, {
+            promptId,
+            code,
+            reason
+        });
+        return true;
+    }
+
+    // Pass Copilot's answer from VS Code on to the device that asked
+    handleResponse(ws, message) {
+        if (!ws.isVSCodeExtension) {
+            this.sendError(ws, 'Only VS Code can stream answers', '🙅', {
+                code: ERROR_CODES.UNSUPPORTED_MESSAGE
+            });
+            return;
+        }
+
+        const route = this.responseRoutes.get(message.promptId);
+        if (!route || route.extension !== ws) return;
+
+        if (message.type === 'response_chunk') {
+            // Live only - response_done carries the full text for replay
+            const client = this.findClient(route.tokenHash);
             if (client) {
-                this.sendResponse(client, 'prompt_failed', false, 'VS Code not connected', '🔌');
+                this.sendResponse(client, 'response_chunk', true, 'Copilot is typing...', '✍️', null, {
+                    promptId: message.promptId,
+                    index: route.index++,
+                    text: message.text
+                });
+            }
+            return;
+        }
+
+        this.responseRoutes.delete(message.promptId);
+        this.sendToDeviceHash(route.tokenHash, 'response_done', message.success,
+            message.success ? 'Copilot answered!' : 'Copilot could not finish the answer',
+            message.success ? '💬' : '🌀', null, {
+                promptId: message.promptId,
+                text: message.text || '',
+                model: message.model || null,
+                error: message.error || null
+            });
+    }
+
+    failPendingDeliveries(code, reason, target = null) {
+        for (const [promptId, pending] of Array.from(this.pendingDeliveries.entries())) {
+            if (!target || pending.target === target) {
+                this.settleDelivery(promptId, { success: false, code, reason });
             }
         }
     }
 
     generatePairingCode(deviceType = 'unknown') {
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+        this.makeRoomForPairingCode();
+        const code = createPairingCode(this.pairingSessions);
         const token = uuidv4();
         const expires = Date.now() + (10 * 60 * 1000); // 10 minutes
         const createdAt = Date.now();
@@ -362,15 +1422,40 @@ class KIMRelayServer {
             expires,
             createdAt,
             deviceType,
-            isActive: true
+            isActive: true,
+            // QR links carry this instead of the token
+            ticket: createPairingTicket(),
+            ticketExpires: Math.min(expires, createdAt + PREAUTH_TICKET_TTL)
         };
 
         this.pairingSessions.set(code, session);
 
-        console.log('🔢 Generated pairing code:', code, 'for device type:', deviceType);
+        log.info('🔢 Generated pairing code', { pairingCode: code, deviceType });
         return session;
     }
 
+    /**
+     * Keep pairingSessions under the cap: spent and expired codes go first,
+     * then the oldest live ones
+     */
+    makeRoomForPairingCode() {
+        if (this.pairingSessions.size < this.limits.maxPairingCodes) return;
+
+        const now = Date.now();
+        for (const [code, session] of this.pairingSessions.entries()) {
+            if (!session.isActive || now > session.expires) {
+                this.pairingSessions.delete(code);
+            }
+        }
+
+        while (this.pairingSessions.size >= this.limits.maxPairingCodes) {
+            const oldest = this.pairingSessions.keys().next().value;
+            this.pairingSessions.delete(oldest);
+            this.pairingGuard.forgetCode(oldest);
+            log.info('🧹 Retired the oldest pairing code to stay under the cap', { pairingCode: oldest });
+        }
+    }
+
     // Get all active pairing sessions (for VS Code extension display)
     getActivePairingSessions() {
         const now = Date.now();
@@ -393,6 +1478,17 @@ class KIMRelayServer {
         return activeSessions;
     }
 
+    // Live pairing session a QR ticket belongs to, if it can still be redeemed
+    findSessionByTicket(ticket) {
+        const now = Date.now();
+        for (const session of this.pairingSessions.values()) {
+            if (session.ticket && session.ticket === ticket) {
+                return session.isActive && now < session.ticketExpires ? session : null;
+            }
+        }
+        return null;
+    }
+
     // Validate pairing code and return session info
     validatePairingCode(code) {
         const session = this.pairingSessions.get(code);
@@ -415,126 +1511,170 @@ class KIMRelayServer {
 
     // Store token with 24-hour expiry for session management
     storeTokenSession(token, deviceInfo = {}) {
-        const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-
-        this.tokenSessions = this.tokenSessions || new Map();
-        this.tokenSessions.set(token, {
-            token,
-            createdAt: Date.now(),
-            expiresAt,
-            deviceInfo,
-            lastActivity: Date.now()
-        });
-
-        console.log('💾 Stored token session:', token.substring(0, 8) + '...', 'expires in 24h');
+        const session = this.tokenStore.issue(token, deviceInfo);
+        log.debug('💾 Stored token session, expires in 24h', { deviceId: deviceIdFor(session.tokenHash) });
+        return session;
     }
 
     validateToken(token) {
-        // Check if client is connected
-        if (!this.clients.has(token)) {
+        // Valid while the token store knows it - even across server restarts
+        if (!this.tokenStore.touch(token)) {
+            this.clients.delete(token);
             return false;
         }
+        return true;
+    }
 
-        // Check token session expiry
-        if (this.tokenSessions && this.tokenSessions.has(token)) {
-            const session = this.tokenSessions.get(token);
-            if (Date.now() > session.expiresAt) {
-                // Clean up expired token
-                this.tokenSessions.delete(token);
-                this.clients.delete(token);
-                return false;
-            }
+    // Associate a validated token with the socket it is currently using
+    bindClient(token, ws) {
+        if (this.clients.get(token) !== ws) {
+            this.clients.set(token, ws);
+            ws.kimToken = token;
+            ws.kimTokenHash = hashToken(token);
+        }
+    }
 
-            // Update last activity
-            session.lastActivity = Date.now();
-            return true;
+    // Persisted state (like the prompt queue) only knows token hashes
+    findClient(tokenHash) {
+        for (const ws of this.clients.values()) {
+            if (ws.kimTokenHash === tokenHash) {
+                return ws;
+            }
         }
+        return null;
+    }
 
-        return this.clients.has(token);
+    isDeviceOnline(tokenHash) {
+        const client = this.findClient(tokenHash);
+        return Boolean(client && client.readyState === WebSocket.OPEN);
     }
 
     // Clean up expired tokens periodically
     cleanupExpiredTokens() {
-        if (!this.tokenSessions) return;
+        // Their replay streams go with them
+        const removed = this.tokenStore.cleanup(record => this.eventLog.forgetByHash(record.tokenHash));
+        if (removed > 0) {
+            log.info(`🧹 Cleaned up ${removed} expired token(s)`);
+        }
 
-        const now = Date.now();
-        for (const [token, session] of this.tokenSessions.entries()) {
-            if (now > session.expiresAt) {
-                console.log('🧹 Cleaning up expired token:', token.substring(0, 8) + '...');
-                this.tokenSessions.delete(token);
+        for (const token of this.clients.keys()) {
+            if (!this.tokenStore.has(token)) {
                 this.clients.delete(token);
             }
         }
-    }
 
-    // Notify VS Code extension about pairing events
-    notifyVSCodePairing(session) {
-        // TODO: Implement VS Code extension communication
-        console.log('📢 Notifying VS Code about pairing:', {
-            deviceType: session.deviceType,
-            token: session.token.substring(0, 8) + '...'
-        });
+        // Prompts that gave up waiting for VS Code
+        this.expireQueuedPrompts();
+
+        // Clients that stopped guessing, codes that are gone
+        this.pairingGuard.cleanup(this.getActivePairingSessions().map(session => session.code));
+        this.rateLimiter.cleanup();
+
+        // Answers that never finished streaming
+        const now = Date.now();
+        for (const [promptId, route] of this.responseRoutes.entries()) {
+            if (now - route.createdAt > 10 * 60 * 1000) {
+                this.responseRoutes.delete(promptId);
+            }
+        }
     }
 
     removeClient(ws) {
-        if (ws.kimToken) {
+        // Only drop the binding if a resumed socket hasn't already taken it over
+        if (ws.kimToken && this.clients.get(ws.kimToken) === ws) {
             this.clients.delete(ws.kimToken);
+            this.notifyDevicesChanged('offline', ws.kimTokenHash);
         }
     }
 
     sendResponse(ws, type, success, message, emoji, quip = null, data = null) {
-        const response = {
-            type,
-            success,
-            message,
-            emoji,
-            timestamp: Date.now()
-        };
-
-        if (quip) {
-            response.quip = quip;
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(createResponse(type, success, message, emoji, quip, data)));
         }
+    }
 
-        if (data) {
-            response.data = data;
-        }
+    sendError(ws, message, emoji, data = null) {
+        this.sendResponse(ws, 'error', false, message, emoji, null, data);
+    }
 
-        ws.send(JSON.stringify(response));
+    /**
+     * Send an event to a paired device. It is sequenced and kept so the device
+     * can replay it with `resume` if it is offline right now.
+     */
+    sendToDevice(token, type, success, message, emoji, quip = null, data = null) {
+        this.sendToDeviceHash(hashToken(token), type, success, message, emoji, quip, data);
+    }
+
+    sendToDeviceHash(tokenHash, type, success, message, emoji, quip = null, data = null) {
+        const event = this.eventLog.appendByHash(tokenHash, createResponse(type, success, message, emoji, quip, data));
+        this.promptStatus.record(tokenHash, event);
+        const client = this.findClient(tokenHash);
+
+        if (client && client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(event));
+        }
     }
 
-    sendError(ws, message, emoji) {
-        this.sendResponse(ws, 'error', false, message, emoji);
+    /**
+     * What /readyz reports: ready once the shared http(s) server is listening
+     * @returns {{ ready: boolean, checks: Object }}
+     */
+    getReadiness() {
+        const checks = {
+            websocket: Boolean(this.wss) && !this.stopping,
+            http: Boolean(this.httpServer && this.httpServer.listening)
+        };
+        return { ready: Object.values(checks).every(Boolean), checks };
     }
 
     stop() {
+        this.stopping = true;
+        this.webhooks.stop();
         if (this.wss) {
-            console.log('🛑 Stopping KIM Relay Server...');
-
-            // Stop PWA server too
-            if (this.pwaServer) {
-                this.pwaServer.stop();
-                this.pwaServer = null;
-            }
+            log.info('🛑 Stopping KIM Relay Server...');
             this.wss.close();
         }
 
+        if (this.httpServer) {
+            this.httpServer.close();
+            this.httpServer = null;
+        }
+
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
         }
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+        }
+
+        for (const pending of this.pendingDeliveries.values()) {
+            clearTimeout(pending.timer);
+        }
+        this.pendingDeliveries.clear();
+
+        return Promise.all([this.tokenStore.flush(), this.promptQueue.flush()]);
     }
 }
 
 // Start server if run directly
 if (require.main === module) {
     const server = new KIMRelayServer();
-    server.start();
+    server.start().catch(error => {
+        log.error('💥 KIM relay failed to start', { error });
+        process.exit(1);
+    });
 
-    // Graceful shutdown
-    process.on('SIGINT', () => {
-        console.log('\n👋 Shutting down gracefully...');
-        server.stop();
+    // Graceful shutdown (SIGTERM comes from `kim stop`)
+    const shutdown = async () => {
+        log.info('👋 Shutting down gracefully...');
+        await server.stop();
         process.exit(0);
-    });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    // Pick up plugin edits without dropping connections
+    process.on('SIGHUP', () => server.pipeline.loadDirectories([server.pluginsDir]));
 }
 
 module.exports = KIMRelayServer;
\ No newline at end of file
@@ -1,48 +1,70 @@
 // Simple HTTP server to serve PWA static files
 const http = require('http');
-const fs = require('fs');
+const https = require('https');
+const os = require('os');
 const path = require('path');
+const { getLogger, StaticAssets } = require('kim-core');
+
+const log = getLogger('pwa');
+
+// Non-internal IPv4 addresses a phone on the LAN could reach us on
+function getLocalIPs() {
+    const networkInterfaces = os.networkInterfaces();
+    const localIPs = [];
+
+    Object.keys(networkInterfaces).forEach(interfaceName => {
+        networkInterfaces[interfaceName].forEach(iface => {
+            if (iface.family === 'IPv4' && !iface.internal) {
+                localIPs.push(iface.address);
+            }
+        });
+    });
+    return localIPs;
+}
 
 class PWAServer {
-    constructor(port = 3000) {
+    /**
+     * @param {number} port - Preferred port
+     * @param {Object} options
+     * @param {Object} options.tls - { key, cert, ca } PEMs to serve https with (plain http when omitted)
+     * @param {RestApi} options.api - Serves /api/prompts and /api/devices for the relay
+     * @param {MonitoringApi} options.monitoring - Serves /metrics, /healthz and /readyz for the relay
+     * @param {string} options.root - Built PWA to serve (default: ../pwa/dist)
+     */
+    constructor(port = 3000, options = {}) {
         this.port = port;
+        this.tls = options.tls || null;
+        this.api = options.api || null;
+        this.monitoring = options.monitoring || null;
+        /** @type {StaticAssets} pwa/dist, cached in memory */
+        this.assets = new StaticAssets(options.root || path.join(__dirname, '..', 'pwa', 'dist'));
         this.server = null;
         this.startTime = null;
     }
 
-    log(message) {
-        const timestamp = new Date().toLocaleTimeString();
-        console.log(`[${timestamp}] ${message}`);
+    get scheme() {
+        return this.tls ? 'https' : 'http';
+    }
+
+    /**
+     * An http(s) server that answers with handleRequest - the relay attaches
+     * its WebSocket server to the same one so everything shares a port
+     * @returns {http.Server|https.Server}
+     */
+    createServer() {
+        const handler = (req, res) => this.handleRequest(req, res);
+        return this.tls
+            ? https.createServer({ key: this.tls.key, cert: this.tls.cert }, handler)
+            : http.createServer(handler);
     }
 
     start() {
-        this.server = http.createServer((req, res) => {
-            this.handleRequest(req, res);
-        });
+        this.server = this.createServer();
 
         this.server.listen(this.port, '0.0.0.0', () => {
             this.startTime = new Date();
-            this.log(`🌐 PWA Server running on http://0.0.0.0:${this.port}`);
-
-            // Show local IP addresses
-            const os = require('os');
-            const networkInterfaces = os.networkInterfaces();
-            const localIPs = [];
-
-            Object.keys(networkInterfaces).forEach(interfaceName => {
-                networkInterfaces[interfaceName].forEach(iface => {
-                    if (iface.family === 'IPv4' && !iface.internal) {
-                        localIPs.push(iface.address);
-                    }
-                });
-            });
-
-            if (localIPs.length > 0) {
-                this.log(`📱 PWA accessible from mobile devices:`);
-                localIPs.forEach(ip => {
-                    this.log(`   http://${ip}:${this.port}`);
-                });
-            }
+            log.info(`🌐 PWA Server running on ${this.scheme}://0.0.0.0:${this.port}`);
+            this.logNetworkUrls();
         });
 
         this.server.on('error', (error) => {
@@ -53,20 +75,30 @@ class PWAServer {
                     `🏠 Port ${this.port} is busy! Moving to ${this.port + 1}...`
                 ];
                 const randomQuip = portQuips[Math.floor(Math.random() * portQuips.length)];
-                this.log(randomQuip);
+                log.warn(randomQuip);
                 this.port++;
                 this.start();
             } else {
-                this.log('❌ PWA Server error: ' + error.message);
+                log.error('❌ PWA Server error', { error });
             }
         });
     }
 
+    // Show local IP addresses
+    logNetworkUrls() {
+        const localIPs = getLocalIPs();
+        if (localIPs.length > 0) {
+            log.info('📱 PWA accessible from mobile devices', {
+                urls: localIPs.map(ip => `${this.scheme}://${ip}:${this.port}`)
+            });
+        }
+    }
+
     stop() {
         if (this.server) {
             this.server.close();
             this.server = null;
-            this.log('🛑 PWA Server stopped');
+            log.info('🛑 PWA Server stopped');
         }
     }
 
@@ -74,7 +106,17 @@ class PWAServer {
         // Add CORS headers for development
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+        // Prompts and devices over plain HTTP (answers its own preflights)
+        if (this.api && this.api.handle(req, res)) {
+            return;
+        }
+
+        // Prometheus scrapes and health probes
+        if (this.monitoring && this.monitoring.handle(req, res)) {
+            return;
+        }
 
         if (req.method === 'OPTIONS') {
             res.writeHead(200);
@@ -88,88 +130,39 @@ class PWAServer {
             return;
         }
 
-        const url = req.url === '/' ? '/index.html' : req.url;
-        const pwaDistPath = path.join(__dirname, '..', 'pwa', 'dist');
-        const filePath = path.join(pwaDistPath, url);
-
-        // Security check
-        if (!filePath.startsWith(pwaDistPath)) {
-            res.writeHead(403, { 'Content-Type': 'text/plain' });
-            res.end('Access denied');
+        // Install this on a phone to trust the local KIM certificate
+        if (req.url === '/kim-ca.crt' && this.tls) {
+            res.writeHead(200, {
+                'Content-Type': 'application/x-x509-ca-cert',
+                'Content-Disposition': 'attachment; filename="kim-ca.crt"'
+            });
+            res.end(this.tls.ca);
             return;
         }
 
-        // Check if PWA is built
-        if (!fs.existsSync(pwaDistPath)) {
-            this.serveSetupPage(res);
+        // Built PWA from memory - compressed, with ETags and cache headers
+        if (this.assets.serve(req, res)) {
             return;
         }
 
-        // Serve file
-        fs.readFile(filePath, (err, data) => {
-            if (err) {
-                if (url === '/index.html' || url === '/') {
-                    // Try to serve index.html for SPA routing
-                    const indexPath = path.join(pwaDistPath, 'index.html');
-                    fs.readFile(indexPath, (indexErr, indexData) => {
-                        if (indexErr) {
-                            this.serveSetupPage(res);
-                        } else {
-                            res.writeHead(200, { 'Content-Type': 'text/html' });
-                            res.end(indexData);
-                        }
-                    });
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'text/plain' });
-                    res.end('File not found');
-                }
-                return;
-            }
-
-            // Set content type
-            const ext = path.extname(filePath);
-            const contentTypes = {
-                '.html': 'text/html',
-                '.js': 'application/javascript',
-                '.mjs': 'application/javascript',
-                '.css': 'text/css',
-                '.json': 'application/json',
-                '.png': 'image/png',
-                '.jpg': 'image/jpeg',
-                '.jpeg': 'image/jpeg',
-                '.gif': 'image/gif',
-                '.svg': 'image/svg+xml',
-                '.ico': 'image/x-icon',
-                '.woff': 'font/woff',
-                '.woff2': 'font/woff2',
-                '.ttf': 'font/ttf',
-                '.webp': 'image/webp',
-                '.webmanifest': 'application/manifest+json'
-            };
+        if (this.assets.available) {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+            res.end('Method not allowed');
+            return;
+        }
 
-            const contentType = contentTypes[ext] || 'text/plain';
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(data);
-        });
+        // Not built yet
+        this.serveSetupPage(res);
     }
 
     serveStatusAPI(res) {
-        const os = require('os');
-        const networkInterfaces = os.networkInterfaces();
-        const localIPs = [];
-
-        Object.keys(networkInterfaces).forEach(interfaceName => {
-            networkInterfaces[interfaceName].forEach(iface => {
-                if (iface.family === 'IPv4' && !iface.internal) {
-                    localIPs.push(iface.address);
-                }
-            });
-        });
+        const localIPs = getLocalIPs();
 
         const status = {
             status: 'running',
             port: this.port,
-            urls: localIPs.map(ip => `http://${ip}:${this.port}`),
+            urls: localIPs.map(ip => `${this.scheme}://${ip}:${this.port}`),
+            secure: Boolean(this.tls),
             timestamp: new Date().toISOString(),
             emoji: '🚀',
             message: 'PWA Server is ready to rock!'